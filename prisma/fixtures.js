@@ -0,0 +1,583 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { recordServicePrice } from '../src/app/helpers/serviceHelper.js';
+import { refreshExperienceMonths } from '../src/app/helpers/experienceHelper.js';
+import { refreshTalentSearchVector } from '../src/app/helpers/talentSearchHelper.js';
+import { refreshTalentEmbedding } from '../src/app/helpers/embeddingHelper.js';
+import { normalizeSkillList } from '../src/app/helpers/skillHelper.js';
+
+// Development fixtures: talents, recruiters, services, intents, chats and meetings.
+// Every fixture account uses this email domain and password, and the data is
+// generated from a fixed seed so re-running produces the same accounts.
+export const FIXTURE_EMAIL_DOMAIN = 'fixtures.talentflip.test';
+export const FIXTURE_PASSWORD = 'Fixture@123';
+
+const FIRST_NAMES = ['Aarav', 'Priya', 'Rohan', 'Ananya', 'Vikram', 'Sneha', 'Arjun', 'Meera', 'Karan', 'Isha', 'Daniel', 'Sofia', 'Liam', 'Emma', 'Noah', 'Olivia', 'Mateo', 'Chloe', 'Yusuf', 'Hana'];
+const LAST_NAMES = ['Sharma', 'Iyer', 'Patel', 'Reddy', 'Nair', 'Gupta', 'Khan', 'Mehta', 'Fernandes', 'Das', 'Smith', 'Garcia', 'Müller', 'Rossi', 'Tanaka', 'Kowalski'];
+const CITIES = ['Bangalore, India', 'Pune, India', 'Hyderabad, India', 'Chennai, India', 'Remote', 'London, UK', 'Berlin, Germany', 'Toronto, Canada'];
+
+const TALENT_TRACKS = [
+  { designation: 'Backend Engineer', skills: ['Node.js', 'TypeScript', 'PostgreSQL', 'Redis', 'Docker', 'AWS'] },
+  { designation: 'Frontend Engineer', skills: ['React', 'TypeScript', 'Next.js', 'CSS', 'Jest', 'GraphQL'] },
+  { designation: 'Full Stack Developer', skills: ['JavaScript', 'React', 'Node.js', 'MongoDB', 'Express', 'Git'] },
+  { designation: 'Data Engineer', skills: ['Python', 'Spark', 'Airflow', 'SQL', 'Kafka', 'dbt'] },
+  { designation: 'DevOps Engineer', skills: ['Kubernetes', 'Terraform', 'AWS', 'Docker', 'Prometheus', 'Linux'] },
+  { designation: 'Mobile Developer', skills: ['React Native', 'Kotlin', 'Swift', 'Firebase', 'TypeScript', 'REST APIs'] },
+  { designation: 'Machine Learning Engineer', skills: ['Python', 'PyTorch', 'scikit-learn', 'MLOps', 'SQL', 'Docker'] },
+];
+
+const COMPANIES = [
+  { name: 'Nimbus Labs', industry: 'SaaS', size: '11-50' },
+  { name: 'Orbit Fintech', industry: 'Financial Services', size: '51-200' },
+  { name: 'Kestrel Health', industry: 'Healthcare', size: '201-500' },
+  { name: 'Brightpath Retail', industry: 'E-commerce', size: '501-1000' },
+  { name: 'Quanta Logistics', industry: 'Logistics', size: '51-200' },
+  { name: 'Helix Games', industry: 'Gaming', size: '11-50' },
+];
+
+const SERVICES = [
+  { name: 'Starter Hiring Pack', description: 'Send intents to up to 10 talents', inr: 4999, intl: 79, features: ['10 intents', 'Chat with talents', 'Email support'] },
+  { name: 'Growth Hiring Pack', description: 'Send intents to up to 50 talents', inr: 19999, intl: 299, features: ['50 intents', 'Chat and video meetings', 'Agreement intents', 'Priority support'] },
+];
+
+const CHAT_LINES = {
+  recruiter: [
+    'Hi! Thanks for looking at the role, happy to answer any questions.',
+    'Would you be open to a quick call this week?',
+    'The team is fully remote with quarterly meetups.',
+    'Sharing more details on the tech stack shortly.',
+  ],
+  talent: [
+    'Thanks for reaching out, the role sounds interesting.',
+    'Could you share the expected start date?',
+    'Sure, Thursday afternoon works for me.',
+    'Is the compensation range flexible?',
+  ],
+};
+
+/**
+ * Small deterministic PRNG (mulberry32) so fixtures are the same on every run
+ * @param {Number} seed - Integer seed
+ * @returns {Function} Returns a float in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Build the random helpers used by the fixture builders
+ * @param {Number} seed - Integer seed
+ * @returns {Object} { random, pick, int, sample, daysAgo }
+ */
+const createGenerator = (seed) => {
+  const random = createRandom(seed);
+  const int = (min, max) => min + Math.floor(random() * (max - min + 1));
+  const pick = (items) => items[Math.floor(random() * items.length)];
+  const sample = (items, count) => [...items].sort(() => random() - 0.5).slice(0, count);
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000 - int(0, 12 * 60) * 60 * 1000);
+  return { random, pick, int, sample, daysAgo };
+};
+
+/**
+ * Create a fixture user unless one with the same email already exists
+ * @param {Object} prisma - PrismaClient
+ * @param {Object} data - User fields
+ * @returns {Promise<Object>} { user, created }
+ */
+const upsertFixtureUser = async (prisma, data) => {
+  const existingUser = await prisma.user.findUnique({
+    where: { user_email: data.user_email }
+  });
+
+  if (existingUser) {
+    return { user: existingUser, created: false };
+  }
+
+  const user = await prisma.user.create({
+    data: {
+      ...data,
+      status: true,
+      is_verified: true,
+      is_active: true,
+      is_deleted: false,
+      is_blocked: false,
+      is_suspended: false,
+      is_password_set: true,
+      created_by: 'fixtures'
+    }
+  });
+
+  return { user, created: true };
+};
+
+/**
+ * Create talents with full profiles (skills, skill tiles, experience, projects, availability)
+ * @param {Object} prisma - PrismaClient
+ * @param {Object} gen - Random helpers
+ * @param {Number} count - Number of talents
+ * @param {String} passwordHash - Hashed fixture password
+ * @returns {Promise<Array>} Talent profiles with user_id
+ */
+const seedTalents = async (prisma, gen, count, passwordHash) => {
+  const talents = [];
+
+  for (let index = 1; index <= count; index++) {
+    const track = TALENT_TRACKS[(index - 1) % TALENT_TRACKS.length];
+    const fullName = `${gen.pick(FIRST_NAMES)} ${gen.pick(LAST_NAMES)}`;
+    const totalYears = gen.int(1, 14);
+    const location = gen.pick(CITIES);
+
+    const { user, created } = await upsertFixtureUser(prisma, {
+      user_full_name: fullName,
+      user_email: `talent${index}@${FIXTURE_EMAIL_DOMAIN}`,
+      user_mobile: `+9190000${String(index).padStart(5, '0')}`,
+      user_password: passwordHash,
+      role_id: 3,
+      created_at: gen.daysAgo(gen.int(30, 120))
+    });
+
+    if (!created) {
+      const existingProfile = await prisma.t_profile.findFirst({ where: { user_id: user.user_id } });
+      if (existingProfile) {
+        talents.push(existingProfile);
+      }
+      continue;
+    }
+
+    const seniority = totalYears >= 10 ? 'Lead' : totalYears >= 6 ? 'Senior' : totalYears >= 3 ? '' : 'Junior';
+
+    const skills = await normalizeSkillList(track.skills);
+
+    const profile = await prisma.t_profile.create({
+      data: {
+        user_id: user.user_id,
+        tp_designation: [seniority, track.designation].filter(Boolean).join(' '),
+        tp_location: location,
+        tp_total_experience: `${totalYears} years`,
+        tp_about: `${track.designation} who enjoys shipping reliable products with small, focused teams.`,
+        tp_professional_summary: `${totalYears} years of experience as a ${track.designation.toLowerCase()}, working mostly with ${track.skills.slice(0, 3).join(', ')}.`,
+        status: true,
+        t_skills: {
+          create: skills.map(skill => ({ ts_skill: skill.name, sk_id: skill.sk_id, status: true }))
+        },
+        t_skill_tiles: {
+          create: track.skills.slice(0, 3).map((skill, order) => ({
+            tst_skill_name: skill,
+            tst_experience: `${Math.max(1, totalYears - order)} years`,
+            tst_description: `Production experience with ${skill}.`,
+            tst_order: order,
+            status: true
+          }))
+        },
+        t_availability: {
+          create: {
+            ta_full_time: true,
+            ta_full_min_salary: gen.int(8, 20) * 100000,
+            ta_full_max_salary: gen.int(21, 45) * 100000,
+            ta_part_time: gen.random() < 0.4,
+            ta_consulting: gen.random() < 0.3,
+            ta_consulting_min_salary: 2000,
+            ta_consulting_max_salary: 6000,
+            ta_work_location: gen.pick(['Remote', 'Hybrid', 'Onsite', 'Flexible']),
+            ta_timezone: location.includes('India') ? 'IST' : gen.pick(['UTC', 'GMT', 'EST', 'PST']),
+            status: true
+          }
+        }
+      }
+    });
+
+    // Two or three consecutive jobs adding up to the total experience
+    const jobs = Math.min(gen.int(2, 3), totalYears);
+    let endDate = null;
+    let remainingMonths = totalYears * 12;
+
+    for (let job = 0; job < jobs; job++) {
+      const months = job === jobs - 1 ? remainingMonths : Math.max(6, Math.floor(remainingMonths / (jobs - job)));
+      const jobEnd = endDate || new Date();
+      const jobStart = new Date(jobEnd);
+      jobStart.setMonth(jobStart.getMonth() - months);
+
+      await prisma.t_experience.create({
+        data: {
+          tp_id: profile.tp_id,
+          te_company_name: gen.pick(COMPANIES).name,
+          te_designation: track.designation,
+          te_location: location,
+          te_start_date: jobStart,
+          te_end_date: job === 0 ? null : jobEnd,
+          te_description: `Built and maintained services used by thousands of customers.`,
+          te_technologies: gen.sample(track.skills, 3).join(', '),
+          status: true
+        }
+      });
+
+      endDate = jobStart;
+      remainingMonths -= months;
+    }
+
+    await refreshExperienceMonths(profile.tp_id, prisma);
+
+    await prisma.t_projects.create({
+      data: {
+        tp_id: profile.tp_id,
+        tpj_name: `${track.skills[0]} ${gen.pick(['Platform', 'Dashboard', 'Pipeline', 'Toolkit'])}`,
+        tpj_description: `Side project exploring ${track.skills.slice(0, 2).join(' and ')}.`,
+        tpj_github_url: `https://github.com/example/fixture-project-${index}`,
+        tpj_duration: `${gen.int(2, 9)} months`,
+        tpj_technologies: track.skills.slice(0, 4).join(', '),
+        status: true
+      }
+    });
+
+    await refreshTalentSearchVector(profile.tp_id, prisma);
+
+    await refreshTalentEmbedding(profile.tp_id, prisma);
+
+    talents.push(profile);
+  }
+
+  return talents;
+};
+
+/**
+ * Create recruiters with company profiles
+ * @param {Object} prisma - PrismaClient
+ * @param {Object} gen - Random helpers
+ * @param {Number} count - Number of recruiters
+ * @param {String} passwordHash - Hashed fixture password
+ * @returns {Promise<Array>} Recruiter users
+ */
+const seedRecruiters = async (prisma, gen, count, passwordHash) => {
+  const recruiters = [];
+
+  for (let index = 1; index <= count; index++) {
+    const company = COMPANIES[(index - 1) % COMPANIES.length];
+
+    const { user, created } = await upsertFixtureUser(prisma, {
+      user_full_name: `${gen.pick(FIRST_NAMES)} ${gen.pick(LAST_NAMES)}`,
+      user_email: `recruiter${index}@${FIXTURE_EMAIL_DOMAIN}`,
+      user_mobile: `+9180000${String(index).padStart(5, '0')}`,
+      user_password: passwordHash,
+      role_id: 2,
+      created_at: gen.daysAgo(gen.int(60, 150))
+    });
+
+    recruiters.push({ user, company, created });
+
+    if (!created) {
+      continue;
+    }
+
+    await prisma.r_profile.create({
+      data: {
+        user_id: user.user_id,
+        rp_type: 'company',
+        status: true,
+        r_company_profile: {
+          create: {
+            rc_name: company.name,
+            rc_website: `https://${company.name.toLowerCase().replace(/\s+/g, '')}.example.com`,
+            rc_industry: company.industry,
+            rc_size: company.size,
+            rc_role: gen.pick(['Talent Partner', 'Engineering Manager', 'Founder', 'HR Manager']),
+            rc_description: `${company.name} builds software for the ${company.industry.toLowerCase()} industry.`,
+            status: true
+          }
+        }
+      }
+    });
+  }
+
+  return recruiters;
+};
+
+/**
+ * Create the catalog services if there are none yet
+ * @param {Object} prisma - PrismaClient
+ * @returns {Promise<Array>} Services
+ */
+const seedServices = async (prisma) => {
+  const existingServices = await prisma.r_service.findMany();
+  if (existingServices.length > 0) {
+    return existingServices;
+  }
+
+  const services = [];
+  for (const [order, service] of SERVICES.entries()) {
+    const newService = await prisma.r_service.create({
+      data: {
+        rs_name: service.name,
+        rs_description: service.description,
+        rs_inr_price: service.inr,
+        rs_international_price: service.intl,
+        rs_currency_international: 'USD',
+        rs_order: order,
+        status: true,
+        created_by: 'fixtures',
+        r_service_feature: {
+          create: service.features.map((feature, featureOrder) => ({
+            rsf_name: feature,
+            rsf_order: featureOrder,
+            status: true,
+            created_by: 'fixtures'
+          }))
+        }
+      }
+    });
+    await recordServicePrice(prisma, newService, 'fixtures');
+    services.push(newService);
+  }
+
+  return services;
+};
+
+/**
+ * Create a completed purchase for a recruiter
+ * @param {Object} prisma - PrismaClient
+ * @param {Object} recruiter - Recruiter user
+ * @param {Object} service - Service bought
+ * @param {Date} purchasedAt - Purchase date
+ */
+const seedPurchase = async (prisma, recruiter, service, purchasedAt) => {
+  const price = await prisma.r_service_price_history.findFirst({
+    where: { rs_id: service.rs_id, rsph_effective_to: null }
+  });
+
+  await prisma.r_transaction.create({
+    data: {
+      user_id: recruiter.user_id,
+      rs_id: service.rs_id,
+      rsph_id: price?.rsph_id ?? null,
+      rt_amount: service.rs_inr_price,
+      rt_currency: 'INR',
+      rt_payment_status: 'Completed',
+      rt_payment_method: 'card',
+      rt_transaction_date: purchasedAt,
+      created_at: purchasedAt,
+      created_by: 'fixtures',
+      r_service_purchase_mapper: {
+        create: {
+          user_id: recruiter.user_id,
+          rspm_purchase_date: purchasedAt,
+          rspm_is_active: true,
+          created_by: 'fixtures'
+        }
+      }
+    }
+  });
+};
+
+/**
+ * Send an intent to a talent, play its timeline forward to a final status,
+ * and create the chat conversation (with messages and a meeting) that goes with it
+ * @param {Object} prisma - PrismaClient
+ * @param {Object} gen - Random helpers
+ * @param {Object} intent - r_intent record
+ * @param {Object} recruiter - Recruiter user
+ * @param {Object} talent - t_profile with user_id
+ * @param {String} finalStatus - rit_status_types value to end on
+ */
+const seedIntentThread = async (prisma, gen, intent, recruiter, talent, finalStatus) => {
+  const sentAt = new Date(intent.created_at.getTime() + gen.int(1, 48) * 60 * 60 * 1000);
+  const isAgreementIntent = intent.ri_intent_type === 'WithAgreement';
+  const createdBy = String(recruiter.user_id);
+
+  // Status path from submission to the final status
+  const path = ['Intent_Submitted'];
+  if (finalStatus !== 'Intent_Submitted') {
+    if (finalStatus === 'Intent_Rejected') {
+      path.push('Intent_Rejected');
+    } else {
+      if (isAgreementIntent) path.push('Intent_Agreement_Accepted');
+      path.push('Intent_Accepted');
+      if (finalStatus === 'Project_Started') path.push('Project_Started');
+    }
+  }
+
+  const stepDates = path.map((status, step) => new Date(sentAt.getTime() + step * gen.int(12, 72) * 60 * 60 * 1000));
+  const acceptedAgreement = path.includes('Intent_Agreement_Accepted');
+
+  const mapper = await prisma.r_intent_talent_mapper.create({
+    data: {
+      ri_id: intent.ri_id,
+      tp_id: talent.tp_id,
+      ritm_intent_status: path[path.length - 1],
+      ritm_agreement_snapshot: isAgreementIntent ? intent.ri_agreement_content : null,
+      ritm_agreement_accepted_at: acceptedAgreement ? stepDates[path.indexOf('Intent_Agreement_Accepted')] : null,
+      ritm_agreement_accepted_by: acceptedAgreement ? talent.user_id : null,
+      created_at: sentAt,
+      created_by: createdBy,
+      r_intent_timeline: {
+        create: path.map((status, step) => ({
+          rit_status: status,
+          rit_notes: step === 0 ? (isAgreementIntent ? 'Intent with agreement sent to talent' : 'Intent sent to talent') : null,
+          created_at: stepDates[step],
+          created_by: status === 'Project_Started' || step === 0 ? createdBy : String(talent.user_id)
+        }))
+      }
+    }
+  });
+
+  const conversation = await prisma.chat_conversation.create({
+    data: {
+      ritm_id: mapper.ritm_id,
+      recruiter_user_id: recruiter.user_id,
+      talent_user_id: talent.user_id,
+      created_at: sentAt
+    }
+  });
+
+  // Rejected intents rarely get a conversation going
+  const messageCount = finalStatus === 'Intent_Rejected' ? gen.int(0, 1) : gen.int(2, 6);
+  let lastMessage = null;
+
+  for (let message = 0; message < messageCount; message++) {
+    const fromRecruiter = message % 2 === 0;
+    const sentMessageAt = new Date(sentAt.getTime() + (message + 1) * gen.int(10, 240) * 60 * 1000);
+    lastMessage = await prisma.chat_message.create({
+      data: {
+        cc_id: conversation.cc_id,
+        sender_user_id: fromRecruiter ? recruiter.user_id : talent.user_id,
+        cm_message: gen.pick(fromRecruiter ? CHAT_LINES.recruiter : CHAT_LINES.talent),
+        cm_is_delivered: true,
+        cm_delivered_at: sentMessageAt,
+        cm_is_read: message < messageCount - 1,
+        cm_read_at: message < messageCount - 1 ? sentMessageAt : null,
+        created_at: sentMessageAt
+      }
+    });
+  }
+
+  if (lastMessage) {
+    await prisma.chat_conversation.update({
+      where: { cc_id: conversation.cc_id },
+      data: {
+        cc_last_message: lastMessage.cm_message,
+        cc_last_message_at: lastMessage.created_at,
+        cc_unread_count_recruiter: lastMessage.sender_user_id === talent.user_id ? 1 : 0,
+        cc_unread_count_talent: lastMessage.sender_user_id === recruiter.user_id ? 1 : 0
+      }
+    });
+  }
+
+  // Accepted intents get an interview: finished if the project started, otherwise upcoming
+  if (path.includes('Intent_Accepted')) {
+    const completed = finalStatus === 'Project_Started';
+    const scheduledAt = completed
+      ? new Date(stepDates[path.indexOf('Intent_Accepted')].getTime() + 24 * 60 * 60 * 1000)
+      : new Date(Date.now() + gen.int(1, 10) * 24 * 60 * 60 * 1000);
+    const durationSeconds = completed ? gen.int(20, 60) * 60 : null;
+
+    await prisma.meeting.create({
+      data: {
+        meeting_room_name: `fixture-${crypto.randomUUID()}`,
+        meeting_title: `Interview: ${intent.ri_job_title}`,
+        cc_id: conversation.cc_id,
+        host_user_id: recruiter.user_id,
+        meeting_status: completed ? 'Completed' : 'Scheduled',
+        meeting_scheduled_at: scheduledAt,
+        meeting_started_at: completed ? scheduledAt : null,
+        meeting_ended_at: completed ? new Date(scheduledAt.getTime() + durationSeconds * 1000) : null,
+        meeting_duration: durationSeconds,
+        created_at: stepDates[path.indexOf('Intent_Accepted')],
+        meeting_participants: {
+          create: [
+            { user_id: recruiter.user_id, mp_role: 'Host', mp_joined_at: completed ? scheduledAt : null, mp_duration: durationSeconds },
+            { user_id: talent.user_id, mp_role: 'Participant', mp_joined_at: completed ? scheduledAt : null, mp_duration: durationSeconds }
+          ]
+        }
+      }
+    });
+  }
+};
+
+/**
+ * Create intents for every newly created recruiter and send them to talents
+ * @param {Object} prisma - PrismaClient
+ * @param {Object} gen - Random helpers
+ * @param {Array} recruiters - Result of seedRecruiters
+ * @param {Array} talents - Result of seedTalents
+ * @param {Array} services - Catalog services
+ * @returns {Promise<Number>} Number of intents created
+ */
+const seedIntents = async (prisma, gen, recruiters, talents, services) => {
+  const outcomes = ['Intent_Submitted', 'Intent_Submitted', 'Intent_Accepted', 'Intent_Rejected', 'Project_Started'];
+  let intentCount = 0;
+
+  for (const { user: recruiter, company, created } of recruiters) {
+    // Only new recruiters get intents so re-running doesn't duplicate them
+    if (!created || talents.length === 0) {
+      continue;
+    }
+
+    await seedPurchase(prisma, recruiter, gen.pick(services), gen.daysAgo(gen.int(30, 90)));
+
+    for (let index = 0; index < gen.int(1, 3); index++) {
+      const track = gen.pick(TALENT_TRACKS);
+      const withAgreement = gen.random() < 0.3;
+
+      const intent = await prisma.r_intent.create({
+        data: {
+          user_id: recruiter.user_id,
+          ri_job_title: track.designation,
+          ri_employment_type: gen.pick(['Full_time', 'Full_time', 'Contract', 'Internship']),
+          ri_work_mode: gen.pick(['Remote', 'Hybrid', 'Onsite']),
+          ri_location: gen.pick(CITIES),
+          ri_experience_level: gen.pick(['Junior', 'Mid', 'Senior', 'Lead']),
+          ri_compensation_range: `${gen.int(10, 25)}-${gen.int(26, 50)} LPA`,
+          ri_timezone: 'IST',
+          ri_currency: 'INR',
+          ri_skills_required: JSON.stringify(gen.sample(track.skills, 4)),
+          ri_job_description: `${company.name} is hiring a ${track.designation.toLowerCase()} to help scale our ${company.industry.toLowerCase()} platform.`,
+          ri_personalised_message: 'Your profile stood out to us and we would love to talk.',
+          ri_next_step: gen.pick(['Call', 'Interview', 'Coding_Challenge', 'Intro_Chat']),
+          ri_preferred_timeline: gen.pick(['Immediate', 'Within 30 days', 'Within 60 days']),
+          ri_intent_type: withAgreement ? 'WithAgreement' : 'Normal',
+          ri_agreement_content: withAgreement ? `Engagement agreement between ${company.name} and the talent for the ${track.designation} role.` : null,
+          created_at: gen.daysAgo(gen.int(5, 60)),
+          created_by: String(recruiter.user_id)
+        }
+      });
+
+      for (const talent of gen.sample(talents, Math.min(gen.int(2, 4), talents.length))) {
+        await seedIntentThread(prisma, gen, intent, recruiter, talent, gen.pick(outcomes));
+      }
+
+      intentCount++;
+    }
+  }
+
+  return intentCount;
+};
+
+/**
+ * Build the development fixtures
+ * @param {Object} prisma - PrismaClient
+ * @param {Object} options - { talents, recruiters, seed }
+ * @returns {Promise<Object>} Counts of what was created
+ */
+export const seedFixtures = async (prisma, { talents = 20, recruiters = 5, seed = 42 } = {}) => {
+  const gen = createGenerator(seed);
+  const passwordHash = await bcrypt.hash(FIXTURE_PASSWORD, 12);
+
+  const talentProfiles = await seedTalents(prisma, gen, talents, passwordHash);
+  const recruiterUsers = await seedRecruiters(prisma, gen, recruiters, passwordHash);
+  const services = await seedServices(prisma);
+  const intents = await seedIntents(prisma, gen, recruiterUsers, talentProfiles, services);
+
+  return {
+    talents: talentProfiles.length,
+    recruiters: recruiterUsers.length,
+    services: services.length,
+    intents
+  };
+};
+
+export default seedFixtures;
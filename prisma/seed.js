@@ -0,0 +1,207 @@
+import { PrismaClient } from '@prisma/client';
+import permissionType, { permissionDescriptions, defaultRolePermissions } from '../src/app/enums/permissionTypes.js';
+import { seedFixtures, FIXTURE_EMAIL_DOMAIN, FIXTURE_PASSWORD } from './fixtures.js';
+import { refreshExperienceMonths } from '../src/app/helpers/experienceHelper.js';
+import { backfillTalentSearchVectors } from '../src/app/helpers/talentSearchHelper.js';
+import { backfillTalentEmbeddings } from '../src/app/helpers/embeddingHelper.js';
+import { skillKey, linkUnmatchedSkills } from '../src/app/helpers/skillHelper.js';
+import { SKILL_TAXONOMY } from './skillTaxonomy.js';
+
+const prisma = new PrismaClient();
+
+// Built-in roles. The IDs are relied upon across the codebase.
+const ROLES = [
+  { role_id: 1, role_name: 'admin' },
+  { role_id: 2, role_name: 'recruiter' },
+  { role_id: 3, role_name: 'talent' },
+];
+
+/**
+ * Make sure every permission known to the code exists in the permission table
+ */
+const seedPermissions = async () => {
+  for (const permissionName of Object.values(permissionType)) {
+    await prisma.permission.upsert({
+      where: { permission_name: permissionName },
+      update: {},
+      create: {
+        permission_name: permissionName,
+        permission_description: permissionDescriptions[permissionName] || null,
+        status: true
+      }
+    });
+  }
+  console.log('✅ Permissions seeded');
+};
+
+/**
+ * Create the built-in roles and grant them their default permissions.
+ * A default is only granted if the role never had it, so permissions an admin
+ * removed (mapping with status = false) are not brought back.
+ */
+const seedRoles = async () => {
+  for (const { role_id, role_name } of ROLES) {
+    const existingRole = await prisma.role.findUnique({
+      where: { role_id }
+    });
+
+    if (!existingRole) {
+      await prisma.role.create({
+        data: { role_id, role_name, status: true }
+      });
+      console.log(`✅ Created role ${role_name}`);
+    }
+
+    const permissions = await prisma.permission.findMany({
+      where: { permission_name: { in: defaultRolePermissions[role_name] } }
+    });
+
+    const { count } = await prisma.role_permission_mapper.createMany({
+      data: permissions.map(permission => ({
+        role_id,
+        permission_id: permission.permission_id,
+        status: true,
+        created_by: 'seed'
+      })),
+      skipDuplicates: true
+    });
+
+    if (count > 0) {
+      console.log(`✅ Granted ${count} default permission(s) to role ${role_name}`);
+    }
+  }
+
+  // Explicit IDs don't advance the sequence, so move it past them
+  await prisma.$executeRaw`SELECT setval(pg_get_serial_sequence('role', 'role_id'), (SELECT MAX(role_id) FROM role))`;
+};
+
+/**
+ * Load the starter skill taxonomy. Only missing categories, skills and aliases are added,
+ * so edits admins made under /api/admin/skills are kept. Talent skills typed before a
+ * skill existed are then linked to it.
+ */
+const seedSkillTaxonomy = async () => {
+  for (const [order, { category, skills }] of SKILL_TAXONOMY.entries()) {
+    const skillCategory = await prisma.skill_category.upsert({
+      where: { sc_name: category },
+      update: {},
+      create: { sc_name: category, sc_order: order, status: true }
+    });
+
+    for (const { name, aliases } of skills) {
+      const skill = await prisma.skill.upsert({
+        where: { sk_key: skillKey(name) },
+        update: {},
+        create: { sk_name: name, sk_key: skillKey(name), sc_id: skillCategory.sc_id, status: true, created_by: 'seed' }
+      });
+
+      for (const alias of aliases) {
+        const key = skillKey(alias);
+        const takenBySkill = await prisma.skill.findUnique({ where: { sk_key: key }, select: { sk_id: true } });
+        if (!takenBySkill) {
+          await prisma.skill_alias.upsert({
+            where: { sa_key: key },
+            update: {},
+            create: { sk_id: skill.sk_id, sa_alias: alias, sa_key: key }
+          });
+        }
+      }
+    }
+  }
+
+  const linked = await linkUnmatchedSkills(prisma);
+  console.log(`✅ Skill taxonomy seeded (${linked} talent skills linked)`);
+};
+
+/**
+ * Fill in tp_experience_months for talent profiles saved before it existed.
+ * Profiles keep it up to date on every save, so this only picks up old rows.
+ */
+const backfillExperienceMonths = async () => {
+  const profiles = await prisma.t_profile.findMany({
+    where: { tp_experience_months: null, status: true },
+    select: { tp_id: true }
+  });
+
+  let filled = 0;
+  for (const { tp_id } of profiles) {
+    if (await refreshExperienceMonths(tp_id, prisma) !== null) {
+      filled++;
+    }
+  }
+  console.log(`✅ Experience backfilled for ${filled} of ${profiles.length} talent profiles`);
+};
+
+/**
+ * Build the full-text search document of talent profiles saved before search existed
+ */
+const backfillSearchVectors = async () => {
+  const indexed = await backfillTalentSearchVectors(prisma);
+  console.log(`✅ Search index built for ${indexed} talent profiles`);
+};
+
+/**
+ * Embed talent profiles for semantic search that have no embedding from the configured provider
+ */
+const backfillEmbeddings = async () => {
+  const embedded = await backfillTalentEmbeddings(prisma);
+  console.log(`✅ Embeddings built for ${embedded} talent profiles`);
+};
+
+/**
+ * Read command line options
+ * Usage: node prisma/seed.js [--fixtures] [--talents=20] [--recruiters=5] [--seed=42]
+ * @param {Array<String>} args - process.argv without node and script
+ * @returns {Object} Parsed options
+ */
+const parseArgs = (args) => {
+  const options = { fixtures: false };
+  for (const arg of args) {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    if (key === 'fixtures') {
+      options.fixtures = true;
+    } else if (['talents', 'recruiters', 'seed'].includes(key) && parseInt(value) >= 0) {
+      options[key] = parseInt(value);
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  return options;
+};
+
+const main = async () => {
+  const { fixtures, ...fixtureOptions } = parseArgs(process.argv.slice(2));
+
+  // Fixtures must come out the same on every run, so they are embedded with the offline
+  // provider even when an OpenAI key is configured
+  if (fixtures) {
+    process.env.EMBEDDING_PROVIDER = 'local';
+  }
+
+  await seedPermissions();
+  await seedRoles();
+  await seedSkillTaxonomy();
+  await backfillExperienceMonths();
+  await backfillSearchVectors();
+  await backfillEmbeddings();
+
+  if (fixtures) {
+    // Fixture accounts share a known password, never create them in production
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('Refusing to load development fixtures with NODE_ENV=production');
+    }
+
+    const counts = await seedFixtures(prisma, fixtureOptions);
+    console.log(`✅ Fixtures loaded: ${counts.talents} talents, ${counts.recruiters} recruiters, ${counts.services} services, ${counts.intents} new intents`);
+    console.log(`   Sign in as talent1@${FIXTURE_EMAIL_DOMAIN} or recruiter1@${FIXTURE_EMAIL_DOMAIN} with password ${FIXTURE_PASSWORD}`);
+  }
+};
+
+main()
+  .catch((error) => {
+    console.error('Error seeding database:', error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,113 @@
+// Starter skill taxonomy loaded by the seed script. Admins maintain it afterwards under
+// /api/admin/skills, so the seed only adds categories, skills and aliases that don't exist yet.
+// Aliases are the other ways people write a skill; case, spaces, dots, dashes and
+// underscores are ignored when matching, so "React.js" needs no alias next to "ReactJS".
+export const SKILL_TAXONOMY = [
+  {
+    category: 'Languages',
+    skills: [
+      { name: 'JavaScript', aliases: ['JS', 'ECMAScript', 'ES6'] },
+      { name: 'TypeScript', aliases: ['TS'] },
+      { name: 'Python', aliases: ['Python3', 'Py'] },
+      { name: 'Java', aliases: ['Core Java', 'J2EE'] },
+      { name: 'Kotlin', aliases: [] },
+      { name: 'Swift', aliases: [] },
+      { name: 'Go', aliases: ['Golang'] },
+      { name: 'Rust', aliases: [] },
+      { name: 'C#', aliases: ['CSharp'] },
+      { name: 'C++', aliases: ['CPP'] },
+      { name: 'PHP', aliases: [] },
+      { name: 'Ruby', aliases: [] },
+      { name: 'SQL', aliases: [] },
+    ],
+  },
+  {
+    category: 'Frontend',
+    skills: [
+      { name: 'React', aliases: ['ReactJS'] },
+      { name: 'Next.js', aliases: ['Next'] },
+      { name: 'Angular', aliases: ['AngularJS', 'Angular 2+'] },
+      { name: 'Vue.js', aliases: ['Vue'] },
+      { name: 'HTML', aliases: ['HTML5'] },
+      { name: 'CSS', aliases: ['CSS3'] },
+      { name: 'Tailwind CSS', aliases: ['Tailwind'] },
+      { name: 'Redux', aliases: ['Redux Toolkit'] },
+    ],
+  },
+  {
+    category: 'Backend',
+    skills: [
+      { name: 'Node.js', aliases: ['Node'] },
+      { name: 'Express', aliases: ['ExpressJS'] },
+      { name: 'NestJS', aliases: ['Nest'] },
+      { name: 'Django', aliases: [] },
+      { name: 'Flask', aliases: [] },
+      { name: 'FastAPI', aliases: [] },
+      { name: 'Spring Boot', aliases: ['Spring'] },
+      { name: '.NET', aliases: ['DotNet', 'ASP.NET', '.NET Core'] },
+      { name: 'Ruby on Rails', aliases: ['Rails', 'RoR'] },
+      { name: 'GraphQL', aliases: [] },
+      { name: 'REST APIs', aliases: ['REST', 'RESTful APIs', 'REST API'] },
+    ],
+  },
+  {
+    category: 'Databases',
+    skills: [
+      { name: 'PostgreSQL', aliases: ['Postgres', 'PSQL'] },
+      { name: 'MySQL', aliases: [] },
+      { name: 'MongoDB', aliases: ['Mongo'] },
+      { name: 'Redis', aliases: [] },
+      { name: 'Elasticsearch', aliases: ['Elastic', 'ES'] },
+      { name: 'DynamoDB', aliases: [] },
+      { name: 'Firebase', aliases: ['Firestore'] },
+    ],
+  },
+  {
+    category: 'Cloud & DevOps',
+    skills: [
+      { name: 'AWS', aliases: ['Amazon Web Services'] },
+      { name: 'Google Cloud', aliases: ['GCP', 'Google Cloud Platform'] },
+      { name: 'Azure', aliases: ['Microsoft Azure'] },
+      { name: 'Docker', aliases: [] },
+      { name: 'Kubernetes', aliases: ['K8s'] },
+      { name: 'Terraform', aliases: [] },
+      { name: 'CI/CD', aliases: ['CICD', 'Continuous Integration'] },
+      { name: 'Prometheus', aliases: [] },
+      { name: 'Linux', aliases: ['Unix'] },
+      { name: 'Git', aliases: ['GitHub', 'GitLab'] },
+    ],
+  },
+  {
+    category: 'Data & ML',
+    skills: [
+      { name: 'Spark', aliases: ['Apache Spark', 'PySpark'] },
+      { name: 'Airflow', aliases: ['Apache Airflow'] },
+      { name: 'Kafka', aliases: ['Apache Kafka'] },
+      { name: 'dbt', aliases: ['data build tool'] },
+      { name: 'PyTorch', aliases: ['Torch'] },
+      { name: 'TensorFlow', aliases: ['TF'] },
+      { name: 'scikit-learn', aliases: ['sklearn', 'scikit'] },
+      { name: 'Pandas', aliases: [] },
+      { name: 'MLOps', aliases: [] },
+      { name: 'Machine Learning', aliases: ['ML'] },
+    ],
+  },
+  {
+    category: 'Mobile',
+    skills: [
+      { name: 'React Native', aliases: ['RN'] },
+      { name: 'Flutter', aliases: [] },
+      { name: 'Android', aliases: [] },
+      { name: 'iOS', aliases: [] },
+    ],
+  },
+  {
+    category: 'Testing',
+    skills: [
+      { name: 'Jest', aliases: [] },
+      { name: 'Cypress', aliases: [] },
+      { name: 'Playwright', aliases: [] },
+      { name: 'Selenium', aliases: [] },
+    ],
+  },
+];
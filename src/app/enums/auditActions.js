@@ -0,0 +1,55 @@
+// Actions recorded in the audit_log table, named <area>.<entity>.<verb>.
+// Existing values are stored in the database - add new ones rather than renaming.
+const auditAction = {
+	TALENT_PROFILE_SAVE: 'talent.profile.save',
+	TALENT_PROJECT_SAVE: 'talent.project.save',
+	TALENT_EXPERIENCE_SAVE: 'talent.experience.save',
+	TALENT_AVAILABILITY_SAVE: 'talent.availability.save',
+	TALENT_SKILLS_SAVE: 'talent.skills.save',
+	RECRUITER_COMPANY_PROFILE_SAVE: 'recruiter.company_profile.save',
+	RECRUITER_INDIVIDUAL_PROFILE_SAVE: 'recruiter.individual_profile.save',
+	RECRUITER_SHORTLIST_SHARE: 'recruiter.shortlist.share',
+	RECRUITER_SHORTLIST_UNSHARE: 'recruiter.shortlist.unshare',
+	RECRUITER_ORGANIZATION_UPDATE: 'recruiter.organization.update',
+	RECRUITER_ORGANIZATION_INVITE: 'recruiter.organization_invitation.create',
+	RECRUITER_ORGANIZATION_INVITE_REVOKE: 'recruiter.organization_invitation.revoke',
+	RECRUITER_ORGANIZATION_JOIN: 'recruiter.organization_invitation.accept',
+	RECRUITER_ORGANIZATION_MEMBER_ROLE_UPDATE: 'recruiter.organization_member.role_update',
+	RECRUITER_ORGANIZATION_MEMBER_REMOVE: 'recruiter.organization_member.remove',
+	INTENT_SEND: 'intent.send',
+	INTENT_ACCEPT: 'intent.accept',
+	INTENT_REJECT: 'intent.reject',
+	INTENT_PROJECT_START: 'intent.project_start',
+	PAYMENT_CHECKOUT_CREATE: 'payment.checkout.create',
+	PAYMENT_COMPLETE: 'payment.complete',
+	PAYMENT_EXPIRE: 'payment.expire',
+	PAYMENT_FAIL: 'payment.fail',
+	MEETING_CREATE: 'meeting.create',
+	MEETING_END: 'meeting.end',
+	MEETING_CANCEL: 'meeting.cancel',
+	ACCOUNT_DATA_EXPORT_REQUEST: 'account.data_export.request',
+	ACCOUNT_DATA_EXPORT_DOWNLOAD: 'account.data_export.download',
+	ACCOUNT_ERASE: 'account.erase',
+	ADMIN_USER_STATUS_UPDATE: 'admin.user.status_update',
+	ADMIN_USER_DELETE: 'admin.user.delete',
+	ADMIN_USER_RESTORE: 'admin.user.restore',
+	ADMIN_USER_UNLOCK: 'admin.user.unlock',
+	ADMIN_USER_ROLE_UPDATE: 'admin.user.role_update',
+	ADMIN_ROLE_CREATE: 'admin.role.create',
+	ADMIN_ROLE_PERMISSIONS_UPDATE: 'admin.role.permissions_update',
+	ADMIN_IMPERSONATION_START: 'admin.impersonation.start',
+	ADMIN_IMPERSONATION_END: 'admin.impersonation.end',
+	ADMIN_SERVICE_CREATE: 'admin.service.create',
+	ADMIN_SERVICE_UPDATE: 'admin.service.update',
+	ADMIN_SERVICE_ARCHIVE: 'admin.service.archive',
+	ADMIN_SERVICE_RESTORE: 'admin.service.restore',
+	ADMIN_SERVICE_REORDER: 'admin.service.reorder',
+	ADMIN_SERVICE_FEATURE_ADD: 'admin.service_feature.add',
+	ADMIN_SERVICE_FEATURE_UPDATE: 'admin.service_feature.update',
+	ADMIN_SERVICE_FEATURE_DELETE: 'admin.service_feature.delete',
+	ADMIN_SERVICE_FEATURE_REORDER: 'admin.service_feature.reorder',
+	ADMIN_SKILL_CREATE: 'admin.skill.create',
+	ADMIN_SKILL_UPDATE: 'admin.skill.update',
+};
+
+export default auditAction;
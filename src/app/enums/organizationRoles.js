@@ -0,0 +1,10 @@
+// Roles of a recruiter in their organization, from most to least access.
+// Values match om_role_types in the database.
+const organizationRole = {
+	OWNER: 'owner',
+	ADMIN: 'admin',
+	RECRUITER: 'recruiter',
+	VIEWER: 'viewer',
+};
+
+export default organizationRole;
@@ -0,0 +1,66 @@
+// Named permissions checked by the permission middleware, socket handlers and controllers.
+// Roles are granted permissions through the role_permission_mapper table.
+const permissionType = {
+	TALENT_ACCESS: 'talent.access',
+	RECRUITER_ACCESS: 'recruiter.access',
+	ADMIN_ACCESS: 'admin.access',
+	COMMON_ACCESS: 'common.access',
+	CHAT_ACCESS: 'chat.access',
+	MEETING_ACCESS: 'meeting.access',
+	USER_MANAGE: 'user.manage',
+	ROLE_MANAGE: 'role.manage',
+	ANALYTICS_VIEW: 'analytics.view',
+	SERVICE_MANAGE: 'service.manage',
+	USER_IMPERSONATE: 'user.impersonate',
+	AUDIT_VIEW: 'audit.view',
+	SKILL_MANAGE: 'skill.manage',
+	TWO_FACTOR_ENROLL: 'two_factor.enroll',
+};
+
+// Shown to admins when assigning permissions
+export const permissionDescriptions = {
+	[permissionType.TALENT_ACCESS]: 'Use the talent portal',
+	[permissionType.RECRUITER_ACCESS]: 'Use the recruiter portal',
+	[permissionType.ADMIN_ACCESS]: 'Use the admin panel (requires two-factor authentication)',
+	[permissionType.COMMON_ACCESS]: 'Use shared talent/recruiter features',
+	[permissionType.CHAT_ACCESS]: 'Send and receive chat messages',
+	[permissionType.MEETING_ACCESS]: 'Schedule and join meetings',
+	[permissionType.USER_MANAGE]: 'Manage user accounts',
+	[permissionType.ROLE_MANAGE]: 'Manage roles, permissions and user roles',
+	[permissionType.ANALYTICS_VIEW]: 'View platform analytics and export reports',
+	[permissionType.SERVICE_MANAGE]: 'Manage the service catalog and prices',
+	[permissionType.USER_IMPERSONATE]: 'View the platform as another user (audited)',
+	[permissionType.AUDIT_VIEW]: 'View the audit log of sensitive actions',
+	[permissionType.SKILL_MANAGE]: 'Manage the skill taxonomy (canonical skills, aliases and categories)',
+	[permissionType.TWO_FACTOR_ENROLL]: 'Enroll in two-factor authentication',
+};
+
+// Permissions given to the built-in roles when they are seeded
+export const defaultRolePermissions = {
+	admin: [
+		permissionType.ADMIN_ACCESS,
+		permissionType.USER_MANAGE,
+		permissionType.ROLE_MANAGE,
+		permissionType.ANALYTICS_VIEW,
+		permissionType.SERVICE_MANAGE,
+		permissionType.USER_IMPERSONATE,
+		permissionType.AUDIT_VIEW,
+		permissionType.SKILL_MANAGE,
+		permissionType.TWO_FACTOR_ENROLL,
+	],
+	recruiter: [
+		permissionType.RECRUITER_ACCESS,
+		permissionType.COMMON_ACCESS,
+		permissionType.CHAT_ACCESS,
+		permissionType.MEETING_ACCESS,
+		permissionType.TWO_FACTOR_ENROLL,
+	],
+	talent: [
+		permissionType.TALENT_ACCESS,
+		permissionType.COMMON_ACCESS,
+		permissionType.CHAT_ACCESS,
+		permissionType.MEETING_ACCESS,
+	],
+};
+
+export default permissionType;
@@ -5,11 +5,15 @@ const statusType = {
 	NOT_FOUND: 404,
 	METHOD_NOT_ALLOWED: 405,
 	REQUEST_TIME_OUT: 408,
+	CONFLICT: 409,
+	GONE: 410,
+	TOO_MANY_REQUESTS: 429,
 	INTERNAL_SERVER_ERROR: 500,
 	NOT_IMPLEMENTED_UNAUTHORIZED: 501,
 	SERVICE_UNAVAILABLE: 503,
 	SUCCESS: 200,
 	CREATED: 201,
+	ACCEPTED: 202,
 	DB_ERROR: 422,
 };
 
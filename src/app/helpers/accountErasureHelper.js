@@ -0,0 +1,341 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { PrismaClient, Prisma } from '@prisma/client';
+import { deleteUploadedFile, splitUploadList } from './uploadHelper.js';
+import { deleteUserDataExports } from './dataExportHelper.js';
+import { ORGANIZATION_WRITE_ROLES } from './organizationHelper.js';
+import { buildPlaceholderValues } from './intentPlaceholderHelper.js';
+import { escapeHtml } from './validationHelper.js';
+
+const prisma = new PrismaClient();
+
+const ERASED_USER_NAME = 'Deleted User';
+const ERASED_MESSAGE_TEXT = '[Message removed - the sender deleted their account]';
+
+// Audit log entries about these records hold copies of the erased personal data
+const PERSONAL_AUDIT_ENTITY_TYPES = [
+  't_profile',
+  't_projects',
+  't_experience',
+  't_availability',
+  't_skills',
+  'r_individual_profile',
+];
+
+/**
+ * Replace a talent's name, as the intent placeholders filled it in, in an agreement snapshot
+ * @param {String} snapshot - Agreement HTML sent to the talent
+ * @param {String} talentName - The talent's full name before erasure
+ * @returns {String} The snapshot with the full and first name replaced by ERASED_USER_NAME
+ */
+const redactAgreementName = (snapshot, talentName) => {
+  const { talent_full_name: fullName, talent_first_name: firstName } = buildPlaceholderValues({ intent: {}, talentName });
+
+  return [fullName, firstName].filter(Boolean).reduce((text, name) => {
+    const pattern = escapeHtml(name).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    // Whole words only, so a first name inside a longer word ("Ann" in "Annual") is left alone
+    return text.replace(new RegExp(`(?<![\\p{L}\\p{N}])${pattern}(?![\\p{L}\\p{N}])`, 'gu'), ERASED_USER_NAME);
+  }, snapshot);
+};
+
+/**
+ * Anonymise a user's personal data and sign them out.
+ * Payments and purchases (r_transaction, r_service_purchase_mapper) are kept as the law requires;
+ * they stay linked to the anonymised user row. Intents, meetings and chats stay for the other party,
+ * with the erased user's messages and uploads removed and their name taken out of agreements sent
+ * to them. Team shortlists pass to another member of the organization; personal ones are deleted.
+ * This can't be undone.
+ * @param {Number} userId - The user ID
+ * @returns {Promise<Object>} Counts of what was erased
+ */
+export const eraseUserAccount = async (userId) => {
+  try {
+    const [talentProfiles, recruiterProfiles, sentFiles] = await Promise.all([
+      prisma.t_profile.findMany({
+        where: { user_id: userId },
+        select: {
+          tp_id: true,
+          tp_resume: true,
+          tp_image: true,
+          t_projects: { select: { tpj_images: true } },
+        },
+      }),
+      prisma.r_profile.findMany({
+        where: { user_id: userId },
+        select: { rp_id: true, rp_profile_image: true },
+      }),
+      prisma.chat_message.findMany({
+        where: { sender_user_id: userId, cm_file_url: { not: null } },
+        select: { cm_file_url: true },
+      }),
+    ]);
+
+    const user = await prisma.user.findUnique({
+      where: { user_id: userId },
+      select: { user_email: true, user_full_name: true },
+    });
+
+    // Organizations the user is the last owner of pass to their longest-standing other member
+    const ownedOrganizations = await prisma.organization.findMany({
+      where: {
+        organization_members: {
+          some: { user_id: userId, om_role: 'owner', status: true },
+          none: { user_id: { not: userId }, om_role: 'owner', status: true },
+        },
+      },
+      select: {
+        org_id: true,
+        organization_members: {
+          where: { user_id: { not: userId }, status: true },
+          orderBy: { created_at: 'asc' },
+          take: 1,
+          select: { om_id: true, user_id: true },
+        },
+      },
+    });
+    const successorMemberIds = ownedOrganizations.flatMap(organization => organization.organization_members.map(member => member.om_id));
+
+    // Team shortlists pass to the organization's new owner, or else to its most senior other member who can edit
+    const teamShortlists = await prisma.r_shortlist.findMany({
+      where: { user_id: userId, org_id: { not: null } },
+      distinct: ['org_id'],
+      select: { org_id: true },
+    });
+    const shortlistOrgIds = teamShortlists.map(shortlist => shortlist.org_id);
+    const shortlistSuccessors = new Map(
+      ownedOrganizations
+        .filter(organization => shortlistOrgIds.includes(organization.org_id) && organization.organization_members.length > 0)
+        .map(organization => [organization.org_id, organization.organization_members[0].user_id])
+    );
+    const shortlistCandidates = await prisma.organization_member.findMany({
+      where: {
+        org_id: { in: shortlistOrgIds.filter(orgId => !shortlistSuccessors.has(orgId)) },
+        user_id: { not: userId },
+        om_role: { in: ORGANIZATION_WRITE_ROLES },
+        status: true,
+      },
+      orderBy: { created_at: 'asc' },
+      select: { org_id: true, user_id: true, om_role: true },
+    });
+    for (const role of ORGANIZATION_WRITE_ROLES) {
+      for (const member of shortlistCandidates) {
+        if (member.om_role === role && !shortlistSuccessors.has(member.org_id)) {
+          shortlistSuccessors.set(member.org_id, member.user_id);
+        }
+      }
+    }
+
+    const talentProfileIds = talentProfiles.map(profile => profile.tp_id);
+
+    // Agreements sent to the talent stay as the record of what was offered and accepted, without their name
+    const agreementSnapshots = await prisma.r_intent_talent_mapper.findMany({
+      where: { tp_id: { in: talentProfileIds }, ritm_agreement_snapshot: { not: null } },
+      select: { ritm_id: true, ritm_agreement_snapshot: true },
+    });
+    const recruiterProfileIds = recruiterProfiles.map(profile => profile.rp_id);
+    const erasedEmail = `erased+${userId}@talentflip.invalid`;
+    const erasedAt = new Date();
+
+    // Nobody knows this password, so the account can never be signed in to again
+    const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { user_id: userId },
+        data: {
+          user_full_name: ERASED_USER_NAME,
+          user_email: erasedEmail,
+          user_mobile: '',
+          user_password: unusablePassword,
+          referred_by: null,
+          is_active: false,
+          is_deleted: true,
+          is_password_set: false,
+          user_2fa_enabled: false,
+          user_2fa_secret: null,
+          user_2fa_last_step: null,
+          user_locked_until: null,
+          user_token_version: { increment: 1 },
+          user_erased_at: erasedAt,
+        },
+      }),
+      prisma.t_profile.updateMany({
+        where: { user_id: userId },
+        data: {
+          tp_designation: null,
+          tp_location: null,
+          tp_total_experience: null,
+          tp_experience_months: null,
+          tp_about: null,
+          tp_professional_summary: null,
+          tp_resume: null,
+          tp_image: null,
+          status: false,
+        },
+      }),
+      prisma.$executeRaw`UPDATE t_profile SET tp_search_vector = NULL, tp_embedding = NULL, tp_embedding_model = NULL WHERE user_id = ${userId}`,
+      prisma.t_skills.deleteMany({ where: { tp_id: { in: talentProfileIds } } }),
+      prisma.t_skill_tiles.deleteMany({ where: { tp_id: { in: talentProfileIds } } }),
+      prisma.t_projects.deleteMany({ where: { tp_id: { in: talentProfileIds } } }),
+      prisma.t_experience.deleteMany({ where: { tp_id: { in: talentProfileIds } } }),
+      prisma.t_availability.deleteMany({ where: { tp_id: { in: talentProfileIds } } }),
+      prisma.t_reviews.deleteMany({ where: { tp_id: { in: talentProfileIds } } }),
+      prisma.chat_message.updateMany({
+        where: { sender_user_id: userId },
+        data: {
+          cm_message: ERASED_MESSAGE_TEXT,
+          cm_file_url: null,
+        },
+      }),
+      prisma.chat_conversation.updateMany({
+        where: {
+          OR: [{ recruiter_user_id: userId }, { talent_user_id: userId }],
+        },
+        data: { cc_last_message: null },
+      }),
+      prisma.notification.deleteMany({ where: { user_id: userId } }),
+      prisma.r_profile.updateMany({
+        where: { user_id: userId },
+        data: { rp_profile_image: null, status: false },
+      }),
+      prisma.r_individual_profile.updateMany({
+        where: { rp_id: { in: recruiterProfileIds } },
+        data: {
+          ri_full_name: ERASED_USER_NAME,
+          ri_email: erasedEmail,
+          ri_mobile: null,
+          ri_linkedin_url: null,
+          ri_portfolio_url: null,
+          ri_about: null,
+          status: false,
+        },
+      }),
+      prisma.r_company_profile.updateMany({
+        where: { rp_id: { in: recruiterProfileIds } },
+        data: { rc_role: null },
+      }),
+      prisma.r_favourite_talents.deleteMany({
+        where: {
+          OR: [{ user_id: userId }, { tp_id: { in: talentProfileIds } }],
+        },
+      }),
+      prisma.r_saved_search.deleteMany({ where: { user_id: userId } }),
+      // The successor owns the list from now on, so a share they had of it goes
+      ...[...shortlistSuccessors].flatMap(([orgId, successorUserId]) => [
+        prisma.r_shortlist_share.deleteMany({
+          where: { user_id: successorUserId, r_shortlist: { user_id: userId, org_id: orgId } },
+        }),
+        prisma.r_shortlist.updateMany({
+          where: { user_id: userId, org_id: orgId },
+          data: { user_id: successorUserId },
+        }),
+      ]),
+      // Shortlist notes about an erased talent are personal data too. Team shortlists with nobody left
+      // to hand them to stay with the organization
+      prisma.r_shortlist_talent.deleteMany({
+        where: {
+          OR: [{ tp_id: { in: talentProfileIds } }, { r_shortlist: { user_id: userId, org_id: null } }],
+        },
+      }),
+      prisma.r_shortlist_share.deleteMany({
+        where: {
+          OR: [{ user_id: userId }, { r_shortlist: { user_id: userId, org_id: null } }],
+        },
+      }),
+      prisma.r_shortlist.deleteMany({ where: { user_id: userId, org_id: null } }),
+      // Team notes the user wrote stay with the organization, unless they are about an erased talent
+      prisma.r_talent_note.deleteMany({
+        where: {
+          OR: [{ tp_id: { in: talentProfileIds } }, { user_id: userId, rtn_is_private: true }],
+        },
+      }),
+      prisma.r_talent_tag.deleteMany({ where: { tp_id: { in: talentProfileIds } } }),
+      // Messages sent to an erased talent were addressed to them by name
+      prisma.r_intent_talent_mapper.updateMany({
+        where: { tp_id: { in: talentProfileIds } },
+        data: { ritm_personalised_message: null },
+      }),
+      ...agreementSnapshots.map(mapping => prisma.r_intent_talent_mapper.update({
+        where: { ritm_id: mapping.ritm_id },
+        data: { ritm_agreement_snapshot: redactAgreementName(mapping.ritm_agreement_snapshot, user.user_full_name) },
+      })),
+      prisma.organization_member.updateMany({
+        where: { om_id: { in: successorMemberIds } },
+        data: { om_role: 'owner' },
+      }),
+      prisma.organization_member.updateMany({
+        where: { user_id: userId },
+        data: { status: false },
+      }),
+      prisma.organization_invitation.deleteMany({ where: { oi_email: { equals: user.user_email, mode: 'insensitive' } } }),
+      prisma.user_session.updateMany({
+        where: { user_id: userId },
+        data: {
+          us_revoked_at: erasedAt,
+          us_device_name: null,
+          us_user_agent: null,
+          us_ip_address: null,
+          status: false,
+        },
+      }),
+      // An export still being built must not write the user's data once they are erased
+      prisma.data_export.updateMany({
+        where: { user_id: userId, de_status: { in: ['Pending', 'Processing'] } },
+        data: { de_status: 'Cancelled', de_error: 'Account erased' },
+      }),
+      prisma.user_token.deleteMany({ where: { user_id: userId } }),
+      prisma.user_recovery_code.deleteMany({ where: { user_id: userId } }),
+      prisma.login_attempt.deleteMany({ where: { la_email: user.user_email } }),
+      prisma.audit_log.updateMany({
+        where: {
+          OR: [
+            { al_actor_user_id: userId, al_entity_type: { in: PERSONAL_AUDIT_ENTITY_TYPES } },
+            { al_entity_type: 'user', al_entity_id: String(userId) },
+          ],
+        },
+        data: {
+          al_before: Prisma.DbNull,
+          al_after: Prisma.DbNull,
+          al_changes: Prisma.DbNull,
+        },
+      }),
+      prisma.audit_log.updateMany({
+        where: { al_actor_user_id: userId },
+        data: { al_ip_address: null, al_user_agent: null },
+      }),
+    ]);
+
+    const files = [
+      ...talentProfiles.flatMap(profile => [
+        profile.tp_resume,
+        profile.tp_image,
+        ...profile.t_projects.flatMap(project => splitUploadList(project.tpj_images)),
+      ]),
+      ...recruiterProfiles.map(profile => profile.rp_profile_image),
+      ...sentFiles.map(message => message.cm_file_url),
+    ].filter(Boolean);
+
+    let deletedFiles = 0;
+    for (const fileUrl of new Set(files)) {
+      if (await deleteUploadedFile(fileUrl)) {
+        deletedFiles++;
+      }
+    }
+
+    await deleteUserDataExports(userId);
+
+    return {
+      erased_at: erasedAt,
+      talent_profiles: talentProfileIds.length,
+      recruiter_profiles: recruiterProfileIds.length,
+      files: deletedFiles,
+    };
+  } catch (error) {
+    console.error('Error erasing user account:', error);
+    throw error;
+  }
+};
+
+export default {
+  eraseUserAccount,
+};
@@ -0,0 +1,100 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Bookkeeping columns that change on every save and would only add noise to a diff
+const IGNORED_DIFF_FIELDS = ['created_at', 'updated_at', 'created_by', 'updated_by'];
+
+// Secrets that must never be copied into the audit log
+const REDACTED_FIELDS = ['user_password', 'user_2fa_secret', 'us_refresh_token_hash', 'us_previous_token_hash', 'ut_token_hash', 'oi_token_hash', 'meeting_password'];
+
+/**
+ * Turn a record into plain JSON for storage: Dates become ISO strings,
+ * Decimals and BigInts become strings and secrets are redacted
+ * @param {*} value - Prisma record, array of records or plain value
+ * @returns {*} JSON-safe copy, or null
+ */
+const toAuditJson = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  return JSON.parse(JSON.stringify(value, (key, fieldValue) => {
+    if (REDACTED_FIELDS.includes(key)) {
+      return fieldValue === null || fieldValue === undefined ? fieldValue : '[REDACTED]';
+    }
+    return typeof fieldValue === 'bigint' ? fieldValue.toString() : fieldValue;
+  }));
+};
+
+/**
+ * Compare two records field by field
+ * @param {Object|null} before - Record before the change
+ * @param {Object|null} after - Record after the change
+ * @returns {Object|null} { field: { from, to } } for changed top-level fields, null when nothing changed
+ */
+export const diffRecords = (before, after) => {
+  const beforeJson = toAuditJson(before) || {};
+  const afterJson = toAuditJson(after) || {};
+
+  if (Array.isArray(beforeJson) || Array.isArray(afterJson)) {
+    return JSON.stringify(beforeJson) === JSON.stringify(afterJson)
+      ? null
+      : { items: { from: beforeJson, to: afterJson } };
+  }
+
+  const changes = {};
+  const fields = new Set([...Object.keys(beforeJson), ...Object.keys(afterJson)]);
+
+  for (const field of fields) {
+    if (IGNORED_DIFF_FIELDS.includes(field)) {
+      continue;
+    }
+
+    const from = beforeJson[field] ?? null;
+    const to = afterJson[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+/**
+ * Record a sensitive action in the audit log.
+ * The actor, impersonating admin, IP and user agent are read from the request.
+ * Logging failures are reported but never fail the request itself.
+ * @param {Object|null} req - Express request object (null for background/system actions)
+ * @param {Object} entry - { action, entityType, entityId, before, after, actorUserId }
+ *   actorUserId overrides req.user for actions made on someone's behalf (e.g. payment webhooks)
+ * @returns {Promise<void>}
+ */
+export const recordAudit = async (req, entry) => {
+  try {
+    const { action, entityType, entityId = null, before = null, after = null } = entry;
+    const actorUserId = entry.actorUserId !== undefined ? entry.actorUserId : (req?.user?.user_id ?? null);
+
+    await prisma.audit_log.create({
+      data: {
+        al_actor_user_id: actorUserId,
+        al_impersonator_user_id: req?.user?.impersonation?.impersonator_user_id ?? null,
+        al_action: action,
+        al_entity_type: entityType,
+        al_entity_id: entityId !== null && entityId !== undefined ? String(entityId) : null,
+        al_before: toAuditJson(before) ?? undefined,
+        al_after: toAuditJson(after) ?? undefined,
+        al_changes: diffRecords(before, after) ?? undefined,
+        al_ip_address: req ? (req.ip || req.socket?.remoteAddress || null) : null,
+        al_user_agent: req?.headers?.['user-agent'] || null,
+      },
+    });
+  } catch (error) {
+    console.error('Error writing audit log:', error);
+  }
+};
+
+export default {
+  diffRecords,
+  recordAudit,
+};
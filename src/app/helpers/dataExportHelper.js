@@ -0,0 +1,429 @@
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import archiver from 'archiver';
+import { PrismaClient } from '@prisma/client';
+import { resolveUploadPath, splitUploadList } from './uploadHelper.js';
+import { createNotification } from './notificationHelper.js';
+import { sendNotificationEmail } from './emailHelper.js';
+
+const prisma = new PrismaClient();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Exports contain everything about a user, so they are never stored under public/
+const DATA_EXPORT_DIR = process.env.DATA_EXPORT_DIR || path.join(__dirname, '../../../storage/exports');
+const DATA_EXPORT_EXPIRES_HOURS = parseInt(process.env.DATA_EXPORT_EXPIRES_HOURS) || 72;
+
+// Columns of the user row that are credentials rather than personal data
+const userExportOmit = {
+  user_password: true,
+  user_2fa_secret: true,
+  user_2fa_last_step: true,
+  user_token_version: true,
+};
+
+/**
+ * Gather every record that belongs to a user, grouped by the file it is exported to
+ * @param {Number} userId - The user ID
+ * @returns {Promise<Object>} { sections: { name: data }, files: [stored upload paths] }
+ */
+const collectUserData = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { user_id: userId },
+    omit: userExportOmit,
+    include: {
+      user_role: { select: { role_name: true } },
+    },
+  });
+
+  const [
+    talentProfiles,
+    recruiterProfiles,
+    sentIntents,
+    conversations,
+    hostedMeetings,
+    meetingParticipations,
+    notifications,
+    savedSearches,
+    shortlists,
+    talentNotes,
+    intentTemplates,
+    organizationMemberships,
+    transactions,
+    sessions,
+    signinAttempts,
+    activity,
+  ] = await Promise.all([
+    prisma.t_profile.findMany({
+      where: { user_id: userId },
+      include: {
+        t_skills: true,
+        t_skill_tiles: true,
+        t_projects: true,
+        t_experience: true,
+        t_availability: true,
+        t_reviews: true,
+        r_intent_talent_mapper: {
+          include: {
+            r_intent: {
+              include: { user: { select: { user_full_name: true } } },
+            },
+            r_intent_timeline: { orderBy: { created_at: 'asc' } },
+          },
+        },
+      },
+      orderBy: { created_at: 'asc' },
+    }),
+    prisma.r_profile.findMany({
+      where: { user_id: userId },
+      include: {
+        r_company_profile: true,
+        r_individual_profile: true,
+      },
+    }),
+    prisma.r_intent.findMany({
+      where: { user_id: userId },
+      include: {
+        r_intent_talent_mapper: {
+          include: {
+            t_profile: { select: { tp_id: true, user: { select: { user_full_name: true } } } },
+            r_intent_timeline: { orderBy: { created_at: 'asc' } },
+          },
+        },
+      },
+      orderBy: { created_at: 'asc' },
+    }),
+    prisma.chat_conversation.findMany({
+      where: {
+        OR: [{ recruiter_user_id: userId }, { talent_user_id: userId }],
+      },
+      include: {
+        chat_messages: { orderBy: { created_at: 'asc' } },
+      },
+      orderBy: { created_at: 'asc' },
+    }),
+    prisma.meeting.findMany({
+      where: { host_user_id: userId },
+      omit: { meeting_password: true },
+      include: {
+        meeting_participants: true,
+        meeting_recordings: true,
+      },
+      orderBy: { created_at: 'asc' },
+    }),
+    prisma.meeting_participant.findMany({
+      where: { user_id: userId },
+      include: {
+        meeting: { omit: { meeting_password: true } },
+      },
+      orderBy: { created_at: 'asc' },
+    }),
+    prisma.notification.findMany({
+      where: { user_id: userId },
+      orderBy: { created_at: 'asc' },
+    }),
+    prisma.r_saved_search.findMany({
+      where: { user_id: userId },
+      orderBy: { created_at: 'asc' },
+    }),
+    prisma.r_shortlist.findMany({
+      where: { user_id: userId },
+      include: {
+        r_shortlist_talents: { orderBy: { rslt_order: 'asc' } },
+        r_shortlist_shares: { select: { user_id: true, rsls_can_edit: true, status: true } },
+      },
+      orderBy: { created_at: 'asc' },
+    }),
+    prisma.r_talent_note.findMany({
+      where: { user_id: userId },
+      orderBy: { created_at: 'asc' },
+    }),
+    prisma.r_intent_template.findMany({
+      where: { user_id: userId },
+      orderBy: { created_at: 'asc' },
+    }),
+    prisma.organization_member.findMany({
+      where: { user_id: userId },
+      include: {
+        organization: { select: { org_id: true, org_name: true } },
+      },
+      orderBy: { created_at: 'asc' },
+    }),
+    prisma.r_transaction.findMany({
+      where: { user_id: userId },
+      include: {
+        r_service: { select: { rs_name: true } },
+        r_service_purchase_mapper: true,
+      },
+      orderBy: { created_at: 'asc' },
+    }),
+    prisma.user_session.findMany({
+      where: { user_id: userId },
+      omit: { us_refresh_token_hash: true, us_previous_token_hash: true },
+      orderBy: { created_at: 'asc' },
+    }),
+    user ? prisma.login_attempt.findMany({
+      where: { la_email: user.user_email },
+      orderBy: { created_at: 'asc' },
+    }) : [],
+    prisma.audit_log.findMany({
+      where: { al_actor_user_id: userId },
+      select: {
+        al_action: true,
+        al_entity_type: true,
+        al_entity_id: true,
+        al_ip_address: true,
+        al_user_agent: true,
+        created_at: true,
+      },
+      orderBy: { created_at: 'asc' },
+    }),
+  ]);
+
+  const files = [
+    ...talentProfiles.flatMap(profile => [
+      profile.tp_resume,
+      profile.tp_image,
+      ...profile.t_projects.flatMap(project => splitUploadList(project.tpj_images)),
+    ]),
+    ...recruiterProfiles.map(profile => profile.rp_profile_image),
+    ...conversations.flatMap(conversation => conversation.chat_messages
+      .filter(message => message.sender_user_id === userId)
+      .map(message => message.cm_file_url)),
+  ].filter(Boolean);
+
+  return {
+    sections: {
+      account: user,
+      talent_profiles: talentProfiles,
+      recruiter_profiles: recruiterProfiles,
+      sent_intents: sentIntents,
+      chats: conversations,
+      meetings: { hosted: hostedMeetings, participated: meetingParticipations },
+      notifications,
+      saved_searches: savedSearches,
+      shortlists,
+      talent_notes: talentNotes,
+      intent_templates: intentTemplates,
+      organizations: organizationMemberships,
+      payments: transactions,
+      sessions,
+      signin_attempts: signinAttempts,
+      activity,
+    },
+    files: [...new Set(files)],
+  };
+};
+
+/**
+ * Write a user's data to a zip file: one JSON file per section and their uploaded files under files/
+ * @param {Number} userId - The user ID
+ * @param {String} filePath - Absolute path of the zip to create
+ * @returns {Promise<Number>} Size of the zip in bytes
+ */
+const writeExportZip = async (userId, filePath) => {
+  const { sections, files } = await collectUserData(userId);
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  const output = fs.createWriteStream(filePath);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  const written = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+  });
+
+  archive.pipe(output);
+
+  for (const [name, data] of Object.entries(sections)) {
+    archive.append(JSON.stringify(data, (key, value) => typeof value === 'bigint' ? value.toString() : value, 2), {
+      name: `${name}.json`,
+    });
+  }
+
+  const missingFiles = [];
+  for (const fileUrl of files) {
+    const absolutePath = resolveUploadPath(fileUrl);
+    if (absolutePath && fs.existsSync(absolutePath)) {
+      archive.file(absolutePath, { name: path.posix.join('files', fileUrl.substring(fileUrl.indexOf('uploads/'))) });
+    } else {
+      missingFiles.push(fileUrl);
+    }
+  }
+
+  archive.append([
+    'TalentFlip personal data export',
+    `Generated: ${new Date().toISOString()}`,
+    '',
+    'Each .json file holds one part of your data. Uploaded files (resume, images, chat attachments) are in files/.',
+    ...(missingFiles.length > 0 ? ['', 'These files were referenced but are no longer stored:', ...missingFiles] : []),
+  ].join('\n'), { name: 'README.txt' });
+
+  await archive.finalize();
+  await written;
+
+  return archive.pointer();
+};
+
+/**
+ * Build a requested export and tell the user it is ready.
+ * Runs in the background after the request was accepted; failures are stored on the export.
+ * An export cancelled by account erasure is never written, or its zip is deleted if erasure
+ * happened while it was being built.
+ * @param {Number} exportId - data_export ID
+ * @returns {Promise<void>}
+ */
+export const processDataExport = async (exportId) => {
+  const started = await prisma.data_export.updateMany({
+    where: { de_id: exportId, de_status: 'Pending' },
+    data: { de_status: 'Processing' },
+  });
+
+  if (started.count === 0) {
+    return;
+  }
+
+  const dataExport = await prisma.data_export.findUnique({
+    where: { de_id: exportId },
+    include: { user: { select: { user_full_name: true, user_email: true } } },
+  });
+
+  const fileName = `export_${dataExport.user_id}_${exportId}_${crypto.randomBytes(8).toString('hex')}.zip`;
+  const filePath = path.join(DATA_EXPORT_DIR, fileName);
+
+  try {
+    const fileSize = await writeExportZip(dataExport.user_id, filePath);
+    const expiresAt = new Date(Date.now() + DATA_EXPORT_EXPIRES_HOURS * 60 * 60 * 1000);
+
+    // Only completes if the export wasn't cancelled while the zip was written
+    const completed = await prisma.data_export.updateMany({
+      where: { de_id: exportId, de_status: 'Processing' },
+      data: {
+        de_status: 'Completed',
+        de_file_name: fileName,
+        de_file_size: fileSize,
+        de_completed_at: new Date(),
+        de_expires_at: expiresAt,
+      },
+    });
+
+    if (completed.count === 0) {
+      await fs.promises.rm(filePath, { force: true });
+      return;
+    }
+  } catch (error) {
+    console.error(`Error building data export ${exportId}:`, error);
+    await fs.promises.rm(filePath, { force: true });
+    await prisma.data_export.updateMany({
+      where: { de_id: exportId, de_status: 'Processing' },
+      data: { de_status: 'Failed', de_error: error.message },
+    });
+    return;
+  }
+
+  try {
+    await createNotification(
+      dataExport.user_id,
+      'data_export_ready',
+      'Your data export is ready',
+      `Download it within ${DATA_EXPORT_EXPIRES_HOURS} hours from your privacy settings`,
+      null
+    );
+
+    await sendNotificationEmail(
+      dataExport.user.user_email,
+      dataExport.user.user_full_name,
+      'Your TalentFlip data export is ready',
+      'Your data export is ready',
+      `<p>The copy of your TalentFlip data you requested is ready to download.</p>
+       <p>For your security the download link works only while you are signed in and expires in ${DATA_EXPORT_EXPIRES_HOURS} hours.</p>`,
+      'Download My Data',
+      `${process.env.FRONTEND_URL || 'http://localhost:4000'}/settings/privacy`
+    );
+  } catch (notificationError) {
+    console.error('Error sending data export notification:', notificationError);
+  }
+};
+
+/**
+ * Get the zip file of a completed export
+ * @param {Object} dataExport - data_export record
+ * @returns {String|null} Absolute path, or null if the file is gone
+ */
+export const getDataExportFilePath = (dataExport) => {
+  if (!dataExport.de_file_name) {
+    return null;
+  }
+
+  const filePath = path.join(DATA_EXPORT_DIR, path.basename(dataExport.de_file_name));
+  return fs.existsSync(filePath) ? filePath : null;
+};
+
+/**
+ * Delete the files of expired exports and mark them Expired
+ * @param {Number|null} userId - Only purge this user's exports (all users when null)
+ * @returns {Promise<Number>} Number of exports expired
+ */
+export const purgeExpiredDataExports = async (userId = null) => {
+  try {
+    const expiredExports = await prisma.data_export.findMany({
+      where: {
+        de_status: 'Completed',
+        de_expires_at: { lte: new Date() },
+        ...(userId && { user_id: userId }),
+      },
+      select: { de_id: true, de_file_name: true },
+    });
+
+    for (const dataExport of expiredExports) {
+      if (dataExport.de_file_name) {
+        await fs.promises.rm(path.join(DATA_EXPORT_DIR, path.basename(dataExport.de_file_name)), { force: true });
+      }
+    }
+
+    if (expiredExports.length > 0) {
+      await prisma.data_export.updateMany({
+        where: { de_id: { in: expiredExports.map(dataExport => dataExport.de_id) } },
+        data: { de_status: 'Expired', de_file_name: null },
+      });
+    }
+
+    return expiredExports.length;
+  } catch (error) {
+    console.error('Error purging expired data exports:', error);
+    return 0;
+  }
+};
+
+/**
+ * Delete every export file of a user (used when the account is erased)
+ * @param {Number} userId - The user ID
+ * @returns {Promise<void>}
+ */
+export const deleteUserDataExports = async (userId) => {
+  const exports = await prisma.data_export.findMany({
+    where: { user_id: userId, de_file_name: { not: null } },
+    select: { de_file_name: true },
+  });
+
+  for (const dataExport of exports) {
+    await fs.promises.rm(path.join(DATA_EXPORT_DIR, path.basename(dataExport.de_file_name)), { force: true });
+  }
+
+  await prisma.data_export.updateMany({
+    where: { user_id: userId, de_status: { not: 'Cancelled' } },
+    data: { de_status: 'Expired', de_file_name: null },
+  });
+};
+
+export default {
+  processDataExport,
+  getDataExportFilePath,
+  purgeExpiredDataExports,
+  deleteUserDataExports,
+};
@@ -199,7 +199,179 @@ export const sendNotificationEmail = async (recipientEmail, recipientName, subje
   }
 };
 
+/**
+ * Send a password reset link email
+ * @param {Object} recipientUser - User object with email and name
+ * @param {String} resetUrl - Frontend URL containing the reset token
+ * @param {Number} expiresInMinutes - Link lifetime in minutes
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendPasswordResetEmail = async (recipientUser, resetUrl, expiresInMinutes) => {
+  try {
+    const heading = '🔒 Reset Your Password';
+    const content = `
+      <p>We received a request to reset the password for your TalentFlip account.</p>
+
+      <p>
+        <a href="${resetUrl}" class="button">
+          Reset Password
+        </a>
+      </p>
+
+      <p>This link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+
+      <p style="margin-top: 30px; color: #6b7280; font-size: 14px;">
+        If you didn't request a password reset, you can safely ignore this email. Your password will not change.
+      </p>
+    `;
+
+    const html = generateEmailTemplate(heading, recipientUser.user_full_name, content);
+
+    const text = `
+      Hi ${recipientUser.user_full_name},
+
+      We received a request to reset the password for your TalentFlip account.
+
+      Reset your password at: ${resetUrl}
+
+      This link expires in ${expiresInMinutes} minutes and can only be used once.
+      If you didn't request a password reset, you can safely ignore this email.
+
+      © ${new Date().getFullYear()} TalentFlip
+    `;
+
+    const mailOptions = createMailOptions(
+      `"TalentFlip" <noreply@talentflip.ai>`,
+      recipientUser.user_email,
+      'Reset your TalentFlip password',
+      html,
+      text
+    );
+
+    return await sendEmail(mailOptions);
+  } catch (error) {
+    console.error('Error sending password reset email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send an account invite email with a link to set the first password
+ * @param {Object} recipientUser - User object with email and name
+ * @param {String} setPasswordUrl - Frontend URL containing the set-password token
+ * @param {Number} expiresInMinutes - Link lifetime in minutes
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendSetPasswordInviteEmail = async (recipientUser, setPasswordUrl, expiresInMinutes) => {
+  try {
+    const expiresInHours = Math.round(expiresInMinutes / 60);
+    const heading = '🎉 Welcome to TalentFlip!';
+    const content = `
+      <p>Your TalentFlip account has been created from your resume.</p>
+      <p>To activate it, choose a password for <strong>${recipientUser.user_email}</strong>:</p>
+
+      <p>
+        <a href="${setPasswordUrl}" class="button">
+          Set Your Password
+        </a>
+      </p>
+
+      <p>This link expires in ${expiresInHours} hours and can only be used once. You can request a new link from the sign-in page.</p>
+
+      <p style="margin-top: 30px; color: #6b7280; font-size: 14px;">
+        If you didn't sign up for TalentFlip, you can safely ignore this email.
+      </p>
+    `;
+
+    const html = generateEmailTemplate(heading, recipientUser.user_full_name, content);
+
+    const text = `
+      Hi ${recipientUser.user_full_name},
+
+      Your TalentFlip account has been created from your resume.
+      To activate it, set your password at: ${setPasswordUrl}
+
+      This link expires in ${expiresInHours} hours and can only be used once.
+      If you didn't sign up for TalentFlip, you can safely ignore this email.
+
+      © ${new Date().getFullYear()} TalentFlip
+    `;
+
+    const mailOptions = createMailOptions(
+      `"TalentFlip" <noreply@talentflip.ai>`,
+      recipientUser.user_email,
+      'Welcome to TalentFlip - Set your password',
+      html,
+      text
+    );
+
+    return await sendEmail(mailOptions);
+  } catch (error) {
+    console.error('Error sending set password invite email:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send an email address verification link
+ * @param {Object} recipientUser - User object with email and name
+ * @param {String} verifyUrl - Frontend URL containing the verification token
+ * @param {Number} expiresInMinutes - Link lifetime in minutes
+ * @returns {Promise<Object>} Email send result
+ */
+export const sendEmailVerificationEmail = async (recipientUser, verifyUrl, expiresInMinutes) => {
+  try {
+    const expiresInHours = Math.round(expiresInMinutes / 60);
+    const heading = '✉️ Verify Your Email';
+    const content = `
+      <p>Please confirm that <strong>${recipientUser.user_email}</strong> is your email address.</p>
+
+      <p>
+        <a href="${verifyUrl}" class="button">
+          Verify Email
+        </a>
+      </p>
+
+      <p>This link expires in ${expiresInHours} hours. Until your email is verified, some actions such as sending intents and making payments are disabled.</p>
+
+      <p style="margin-top: 30px; color: #6b7280; font-size: 14px;">
+        If you didn't create a TalentFlip account, you can safely ignore this email.
+      </p>
+    `;
+
+    const html = generateEmailTemplate(heading, recipientUser.user_full_name, content);
+
+    const text = `
+      Hi ${recipientUser.user_full_name},
+
+      Please confirm that ${recipientUser.user_email} is your email address.
+      Verify your email at: ${verifyUrl}
+
+      This link expires in ${expiresInHours} hours.
+      If you didn't create a TalentFlip account, you can safely ignore this email.
+
+      © ${new Date().getFullYear()} TalentFlip
+    `;
+
+    const mailOptions = createMailOptions(
+      `"TalentFlip" <noreply@talentflip.ai>`,
+      recipientUser.user_email,
+      'Verify your TalentFlip email address',
+      html,
+      text
+    );
+
+    return await sendEmail(mailOptions);
+  } catch (error) {
+    console.error('Error sending email verification email:', error);
+    throw error;
+  }
+};
+
 export default {
   sendChatMessageEmail,
   sendNotificationEmail,
+  sendPasswordResetEmail,
+  sendSetPasswordInviteEmail,
+  sendEmailVerificationEmail,
 };
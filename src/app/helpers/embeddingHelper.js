@@ -0,0 +1,277 @@
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import OpenAI from 'openai';
+import { OPENAI_API_KEY } from '../../config/index.js';
+
+const prisma = new PrismaClient();
+
+// Profiles embedded per provider call when backfilling
+const EMBEDDING_BATCH_SIZE = 50;
+
+// Providers cap their input; longer profiles are cut (about 8k tokens for OpenAI)
+const MAX_DOCUMENT_LENGTH = 24000;
+
+const LOCAL_DIMENSIONS = 512;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'i', 'in', 'is', 'it',
+  'my', 'of', 'on', 'or', 'our', 'that', 'the', 'their', 'this', 'to', 'was', 'we', 'with', 'who', 'you',
+]);
+
+/**
+ * Deterministic offline embedding: hashed word and word-pair counts, L2-normalized.
+ * It only knows shared words (no synonyms), but needs no network or model download,
+ * so development, fixtures and tests rank the same way every run.
+ * @param {String} text - Text to embed
+ * @returns {Array<Number>} Unit vector of LOCAL_DIMENSIONS numbers
+ */
+const localEmbedding = (text) => {
+  const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+  const words = String(text || '').toLowerCase()
+    .split(/[^a-z0-9+#]+/)
+    .filter(word => word && !STOP_WORDS.has(word))
+    .map(word => (word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word));
+
+  const features = [
+    ...words.map(word => ({ feature: word, weight: 1 })),
+    ...words.slice(1).map((word, index) => ({ feature: `${words[index]} ${word}`, weight: 0.5 })),
+  ];
+
+  for (const { feature, weight } of features) {
+    const hash = crypto.createHash('md5').update(feature).digest();
+    const slot = hash.readUInt32BE(0) % LOCAL_DIMENSIONS;
+    vector[slot] += (hash[4] & 1 ? 1 : -1) * weight;
+  }
+
+  return normalizeVector(vector.map(value => Math.sign(value) * Math.log1p(Math.abs(value))));
+};
+
+const normalizeVector = (vector) => {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length > 0 ? vector.map(value => value / length) : vector;
+};
+
+let openai = null;
+
+// Embedding providers by name. model is stored with every vector, so switching
+// providers (or models) leaves old vectors out of search until they are rebuilt.
+// minSimilarity is the cosine similarity below which a profile is not a match.
+const providers = {
+  openai: {
+    model: 'openai:text-embedding-3-small',
+    minSimilarity: 0.2,
+    embed: async (texts) => {
+      openai = openai || new OpenAI({ apiKey: OPENAI_API_KEY });
+      const response = await openai.embeddings.create({
+        model: 'text-embedding-3-small',
+        input: texts,
+      });
+      return response.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => normalizeVector(item.embedding));
+    },
+  },
+  local: {
+    model: `local:hashed-${LOCAL_DIMENSIONS}`,
+    minSimilarity: 0.05,
+    embed: async (texts) => texts.map(localEmbedding),
+  },
+};
+
+/**
+ * Add or replace an embedding provider, e.g. a stub in tests or a self-hosted model
+ * @param {String} name - Value of EMBEDDING_PROVIDER that selects it
+ * @param {Object} provider - { model (unique name stored with vectors), minSimilarity, embed(texts) => Promise<Array<Array<Number>>> }
+ */
+export const registerEmbeddingProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+/**
+ * The provider in use: EMBEDDING_PROVIDER, otherwise OpenAI when an API key is configured, otherwise local
+ * @returns {Object} Provider
+ */
+export const getEmbeddingProvider = () => {
+  const name = process.env.EMBEDDING_PROVIDER || (OPENAI_API_KEY ? 'openai' : 'local');
+  if (!providers[name]) {
+    throw new Error(`Unknown embedding provider "${name}"`);
+  }
+  return providers[name];
+};
+
+/**
+ * Text a talent is semantically searched by: summary, skill tiles, experience and projects
+ * @param {Object} profile - t_profile with t_skill_tiles, t_experience and t_projects
+ * @returns {String} Document ('' when the profile has none of them)
+ */
+const buildEmbeddingDocument = (profile) => {
+  const parts = [
+    profile.tp_designation,
+    profile.tp_professional_summary,
+    ...profile.t_skill_tiles.map(tile => [tile.tst_skill_name, tile.tst_description].filter(Boolean).join(': ')),
+    ...profile.t_experience.map(experience => [experience.te_designation, experience.te_description].filter(Boolean).join(': ')),
+    ...profile.t_projects.map(project => [project.tpj_name, project.tpj_description, project.tpj_impact].filter(Boolean).join(': ')),
+  ];
+
+  return parts.filter(Boolean).join('\n').slice(0, MAX_DOCUMENT_LENGTH);
+};
+
+const embeddingDocumentSelect = {
+  tp_id: true,
+  tp_designation: true,
+  tp_professional_summary: true,
+  t_skill_tiles: {
+    where: { status: true },
+    select: { tst_skill_name: true, tst_description: true },
+  },
+  t_experience: {
+    where: { status: true },
+    select: { te_designation: true, te_description: true },
+  },
+  t_projects: {
+    where: { status: true },
+    select: { tpj_name: true, tpj_description: true, tpj_impact: true },
+  },
+};
+
+// Raw update so rebuilding an embedding doesn't count as the talent updating their profile
+const storeEmbedding = async (client, tpId, vector, model) => {
+  await client.$executeRaw`UPDATE t_profile SET tp_embedding = ${vector}::float8[], tp_embedding_model = ${model} WHERE tp_id = ${tpId}`;
+};
+
+/**
+ * Rebuild a talent's embedding from their summary, skill tiles, experience and projects.
+ * Request handlers call queueTalentEmbedding instead, so saves don't wait for the provider.
+ * Failures are reported but never fail the save itself.
+ * @param {Number} tpId - Talent profile ID
+ * @param {Object} client - Prisma client to use (the seed script passes its own)
+ * @returns {Promise<void>}
+ */
+export const refreshTalentEmbedding = async (tpId, client = prisma) => {
+  try {
+    const profile = await client.t_profile.findUnique({
+      where: { tp_id: tpId },
+      select: embeddingDocumentSelect,
+    });
+
+    if (!profile) {
+      return;
+    }
+
+    const document = buildEmbeddingDocument(profile);
+    if (!document) {
+      await storeEmbedding(client, tpId, null, null);
+      return;
+    }
+
+    const provider = getEmbeddingProvider();
+    const [vector] = await provider.embed([document]);
+    await storeEmbedding(client, tpId, vector, provider.model);
+  } catch (error) {
+    console.error(`Error refreshing embedding for profile ${tpId}:`, error);
+  }
+};
+
+// Profiles whose embedding is being rebuilt, and those saved again in the meantime
+const embeddingsRunning = new Set();
+const embeddingsStale = new Set();
+
+/**
+ * Rebuild a talent's embedding in the background so the save that triggered it doesn't wait
+ * for the provider. Saves made while a rebuild runs are folded into one more rebuild, so the
+ * stored vector always ends up matching the latest profile.
+ * @param {Number} tpId - Talent profile ID
+ * @returns {void}
+ */
+export const queueTalentEmbedding = (tpId) => {
+  if (embeddingsRunning.has(tpId)) {
+    embeddingsStale.add(tpId);
+    return;
+  }
+
+  embeddingsRunning.add(tpId);
+
+  (async () => {
+    do {
+      embeddingsStale.delete(tpId);
+      await refreshTalentEmbedding(tpId);
+    } while (embeddingsStale.has(tpId));
+
+    embeddingsRunning.delete(tpId);
+  })();
+};
+
+/**
+ * Rank active talent profiles by cosine similarity to a natural-language query
+ * @param {String} query - What the recruiter is looking for, in their own words
+ * @returns {Promise<Map<Number, Number>>} tp_id => similarity, for profiles above the provider's minSimilarity
+ */
+export const rankTalentsBySimilarity = async (query) => {
+  const provider = getEmbeddingProvider();
+  const [queryVector] = await provider.embed([query.slice(0, MAX_DOCUMENT_LENGTH)]);
+
+  // Stored vectors are unit length, so the dot product is the cosine similarity
+  const rows = await prisma.$queryRaw`
+    SELECT tp_id, similarity FROM (
+      SELECT tp_id, (SELECT sum(a * b) FROM unnest(tp_embedding, ${queryVector}::float8[]) AS v(a, b)) AS similarity
+      FROM t_profile
+      WHERE status = true
+        AND tp_embedding_model = ${provider.model}
+        AND cardinality(tp_embedding) = ${queryVector.length}
+    ) ranked
+    WHERE similarity >= ${provider.minSimilarity}
+  `;
+
+  return new Map(rows.map(row => [row.tp_id, Number(row.similarity)]));
+};
+
+/**
+ * Embed profiles that have no embedding from the current provider yet
+ * (saved before semantic search existed, or embedded by another provider)
+ * @param {Object} client - Prisma client to use
+ * @returns {Promise<Number>} Number of profiles embedded
+ */
+export const backfillTalentEmbeddings = async (client = prisma) => {
+  const provider = getEmbeddingProvider();
+  let embedded = 0;
+  let lastId = 0;
+
+  for (;;) {
+    const profiles = await client.t_profile.findMany({
+      where: {
+        status: true,
+        tp_id: { gt: lastId },
+        OR: [{ tp_embedding_model: null }, { tp_embedding_model: { not: provider.model } }],
+      },
+      select: embeddingDocumentSelect,
+      orderBy: { tp_id: 'asc' },
+      take: EMBEDDING_BATCH_SIZE,
+    });
+
+    if (profiles.length === 0) {
+      return embedded;
+    }
+    lastId = profiles[profiles.length - 1].tp_id;
+
+    const documents = profiles
+      .map(profile => ({ tpId: profile.tp_id, document: buildEmbeddingDocument(profile) }))
+      .filter(({ document }) => document);
+
+    if (documents.length > 0) {
+      const vectors = await provider.embed(documents.map(({ document }) => document));
+      for (const [index, { tpId }] of documents.entries()) {
+        await storeEmbedding(client, tpId, vectors[index], provider.model);
+      }
+      embedded += documents.length;
+    }
+  }
+};
+
+export default {
+  registerEmbeddingProvider,
+  getEmbeddingProvider,
+  refreshTalentEmbedding,
+  queueTalentEmbedding,
+  rankTalentsBySimilarity,
+  backfillTalentEmbeddings,
+};
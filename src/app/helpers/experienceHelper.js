@@ -0,0 +1,219 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Seniority bands used by the talent search, in months of experience: min inclusive, max exclusive
+export const EXPERIENCE_LEVELS = {
+  Junior: { min: 0, max: 36 },
+  Mid: { min: 36, max: 84 },
+  Senior: { min: 84, max: 144 },
+  Lead: { min: 144, max: null },
+};
+
+// Anything above this is a typo or a year ("since 2012") rather than an amount of experience
+const MAX_EXPERIENCE_MONTHS = 60 * 12;
+
+const AVERAGE_MONTH_MS = 30.4375 * 24 * 60 * 60 * 1000;
+
+// Profiles read at a time by refreshOpenEndedExperience
+const REFRESH_BATCH_SIZE = 500;
+
+/**
+ * Read a free-text experience value such as "5", "5 years", "10+ yrs", "3.5",
+ * "2 years 6 months", "18 months" or "5-7 years" (the lower bound is used)
+ * @param {String|Number|null} value - tp_total_experience or the experience_years parsed from a resume
+ * @returns {Number|null} Whole months, or null when no amount can be read
+ */
+export const parseExperienceMonths = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  let months = null;
+
+  if (typeof value === 'number') {
+    months = Number.isFinite(value) ? value * 12 : null;
+  } else {
+    const text = String(value).toLowerCase().replace(/,/g, '.')
+      .replace(/(\d+(?:\.\d+)?)\s*(?:-|–|to)\s*\d+(?:\.\d+)?/g, '$1');
+
+    const years = text.match(/(\d+(?:\.\d+)?)\s*\+?\s*(?:years?|yrs?|y)\b/);
+    const monthsPart = text.match(/(\d+(?:\.\d+)?)\s*\+?\s*(?:months?|mos?|m)\b/);
+
+    if (years || monthsPart) {
+      months = (years ? parseFloat(years[1]) * 12 : 0) + (monthsPart ? parseFloat(monthsPart[1]) : 0);
+    } else {
+      const number = text.match(/\d+(?:\.\d+)?/);
+      months = number ? parseFloat(number[0]) * 12 : null;
+    }
+  }
+
+  if (months === null || months < 0 || months > MAX_EXPERIENCE_MONTHS) {
+    return null;
+  }
+
+  return Math.round(months);
+};
+
+/**
+ * Add up the time covered by a talent's jobs. Overlapping jobs are counted once
+ * and a job without an end date runs until now.
+ * @param {Array<Object>} experiences - t_experience records (te_start_date, te_end_date)
+ * @param {Date} now - End of open-ended jobs
+ * @returns {Number|null} Whole months, or null when no job has a usable start date
+ */
+export const calculateExperienceMonths = (experiences, now = new Date()) => {
+  const ranges = experiences
+    .filter(experience => experience.te_start_date)
+    .map(experience => {
+      const start = new Date(experience.te_start_date).getTime();
+      const end = experience.te_end_date ? new Date(experience.te_end_date).getTime() : now.getTime();
+      return { start, end: Math.min(end, now.getTime()) };
+    })
+    .filter(range => !Number.isNaN(range.start) && !Number.isNaN(range.end) && range.end > range.start)
+    .sort((a, b) => a.start - b.start);
+
+  if (ranges.length === 0) {
+    return null;
+  }
+
+  let totalMs = 0;
+  let current = { ...ranges[0] };
+
+  for (const range of ranges.slice(1)) {
+    if (range.start <= current.end) {
+      current.end = Math.max(current.end, range.end);
+    } else {
+      totalMs += current.end - current.start;
+      current = { ...range };
+    }
+  }
+  totalMs += current.end - current.start;
+
+  return Math.min(Math.round(totalMs / AVERAGE_MONTH_MS), MAX_EXPERIENCE_MONTHS);
+};
+
+/**
+ * Recalculate t_profile.tp_experience_months after the profile or its experience changed.
+ * Job date ranges win; the stated total (typed in or parsed from the resume) is the fallback.
+ * Failures are reported but never fail the save that triggered the refresh.
+ * @param {Number} tpId - Talent profile ID
+ * @param {Object} client - Prisma client to use (the seed script passes its own)
+ * @returns {Promise<Number|null>} The stored value
+ */
+export const refreshExperienceMonths = async (tpId, client = prisma) => {
+  try {
+    const profile = await client.t_profile.findUnique({
+      where: { tp_id: tpId },
+      select: {
+        tp_total_experience: true,
+        tp_experience_months: true,
+        t_experience: {
+          where: { status: true },
+          select: { te_start_date: true, te_end_date: true },
+        },
+      },
+    });
+
+    if (!profile) {
+      return null;
+    }
+
+    const months = calculateExperienceMonths(profile.t_experience) ?? parseExperienceMonths(profile.tp_total_experience);
+
+    if (months !== profile.tp_experience_months) {
+      await client.t_profile.update({
+        where: { tp_id: tpId },
+        data: { tp_experience_months: months },
+      });
+    }
+
+    return months;
+  } catch (error) {
+    console.error(`Error refreshing experience months for profile ${tpId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Recalculate tp_experience_months of talents in a job without an end date: their experience
+ * grows every month whether or not they save their profile. Runs on a timer from server.js.
+ * The months are written without touching updated_at, so saved search alerts don't report
+ * these talents as updated.
+ * @param {Date} now - End of open-ended jobs
+ * @returns {Promise<Number>} Number of profiles whose months changed
+ */
+export const refreshOpenEndedExperience = async (now = new Date()) => {
+  try {
+    let changed = 0;
+    let lastTpId = 0;
+
+    for (;;) {
+      const profiles = await prisma.t_profile.findMany({
+        where: {
+          tp_id: { gt: lastTpId },
+          status: true,
+          t_experience: { some: { status: true, te_start_date: { not: null }, te_end_date: null } },
+        },
+        select: {
+          tp_id: true,
+          tp_total_experience: true,
+          tp_experience_months: true,
+          t_experience: {
+            where: { status: true },
+            select: { te_start_date: true, te_end_date: true },
+          },
+        },
+        orderBy: { tp_id: 'asc' },
+        take: REFRESH_BATCH_SIZE,
+      });
+
+      if (profiles.length === 0) {
+        break;
+      }
+
+      for (const profile of profiles) {
+        const months = calculateExperienceMonths(profile.t_experience, now) ?? parseExperienceMonths(profile.tp_total_experience);
+
+        if (months !== profile.tp_experience_months) {
+          await prisma.$executeRaw`UPDATE t_profile SET tp_experience_months = ${months} WHERE tp_id = ${profile.tp_id}`;
+          changed++;
+        }
+      }
+
+      lastTpId = profiles[profiles.length - 1].tp_id;
+    }
+
+    return changed;
+  } catch (error) {
+    console.error('Error refreshing open-ended experience:', error);
+    return 0;
+  }
+};
+
+/**
+ * Experience for display, e.g. "7+ years"
+ * @param {Number|null} months - tp_experience_months
+ * @param {String|null} fallback - Text to show when the months are unknown
+ * @returns {String|null}
+ */
+export const formatExperience = (months, fallback = null) => {
+  if (months === null || months === undefined) {
+    return fallback;
+  }
+
+  if (months < 12) {
+    return `${months} ${months === 1 ? 'month' : 'months'}`;
+  }
+
+  return `${Math.floor(months / 12)}+ years`;
+};
+
+export default {
+  EXPERIENCE_LEVELS,
+  parseExperienceMonths,
+  calculateExperienceMonths,
+  refreshExperienceMonths,
+  refreshOpenEndedExperience,
+  formatExperience,
+};
@@ -0,0 +1,137 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+const IMPERSONATION_EXPIRES_MINUTES = parseInt(process.env.IMPERSONATION_EXPIRES_MINUTES) || 15;
+
+/**
+ * Start an impersonation of a user by an admin
+ * @param {Number} adminUserId - Admin starting the impersonation
+ * @param {Number} userId - User to impersonate
+ * @param {String} reason - Why support needs to view as this user
+ * @param {Object} req - Express request object (client details are read from it)
+ * @returns {Promise<Object>} The user_impersonation record
+ */
+export const startImpersonation = async (adminUserId, userId, reason, req) => {
+  try {
+    return await prisma.user_impersonation.create({
+      data: {
+        ui_admin_user_id: adminUserId,
+        user_id: userId,
+        ui_reason: reason,
+        ui_ip_address: req.ip || req.socket?.remoteAddress || null,
+        ui_user_agent: req.headers['user-agent'] || null,
+        ui_expires_at: new Date(Date.now() + IMPERSONATION_EXPIRES_MINUTES * 60 * 1000),
+        status: true,
+      },
+    });
+  } catch (error) {
+    console.error('Error starting impersonation:', error);
+    throw error;
+  }
+};
+
+/**
+ * Find a live impersonation for an access token.
+ * It must not be ended or expired and the admin behind it must still be in good standing.
+ * @param {Number} impersonationId - ui_id from the token
+ * @param {Number} userId - Impersonated user ID from the token
+ * @returns {Promise<Object|null>} Impersonation with the admin's name and email, or null
+ */
+export const getActiveImpersonation = async (impersonationId, userId) => {
+  try {
+    const impersonation = await prisma.user_impersonation.findFirst({
+      where: {
+        ui_id: impersonationId,
+        user_id: userId,
+        ui_ended_at: null,
+        ui_expires_at: { gt: new Date() },
+        status: true,
+      },
+      include: {
+        admin_user: {
+          select: {
+            user_id: true,
+            user_full_name: true,
+            user_email: true,
+            is_active: true,
+            is_blocked: true,
+            is_deleted: true,
+            is_suspended: true,
+            status: true,
+          },
+        },
+      },
+    });
+
+    if (!impersonation) {
+      return null;
+    }
+
+    const admin = impersonation.admin_user;
+    if (!admin.status || !admin.is_active || admin.is_blocked || admin.is_deleted || admin.is_suspended) {
+      return null;
+    }
+
+    return impersonation;
+  } catch (error) {
+    console.error('Error checking impersonation:', error);
+    throw error;
+  }
+};
+
+/**
+ * End an impersonation so its token stops working
+ * @param {Number} impersonationId - The impersonation ID
+ * @returns {Promise<Boolean>} True if a live impersonation was ended
+ */
+export const endImpersonation = async (impersonationId) => {
+  try {
+    const result = await prisma.user_impersonation.updateMany({
+      where: {
+        ui_id: impersonationId,
+        ui_ended_at: null,
+      },
+      data: {
+        ui_ended_at: new Date(),
+      },
+    });
+
+    return result.count > 0;
+  } catch (error) {
+    console.error('Error ending impersonation:', error);
+    throw error;
+  }
+};
+
+/**
+ * Write an entry to the impersonation audit log.
+ * Logging failures are reported but never fail the request itself.
+ * @param {Number} impersonationId - The impersonation ID
+ * @param {Object} entry - { method, path, statusCode, blocked, ipAddress, userAgent }
+ * @returns {Promise<void>}
+ */
+export const logImpersonatedRequest = async (impersonationId, entry) => {
+  try {
+    await prisma.impersonation_audit_log.create({
+      data: {
+        ui_id: impersonationId,
+        ial_method: entry.method,
+        ial_path: String(entry.path).substring(0, 500),
+        ial_status_code: entry.statusCode ?? null,
+        ial_blocked: entry.blocked || false,
+        ial_ip_address: entry.ipAddress || null,
+        ial_user_agent: entry.userAgent || null,
+      },
+    });
+  } catch (error) {
+    console.error('Error writing impersonation audit log:', error);
+  }
+};
+
+export default {
+  startImpersonation,
+  getActiveImpersonation,
+  endImpersonation,
+  logImpersonatedRequest,
+};
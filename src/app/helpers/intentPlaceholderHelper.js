@@ -0,0 +1,70 @@
+import { escapeHtml } from './validationHelper.js';
+
+// Placeholders a recruiter can put in an intent's personalised message and agreement,
+// filled in for each talent when the intent is sent
+export const INTENT_PLACEHOLDERS = ['talent_first_name', 'talent_full_name', 'job_title', 'company_name', 'recruiter_name'];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+/**
+ * Placeholders in a text that aren't in INTENT_PLACEHOLDERS (usually typos)
+ * @param {String|null} text - Message or agreement content
+ * @returns {Array<String>} Unknown placeholder names, without duplicates
+ */
+export const findUnknownPlaceholders = (text) => {
+  if (typeof text !== 'string') {
+    return [];
+  }
+
+  const names = [...text.matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+  return [...new Set(names.filter(name => !INTENT_PLACEHOLDERS.includes(name)))];
+};
+
+/**
+ * Placeholder values for one recipient of an intent
+ * @param {Object} params
+ * @param {Object} params.intent - r_intent
+ * @param {String} params.talentName - Recipient's full name
+ * @param {String} params.companyName - Name of the organization sending the intent
+ * @param {String} params.recruiterName - Name of the recruiter sending the intent
+ * @returns {Object} Values keyed by placeholder name
+ */
+export const buildPlaceholderValues = ({ intent, talentName, companyName, recruiterName }) => {
+  const fullName = (talentName || '').trim();
+
+  return {
+    talent_first_name: fullName.split(/\s+/)[0] || '',
+    talent_full_name: fullName,
+    job_title: intent.ri_job_title,
+    company_name: companyName || '',
+    recruiter_name: recruiterName || '',
+  };
+};
+
+/**
+ * Fill in the placeholders of a text; unknown ones are left as written
+ * @param {String|null} text - Message or agreement content
+ * @param {Object} values - Values from buildPlaceholderValues
+ * @param {Object} [options]
+ * @param {Boolean} [options.html=false] - Escape the values, for rich text such as agreements
+ * @returns {String|null} The text for one recipient
+ */
+export const resolvePlaceholders = (text, values, { html = false } = {}) => {
+  if (typeof text !== 'string') {
+    return text;
+  }
+
+  return text.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    if (!Object.prototype.hasOwnProperty.call(values, name)) {
+      return placeholder;
+    }
+    return html ? escapeHtml(values[name]) : String(values[name]);
+  });
+};
+
+export default {
+  INTENT_PLACEHOLDERS,
+  findUnknownPlaceholders,
+  buildPlaceholderValues,
+  resolvePlaceholders,
+};
@@ -0,0 +1,151 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+const LOGIN_ATTEMPT_WINDOW_MINUTES = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15;
+const LOGIN_FREE_ATTEMPTS = parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3;
+const LOGIN_MAX_DELAY_SECONDS = parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 300;
+const LOGIN_MAX_FAILED_ATTEMPTS_PER_IP = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP) || 50;
+
+/**
+ * Get the failures that still count for a filter within the attempt window (newest first)
+ * @param {Object} where - Extra filter (email or IP)
+ * @returns {Promise<Array>} Failed attempt records
+ */
+const getRecentFailures = async (where) => {
+  return await prisma.login_attempt.findMany({
+    where: {
+      ...where,
+      la_success: false,
+      status: true,
+      created_at: { gte: new Date(Date.now() - LOGIN_ATTEMPT_WINDOW_MINUTES * 60 * 1000) },
+    },
+    orderBy: { created_at: 'desc' },
+    select: { created_at: true },
+  });
+};
+
+/**
+ * Seconds a client still has to wait after a run of failures.
+ * The delay doubles for every failure beyond the free attempts.
+ * @param {Array} failures - Failed attempts, newest first
+ * @returns {Number} Seconds to wait (0 if none)
+ */
+const getRemainingDelay = (failures) => {
+  if (failures.length < LOGIN_FREE_ATTEMPTS) {
+    return 0;
+  }
+
+  const delaySeconds = Math.min(2 ** (failures.length - LOGIN_FREE_ATTEMPTS), LOGIN_MAX_DELAY_SECONDS);
+  const secondsSinceLast = (Date.now() - failures[0].created_at.getTime()) / 1000;
+
+  return Math.max(0, Math.ceil(delaySeconds - secondsSinceLast));
+};
+
+/**
+ * Check whether a signin attempt has to wait because of earlier failures
+ * for the same email or from the same IP address
+ * @param {String} email - Email being signed in to (lowercase)
+ * @param {String} ipAddress - Client IP address
+ * @returns {Promise<Number>} Seconds to wait before the next attempt (0 if allowed now)
+ */
+export const getSigninRetryAfter = async (email, ipAddress) => {
+  try {
+    const emailFailures = await getRecentFailures({ la_email: email });
+    let retryAfter = getRemainingDelay(emailFailures);
+
+    if (ipAddress) {
+      const ipFailures = await getRecentFailures({ la_ip_address: ipAddress });
+
+      // One IP hammering many accounts is blocked for the rest of the window
+      if (ipFailures.length >= LOGIN_MAX_FAILED_ATTEMPTS_PER_IP) {
+        const windowEndsAt = ipFailures[ipFailures.length - 1].created_at.getTime() + LOGIN_ATTEMPT_WINDOW_MINUTES * 60 * 1000;
+        retryAfter = Math.max(retryAfter, Math.ceil((windowEndsAt - Date.now()) / 1000));
+      } else {
+        retryAfter = Math.max(retryAfter, getRemainingDelay(ipFailures));
+      }
+    }
+
+    return retryAfter;
+  } catch (error) {
+    console.error('Error checking signin throttle:', error);
+    throw error;
+  }
+};
+
+/**
+ * Record a failed signin attempt
+ * @param {String} email - Email being signed in to (lowercase)
+ * @param {String} ipAddress - Client IP address
+ * @returns {Promise<Number>} Number of failures for this email within the window
+ */
+export const recordFailedSignin = async (email, ipAddress) => {
+  try {
+    await prisma.login_attempt.create({
+      data: {
+        la_email: email,
+        la_ip_address: ipAddress,
+        la_success: false,
+        status: true,
+      },
+    });
+
+    const emailFailures = await getRecentFailures({ la_email: email });
+    return emailFailures.length;
+  } catch (error) {
+    console.error('Error recording failed signin:', error);
+    throw error;
+  }
+};
+
+/**
+ * Record a successful signin and stop counting earlier failures for the email
+ * @param {String} email - Email signed in to (lowercase)
+ * @param {String} ipAddress - Client IP address
+ * @returns {Promise<void>}
+ */
+export const recordSuccessfulSignin = async (email, ipAddress) => {
+  try {
+    await prisma.$transaction([
+      prisma.login_attempt.updateMany({
+        where: { la_email: email, la_success: false, status: true },
+        data: { status: false },
+      }),
+      prisma.login_attempt.create({
+        data: {
+          la_email: email,
+          la_ip_address: ipAddress,
+          la_success: true,
+          status: true,
+        },
+      }),
+    ]);
+  } catch (error) {
+    console.error('Error recording successful signin:', error);
+    throw error;
+  }
+};
+
+/**
+ * Stop counting earlier failures for an email (e.g. when an admin unlocks the account)
+ * @param {String} email - Account email (lowercase)
+ * @returns {Promise<void>}
+ */
+export const clearFailedSignins = async (email) => {
+  try {
+    await prisma.login_attempt.updateMany({
+      where: { la_email: email, la_success: false, status: true },
+      data: { status: false },
+    });
+  } catch (error) {
+    console.error('Error clearing failed signins:', error);
+    throw error;
+  }
+};
+
+export default {
+  getSigninRetryAfter,
+  recordFailedSignin,
+  recordSuccessfulSignin,
+  clearFailedSignins,
+};
@@ -0,0 +1,324 @@
+import { EXPERIENCE_LEVELS } from './experienceHelper.js';
+import { skillKey } from './skillHelper.js';
+
+// How much each criterion counts towards the match score. Criteria the intent doesn't set
+// (e.g. no timezone) are left out and the remaining weights are scaled up. A criterion the
+// talent has no data for scores 0, so a sparse profile can't outrank a complete one.
+export const MATCH_WEIGHTS = {
+  skills: 35,
+  experience: 20,
+  employment_type: 15,
+  work_mode: 10,
+  compensation: 10,
+  timezone: 10,
+};
+
+// Offsets of ta_timezone_types, in hours from UTC
+const TIMEZONE_OFFSETS = {
+  UTC: 0,
+  GMT: 0,
+  EST: -5,
+  CST: -6,
+  MST: -7,
+  PST: -8,
+  IST: 5.5,
+};
+
+const WORKDAY_HOURS = 8;
+
+// How well a talent's preferred work location suits an intent's work mode
+const WORK_MODE_SCORES = {
+  Remote: { Remote: 1, Hybrid: 0.75, Onsite: 0.5, Flexible: 1 },
+  Hybrid: { Remote: 0.5, Hybrid: 1, Onsite: 0.75, Flexible: 1 },
+  Onsite: { Remote: 0, Hybrid: 0.5, Onsite: 1, Flexible: 1 },
+};
+
+// How well each kind of availability suits an intent's employment type
+const EMPLOYMENT_TYPE_SCORES = {
+  Full_time: { ta_full_time: 1, ta_consulting: 0.3, ta_part_time: 0.2 },
+  Contract: { ta_consulting: 1, ta_part_time: 0.8, ta_full_time: 0.5 },
+  Internship: { ta_part_time: 1, ta_full_time: 0.8, ta_consulting: 0.3 },
+};
+
+// Salary band compared with the intent's compensation, per employment type.
+// Consulting rates are hourly, the full-time and part-time bands yearly
+const SALARY_BANDS = {
+  Full_time: [['ta_full_time', 'ta_full_min_salary', 'ta_full_max_salary', 'year']],
+  Contract: [['ta_consulting', 'ta_consulting_min_salary', 'ta_consulting_max_salary', 'hour'], ['ta_part_time', 'ta_part_min_salary', 'ta_part_max_salary', 'year']],
+  Internship: [['ta_part_time', 'ta_part_min_salary', 'ta_part_max_salary', 'year'], ['ta_full_time', 'ta_full_min_salary', 'ta_full_max_salary', 'year']],
+};
+
+// An offer is hourly when it says so ("$50/hr", "2000 per hour", "hourly"), otherwise yearly
+const HOURLY_PATTERN = /\/\s*(?:hr|hour|h)\b|\bper\s+hour\b|\bhourly\b|\bph\b/;
+
+const AMOUNT_MULTIPLIERS = {
+  k: 1000,
+  thousand: 1000,
+  l: 100000,
+  lpa: 100000,
+  lakh: 100000,
+  lakhs: 100000,
+  lac: 100000,
+  lacs: 100000,
+  m: 1000000,
+  mn: 1000000,
+  million: 1000000,
+  cr: 10000000,
+  crore: 10000000,
+  crores: 10000000,
+};
+
+/**
+ * Read the amounts of a free-text compensation range such as "10-25 LPA", "$80k - $100k",
+ * "₹20,00,000 to ₹30,00,000", "1.2 Cr" or "$40-60/hr". A unit after the last number applies to both.
+ * @param {String|null} text - r_intent.ri_compensation_range
+ * @returns {Object|null} { min, max, period } in whole currency units per 'hour' or 'year',
+ *   or null when no amount is found
+ */
+export const parseCompensationRange = (text) => {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  const matches = [...text.toLowerCase().replace(/(\d),(?=\d)/g, '$1')
+    .matchAll(/(\d+(?:\.\d+)?)\s*(crores?|cr|lakhs?|lacs?|lpa|l|thousand|k|million|mn|m)?\b/g)];
+
+  if (matches.length === 0) {
+    return null;
+  }
+
+  const lastUnit = matches[matches.length - 1][2];
+  const amounts = matches.slice(0, 2).map(match => {
+    const unit = match[2] || lastUnit;
+    return parseFloat(match[1]) * (unit ? AMOUNT_MULTIPLIERS[unit] : 1);
+  });
+
+  const min = Math.min(...amounts);
+  const max = Math.max(...amounts);
+  const period = HOURLY_PATTERN.test(text.toLowerCase()) ? 'hour' : 'year';
+  return min > 0 ? { min, max, period } : null;
+};
+
+/**
+ * Skills: the share of the intent's skills the talent has. A skill only found in the
+ * talent's experience or project technologies counts half.
+ */
+const scoreSkills = (requiredSkills, talent) => {
+  if (requiredSkills.length === 0) {
+    return null;
+  }
+
+  const listedIds = new Set(talent.t_skills.map(skill => skill.sk_id).filter(Boolean));
+  const listedKeys = new Set(talent.t_skills.map(skill => skillKey(skill.ts_skill)));
+  const usedKeys = new Set([
+    ...talent.t_skill_tiles.map(tile => skillKey(tile.tst_skill_name)),
+    ...[...talent.t_experience.map(experience => experience.te_technologies), ...talent.t_projects.map(project => project.tpj_technologies)]
+      .flatMap(text => (text || '').split(','))
+      .map(skillKey),
+  ]);
+
+  const matched = [];
+  const partial = [];
+  const missing = [];
+
+  for (const skill of requiredSkills) {
+    const key = skillKey(skill.name);
+    if ((skill.sk_id && listedIds.has(skill.sk_id)) || listedKeys.has(key)) {
+      matched.push(skill.name);
+    } else if (usedKeys.has(key)) {
+      partial.push(skill.name);
+    } else {
+      missing.push(skill.name);
+    }
+  }
+
+  return {
+    score: (matched.length + partial.length * 0.5) / requiredSkills.length,
+    detail: { matched, in_experience_only: partial, missing },
+  };
+};
+
+/**
+ * Experience: full marks inside the intent's level band, less the further outside it.
+ * Being over-qualified costs half as much as being under-qualified.
+ */
+const scoreExperience = (experienceLevel, talent) => {
+  const band = EXPERIENCE_LEVELS[experienceLevel];
+  const months = talent.tp_experience_months;
+
+  if (!band || months === null || months === undefined) {
+    return null;
+  }
+
+  let score = 1;
+  if (months < band.min) {
+    score = Math.max(0, 1 - (band.min - months) / 36);
+  } else if (band.max !== null && months >= band.max) {
+    score = Math.max(0, 1 - (months - band.max + 1) / 72);
+  }
+
+  return {
+    score,
+    detail: { required_level: experienceLevel, talent_years: Math.floor(months / 12) },
+  };
+};
+
+/**
+ * Employment type: the best of the kinds of work the talent is available for
+ */
+const scoreEmploymentType = (employmentType, availability) => {
+  const scores = EMPLOYMENT_TYPE_SCORES[employmentType];
+  if (!scores || !availability) {
+    return null;
+  }
+
+  const available = Object.keys(scores).filter(flag => availability[flag]);
+  if (available.length === 0) {
+    return { score: 0, detail: { required: employmentType, available: [] } };
+  }
+
+  return {
+    score: Math.max(...available.map(flag => scores[flag])),
+    detail: { required: employmentType, available: available.map(flag => flag.replace(/^ta_/, '')) },
+  };
+};
+
+/**
+ * Work mode: the talent's preferred work location, halved for Onsite/Hybrid roles
+ * when the talent is based in a different city
+ */
+const scoreWorkMode = (intent, talent, availability) => {
+  const scores = WORK_MODE_SCORES[intent.ri_work_mode];
+  if (!scores || !availability?.ta_work_location) {
+    return null;
+  }
+
+  let score = scores[availability.ta_work_location] ?? 0;
+  let sameCity = null;
+
+  if (intent.ri_work_mode !== 'Remote' && intent.ri_location && talent.tp_location) {
+    const city = (location) => location.split(',')[0].trim().toLowerCase();
+    sameCity = city(intent.ri_location) === city(talent.tp_location);
+    if (!sameCity) {
+      score *= 0.5;
+    }
+  }
+
+  return {
+    score,
+    detail: { required: intent.ri_work_mode, preferred: availability.ta_work_location, same_city: sameCity },
+  };
+};
+
+/**
+ * Compensation: full marks when the offer reaches the talent's expected band,
+ * otherwise the share of the talent's minimum the offer covers.
+ * Only bands paid per the same period as the offer (hour or year) are compared.
+ * Amounts are compared as entered; talent bands have no currency of their own.
+ */
+const scoreCompensation = (intent, availability) => {
+  const offered = parseCompensationRange(intent.ri_compensation_range);
+  if (!offered || !availability) {
+    return null;
+  }
+
+  const band = (SALARY_BANDS[intent.ri_employment_type] || [])
+    .find(([flag, minField, maxField, period]) => period === offered.period && availability[flag] && (availability[minField] || availability[maxField]));
+
+  if (!band) {
+    return null;
+  }
+
+  const [, minField, maxField] = band;
+  const expectedMin = availability[minField] || availability[maxField];
+  const expectedMax = availability[maxField] || availability[minField];
+
+  return {
+    score: offered.max >= expectedMin ? 1 : Math.max(0, offered.max / expectedMin),
+    detail: { offered, expected: { min: expectedMin, max: expectedMax }, currency: intent.ri_currency },
+  };
+};
+
+/**
+ * Timezone: the share of an 8-hour workday the intent's and the talent's timezones have in common
+ */
+const scoreTimezone = (timezone, availability) => {
+  const intentOffset = TIMEZONE_OFFSETS[timezone];
+  const talentOffset = TIMEZONE_OFFSETS[availability?.ta_timezone];
+
+  if (intentOffset === undefined || talentOffset === undefined) {
+    return null;
+  }
+
+  const difference = Math.abs(intentOffset - talentOffset);
+  return {
+    score: Math.max(0, WORKDAY_HOURS - difference) / WORKDAY_HOURS,
+    detail: { required: timezone, talent: availability.ta_timezone, hours_apart: difference },
+  };
+};
+
+/**
+ * Score how well a talent fits an intent
+ * @param {Object} intent - r_intent record
+ * @param {Array<Object>} requiredSkills - The intent's skills from normalizeSkillList ([{ sk_id, name }])
+ * @param {Object} talent - t_profile with t_skills, t_skill_tiles, t_experience, t_projects and t_availability
+ * @returns {Object} { score (0-100), breakdown: { criterion: { weight, score, points, detail } } }
+ */
+export const scoreTalentForIntent = (intent, requiredSkills, talent) => {
+  const availability = talent.t_availability[0] || null;
+
+  const results = {
+    skills: scoreSkills(requiredSkills, talent),
+    experience: scoreExperience(intent.ri_experience_level, talent),
+    employment_type: scoreEmploymentType(intent.ri_employment_type, availability),
+    work_mode: scoreWorkMode(intent, talent, availability),
+    compensation: scoreCompensation(intent, availability),
+    timezone: scoreTimezone(intent.ri_timezone, availability),
+  };
+
+  // Criteria the intent sets; only these count towards the score
+  const required = {
+    skills: requiredSkills.length > 0,
+    experience: Boolean(EXPERIENCE_LEVELS[intent.ri_experience_level]),
+    employment_type: Boolean(EMPLOYMENT_TYPE_SCORES[intent.ri_employment_type]),
+    work_mode: Boolean(WORK_MODE_SCORES[intent.ri_work_mode]),
+    compensation: Boolean(parseCompensationRange(intent.ri_compensation_range)),
+    timezone: TIMEZONE_OFFSETS[intent.ri_timezone] !== undefined,
+  };
+
+  const requiredWeight = Object.entries(required)
+    .filter(([, isRequired]) => isRequired)
+    .reduce((total, [criterion]) => total + MATCH_WEIGHTS[criterion], 0);
+
+  const breakdown = {};
+  let total = 0;
+
+  for (const [criterion, result] of Object.entries(results)) {
+    const weight = MATCH_WEIGHTS[criterion];
+    const points = required[criterion] && result ? (result.score * weight * 100) / requiredWeight : 0;
+    total += points;
+
+    let detail = result ? result.detail : 'Not enough information about the talent to compare';
+    if (!required[criterion]) {
+      detail = 'Not set on the intent';
+    }
+
+    breakdown[criterion] = {
+      weight: required[criterion] ? weight : 0,
+      score: required[criterion] && result ? Math.round(result.score * 100) : null,
+      points: Math.round(points * 10) / 10,
+      detail,
+    };
+  }
+
+  return {
+    score: requiredWeight > 0 ? Math.round(total) : 0,
+    breakdown,
+  };
+};
+
+export default {
+  MATCH_WEIGHTS,
+  parseCompensationRange,
+  scoreTalentForIntent,
+};
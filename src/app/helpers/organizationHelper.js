@@ -0,0 +1,134 @@
+import { PrismaClient } from '@prisma/client';
+import organizationRole from '../enums/organizationRoles.js';
+
+const prisma = new PrismaClient();
+
+// Roles that can create and change the team's intents, shortlists and chats
+export const ORGANIZATION_WRITE_ROLES = [organizationRole.OWNER, organizationRole.ADMIN, organizationRole.RECRUITER];
+
+// Roles that can manage members, invitations, the company profile and purchases
+export const ORGANIZATION_MANAGE_ROLES = [organizationRole.OWNER, organizationRole.ADMIN];
+
+// Advisory lock namespace serialising the creation of a recruiter's own organization
+const PERSONAL_ORGANIZATION_LOCK = 7301;
+
+const membershipInclude = {
+  organization: { select: { org_id: true, org_name: true, rp_id: true } },
+};
+
+/**
+ * Whether a member with one role may invite, grant, change or remove another role.
+ * Owners manage every role; admins manage recruiters and viewers.
+ * @param {String} actorRole - Role of the member acting (om_role_types)
+ * @param {String} role - Role being managed (om_role_types)
+ * @returns {Boolean}
+ */
+export const canManageRole = (actorRole, role) => {
+  if (actorRole === organizationRole.OWNER) {
+    return true;
+  }
+  return actorRole === organizationRole.ADMIN && [organizationRole.RECRUITER, organizationRole.VIEWER].includes(role);
+};
+
+/**
+ * Read the organization a request asks to act for (X-Organization-Id header)
+ * @param {Object} req - Express request
+ * @returns {Number|null|NaN} Organization ID, null when not given, NaN when invalid
+ */
+export const getRequestedOrganizationId = (req) => {
+  const header = req.headers['x-organization-id'];
+  if (header === undefined || header === '') {
+    return null;
+  }
+  return /^\d+$/.test(header) ? parseInt(header) : NaN;
+};
+
+/**
+ * Find the organization membership a recruiter is acting with
+ * @param {Number} userId - The user ID
+ * @param {Number|null} orgId - Organization asked for, otherwise the one joined most recently
+ * @returns {Promise<Object|null>} Active membership with its organization, or null
+ */
+export const findActingMembership = async (userId, orgId = null) => {
+  return prisma.organization_member.findFirst({
+    where: {
+      user_id: userId,
+      status: true,
+      organization: { status: true },
+      ...(orgId && { org_id: orgId }),
+    },
+    include: membershipInclude,
+    orderBy: { created_at: 'desc' },
+  });
+};
+
+/**
+ * Give a recruiter who isn't in any organization one of their own, with them as owner.
+ * It is named after and shares their company profile, and takes over the intents, shortlists
+ * and purchases they made before organizations existed.
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} The owner membership with its organization
+ */
+export const createPersonalOrganization = async (user) => {
+  return prisma.$transaction(async (tx) => {
+    // Parallel first requests would otherwise each create an organization
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(${PERSONAL_ORGANIZATION_LOCK}::int, ${user.user_id}::int)`;
+
+    const existing = await tx.organization_member.findFirst({
+      where: { user_id: user.user_id, status: true, organization: { status: true } },
+      include: membershipInclude,
+      orderBy: { created_at: 'desc' },
+    });
+
+    if (existing) {
+      return existing;
+    }
+
+    // A company profile already shared with a team the recruiter has left stays with that team
+    const companyProfile = await tx.r_profile.findFirst({
+      where: {
+        user_id: user.user_id,
+        status: true,
+        r_company_profile: { isNot: null },
+        organization: { is: null },
+      },
+      include: { r_company_profile: { select: { rc_name: true } } },
+    });
+
+    const organization = await tx.organization.create({
+      data: {
+        org_name: companyProfile?.r_company_profile.rc_name || user.user_full_name,
+        rp_id: companyProfile?.rp_id ?? null,
+        created_by: user.user_id.toString(),
+      },
+    });
+
+    const membership = await tx.organization_member.create({
+      data: {
+        org_id: organization.org_id,
+        user_id: user.user_id,
+        om_role: organizationRole.OWNER,
+        created_by: user.user_id.toString(),
+      },
+      include: membershipInclude,
+    });
+
+    const unassigned = { user_id: user.user_id, org_id: null };
+    const assign = { org_id: organization.org_id };
+    await tx.r_intent.updateMany({ where: unassigned, data: assign });
+    await tx.r_shortlist.updateMany({ where: unassigned, data: assign });
+    await tx.r_transaction.updateMany({ where: unassigned, data: assign });
+    await tx.r_service_purchase_mapper.updateMany({ where: unassigned, data: assign });
+
+    return membership;
+  });
+};
+
+export default {
+  ORGANIZATION_WRITE_ROLES,
+  ORGANIZATION_MANAGE_ROLES,
+  canManageRole,
+  getRequestedOrganizationId,
+  findActingMembership,
+  createPersonalOrganization,
+};
@@ -0,0 +1,69 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Prisma select for a role's active permission names
+export const rolePermissionsSelect = {
+  role_permission_mapper: {
+    where: {
+      status: true,
+      permission: { status: true },
+    },
+    select: {
+      permission: {
+        select: { permission_name: true },
+      },
+    },
+  },
+};
+
+/**
+ * Flatten a role loaded with rolePermissionsSelect into permission names
+ * @param {Object} role - Role record (may be null)
+ * @returns {Array<String>} Permission names (empty for a missing or disabled role)
+ */
+export const mapRolePermissions = (role) => {
+  if (!role || role.status === false) {
+    return [];
+  }
+  return (role.role_permission_mapper || []).map(mapping => mapping.permission.permission_name);
+};
+
+/**
+ * Get the permission names granted to a role
+ * @param {Number} roleId - The role ID
+ * @returns {Promise<Array<String>>} Permission names
+ */
+export const getRolePermissions = async (roleId) => {
+  try {
+    const role = await prisma.role.findUnique({
+      where: { role_id: roleId },
+      select: {
+        status: true,
+        ...rolePermissionsSelect,
+      },
+    });
+
+    return mapRolePermissions(role);
+  } catch (error) {
+    console.error('Error fetching role permissions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check whether a user holds a permission
+ * @param {Object} user - req.user / socket.user (with resolved permissions)
+ * @param {String} permission - Permission name (permissionTypes)
+ * @returns {Boolean} True if the user's role grants the permission
+ */
+export const hasPermission = (user, permission) => {
+  return !!user?.permissions?.includes(permission);
+};
+
+export default {
+  rolePermissionsSelect,
+  mapRolePermissions,
+  getRolePermissions,
+  hasPermission,
+};
@@ -0,0 +1,137 @@
+import ExcelJS from 'exceljs';
+
+const REPORT_INTERVALS = ['day', 'week', 'month'];
+export const REPORT_FORMATS = ['csv', 'xlsx'];
+const DEFAULT_REPORT_DAYS = 30;
+
+/**
+ * Read the date range and grouping interval of a report from the query string.
+ * Defaults to the last 30 days grouped by day. A date-only `to` includes that whole day.
+ * @param {Object} query - req.query with optional from, to and interval
+ * @returns {Object} { from, to, interval } or { error } when the query is invalid
+ */
+export const parseReportRange = (query = {}) => {
+  const { from, to, interval = 'day' } = query;
+
+  const toDate = to ? new Date(to) : new Date();
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    toDate.setUTCHours(23, 59, 59, 999);
+  }
+
+  const fromDate = from
+    ? new Date(from)
+    : new Date(toDate.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+
+  if (isNaN(fromDate) || isNaN(toDate)) {
+    return { error: 'Invalid date range, use YYYY-MM-DD or ISO dates for from and to' };
+  }
+
+  if (fromDate > toDate) {
+    return { error: 'The from date must be before the to date' };
+  }
+
+  if (!REPORT_INTERVALS.includes(interval)) {
+    return { error: `Interval must be one of: ${REPORT_INTERVALS.join(', ')}` };
+  }
+
+  return { from: fromDate, to: toDate, interval };
+};
+
+/**
+ * Convert a cell value to something safe to put in a spreadsheet
+ * @param {*} value - Raw value (Date, Decimal, Number, String, null)
+ * @returns {String|Number} Cell value
+ */
+const toCellValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  }
+  if (typeof value === 'number' || typeof value === 'string') {
+    return value;
+  }
+  // Prisma Decimal / BigInt
+  return Number(value);
+};
+
+/**
+ * Render report rows as CSV
+ * @param {Array<Object>} columns - [{ key, header }]
+ * @param {Array<Object>} rows - Report rows
+ * @returns {String} CSV text
+ */
+export const toCsv = (columns, rows) => {
+  const escape = (value) => {
+    let text = String(toCellValue(value));
+    // Keep spreadsheet apps from evaluating user-provided text as a formula
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [
+    columns.map(column => escape(column.header)).join(','),
+    ...rows.map(row => columns.map(column => escape(row[column.key])).join(','))
+  ];
+
+  return lines.join('\r\n');
+};
+
+/**
+ * Render report rows as an XLSX workbook with a single sheet
+ * @param {String} title - Sheet name
+ * @param {Array<Object>} columns - [{ key, header }]
+ * @param {Array<Object>} rows - Report rows
+ * @returns {Promise<Buffer>} XLSX file contents
+ */
+export const toXlsx = async (title, columns, rows) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  // Sheet names are limited to 31 characters
+  const sheet = workbook.addWorksheet(title.substring(0, 31));
+  sheet.columns = columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: Math.max(column.header.length + 2, 14)
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  for (const row of rows) {
+    sheet.addRow(Object.fromEntries(columns.map(column => [column.key, toCellValue(row[column.key])])));
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * Send a report as a downloadable CSV or XLSX file
+ * @param {Object} res - Express response object
+ * @param {Object} report - { name, title, columns, rows, range }
+ * @param {String} format - 'csv' or 'xlsx'
+ * @returns {Promise<Object>} Express response
+ */
+export const sendReportFile = async (res, report, format) => {
+  const { name, title, columns, rows, range } = report;
+  const fileName = `${name}_${range.from.toISOString().slice(0, 10)}_${range.to.toISOString().slice(0, 10)}.${format}`;
+
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    return res.send(await toXlsx(title, columns, rows));
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  return res.send(toCsv(columns, rows));
+};
+
+export default {
+  parseReportRange,
+  toCsv,
+  toXlsx,
+  sendReportFile,
+};
@@ -0,0 +1,211 @@
+import { PrismaClient } from '@prisma/client';
+import { FRONTEND_URL } from '../../config/index.js';
+import { createNotification } from './notificationHelper.js';
+import { sendNotificationEmail } from './emailHelper.js';
+import { buildTalentSearchFilter } from './talentSearchHelper.js';
+import { escapeHtml } from './validationHelper.js';
+
+const prisma = new PrismaClient();
+
+// searchTalents query parameters a saved search keeps
+export const SAVED_SEARCH_FILTERS = ['skills', 'location', 'experience_level', 'availability', 'min_rate', 'max_rate', 'search_query', 'search_mode', 'tags'];
+
+// How long after its last run a saved search is due again
+const FREQUENCY_INTERVALS_MS = {
+  Hourly: 60 * 60 * 1000,
+  Daily: 24 * 60 * 60 * 1000,
+  Weekly: 7 * 24 * 60 * 60 * 1000,
+};
+
+// Talents named in an alert; the rest are counted
+const ALERT_TALENT_LIMIT = 5;
+
+const MAX_FILTER_LENGTH = 255;
+
+/**
+ * Keep the known, non-empty search filters of a request
+ * @param {Object} input - Filters as sent by the client
+ * @returns {Object} Filters as trimmed strings, keyed like the searchTalents query
+ */
+export const pickSavedSearchFilters = (input) => {
+  const filters = {};
+
+  for (const key of SAVED_SEARCH_FILTERS) {
+    const value = input?.[key];
+    if ((typeof value === 'string' || typeof value === 'number') && String(value).trim() !== '') {
+      filters[key] = String(value).trim().slice(0, MAX_FILTER_LENGTH);
+    }
+  }
+
+  return filters;
+};
+
+/**
+ * Talents added or updated since a saved search last ran: a changed profile,
+ * or new skills, skill tiles, experience, projects or availability (saves create new rows)
+ */
+const changedBetween = (from, to) => {
+  const range = { gt: from, lte: to };
+  const newRow = { some: { status: true, created_at: range } };
+
+  return {
+    OR: [
+      { updated_at: range },
+      { t_skills: newRow },
+      { t_skill_tiles: newRow },
+      { t_experience: newRow },
+      { t_projects: newRow },
+      { t_availability: newRow },
+    ],
+  };
+};
+
+/**
+ * Tell a recruiter about new matches for a saved search, in the app and by email
+ */
+const sendSavedSearchAlert = async (savedSearch, matchCount, talents) => {
+  const { user } = savedSearch;
+  const plural = matchCount === 1 ? 'talent matches' : 'talents match';
+
+  await createNotification(
+    user.user_id,
+    'saved_search_match',
+    `New matches for "${savedSearch.rss_name}"`,
+    `${matchCount} new or updated ${plural} your saved search "${savedSearch.rss_name}"`,
+    null
+  );
+
+  try {
+    // Talents write their own name and designation, so everything in the HTML is escaped
+    const talentList = talents
+      .map(talent => `<li><strong>${escapeHtml(talent.user.user_full_name)}</strong>${talent.tp_designation ? ` - ${escapeHtml(talent.tp_designation)}` : ''}</li>`)
+      .join('');
+    const more = matchCount > talents.length ? `<p>…and ${matchCount - talents.length} more.</p>` : '';
+    const searchUrl = `${FRONTEND_URL}/recruiter/talents?${new URLSearchParams(savedSearch.rss_filters || {})}`;
+
+    await sendNotificationEmail(
+      user.user_email,
+      user.user_full_name,
+      `${matchCount} new ${matchCount === 1 ? 'match' : 'matches'} for "${savedSearch.rss_name}"`,
+      '🔎 New Talent Matches',
+      `<p>${matchCount} new or updated ${plural} your saved search <strong>${escapeHtml(savedSearch.rss_name)}</strong>:</p><ul>${talentList}</ul>${more}`,
+      'View Talents',
+      searchUrl
+    );
+  } catch (error) {
+    // The in-app notification is already there; a failed email shouldn't re-send it next run
+    console.error(`Error emailing saved search ${savedSearch.rss_id} alert:`, error);
+  }
+};
+
+/**
+ * Re-run one saved search for talents changed since its last run and alert the recruiter about them
+ * @returns {Promise<Number>} Number of new matches
+ */
+const runSavedSearch = async (savedSearch, now) => {
+  // Claim the run first so overlapping jobs (or server instances) don't alert twice
+  const claimed = await prisma.r_saved_search.updateMany({
+    where: { rss_id: savedSearch.rss_id, rss_last_checked_at: savedSearch.rss_last_checked_at },
+    data: { rss_last_checked_at: now },
+  });
+
+  if (claimed.count === 0) {
+    return 0;
+  }
+
+  const filters = savedSearch.rss_filters || {};
+
+  // Tags belong to the organization the search was saved in; a recruiter who left it no longer sees them
+  if (filters.tags) {
+    const membership = savedSearch.org_id && await prisma.organization_member.findFirst({
+      where: { org_id: savedSearch.org_id, user_id: savedSearch.user_id, status: true },
+      select: { om_id: true },
+    });
+    if (!membership) {
+      return 0;
+    }
+  }
+
+  const { where } = await buildTalentSearchFilter(filters, { orgId: savedSearch.org_id });
+  where.AND = [changedBetween(savedSearch.rss_last_checked_at, now)];
+
+  const [matchCount, talents] = await Promise.all([
+    prisma.t_profile.count({ where }),
+    prisma.t_profile.findMany({
+      where,
+      orderBy: { updated_at: 'desc' },
+      take: ALERT_TALENT_LIMIT,
+      select: {
+        tp_id: true,
+        tp_designation: true,
+        user: { select: { user_full_name: true } },
+      },
+    }),
+  ]);
+
+  if (matchCount > 0) {
+    await sendSavedSearchAlert(savedSearch, matchCount, talents);
+  }
+
+  await prisma.r_saved_search.update({
+    where: { rss_id: savedSearch.rss_id },
+    data: {
+      rss_last_match_count: matchCount,
+      ...(matchCount > 0 && { rss_last_notified_at: now }),
+    },
+  });
+
+  return matchCount;
+};
+
+/**
+ * Re-run every saved search that is due at its frequency and alert recruiters about new matches.
+ * Runs on a timer from server.js; failures are reported per search and never stop the job.
+ * @param {Date} now - Time of this run
+ * @returns {Promise<Number>} Number of saved searches that had new matches
+ */
+export const processSavedSearchAlerts = async (now = new Date()) => {
+  try {
+    const dueSearches = await prisma.r_saved_search.findMany({
+      where: {
+        status: true,
+        OR: Object.entries(FREQUENCY_INTERVALS_MS).map(([frequency, interval]) => ({
+          rss_frequency: frequency,
+          rss_last_checked_at: { lte: new Date(now.getTime() - interval) },
+        })),
+        user: {
+          is_active: true,
+          is_deleted: false,
+          is_blocked: false,
+          is_suspended: false,
+        },
+      },
+      include: {
+        user: { select: { user_id: true, user_full_name: true, user_email: true } },
+      },
+      orderBy: { rss_last_checked_at: 'asc' },
+    });
+
+    let alerted = 0;
+    for (const savedSearch of dueSearches) {
+      try {
+        if (await runSavedSearch(savedSearch, now) > 0) {
+          alerted++;
+        }
+      } catch (error) {
+        console.error(`Error running saved search ${savedSearch.rss_id}:`, error);
+      }
+    }
+
+    return alerted;
+  } catch (error) {
+    console.error('Error processing saved search alerts:', error);
+    return 0;
+  }
+};
+
+export default {
+  SAVED_SEARCH_FILTERS,
+  pickSavedSearchFilters,
+  processSavedSearchAlerts,
+};
@@ -0,0 +1,106 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+/**
+ * Close the current price of a service and open a new one from the service's prices.
+ * Call it inside the transaction that changed the prices.
+ * @param {Object} tx - Prisma transaction client (or the PrismaClient)
+ * @param {Object} service - r_service record with the new prices
+ * @param {String|null} changedBy - User ID making the change
+ * @returns {Promise<Object>} The new r_service_price_history record
+ */
+export const recordServicePrice = async (tx, service, changedBy = null) => {
+  const now = new Date();
+
+  await tx.r_service_price_history.updateMany({
+    where: { rs_id: service.rs_id, rsph_effective_to: null },
+    data: { rsph_effective_to: now, updated_by: changedBy }
+  });
+
+  return await tx.r_service_price_history.create({
+    data: {
+      rs_id: service.rs_id,
+      rsph_inr_price: service.rs_inr_price,
+      rsph_international_price: service.rs_international_price,
+      rsph_currency_international: service.rs_currency_international,
+      rsph_effective_from: now,
+      status: true,
+      created_by: changedBy
+    }
+  });
+};
+
+/**
+ * Give a service created before price history was kept a record of the price it has had since
+ * it was created, so its first price change doesn't lose it.
+ * Call it inside the transaction that changes the prices, before recordServicePrice.
+ * @param {Object} tx - Prisma transaction client (or the PrismaClient)
+ * @param {Object} service - r_service record with the prices before the change
+ * @returns {Promise<Object|null>} The new r_service_price_history record, or null if it had history
+ */
+export const recordInitialServicePrice = async (tx, service) => {
+  const existingPrice = await tx.r_service_price_history.findFirst({
+    where: { rs_id: service.rs_id },
+    select: { rsph_id: true }
+  });
+
+  if (existingPrice) {
+    return null;
+  }
+
+  return await tx.r_service_price_history.create({
+    data: {
+      rs_id: service.rs_id,
+      rsph_inr_price: service.rs_inr_price,
+      rsph_international_price: service.rs_international_price,
+      rsph_currency_international: service.rs_currency_international,
+      rsph_effective_from: service.created_at,
+      status: true,
+      created_by: 'system'
+    }
+  });
+};
+
+/**
+ * Get the price record a service is currently sold at.
+ * Services created before price history was kept get their first record here.
+ * @param {Object} service - r_service record
+ * @returns {Promise<Object>} The open r_service_price_history record
+ */
+export const getCurrentServicePrice = async (service) => {
+  try {
+    const currentPrice = await prisma.r_service_price_history.findFirst({
+      where: { rs_id: service.rs_id, rsph_effective_to: null, status: true },
+      orderBy: { rsph_effective_from: 'desc' }
+    });
+
+    if (currentPrice) {
+      return currentPrice;
+    }
+
+    return await recordServicePrice(prisma, service, 'system');
+  } catch (error) {
+    console.error('Error getting current service price:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check whether a request body changes any of a service's prices
+ * @param {Object} service - Current r_service record
+ * @param {Object} data - Validated update data (rs_* fields)
+ * @returns {Boolean} True if a price or the international currency changes
+ */
+export const hasPriceChange = (service, data) => {
+  return (data.rs_inr_price !== undefined && Number(data.rs_inr_price) !== Number(service.rs_inr_price)) ||
+    (data.rs_international_price !== undefined && Number(data.rs_international_price) !== Number(service.rs_international_price)) ||
+    (data.rs_currency_international !== undefined && data.rs_currency_international !== service.rs_currency_international);
+};
+
+export default {
+  recordServicePrice,
+  recordInitialServicePrice,
+  getCurrentServicePrice,
+  hasPriceChange,
+};
@@ -0,0 +1,327 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { PrismaClient } from '@prisma/client';
+import { hashToken } from './tokenHelper.js';
+
+const prisma = new PrismaClient();
+
+// Not JWT_EXPIRES_IN: deployments still set that to the old long-lived token lifetime
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+/**
+ * Read the JWT signing secret. There is deliberately no fallback value:
+ * tokens signed with a well-known default could be forged by anyone.
+ * @returns {String} JWT secret
+ */
+const getJwtSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET environment variable is not set');
+  }
+  return process.env.JWT_SECRET;
+};
+
+/**
+ * Extract device details from the request for the session record
+ * @param {Object} req - Express request object
+ * @returns {Object} { deviceName, userAgent, ipAddress }
+ */
+const getClientInfo = (req) => {
+  return {
+    deviceName: req.body?.device_name ? String(req.body.device_name).substring(0, 255) : null,
+    userAgent: req.headers['user-agent'] || null,
+    ipAddress: req.ip || req.socket?.remoteAddress || null,
+  };
+};
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {Object} user - User object with user_id, user_email, role_id and user_token_version
+ * @param {Number} sessionId - The session ID
+ * @returns {String} Signed JWT
+ */
+export const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    {
+      user_id: user.user_id,
+      user_email: user.user_email,
+      role_id: user.role_id,
+      token_version: user.user_token_version,
+      session_id: sessionId,
+    },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+/**
+ * Sign an access token for an admin impersonating a user.
+ * It has no session (so it can't be refreshed) and expires with the impersonation.
+ * @param {Object} user - Impersonated user with user_id, user_email, role_id and user_token_version
+ * @param {Object} impersonation - user_impersonation record
+ * @returns {String} Signed JWT
+ */
+export const signImpersonationToken = (user, impersonation) => {
+  return jwt.sign(
+    {
+      user_id: user.user_id,
+      user_email: user.user_email,
+      role_id: user.role_id,
+      token_version: user.user_token_version,
+      impersonation_id: impersonation.ui_id,
+      impersonator_id: impersonation.ui_admin_user_id,
+      exp: Math.floor(impersonation.ui_expires_at.getTime() / 1000),
+    },
+    getJwtSecret()
+  );
+};
+
+/**
+ * Verify an access token's signature and expiry
+ * @param {String} token - JWT from the Authorization header or socket handshake
+ * @returns {Object} Decoded payload (throws JsonWebTokenError / TokenExpiredError)
+ */
+export const verifyAccessToken = (token) => {
+  return jwt.verify(token, getJwtSecret());
+};
+
+/**
+ * Start a new device session for a user
+ * @param {Object} user - User object with user_id, user_email, role_id and user_token_version
+ * @param {Object} req - Express request object (device details are read from it)
+ * @returns {Promise<Object>} { token, refresh_token, session }
+ */
+export const createSession = async (user, req) => {
+  try {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const { deviceName, userAgent, ipAddress } = getClientInfo(req);
+
+    const session = await prisma.user_session.create({
+      data: {
+        user_id: user.user_id,
+        us_refresh_token_hash: hashToken(refreshToken),
+        us_device_name: deviceName,
+        us_user_agent: userAgent,
+        us_ip_address: ipAddress,
+        us_expires_at: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000),
+        status: true,
+      },
+    });
+
+    return {
+      token: signAccessToken(user, session.us_id),
+      refresh_token: refreshToken,
+      session,
+    };
+  } catch (error) {
+    console.error('Error creating session:', error);
+    throw error;
+  }
+};
+
+/**
+ * Find the live session a refresh token belongs to.
+ * A token that was already rotated out means it was stolen or replayed,
+ * so the whole session is revoked.
+ * @param {String} refreshToken - Raw refresh token received from the client
+ * @returns {Promise<Object|null>} Session with its user, or null if invalid
+ */
+export const findSessionByRefreshToken = async (refreshToken) => {
+  try {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return null;
+    }
+
+    const tokenHash = hashToken(refreshToken);
+
+    const session = await prisma.user_session.findUnique({
+      where: { us_refresh_token_hash: tokenHash },
+      include: { user: true },
+    });
+
+    if (!session) {
+      // Reuse of an old refresh token - revoke the session it belonged to
+      await prisma.user_session.updateMany({
+        where: {
+          us_previous_token_hash: tokenHash,
+          us_revoked_at: null,
+        },
+        data: {
+          us_revoked_at: new Date(),
+          status: false,
+        },
+      });
+      return null;
+    }
+
+    if (!session.status || session.us_revoked_at || session.us_expires_at <= new Date()) {
+      return null;
+    }
+
+    return session;
+  } catch (error) {
+    console.error('Error finding session by refresh token:', error);
+    throw error;
+  }
+};
+
+/**
+ * Issue a new refresh token for a session and invalidate the presented one
+ * @param {Object} session - Session record including its user
+ * @param {Object} req - Express request object (device details are read from it)
+ * @returns {Promise<Object>} { token, refresh_token, session }
+ */
+export const rotateSession = async (session, req) => {
+  try {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const { userAgent, ipAddress } = getClientInfo(req);
+
+    const updatedSession = await prisma.user_session.update({
+      where: { us_id: session.us_id },
+      data: {
+        us_refresh_token_hash: hashToken(refreshToken),
+        us_previous_token_hash: session.us_refresh_token_hash,
+        us_user_agent: userAgent || session.us_user_agent,
+        us_ip_address: ipAddress || session.us_ip_address,
+        us_last_used_at: new Date(),
+      },
+    });
+
+    return {
+      token: signAccessToken(session.user, updatedSession.us_id),
+      refresh_token: refreshToken,
+      session: updatedSession,
+    };
+  } catch (error) {
+    console.error('Error rotating session:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check that the session an access token was issued for is still live
+ * @param {Number} sessionId - The session ID from the access token
+ * @param {Number} userId - The user ID from the access token
+ * @returns {Promise<Boolean>} True if the session exists, is not revoked and not expired
+ */
+export const isSessionActive = async (sessionId, userId) => {
+  try {
+    if (!sessionId) {
+      return false;
+    }
+
+    const session = await prisma.user_session.findFirst({
+      where: {
+        us_id: sessionId,
+        user_id: userId,
+        us_revoked_at: null,
+        us_expires_at: { gt: new Date() },
+        status: true,
+      },
+      select: { us_id: true },
+    });
+
+    return !!session;
+  } catch (error) {
+    console.error('Error checking session:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get all live sessions of a user (newest activity first)
+ * @param {Number} userId - The user ID
+ * @returns {Promise<Array>} Session records without token hashes
+ */
+export const getActiveSessions = async (userId) => {
+  try {
+    return await prisma.user_session.findMany({
+      where: {
+        user_id: userId,
+        us_revoked_at: null,
+        us_expires_at: { gt: new Date() },
+        status: true,
+      },
+      select: {
+        us_id: true,
+        us_device_name: true,
+        us_user_agent: true,
+        us_ip_address: true,
+        us_last_used_at: true,
+        us_expires_at: true,
+        created_at: true,
+      },
+      orderBy: { us_last_used_at: 'desc' },
+    });
+  } catch (error) {
+    console.error('Error fetching active sessions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke a single session of a user
+ * @param {Number} sessionId - The session ID
+ * @param {Number} userId - The user ID (the session must belong to this user)
+ * @returns {Promise<Boolean>} True if a live session was revoked
+ */
+export const revokeSession = async (sessionId, userId) => {
+  try {
+    const result = await prisma.user_session.updateMany({
+      where: {
+        us_id: sessionId,
+        user_id: userId,
+        us_revoked_at: null,
+      },
+      data: {
+        us_revoked_at: new Date(),
+        status: false,
+      },
+    });
+
+    return result.count > 0;
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke every session of a user, optionally keeping one
+ * @param {Number} userId - The user ID
+ * @param {Number|null} exceptSessionId - Session to keep signed in
+ * @returns {Promise<Number>} Number of sessions revoked
+ */
+export const revokeAllSessions = async (userId, exceptSessionId = null) => {
+  try {
+    const result = await prisma.user_session.updateMany({
+      where: {
+        user_id: userId,
+        us_revoked_at: null,
+        ...(exceptSessionId && { us_id: { not: exceptSessionId } }),
+      },
+      data: {
+        us_revoked_at: new Date(),
+        status: false,
+      },
+    });
+
+    return result.count;
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    throw error;
+  }
+};
+
+export default {
+  signAccessToken,
+  signImpersonationToken,
+  verifyAccessToken,
+  createSession,
+  findSessionByRefreshToken,
+  rotateSession,
+  isSessionActive,
+  getActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,249 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Free-text skill lists (te_technologies, tpj_technologies, comma separated intent skills) are split on these
+const SKILL_LIST_SEPARATOR = /[,;|\n]+/;
+
+const MAX_SKILL_LENGTH = 100;
+
+/**
+ * Matching key of a skill name: lower case without spaces, dots, dashes or underscores,
+ * so "React.js", "ReactJS" and "react js" share one key. + and # are kept (C, C++ and C# differ).
+ * @param {String} name - Skill as written
+ * @returns {String} Key, empty when the name has no letters or digits
+ */
+export const skillKey = (name) => {
+  return String(name ?? '').toLowerCase().replace(/[\s._-]+/g, '').slice(0, MAX_SKILL_LENGTH);
+};
+
+/**
+ * Clean up a skill as typed: trim and collapse whitespace
+ * @param {String} name - Skill as written
+ * @returns {String} Cleaned name ('' when empty)
+ */
+const cleanSkillName = (name) => {
+  return String(name ?? '').replace(/\s+/g, ' ').trim().slice(0, MAX_SKILL_LENGTH);
+};
+
+/**
+ * Look up the active canonical skills for a set of keys, by name or alias
+ * @param {Array<String>} keys - skillKey values
+ * @returns {Promise<Map<String, Object>>} key => { sk_id, sk_name }
+ */
+const findSkillsByKeys = async (keys) => {
+  const uniqueKeys = [...new Set(keys.filter(Boolean))];
+  if (uniqueKeys.length === 0) {
+    return new Map();
+  }
+
+  const skills = await prisma.skill.findMany({
+    where: {
+      status: true,
+      OR: [
+        { sk_key: { in: uniqueKeys } },
+        { skill_aliases: { some: { sa_key: { in: uniqueKeys } } } },
+      ],
+    },
+    select: {
+      sk_id: true,
+      sk_name: true,
+      sk_key: true,
+      skill_aliases: { select: { sa_alias: true, sa_key: true } },
+    },
+  });
+
+  const skillsByKey = new Map();
+  for (const skill of skills) {
+    for (const key of [skill.sk_key, ...skill.skill_aliases.map(alias => alias.sa_key)]) {
+      skillsByKey.set(key, skill);
+    }
+  }
+  return skillsByKey;
+};
+
+/**
+ * Map skills as typed to canonical skills. Unknown skills are kept as typed (cleaned up),
+ * and duplicates - including different spellings of one skill - are dropped.
+ * @param {Array<String>} names - Skills as typed
+ * @returns {Promise<Array<Object>>} [{ sk_id (null when unknown), name }], in input order
+ */
+export const normalizeSkillList = async (names) => {
+  const cleaned = (names || []).map(cleanSkillName).filter(name => skillKey(name));
+  const skillsByKey = await findSkillsByKeys(cleaned.map(skillKey));
+
+  const seen = new Set();
+  const normalized = [];
+
+  for (const name of cleaned) {
+    const skill = skillsByKey.get(skillKey(name));
+    const dedupeKey = skill ? `skill:${skill.sk_id}` : skillKey(name);
+
+    if (!seen.has(dedupeKey)) {
+      seen.add(dedupeKey);
+      normalized.push(skill ? { sk_id: skill.sk_id, name: skill.sk_name } : { sk_id: null, name });
+    }
+  }
+
+  return normalized;
+};
+
+/**
+ * Canonical name of a single skill
+ * @param {String} name - Skill as typed
+ * @returns {Promise<String|null>} Canonical name, the cleaned input when unknown, or null when empty
+ */
+export const normalizeSkillName = async (name) => {
+  const [normalized] = await normalizeSkillList([name]);
+  return normalized ? normalized.name : null;
+};
+
+/**
+ * Normalize a comma separated skill list such as t_experience.te_technologies
+ * @param {String|null} text - Skills as typed
+ * @returns {Promise<String|null>} Canonical names joined with ", " (unchanged when empty)
+ */
+export const normalizeSkillText = async (text) => {
+  if (!text || typeof text !== 'string') {
+    return text;
+  }
+
+  const normalized = await normalizeSkillList(text.split(SKILL_LIST_SEPARATOR));
+  return normalized.length > 0 ? normalized.map(skill => skill.name).join(', ') : null;
+};
+
+/**
+ * Everything a skills filter should match: the canonical skills (linked t_skills rows)
+ * and every spelling of them (rows saved before the taxonomy knew the skill).
+ * @param {Array<String>} names - Skills to filter by, as typed
+ * @returns {Promise<Object>} { skillIds, terms }
+ */
+export const resolveSkillFilter = async (names) => {
+  const cleaned = (names || []).map(cleanSkillName).filter(Boolean);
+  const skillsByKey = await findSkillsByKeys(cleaned.map(skillKey));
+
+  const skillIds = new Set();
+  const terms = new Set(cleaned);
+
+  for (const name of cleaned) {
+    const skill = skillsByKey.get(skillKey(name));
+    if (skill) {
+      skillIds.add(skill.sk_id);
+      terms.add(skill.sk_name);
+      skill.skill_aliases.forEach(alias => terms.add(alias.sa_alias));
+    }
+  }
+
+  return { skillIds: [...skillIds], terms: [...terms] };
+};
+
+/**
+ * Suggest canonical skills for a partially typed name. Names starting with the text come first.
+ * @param {String} text - What the user has typed so far
+ * @param {Number} limit - Maximum suggestions
+ * @returns {Promise<Array<Object>>} [{ sk_id, name, category, matched_alias }]
+ */
+export const suggestSkills = async (text, limit = 10) => {
+  const query = cleanSkillName(text);
+  const key = skillKey(query);
+  if (!key) {
+    return [];
+  }
+
+  const skills = await prisma.skill.findMany({
+    where: {
+      status: true,
+      OR: [
+        { sk_name: { contains: query, mode: 'insensitive' } },
+        { sk_key: { contains: key } },
+        { skill_aliases: { some: { sa_key: { contains: key } } } },
+      ],
+    },
+    select: {
+      sk_id: true,
+      sk_name: true,
+      sk_key: true,
+      skill_category: { select: { sc_name: true } },
+      skill_aliases: { select: { sa_alias: true, sa_key: true } },
+      _count: { select: { t_skills: { where: { status: true } } } },
+    },
+    take: 100,
+  });
+
+  // Prefix matches first, then the most used skills
+  const rankOf = (skill) => {
+    if (skill.sk_key.startsWith(key)) return 0;
+    if (skill.skill_aliases.some(alias => alias.sa_key.startsWith(key))) return 1;
+    return 2;
+  };
+
+  return skills
+    .sort((a, b) => rankOf(a) - rankOf(b) || b._count.t_skills - a._count.t_skills || a.sk_name.localeCompare(b.sk_name))
+    .slice(0, limit)
+    .map(skill => {
+      const matchedAlias = skill.sk_key.includes(key)
+        ? null
+        : skill.skill_aliases.find(alias => alias.sa_key.includes(key));
+
+      return {
+        sk_id: skill.sk_id,
+        name: skill.sk_name,
+        category: skill.skill_category?.sc_name || null,
+        matched_alias: matchedAlias ? matchedAlias.sa_alias : null,
+      };
+    });
+};
+
+/**
+ * Link talent skills saved before the taxonomy knew them to their canonical skill
+ * and rename them to the canonical name. Run after skills or aliases are added.
+ * @param {Object} client - Prisma client to use (the seed script passes its own)
+ * @returns {Promise<Number>} Number of t_skills rows linked
+ */
+export const linkUnmatchedSkills = async (client = prisma) => {
+  const unmatched = await client.t_skills.groupBy({
+    by: ['ts_skill'],
+    where: { sk_id: null, ts_skill: { not: null } },
+  });
+
+  const skills = await client.skill.findMany({
+    where: { status: true },
+    select: {
+      sk_id: true,
+      sk_name: true,
+      sk_key: true,
+      skill_aliases: { select: { sa_key: true } },
+    },
+  });
+
+  const skillsByKey = new Map();
+  for (const skill of skills) {
+    for (const key of [skill.sk_key, ...skill.skill_aliases.map(alias => alias.sa_key)]) {
+      skillsByKey.set(key, skill);
+    }
+  }
+
+  let linked = 0;
+  for (const { ts_skill } of unmatched) {
+    const skill = skillsByKey.get(skillKey(ts_skill));
+    if (skill) {
+      const result = await client.t_skills.updateMany({
+        where: { sk_id: null, ts_skill },
+        data: { sk_id: skill.sk_id, ts_skill: skill.sk_name },
+      });
+      linked += result.count;
+    }
+  }
+
+  return linked;
+};
+
+export default {
+  skillKey,
+  normalizeSkillList,
+  normalizeSkillName,
+  normalizeSkillText,
+  resolveSkillFilter,
+  suggestSkills,
+  linkUnmatchedSkills,
+};
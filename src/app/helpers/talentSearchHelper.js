@@ -0,0 +1,275 @@
+import { PrismaClient, Prisma } from '@prisma/client';
+import { EXPERIENCE_LEVELS } from './experienceHelper.js';
+import { resolveSkillFilter } from './skillHelper.js';
+import { rankTalentsBySimilarity } from './embeddingHelper.js';
+import { escapeHtml } from './validationHelper.js';
+
+const prisma = new PrismaClient();
+
+const SEARCH_CONFIG = Prisma.raw(`'english'::regconfig`);
+
+// ts_headline wraps matches in these; they are swapped for <mark> after the snippet is HTML-escaped
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+const HEADLINE_OPTIONS = `StartSel="${MATCH_START}", StopSel="${MATCH_END}", MaxFragments=2, MaxWords=25, MinWords=8, FragmentDelimiter=" … "`;
+
+// What a talent is found by, best match first. Weights A-D feed ts_rank;
+// every part is an expression over t_profile aliased as p.
+const SEARCH_DOCUMENT_PARTS = [
+  { weight: 'A', text: Prisma.sql`p.tp_designation` },
+  {
+    weight: 'A',
+    text: Prisma.sql`(SELECT string_agg(ts_skill, ' ') FROM t_skills WHERE tp_id = p.tp_id AND status = true)`,
+  },
+  { weight: 'B', text: Prisma.sql`p.tp_professional_summary` },
+  {
+    weight: 'B',
+    text: Prisma.sql`(SELECT string_agg(concat_ws(' ', tst_skill_name, tst_description), ' ') FROM t_skill_tiles WHERE tp_id = p.tp_id AND status = true)`,
+  },
+  {
+    weight: 'C',
+    text: Prisma.sql`(SELECT string_agg(concat_ws(' ', te_designation, te_technologies, te_description), ' ') FROM t_experience WHERE tp_id = p.tp_id AND status = true)`,
+  },
+  {
+    weight: 'C',
+    text: Prisma.sql`(SELECT string_agg(tpj_technologies, ' ') FROM t_projects WHERE tp_id = p.tp_id AND status = true)`,
+  },
+  { weight: 'D', text: Prisma.sql`p.tp_about` },
+];
+
+const searchVectorSql = Prisma.join(
+  SEARCH_DOCUMENT_PARTS.map(part => Prisma.sql`setweight(to_tsvector(${SEARCH_CONFIG}, coalesce(${part.text}, '')), ${Prisma.raw(`'${part.weight}'`)})`),
+  ' || '
+);
+
+const searchDocumentSql = Prisma.sql`concat_ws(' • ', ${Prisma.join(SEARCH_DOCUMENT_PARTS.map(part => part.text))})`;
+
+/**
+ * Rebuild a talent's search document from their profile, skills, skill tiles, experience and projects.
+ * Call it after any of them is saved. Failures are reported but never fail the save itself.
+ * @param {Number} tpId - Talent profile ID
+ * @param {Object} client - Prisma client to use (the seed script passes its own)
+ * @returns {Promise<void>}
+ */
+export const refreshTalentSearchVector = async (tpId, client = prisma) => {
+  try {
+    await client.$executeRaw`UPDATE t_profile p SET tp_search_vector = ${searchVectorSql} WHERE p.tp_id = ${tpId}`;
+  } catch (error) {
+    console.error(`Error refreshing search vector for profile ${tpId}:`, error);
+  }
+};
+
+/**
+ * Find active talent profiles matching a search. Supports web-search syntax:
+ * "quoted phrases", OR and -excluded words.
+ * @param {String} query - Search text as typed by the recruiter
+ * @returns {Promise<Map<Number, Number>>} tp_id => ts_rank, for every matching profile
+ */
+export const rankTalentsBySearch = async (query) => {
+  const rows = await prisma.$queryRaw`
+    SELECT tp_id, ts_rank(tp_search_vector, websearch_to_tsquery(${SEARCH_CONFIG}, ${query}), 1) AS rank
+    FROM t_profile
+    WHERE status = true
+      AND tp_search_vector @@ websearch_to_tsquery(${SEARCH_CONFIG}, ${query})
+  `;
+
+  return new Map(rows.map(row => [row.tp_id, Number(row.rank)]));
+};
+
+/**
+ * Build highlighted snippets showing why profiles matched a search.
+ * Only call it for the page being returned - ts_headline re-reads every document.
+ * @param {Array<Number>} tpIds - Talent profile IDs
+ * @param {String} query - The same search text passed to rankTalentsBySearch
+ * @returns {Promise<Map<Number, String>>} tp_id => HTML-escaped snippet with matches wrapped in <mark>
+ */
+export const getSearchSnippets = async (tpIds, query) => {
+  if (tpIds.length === 0) {
+    return new Map();
+  }
+
+  const rows = await prisma.$queryRaw`
+    SELECT p.tp_id, ts_headline(${SEARCH_CONFIG}, ${searchDocumentSql}, websearch_to_tsquery(${SEARCH_CONFIG}, ${query}), ${HEADLINE_OPTIONS}) AS snippet
+    FROM t_profile p
+    WHERE p.tp_id IN (${Prisma.join(tpIds)})
+  `;
+
+  return new Map(rows.map(row => [
+    row.tp_id,
+    escapeHtml(row.snippet || '')
+      .replaceAll(MATCH_START, '<mark>')
+      .replaceAll(MATCH_END, '</mark>'),
+  ]));
+};
+
+/**
+ * Build the Prisma filter for a talent search. Used by the recruiter talent search and saved search alerts.
+ * @param {Object} filters - skills (comma separated), location, experience_level, availability, min_rate, max_rate, search_query,
+ *   search_mode ('keyword' for full-text search, 'semantic' for embedding similarity), tags (comma separated)
+ * @param {Object} [options]
+ * @param {Number} [options.orgId] - Organization whose talent tags the tags filter matches; tags are ignored without it
+ * @returns {Promise<Object>} { where, searchRanks (tp_id => rank or similarity when there is a search query, otherwise null) }
+ */
+export const buildTalentSearchFilter = async (filters, { orgId } = {}) => {
+  const {
+    skills,
+    location,
+    experience_level,
+    availability,
+    min_rate,
+    max_rate,
+    search_query,
+    search_mode = 'keyword',
+    tags
+  } = filters;
+
+  const whereClause = {
+    status: true,
+    user: {
+      is_active: true,
+      is_deleted: false,
+      is_blocked: false,
+      is_suspended: false,
+      user_role: {
+        role_name: 'talent'
+      }
+    }
+  };
+
+  // Add skills filter: any of the skills, under any of their spellings (see skillHelper.js)
+  if (skills) {
+    const { skillIds, terms } = await resolveSkillFilter(skills.split(','));
+    whereClause.t_skills = {
+      some: {
+        status: true,
+        OR: [
+          { sk_id: { in: skillIds } },
+          { ts_skill: { in: terms, mode: 'insensitive' } }
+        ]
+      }
+    };
+  }
+
+  // Add location filter
+  if (location && location !== 'All Locations') {
+    whereClause.tp_location = {
+      contains: location,
+      mode: 'insensitive'
+    };
+  }
+
+  // Add experience level filter (Junior < 3 years, Mid 3-7, Senior 7-12, Lead 12+)
+  if (experience_level && experience_level !== 'All Levels') {
+    if (EXPERIENCE_LEVELS[experience_level]) {
+      const { min, max } = EXPERIENCE_LEVELS[experience_level];
+      whereClause.tp_experience_months = {
+        gte: min,
+        ...(max !== null && { lt: max })
+      };
+    }
+  }
+
+  // Add availability filter
+  if (availability && availability !== 'All Types') {
+    const availabilityMap = {
+      'Full-time': { ta_full_time: true },
+      'Part-time': { ta_part_time: true },
+      'Consulting': { ta_consulting: true }
+    };
+    
+    if (availabilityMap[availability]) {
+      whereClause.t_availability = {
+        some: {
+          ...availabilityMap[availability],
+          status: true
+        }
+      };
+    }
+  }
+
+  // Add rate range filter
+  if (min_rate || max_rate) {
+    const rateFilter = {
+      some: {
+        status: true
+      }
+    };
+
+    if (min_rate) {
+      rateFilter.some.OR = [
+        { ta_full_min_salary: { gte: parseInt(min_rate) } },
+        { ta_part_min_salary: { gte: parseInt(min_rate) } },
+        { ta_consulting_min_salary: { gte: parseInt(min_rate) } }
+      ];
+    }
+
+    if (max_rate) {
+      if (rateFilter.some.OR) {
+        rateFilter.some.AND = [
+          { OR: rateFilter.some.OR },
+          {
+            OR: [
+              { ta_full_max_salary: { lte: parseInt(max_rate) } },
+              { ta_part_max_salary: { lte: parseInt(max_rate) } },
+              { ta_consulting_max_salary: { lte: parseInt(max_rate) } }
+            ]
+          }
+        ];
+        delete rateFilter.some.OR;
+      } else {
+        rateFilter.some.OR = [
+          { ta_full_max_salary: { lte: parseInt(max_rate) } },
+          { ta_part_max_salary: { lte: parseInt(max_rate) } },
+          { ta_consulting_max_salary: { lte: parseInt(max_rate) } }
+        ];
+      }
+    }
+
+    whereClause.t_availability = rateFilter;
+  }
+
+  // Add search query filter: full-text search over the profile, or the talent's name
+  const searchText = search_query?.trim();
+  let searchRanks = null;
+  if (searchText && search_mode === 'semantic') {
+    // Semantic search: profiles described in similar words, whatever the exact terms (embeddingHelper.js)
+    searchRanks = await rankTalentsBySimilarity(searchText);
+    whereClause.tp_id = { in: [...searchRanks.keys()] };
+  } else if (searchText) {
+    searchRanks = await rankTalentsBySearch(searchText);
+    whereClause.OR = [
+      { tp_id: { in: [...searchRanks.keys()] } },
+      { user: { user_full_name: { contains: searchText, mode: 'insensitive' } } }
+    ];
+  }
+
+  // Talents the organization tagged with any of the tags
+  const tagList = tags ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : [];
+  if (tagList.length > 0 && orgId) {
+    whereClause.r_talent_tags = {
+      some: {
+        org_id: orgId,
+        OR: tagList.map(tag => ({ rtt_tag: { equals: tag, mode: 'insensitive' } }))
+      }
+    };
+  }
+
+  return { where: whereClause, searchRanks };
+};
+
+/**
+ * Build search documents for profiles that don't have one yet (saved before search existed)
+ * @param {Object} client - Prisma client to use
+ * @returns {Promise<Number>} Number of profiles indexed
+ */
+export const backfillTalentSearchVectors = async (client = prisma) => {
+  return await client.$executeRaw`UPDATE t_profile p SET tp_search_vector = ${searchVectorSql} WHERE p.tp_search_vector IS NULL AND p.status = true`;
+};
+
+export default {
+  refreshTalentSearchVector,
+  rankTalentsBySearch,
+  getSearchSnippets,
+  buildTalentSearchFilter,
+  backfillTalentSearchVectors,
+};
@@ -0,0 +1,117 @@
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+/**
+ * Hash a raw token for storage/lookup
+ * @param {String} token - Raw token sent to the user
+ * @returns {String} SHA-256 hex digest
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Create a single-use token for a user
+ * Any previous unused token of the same type is invalidated first
+ * @param {Number} userId - The user ID
+ * @param {String} type - Token type (ut_type_types)
+ * @param {Number} expiresInMinutes - Token lifetime in minutes
+ * @returns {Promise<Object>} { token, expiresAt } - the raw token is never stored
+ */
+export const createUserToken = async (userId, type, expiresInMinutes) => {
+  try {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+    await prisma.$transaction([
+      prisma.user_token.updateMany({
+        where: {
+          user_id: userId,
+          ut_type: type,
+          ut_used_at: null,
+          status: true,
+        },
+        data: { status: false },
+      }),
+      prisma.user_token.create({
+        data: {
+          user_id: userId,
+          ut_type: type,
+          ut_token_hash: hashToken(token),
+          ut_expires_at: expiresAt,
+          status: true,
+        },
+      }),
+    ]);
+
+    return { token, expiresAt };
+  } catch (error) {
+    console.error('Error creating user token:', error);
+    throw error;
+  }
+};
+
+/**
+ * Find an active, unused and unexpired token
+ * @param {String} token - Raw token received from the user
+ * @param {String} type - Token type (ut_type_types)
+ * @returns {Promise<Object|null>} Token record with its user, or null if invalid
+ */
+export const findValidUserToken = async (token, type) => {
+  try {
+    if (!token || typeof token !== 'string') {
+      return null;
+    }
+
+    const userToken = await prisma.user_token.findFirst({
+      where: {
+        ut_token_hash: hashToken(token),
+        ut_type: type,
+        ut_used_at: null,
+        ut_expires_at: { gt: new Date() },
+        status: true,
+      },
+      include: {
+        user: true,
+      },
+    });
+
+    return userToken;
+  } catch (error) {
+    console.error('Error finding user token:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get tokens of a type issued to a user within a recent time window (newest first)
+ * Used to throttle how often emails carrying tokens can be requested
+ * @param {Number} userId - The user ID
+ * @param {String} type - Token type (ut_type_types)
+ * @param {Number} withinMinutes - Size of the time window in minutes
+ * @returns {Promise<Array>} Token records
+ */
+export const getRecentUserTokens = async (userId, type, withinMinutes) => {
+  try {
+    return await prisma.user_token.findMany({
+      where: {
+        user_id: userId,
+        ut_type: type,
+        created_at: { gte: new Date(Date.now() - withinMinutes * 60 * 1000) },
+      },
+      orderBy: { created_at: 'desc' },
+    });
+  } catch (error) {
+    console.error('Error fetching recent user tokens:', error);
+    throw error;
+  }
+};
+
+export default {
+  hashToken,
+  createUserToken,
+  findValidUserToken,
+  getRecentUserTokens,
+};
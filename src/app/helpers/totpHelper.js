@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+
+// RFC 6238 defaults understood by all common authenticator apps
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'TalentFlip';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {String} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {String} input - Base32 string (case-insensitive, padding and spaces ignored)
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character in TOTP secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Compute the HOTP code for a counter (RFC 4226)
+ * @param {Buffer} key - Shared secret
+ * @param {Number} counter - Moving factor (the TOTP time step)
+ * @returns {String} Zero-padded numeric code
+ */
+const generateHotp = (key, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {String} Base32 encoded 160-bit secret
+ */
+export const generateTotpSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps scan as a QR code
+ * @param {String} secret - Base32 TOTP secret
+ * @param {String} accountName - Label shown in the app (usually the user's email)
+ * @returns {String} otpauth URI
+ */
+export const buildOtpAuthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: TOTP_DIGITS.toString(),
+    period: TOTP_PERIOD_SECONDS.toString(),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Verify a TOTP code, allowing for small clock drift
+ * @param {String} secret - Base32 TOTP secret
+ * @param {String} code - Code entered by the user
+ * @param {Number} window - Number of time steps accepted before/after the current one
+ * @returns {Number|null} The matched time step, or null if the code is invalid
+ */
+export const verifyTotp = (secret, code, window = 1) => {
+  if (!secret || !code) {
+    return null;
+  }
+
+  const normalizedCode = String(code).replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalizedCode)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+
+  for (let errorWindow = -window; errorWindow <= window; errorWindow++) {
+    const step = currentStep + errorWindow;
+    const expected = generateHotp(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalizedCode))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Generate human-friendly one-time recovery codes (e.g. "4f9a-c21b-77de")
+ * @param {Number} count - Number of codes to generate
+ * @returns {Array<String>} Recovery codes
+ */
+export const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(6).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4, 8)}-${hex.slice(8, 12)}`;
+  });
+};
+
+/**
+ * Normalize a recovery code before hashing/comparison
+ * @param {String} code - Recovery code as typed by the user
+ * @returns {String} Lowercase code without spaces or dashes
+ */
+export const normalizeRecoveryCode = (code) => {
+  return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+};
+
+export default {
+  generateTotpSecret,
+  buildOtpAuthUri,
+  verifyTotp,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+};
@@ -0,0 +1,67 @@
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Files stored as 'uploads/...' paths are served from here (see app.js)
+const PUBLIC_DIR = path.join(__dirname, '../../../public');
+const UPLOADS_DIR = path.join(PUBLIC_DIR, 'uploads');
+
+/**
+ * Resolve a stored upload path (e.g. 'uploads/talent/resumes/x.pdf') to a file on disk.
+ * External URLs and paths outside the uploads directory are ignored.
+ * @param {String|null} fileUrl - Path as stored in the database
+ * @returns {String|null} Absolute file path, or null if it isn't a local upload
+ */
+export const resolveUploadPath = (fileUrl) => {
+  if (!fileUrl || typeof fileUrl !== 'string' || /^[a-z]+:\/\//i.test(fileUrl)) {
+    return null;
+  }
+
+  const uploadsIndex = fileUrl.indexOf('uploads/');
+  if (uploadsIndex === -1) {
+    return null;
+  }
+
+  const absolutePath = path.resolve(PUBLIC_DIR, fileUrl.substring(uploadsIndex));
+  return absolutePath.startsWith(UPLOADS_DIR + path.sep) ? absolutePath : null;
+};
+
+/**
+ * Split a comma separated list of stored upload paths (t_projects.tpj_images)
+ * @param {String|null} value - Comma separated paths
+ * @returns {Array<String>} Paths
+ */
+export const splitUploadList = (value) => {
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+};
+
+/**
+ * Delete an uploaded file if it exists. Failures are reported but not thrown.
+ * @param {String|null} fileUrl - Path as stored in the database
+ * @returns {Promise<Boolean>} True if a file was removed
+ */
+export const deleteUploadedFile = async (fileUrl) => {
+  const absolutePath = resolveUploadPath(fileUrl);
+  if (!absolutePath) {
+    return false;
+  }
+
+  try {
+    await fs.promises.unlink(absolutePath);
+    return true;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Error deleting uploaded file ${fileUrl}:`, error);
+    }
+    return false;
+  }
+};
+
+export default {
+  resolveUploadPath,
+  splitUploadList,
+  deleteUploadedFile,
+};
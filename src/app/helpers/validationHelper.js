@@ -74,6 +74,18 @@ export const sanitizeInput = (input) => {
   return input.trim().replace(/[<>]/g, '');
 };
 
+/**
+ * Escape text for use inside HTML (email bodies, rich text, highlighted snippets)
+ * @param {*} text - Value to escape; non-strings are converted first
+ * @returns {String} The text with HTML special characters replaced by entities
+ */
+export const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 export const validateRequired = (fields, data) => {
   const missing = [];
   fields.forEach(field => {
@@ -84,11 +96,27 @@ export const validateRequired = (fields, data) => {
   return missing;
 };
 
+/**
+ * Check that an ordering payload lists exactly the given IDs
+ * @param {Array} ids - IDs from the request, in the new order
+ * @param {Array<Number>} existingIds - IDs that must all be listed
+ * @returns {Boolean} True if ids is a permutation of existingIds
+ */
+export const isCompleteOrdering = (ids, existingIds) => {
+  if (!Array.isArray(ids) || ids.length !== existingIds.length) {
+    return false;
+  }
+  const requested = new Set(ids.map(id => parseInt(id)));
+  return requested.size === existingIds.length && existingIds.every(id => requested.has(id));
+};
+
 export default {
   validateEmail,
   validatePassword,
   validatePhone,
   sanitizePhoneNumber,
   sanitizeInput,
-  validateRequired
+  escapeHtml,
+  validateRequired,
+  isCompleteOrdering
 };
@@ -1,17 +1,317 @@
-// TODO: Add controller methods here
+import { PrismaClient } from '@prisma/client';
+import { sendResponse } from '../../helpers/responseHelper.js';
+import { clearFailedSignins } from '../../helpers/loginAttemptHelper.js';
+import { revokeAllSessions, signImpersonationToken } from '../../helpers/sessionHelper.js';
+import { parseReportRange, sendReportFile, REPORT_FORMATS } from '../../helpers/reportHelper.js';
+import { recordServicePrice, recordInitialServicePrice, hasPriceChange } from '../../helpers/serviceHelper.js';
+import { rolePermissionsSelect, mapRolePermissions, getRolePermissions } from '../../helpers/permissionHelper.js';
+import { startImpersonation, endImpersonation } from '../../helpers/impersonationHelper.js';
+import { recordAudit } from '../../helpers/auditHelper.js';
+import { skillKey, linkUnmatchedSkills } from '../../helpers/skillHelper.js';
+import { isCompleteOrdering } from '../../helpers/validationHelper.js';
+import statusType from '../../enums/statusTypes.js';
+import permissionType from '../../enums/permissionTypes.js';
+import auditAction from '../../enums/auditActions.js';
+import { disconnectUserSockets, disconnectImpersonationSockets } from '../../../socket/socketServer.js';
+
+const prisma = new PrismaClient();
+
+// Fields returned for users in admin listings
+const userListSelect = {
+  user_id: true,
+  user_full_name: true,
+  user_email: true,
+  user_mobile: true,
+  role_id: true,
+  status: true,
+  is_verified: true,
+  is_active: true,
+  is_deleted: true,
+  is_blocked: true,
+  is_suspended: true,
+  is_password_set: true,
+  user_2fa_enabled: true,
+  user_locked_until: true,
+  user_erased_at: true,
+  created_at: true,
+  updated_at: true,
+  user_role: {
+    select: {
+      role_name: true
+    }
+  }
+};
+
+// Boolean flags that can be used as listing filters (?is_blocked=true etc.)
+const USER_FLAG_FILTERS = ['is_verified', 'is_active', 'is_deleted', 'is_blocked', 'is_suspended'];
+
+const USER_SORT_FIELDS = ['created_at', 'updated_at', 'user_full_name', 'user_email'];
+
+/**
+ * Parse a "true"/"false" query value
+ * @param {String} value - Query string value
+ * @returns {Boolean|undefined} Parsed value, or undefined if not a boolean
+ */
+const parseBooleanQuery = (value) => {
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  return undefined;
+};
+
+/**
+ * Paginated, filterable user listing shared by the users/talents/recruiters endpoints
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {String|null} rolePermission - Only list users whose role grants this permission
+ */
+const listUsers = async (req, res, rolePermission = null) => {
+  const {
+    page = 1,
+    limit = 10,
+    role_id,
+    search,
+    signup_from,
+    signup_to,
+    sort_by = 'created_at',
+    sort_order = 'desc'
+  } = req.query;
+
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+  const offset = (pageNum - 1) * limitNum;
+
+  const whereClause = {};
+
+  if (role_id) {
+    whereClause.role_id = parseInt(role_id);
+  }
+
+  if (rolePermission) {
+    whereClause.user_role = {
+      role_permission_mapper: {
+        some: {
+          status: true,
+          permission: { permission_name: rolePermission, status: true }
+        }
+      }
+    };
+  }
+
+  for (const flag of USER_FLAG_FILTERS) {
+    const value = parseBooleanQuery(req.query[flag]);
+    if (value !== undefined) {
+      // Older rows may have NULL flags, which count as false
+      whereClause.AND = [
+        ...(whereClause.AND || []),
+        value ? { [flag]: true } : { OR: [{ [flag]: false }, { [flag]: null }] }
+      ];
+    }
+  }
+
+  if (signup_from || signup_to) {
+    const fromDate = signup_from ? new Date(signup_from) : null;
+    const toDate = signup_to ? new Date(signup_to) : null;
+
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return sendResponse(res, 'error', null, 'Invalid signup date filter', statusType.BAD_REQUEST);
+    }
+
+    whereClause.created_at = {
+      ...(fromDate && { gte: fromDate }),
+      ...(toDate && { lte: toDate })
+    };
+  }
+
+  if (search && search.trim()) {
+    whereClause.OR = [
+      { user_full_name: { contains: search.trim(), mode: 'insensitive' } },
+      { user_email: { contains: search.trim(), mode: 'insensitive' } },
+      { user_mobile: { contains: search.trim() } }
+    ];
+  }
+
+  const orderField = USER_SORT_FIELDS.includes(sort_by) ? sort_by : 'created_at';
+  const orderDirection = sort_order === 'asc' ? 'asc' : 'desc';
+
+  const [totalCount, users] = await Promise.all([
+    prisma.user.count({ where: whereClause }),
+    prisma.user.findMany({
+      where: whereClause,
+      select: userListSelect,
+      orderBy: { [orderField]: orderDirection },
+      skip: offset,
+      take: limitNum
+    })
+  ]);
+
+  const totalPages = Math.ceil(totalCount / limitNum);
+
+  return sendResponse(res, 'success', {
+    users,
+    pagination: {
+      current_page: pageNum,
+      total_pages: totalPages,
+      total_count: totalCount,
+      per_page: limitNum,
+      has_next_page: pageNum < totalPages,
+      has_prev_page: pageNum > 1
+    }
+  }, 'Users retrieved successfully', statusType.SUCCESS);
+};
+
+/**
+ * Get all users with pagination and filters
+ * Query: page, limit, role_id, is_verified, is_active, is_deleted, is_blocked, is_suspended,
+ * search, signup_from, signup_to, sort_by, sort_order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
 export const getAllUsers = async (req, res) => {
-  // TODO: Implement get all users
-  res.json({ message: 'Get all users endpoint' });
+  try {
+    return await listUsers(req, res);
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to fetch users', statusType.INTERNAL_SERVER_ERROR);
+  }
 };
 
+/**
+ * Get all talent users (roles granting talent access), same filters as getAllUsers
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
 export const getAllTalents = async (req, res) => {
-  // TODO: Implement get all talents
-  res.json({ message: 'Get all talents endpoint' });
+  try {
+    return await listUsers(req, res, permissionType.TALENT_ACCESS);
+  } catch (error) {
+    console.error('Error fetching talents:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to fetch talents', statusType.INTERNAL_SERVER_ERROR);
+  }
 };
 
+/**
+ * Get all recruiter users (roles granting recruiter access), same filters as getAllUsers
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
 export const getAllRecruiters = async (req, res) => {
-  // TODO: Implement get all recruiters
-  res.json({ message: 'Get all recruiters endpoint' });
+  try {
+    return await listUsers(req, res, permissionType.RECRUITER_ACCESS);
+  } catch (error) {
+    console.error('Error fetching recruiters:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to fetch recruiters', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Get a single user with their profiles, intents and transactions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getUserDetails = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User ID is required', statusType.BAD_REQUEST);
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { user_id: userId },
+      select: {
+        ...userListSelect,
+        created_by: true,
+        referred_by: true,
+        t_profile: {
+          where: { status: true },
+          include: {
+            t_skills: { where: { status: true } },
+            t_skill_tiles: { where: { status: true }, orderBy: { tst_order: 'asc' } },
+            t_experience: { where: { status: true }, orderBy: { te_start_date: 'desc' } },
+            t_projects: { where: { status: true } },
+            t_availability: { where: { status: true } },
+            r_intent_talent_mapper: {
+              where: { status: true },
+              include: {
+                r_intent: {
+                  select: {
+                    ri_id: true,
+                    ri_job_title: true,
+                    ri_intent_type: true,
+                    user_id: true,
+                    created_at: true,
+                    user: {
+                      select: {
+                        user_full_name: true,
+                        user_email: true
+                      }
+                    }
+                  }
+                }
+              },
+              orderBy: { created_at: 'desc' }
+            }
+          }
+        },
+        r_profile: {
+          where: { status: true },
+          include: {
+            r_company_profile: true,
+            r_individual_profile: true
+          }
+        },
+        r_intent: {
+          where: { status: true },
+          include: {
+            r_intent_talent_mapper: {
+              where: { status: true },
+              select: {
+                ritm_id: true,
+                tp_id: true,
+                ritm_intent_status: true,
+                created_at: true
+              }
+            }
+          },
+          orderBy: { created_at: 'desc' }
+        },
+        r_transaction: {
+          where: { status: true },
+          include: {
+            r_service: {
+              select: {
+                rs_id: true,
+                rs_name: true
+              }
+            },
+            r_service_purchase_mapper: {
+              where: { status: true }
+            }
+          },
+          orderBy: { created_at: 'desc' }
+        }
+      }
+    });
+
+    if (!user) {
+      return sendResponse(res, 'error', null, 'User not found', statusType.NOT_FOUND);
+    }
+
+    const activeSessions = await prisma.user_session.count({
+      where: {
+        user_id: userId,
+        us_revoked_at: null,
+        us_expires_at: { gt: new Date() },
+        status: true
+      }
+    });
+
+    return sendResponse(res, 'success', { ...user, active_sessions: activeSessions }, 'User details retrieved successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error fetching user details:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to fetch user details', statusType.INTERNAL_SERVER_ERROR);
+  }
 };
 
 export const getAllJobs = async (req, res) => {
@@ -24,19 +324,446 @@ export const getAllApplications = async (req, res) => {
   res.json({ message: 'Get all applications endpoint' });
 };
 
+// Account actions and the flag change they make
+const USER_STATUS_ACTIONS = {
+  block: { is_blocked: true },
+  unblock: { is_blocked: false },
+  suspend: { is_suspended: true, user_locked_until: null },
+  unsuspend: { is_suspended: false, user_locked_until: null }
+};
+
+/**
+ * Load the target of an account action, rejecting actions on the admin's own account
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} { user } or { error, statusCode }
+ */
+const getManagedUser = async (req) => {
+  const userId = parseInt(req.params.userId);
+
+  if (!userId) {
+    return { error: 'User ID is required', statusCode: statusType.BAD_REQUEST };
+  }
+
+  if (userId === req.user.user_id) {
+    return { error: 'You cannot change the status of your own account', statusCode: statusType.BAD_REQUEST };
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { user_id: userId },
+    select: userListSelect
+  });
+
+  if (!user) {
+    return { error: 'User not found', statusCode: statusType.NOT_FOUND };
+  }
+
+  return { user };
+};
+
+/**
+ * Sign a user out everywhere (sessions and open sockets)
+ * @param {Number} userId - The user ID
+ */
+const signOutUser = async (userId) => {
+  await revokeAllSessions(userId);
+  disconnectUserSockets(userId);
+};
+
+/**
+ * Block, unblock, suspend or unsuspend a user
+ * Blocking or suspending signs the user out of every device
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
 export const updateUserStatus = async (req, res) => {
-  // TODO: Implement update user status
-  res.json({ message: 'Update user status endpoint' });
+  try {
+    const { action } = req.body;
+
+    if (!USER_STATUS_ACTIONS[action]) {
+      return sendResponse(res, 'error', null, `Action must be one of: ${Object.keys(USER_STATUS_ACTIONS).join(', ')}`, statusType.BAD_REQUEST);
+    }
+
+    const { user, error, statusCode } = await getManagedUser(req);
+
+    if (error) {
+      return sendResponse(res, 'error', null, error, statusCode);
+    }
+
+    if (user.is_deleted) {
+      return sendResponse(res, 'error', null, 'User is deleted, restore the account first', statusType.BAD_REQUEST);
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { user_id: user.user_id },
+      data: USER_STATUS_ACTIONS[action],
+      select: userListSelect
+    });
+
+    if (action === 'block' || action === 'suspend') {
+      await signOutUser(user.user_id);
+    }
+
+    await recordAudit(req, {
+      action: auditAction.ADMIN_USER_STATUS_UPDATE,
+      entityType: 'user',
+      entityId: user.user_id,
+      before: user,
+      after: updatedUser
+    });
+
+    return sendResponse(res, 'success', updatedUser, 'User status updated successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error updating user status:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to update user status', statusType.INTERNAL_SERVER_ERROR);
+  }
 };
 
+/**
+ * Soft delete a user (is_deleted = true) and sign them out everywhere
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
 export const deleteUser = async (req, res) => {
-  // TODO: Implement delete user
-  res.json({ message: 'Delete user endpoint' });
+  try {
+    const { user, error, statusCode } = await getManagedUser(req);
+
+    if (error) {
+      return sendResponse(res, 'error', null, error, statusCode);
+    }
+
+    if (user.is_deleted) {
+      return sendResponse(res, 'error', null, 'User is already deleted', statusType.BAD_REQUEST);
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { user_id: user.user_id },
+      data: { is_deleted: true },
+      select: userListSelect
+    });
+
+    await signOutUser(user.user_id);
+
+    await recordAudit(req, {
+      action: auditAction.ADMIN_USER_DELETE,
+      entityType: 'user',
+      entityId: user.user_id,
+      before: user,
+      after: updatedUser
+    });
+
+    return sendResponse(res, 'success', updatedUser, 'User deleted successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to delete user', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Restore a soft deleted user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const restoreUser = async (req, res) => {
+  try {
+    const { user, error, statusCode } = await getManagedUser(req);
+
+    if (error) {
+      return sendResponse(res, 'error', null, error, statusCode);
+    }
+
+    if (!user.is_deleted) {
+      return sendResponse(res, 'error', null, 'User is not deleted', statusType.BAD_REQUEST);
+    }
+
+    if (user.user_erased_at) {
+      return sendResponse(res, 'error', null, 'User erased their account, it cannot be restored', statusType.BAD_REQUEST);
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { user_id: user.user_id },
+      data: { is_deleted: false },
+      select: userListSelect
+    });
+
+    await recordAudit(req, {
+      action: auditAction.ADMIN_USER_RESTORE,
+      entityType: 'user',
+      entityId: user.user_id,
+      before: user,
+      after: updatedUser
+    });
+
+    return sendResponse(res, 'success', updatedUser, 'User restored successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error restoring user:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to restore user', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Signups per role, grouped by period
+ * @param {Object} range - { from, to, interval } from parseReportRange
+ * @returns {Promise<Array>} Report rows
+ */
+const buildSignupsReport = async ({ from, to, interval }) => {
+  return await prisma.$queryRaw`
+    SELECT date_trunc(${interval}, u.created_at) AS period,
+           r.role_name,
+           COUNT(*)::int AS signups,
+           COUNT(*) FILTER (WHERE u.is_verified = true)::int AS verified
+    FROM "user" u
+    JOIN role r ON r.role_id = u.role_id
+    WHERE u.created_at >= ${from} AND u.created_at <= ${to}
+    GROUP BY 1, 2
+    ORDER BY 1, 2
+  `;
+};
+
+/**
+ * Intent activity per period: intents sent to talents and the responses recorded on the timeline
+ * @param {Object} range - { from, to, interval } from parseReportRange
+ * @returns {Promise<Array>} Report rows
+ */
+const buildIntentsReport = async ({ from, to, interval }) => {
+  return await prisma.$queryRaw`
+    SELECT period,
+           SUM(sent)::int AS sent,
+           SUM(agreement_accepted)::int AS agreement_accepted,
+           SUM(accepted)::int AS accepted,
+           SUM(rejected)::int AS rejected,
+           SUM(project_started)::int AS project_started
+    FROM (
+      SELECT date_trunc(${interval}, created_at) AS period,
+             1 AS sent, 0 AS agreement_accepted, 0 AS accepted, 0 AS rejected, 0 AS project_started
+      FROM r_intent_talent_mapper
+      WHERE status = true AND created_at >= ${from} AND created_at <= ${to}
+      UNION ALL
+      SELECT date_trunc(${interval}, created_at) AS period,
+             0,
+             (rit_status = 'Intent_Agreement_Accepted')::int,
+             (rit_status = 'Intent_Accepted')::int,
+             (rit_status = 'Intent_Rejected')::int,
+             (rit_status = 'Project_Started')::int
+      FROM r_intent_timeline
+      WHERE status = true AND rit_status <> 'Intent_Submitted'
+        AND created_at >= ${from} AND created_at <= ${to}
+    ) events
+    GROUP BY period
+    ORDER BY period
+  `;
+};
+
+/**
+ * Conversion of intents sent in each period (cohort) to accepted and Project_Started,
+ * counting responses recorded at any time since
+ * @param {Object} range - { from, to, interval } from parseReportRange
+ * @returns {Promise<Array>} Report rows
+ */
+const buildConversionReport = async ({ from, to, interval }) => {
+  const rows = await prisma.$queryRaw`
+    SELECT date_trunc(${interval}, ritm.created_at) AS period,
+           COUNT(*)::int AS sent,
+           COUNT(*) FILTER (WHERE ritm.ritm_intent_status IN ('Intent_Accepted', 'Project_Started'))::int AS accepted,
+           COUNT(*) FILTER (WHERE ritm.ritm_intent_status = 'Intent_Rejected')::int AS rejected,
+           COUNT(*) FILTER (WHERE ritm.ritm_intent_status = 'Project_Started')::int AS project_started
+    FROM r_intent_talent_mapper ritm
+    WHERE ritm.status = true AND ritm.created_at >= ${from} AND ritm.created_at <= ${to}
+    GROUP BY 1
+    ORDER BY 1
+  `;
+
+  const percentage = (count, total) => (total > 0 ? Math.round((count / total) * 10000) / 100 : 0);
+
+  return rows.map(row => ({
+    ...row,
+    acceptance_rate: percentage(row.accepted, row.sent),
+    project_conversion_rate: percentage(row.project_started, row.sent)
+  }));
+};
+
+/**
+ * Revenue per period, service and currency from completed (and refunded) transactions
+ * @param {Object} range - { from, to, interval } from parseReportRange
+ * @returns {Promise<Array>} Report rows
+ */
+const buildRevenueReport = async ({ from, to, interval }) => {
+  return await prisma.$queryRaw`
+    SELECT date_trunc(${interval}, COALESCE(rt.rt_transaction_date, rt.created_at)) AS period,
+           rs.rs_name AS service,
+           rt.rt_currency AS currency,
+           COUNT(*) FILTER (WHERE rt.rt_payment_status = 'Completed')::int AS transactions,
+           COALESCE(SUM(rt.rt_amount) FILTER (WHERE rt.rt_payment_status = 'Completed'), 0) AS revenue,
+           COUNT(*) FILTER (WHERE rt.rt_payment_status = 'Refunded')::int AS refunds,
+           COALESCE(SUM(rt.rt_amount) FILTER (WHERE rt.rt_payment_status = 'Refunded'), 0) AS refunded_amount
+    FROM r_transaction rt
+    JOIN r_service rs ON rs.rs_id = rt.rs_id
+    WHERE rt.status = true
+      AND rt.rt_payment_status IN ('Completed', 'Refunded')
+      AND COALESCE(rt.rt_transaction_date, rt.created_at) >= ${from}
+      AND COALESCE(rt.rt_transaction_date, rt.created_at) <= ${to}
+    GROUP BY 1, 2, 3
+    ORDER BY 1, 2, 3
+  `;
 };
 
+/**
+ * Meetings per period with their outcome and durations (minutes)
+ * @param {Object} range - { from, to, interval } from parseReportRange
+ * @returns {Promise<Array>} Report rows
+ */
+const buildMeetingsReport = async ({ from, to, interval }) => {
+  return await prisma.$queryRaw`
+    SELECT date_trunc(${interval}, COALESCE(m.meeting_started_at, m.meeting_scheduled_at, m.created_at)) AS period,
+           COUNT(*)::int AS meetings,
+           COUNT(*) FILTER (WHERE m.meeting_status = 'Completed')::int AS completed,
+           COUNT(*) FILTER (WHERE m.meeting_status = 'Cancelled')::int AS cancelled,
+           COALESCE(ROUND(SUM(m.meeting_duration) / 60.0, 1), 0)::float AS total_duration_minutes,
+           COALESCE(ROUND(AVG(m.meeting_duration) / 60.0, 1), 0)::float AS avg_duration_minutes
+    FROM meeting m
+    WHERE m.status = true
+      AND COALESCE(m.meeting_started_at, m.meeting_scheduled_at, m.created_at) >= ${from}
+      AND COALESCE(m.meeting_started_at, m.meeting_scheduled_at, m.created_at) <= ${to}
+    GROUP BY 1
+    ORDER BY 1
+  `;
+};
+
+// Reports available from /reports/:reportName and their export columns
+const REPORTS = {
+  signups: {
+    title: 'Signups by role',
+    build: buildSignupsReport,
+    columns: [
+      { key: 'period', header: 'Period' },
+      { key: 'role_name', header: 'Role' },
+      { key: 'signups', header: 'Signups' },
+      { key: 'verified', header: 'Verified' }
+    ]
+  },
+  intents: {
+    title: 'Intent activity',
+    build: buildIntentsReport,
+    columns: [
+      { key: 'period', header: 'Period' },
+      { key: 'sent', header: 'Sent' },
+      { key: 'agreement_accepted', header: 'Agreements accepted' },
+      { key: 'accepted', header: 'Accepted' },
+      { key: 'rejected', header: 'Rejected' },
+      { key: 'project_started', header: 'Projects started' }
+    ]
+  },
+  conversion: {
+    title: 'Intent conversion',
+    build: buildConversionReport,
+    columns: [
+      { key: 'period', header: 'Period sent' },
+      { key: 'sent', header: 'Sent' },
+      { key: 'accepted', header: 'Accepted' },
+      { key: 'rejected', header: 'Rejected' },
+      { key: 'project_started', header: 'Projects started' },
+      { key: 'acceptance_rate', header: 'Acceptance rate (%)' },
+      { key: 'project_conversion_rate', header: 'Project conversion rate (%)' }
+    ]
+  },
+  revenue: {
+    title: 'Revenue by service',
+    build: buildRevenueReport,
+    columns: [
+      { key: 'period', header: 'Period' },
+      { key: 'service', header: 'Service' },
+      { key: 'currency', header: 'Currency' },
+      { key: 'transactions', header: 'Transactions' },
+      { key: 'revenue', header: 'Revenue' },
+      { key: 'refunds', header: 'Refunds' },
+      { key: 'refunded_amount', header: 'Refunded amount' }
+    ]
+  },
+  meetings: {
+    title: 'Meetings',
+    build: buildMeetingsReport,
+    columns: [
+      { key: 'period', header: 'Period' },
+      { key: 'meetings', header: 'Meetings' },
+      { key: 'completed', header: 'Completed' },
+      { key: 'cancelled', header: 'Cancelled' },
+      { key: 'total_duration_minutes', header: 'Total duration (min)' },
+      { key: 'avg_duration_minutes', header: 'Average duration (min)' }
+    ]
+  }
+};
+
+/**
+ * Sum numeric fields of report rows, optionally grouped by a key
+ * @param {Array<Object>} rows - Report rows
+ * @param {Array<String>} fields - Fields to sum
+ * @param {String|null} groupKey - Field to group by
+ * @returns {Object} Totals, or totals per group value
+ */
+const sumRows = (rows, fields, groupKey = null) => {
+  const totals = {};
+  for (const row of rows) {
+    const group = groupKey ? row[groupKey] : '_all';
+    totals[group] = totals[group] || Object.fromEntries(fields.map(field => [field, 0]));
+    for (const field of fields) {
+      totals[group][field] += Number(row[field]) || 0;
+    }
+  }
+  return groupKey ? totals : (totals._all || Object.fromEntries(fields.map(field => [field, 0])));
+};
+
+/**
+ * Platform analytics overview for a date range: totals of every report plus the time series
+ * Query: from, to (YYYY-MM-DD or ISO), interval (day, week, month)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
 export const getAnalytics = async (req, res) => {
-  // TODO: Implement get platform analytics
-  res.json({ message: 'Get analytics endpoint' });
+  try {
+    const range = parseReportRange(req.query);
+
+    if (range.error) {
+      return sendResponse(res, 'error', null, range.error, statusType.BAD_REQUEST);
+    }
+
+    const [signups, intents, conversion, revenue, meetings] = await Promise.all([
+      buildSignupsReport(range),
+      buildIntentsReport(range),
+      buildConversionReport(range),
+      buildRevenueReport(range),
+      buildMeetingsReport(range)
+    ]);
+
+    const conversionTotals = sumRows(conversion, ['sent', 'accepted', 'project_started']);
+    const meetingTotals = sumRows(meetings, ['meetings', 'completed', 'cancelled', 'total_duration_minutes']);
+
+    const responseData = {
+      range,
+      summary: {
+        signups_by_role: sumRows(signups, ['signups', 'verified'], 'role_name'),
+        intents: sumRows(intents, ['sent', 'agreement_accepted', 'accepted', 'rejected', 'project_started']),
+        conversion: {
+          ...conversionTotals,
+          acceptance_rate: conversionTotals.sent > 0 ? Math.round((conversionTotals.accepted / conversionTotals.sent) * 10000) / 100 : 0,
+          project_conversion_rate: conversionTotals.sent > 0 ? Math.round((conversionTotals.project_started / conversionTotals.sent) * 10000) / 100 : 0
+        },
+        revenue_by_currency: sumRows(revenue, ['transactions', 'revenue', 'refunds', 'refunded_amount'], 'currency'),
+        meetings: {
+          ...meetingTotals,
+          avg_duration_minutes: meetingTotals.completed > 0 ? Math.round((meetingTotals.total_duration_minutes / meetingTotals.completed) * 10) / 10 : 0
+        }
+      },
+      series: { signups, intents, conversion, revenue, meetings }
+    };
+
+    return sendResponse(res, 'success', responseData, 'Analytics retrieved successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error fetching analytics:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to fetch analytics', statusType.INTERNAL_SERVER_ERROR);
+  }
 };
 
 export const getDashboard = async (req, res) => {
@@ -44,24 +771,163 @@ export const getDashboard = async (req, res) => {
   res.json({ message: 'Get admin dashboard endpoint' });
 };
 
+/**
+ * Current platform totals and server health (not limited to a date range)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
 export const getSystemStats = async (req, res) => {
-  // TODO: Implement get system statistics
-  res.json({ message: 'Get system stats endpoint' });
-};
+  try {
+    const now = new Date();
 
-export const manageUserRoles = async (req, res) => {
-  // TODO: Implement manage user roles
-  res.json({ message: 'Manage user roles endpoint' });
+    const [
+      totalUsers,
+      blockedUsers,
+      suspendedUsers,
+      deletedUsers,
+      unverifiedUsers,
+      activeSessions,
+      totalIntents,
+      pendingTransactions,
+      meetingsInProgress,
+      totalConversations,
+      totalMessages
+    ] = await Promise.all([
+      prisma.user.count(),
+      prisma.user.count({ where: { is_blocked: true } }),
+      prisma.user.count({ where: { is_suspended: true } }),
+      prisma.user.count({ where: { is_deleted: true } }),
+      prisma.user.count({ where: { OR: [{ is_verified: false }, { is_verified: null }] } }),
+      prisma.user_session.count({ where: { us_revoked_at: null, us_expires_at: { gt: now }, status: true } }),
+      prisma.r_intent.count({ where: { status: true } }),
+      prisma.r_transaction.count({ where: { rt_payment_status: { in: ['Pending', 'Processing'] }, status: true } }),
+      prisma.meeting.count({ where: { meeting_status: 'InProgress', status: true } }),
+      prisma.chat_conversation.count({ where: { status: true } }),
+      prisma.chat_message.count({ where: { status: true } })
+    ]);
+
+    const memory = process.memoryUsage();
+
+    const responseData = {
+      users: {
+        total: totalUsers,
+        blocked: blockedUsers,
+        suspended: suspendedUsers,
+        deleted: deletedUsers,
+        unverified: unverifiedUsers
+      },
+      active_sessions: activeSessions,
+      intents: totalIntents,
+      pending_transactions: pendingTransactions,
+      meetings_in_progress: meetingsInProgress,
+      chat: {
+        conversations: totalConversations,
+        messages: totalMessages
+      },
+      server: {
+        uptime_seconds: Math.round(process.uptime()),
+        node_version: process.version,
+        memory_rss_mb: Math.round(memory.rss / 1024 / 1024),
+        memory_heap_used_mb: Math.round(memory.heapUsed / 1024 / 1024)
+      }
+    };
+
+    return sendResponse(res, 'success', responseData, 'System stats retrieved successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error fetching system stats:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to fetch system stats', statusType.INTERNAL_SERVER_ERROR);
+  }
 };
 
+/**
+ * List the available reports, or get one report's rows for a date range
+ * Query: from, to (YYYY-MM-DD or ISO), interval (day, week, month)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
 export const getReports = async (req, res) => {
-  // TODO: Implement get reports
-  res.json({ message: 'Get reports endpoint' });
+  try {
+    const { reportName } = req.params;
+
+    if (!reportName) {
+      const reports = Object.entries(REPORTS).map(([name, report]) => ({
+        name,
+        title: report.title,
+        columns: report.columns,
+        formats: REPORT_FORMATS
+      }));
+      return sendResponse(res, 'success', reports, 'Reports retrieved successfully', statusType.SUCCESS);
+    }
+
+    const report = REPORTS[reportName];
+
+    if (!report) {
+      return sendResponse(res, 'error', null, 'Report not found', statusType.NOT_FOUND);
+    }
+
+    const range = parseReportRange(req.query);
+
+    if (range.error) {
+      return sendResponse(res, 'error', null, range.error, statusType.BAD_REQUEST);
+    }
+
+    const rows = await report.build(range);
+
+    return sendResponse(res, 'success', {
+      name: reportName,
+      title: report.title,
+      range,
+      columns: report.columns,
+      rows
+    }, 'Report retrieved successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error fetching report:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to fetch report', statusType.INTERNAL_SERVER_ERROR);
+  }
 };
 
+/**
+ * Download a report as CSV or XLSX
+ * Query: format (csv, xlsx), from, to, interval
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
 export const exportData = async (req, res) => {
-  // TODO: Implement export data
-  res.json({ message: 'Export data endpoint' });
+  try {
+    const { reportName } = req.params;
+    const { format = 'csv' } = req.query;
+    const report = REPORTS[reportName];
+
+    if (!report) {
+      return sendResponse(res, 'error', null, 'Report not found', statusType.NOT_FOUND);
+    }
+
+    if (!REPORT_FORMATS.includes(format)) {
+      return sendResponse(res, 'error', null, `Format must be one of: ${REPORT_FORMATS.join(', ')}`, statusType.BAD_REQUEST);
+    }
+
+    const range = parseReportRange(req.query);
+
+    if (range.error) {
+      return sendResponse(res, 'error', null, range.error, statusType.BAD_REQUEST);
+    }
+
+    const rows = await report.build(range);
+
+    return await sendReportFile(res, {
+      name: reportName,
+      title: report.title,
+      columns: report.columns,
+      rows,
+      range
+    }, format);
+
+  } catch (error) {
+    console.error('Error exporting report:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to export report', statusType.INTERNAL_SERVER_ERROR);
+  }
 };
 
 export const getNotifications = async (req, res) => {
@@ -74,20 +940,1826 @@ export const markNotificationAsRead = async (req, res) => {
   res.json({ message: 'Mark notification as read endpoint' });
 };
 
+/**
+ * Unlock a user account that was locked by too many failed signins
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const unlockUser = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User ID is required', statusType.BAD_REQUEST);
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { user_id: userId },
+      select: {
+        user_id: true,
+        user_email: true,
+        is_suspended: true,
+        user_locked_until: true
+      }
+    });
+
+    if (!user) {
+      return sendResponse(res, 'error', null, 'User not found', statusType.NOT_FOUND);
+    }
+
+    // Only lockouts are lifted here; manual suspensions stay in place
+    if (!user.is_suspended || !user.user_locked_until) {
+      return sendResponse(res, 'error', null, 'User account is not locked', statusType.BAD_REQUEST);
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { user_id: userId },
+      data: {
+        is_suspended: false,
+        user_locked_until: null
+      },
+      select: {
+        user_id: true,
+        user_email: true,
+        is_suspended: true,
+        user_locked_until: true
+      }
+    });
+
+    await clearFailedSignins(user.user_email);
+
+    await recordAudit(req, {
+      action: auditAction.ADMIN_USER_UNLOCK,
+      entityType: 'user',
+      entityId: userId,
+      before: user,
+      after: updatedUser
+    });
+
+    return sendResponse(res, 'success', updatedUser, 'User account unlocked successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error unlocking user:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to unlock user', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Shape a role loaded with rolePermissionsSelect for API responses
+ * @param {Object} role - Role record
+ * @returns {Object} Role with a flat permissions array
+ */
+const formatRole = (role) => {
+  const { role_permission_mapper, _count, ...roleData } = role;
+  return {
+    ...roleData,
+    permissions: mapRolePermissions({ ...role, status: true }),
+    ...(_count && { user_count: _count.user })
+  };
+};
+
+/**
+ * Validate a list of permission names against the permission table
+ * @param {Array<String>} permissionNames - Requested permission names
+ * @returns {Promise<Object>} { permissions, unknown } - matching records and names that don't exist
+ */
+const resolvePermissionNames = async (permissionNames) => {
+  const uniqueNames = [...new Set(permissionNames)];
+  const permissions = await prisma.permission.findMany({
+    where: {
+      permission_name: { in: uniqueNames },
+      status: true
+    }
+  });
+  const found = permissions.map(permission => permission.permission_name);
+  return {
+    permissions,
+    unknown: uniqueNames.filter(name => !found.includes(name))
+  };
+};
+
+/**
+ * Get all permissions that can be assigned to roles
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getPermissions = async (req, res) => {
+  try {
+    const permissions = await prisma.permission.findMany({
+      where: { status: true },
+      select: {
+        permission_id: true,
+        permission_name: true,
+        permission_description: true
+      },
+      orderBy: { permission_name: 'asc' }
+    });
+
+    return sendResponse(res, 'success', permissions, 'Permissions retrieved successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error fetching permissions:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to fetch permissions', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Get all roles with their permissions and user counts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getRoles = async (req, res) => {
+  try {
+    const roles = await prisma.role.findMany({
+      select: {
+        role_id: true,
+        role_name: true,
+        role_description: true,
+        status: true,
+        created_at: true,
+        ...rolePermissionsSelect,
+        _count: {
+          select: { user: true }
+        }
+      },
+      orderBy: { role_id: 'asc' }
+    });
+
+    return sendResponse(res, 'success', roles.map(formatRole), 'Roles retrieved successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to fetch roles', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Create a role with an initial set of permissions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createRole = async (req, res) => {
+  try {
+    const { role_name, role_description, permissions = [] } = req.body;
+
+    if (!role_name || !role_name.trim()) {
+      return sendResponse(res, 'error', null, 'Role name is required', statusType.BAD_REQUEST);
+    }
+
+    if (!Array.isArray(permissions)) {
+      return sendResponse(res, 'error', null, 'Permissions must be an array of permission names', statusType.BAD_REQUEST);
+    }
+
+    const existingRole = await prisma.role.findFirst({
+      where: {
+        role_name: { equals: role_name.trim(), mode: 'insensitive' }
+      }
+    });
+
+    if (existingRole) {
+      return sendResponse(res, 'error', null, 'A role with this name already exists', statusType.BAD_REQUEST);
+    }
+
+    const { permissions: permissionRecords, unknown } = await resolvePermissionNames(permissions);
+
+    if (unknown.length > 0) {
+      return sendResponse(res, 'error', { unknown_permissions: unknown }, 'Unknown permissions', statusType.BAD_REQUEST);
+    }
+
+    const role = await prisma.role.create({
+      data: {
+        role_name: role_name.trim(),
+        role_description: role_description || null,
+        status: true,
+        created_by: String(req.user.user_id),
+        role_permission_mapper: {
+          create: permissionRecords.map(permission => ({
+            permission_id: permission.permission_id,
+            status: true,
+            created_by: String(req.user.user_id)
+          }))
+        }
+      },
+      select: {
+        role_id: true,
+        role_name: true,
+        role_description: true,
+        status: true,
+        created_at: true,
+        ...rolePermissionsSelect
+      }
+    });
+
+    await recordAudit(req, {
+      action: auditAction.ADMIN_ROLE_CREATE,
+      entityType: 'role',
+      entityId: role.role_id,
+      after: formatRole(role)
+    });
+
+    return sendResponse(res, 'success', formatRole(role), 'Role created successfully', statusType.CREATED);
+
+  } catch (error) {
+    console.error('Error creating role:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to create role', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Replace the permissions assigned to a role
+ * Removed permissions are switched off (status = false) rather than deleted
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateRolePermissions = async (req, res) => {
+  try {
+    const roleId = parseInt(req.params.roleId);
+    const { permissions } = req.body;
+
+    if (!roleId) {
+      return sendResponse(res, 'error', null, 'Role ID is required', statusType.BAD_REQUEST);
+    }
+
+    if (!Array.isArray(permissions)) {
+      return sendResponse(res, 'error', null, 'Permissions must be an array of permission names', statusType.BAD_REQUEST);
+    }
+
+    const role = await prisma.role.findUnique({
+      where: { role_id: roleId },
+      select: {
+        role_id: true,
+        role_name: true,
+        role_description: true,
+        status: true,
+        created_at: true,
+        ...rolePermissionsSelect
+      }
+    });
+
+    if (!role) {
+      return sendResponse(res, 'error', null, 'Role not found', statusType.NOT_FOUND);
+    }
+
+    // Don't let admins lock themselves out of role management
+    if (roleId === req.user.role_id &&
+      (!permissions.includes(permissionType.ADMIN_ACCESS) || !permissions.includes(permissionType.ROLE_MANAGE))) {
+      return sendResponse(res, 'error', null, 'You cannot remove admin or role management access from your own role', statusType.BAD_REQUEST);
+    }
+
+    const { permissions: permissionRecords, unknown } = await resolvePermissionNames(permissions);
+
+    if (unknown.length > 0) {
+      return sendResponse(res, 'error', { unknown_permissions: unknown }, 'Unknown permissions', statusType.BAD_REQUEST);
+    }
+
+    const permissionIds = permissionRecords.map(permission => permission.permission_id);
+    const updatedBy = String(req.user.user_id);
+
+    await prisma.$transaction([
+      prisma.role_permission_mapper.updateMany({
+        where: {
+          role_id: roleId,
+          permission_id: { notIn: permissionIds },
+          status: true
+        },
+        data: { status: false, updated_by: updatedBy }
+      }),
+      ...permissionIds.map(permissionId => prisma.role_permission_mapper.upsert({
+        where: {
+          role_id_permission_id: { role_id: roleId, permission_id: permissionId }
+        },
+        update: { status: true, updated_by: updatedBy },
+        create: {
+          role_id: roleId,
+          permission_id: permissionId,
+          status: true,
+          created_by: updatedBy
+        }
+      }))
+    ]);
+
+    const updatedRole = await prisma.role.findUnique({
+      where: { role_id: roleId },
+      select: {
+        role_id: true,
+        role_name: true,
+        role_description: true,
+        status: true,
+        created_at: true,
+        ...rolePermissionsSelect
+      }
+    });
+
+    await recordAudit(req, {
+      action: auditAction.ADMIN_ROLE_PERMISSIONS_UPDATE,
+      entityType: 'role',
+      entityId: roleId,
+      before: formatRole(role),
+      after: formatRole(updatedRole)
+    });
+
+    return sendResponse(res, 'success', formatRole(updatedRole), 'Role permissions updated successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error updating role permissions:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to update role permissions', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Change a user's role
+ * Permissions are resolved on every request, so the change applies immediately
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateUserRole = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const roleId = parseInt(req.body.role_id);
+
+    if (!userId || !roleId) {
+      return sendResponse(res, 'error', null, 'User ID and role ID are required', statusType.BAD_REQUEST);
+    }
+
+    if (userId === req.user.user_id) {
+      return sendResponse(res, 'error', null, 'You cannot change your own role', statusType.BAD_REQUEST);
+    }
+
+    const [user, role] = await Promise.all([
+      prisma.user.findUnique({ where: { user_id: userId } }),
+      prisma.role.findUnique({ where: { role_id: roleId } })
+    ]);
+
+    if (!user) {
+      return sendResponse(res, 'error', null, 'User not found', statusType.NOT_FOUND);
+    }
+
+    if (!role || !role.status) {
+      return sendResponse(res, 'error', null, 'Role not found or inactive', statusType.NOT_FOUND);
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { user_id: userId },
+      data: { role_id: roleId },
+      select: {
+        user_id: true,
+        user_full_name: true,
+        user_email: true,
+        role_id: true,
+        user_role: {
+          select: {
+            role_name: true
+          }
+        }
+      }
+    });
+
+    await recordAudit(req, {
+      action: auditAction.ADMIN_USER_ROLE_UPDATE,
+      entityType: 'user',
+      entityId: userId,
+      before: { role_id: user.role_id },
+      after: { role_id: updatedUser.role_id }
+    });
+
+    return sendResponse(res, 'success', updatedUser, 'User role updated successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to update user role', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Start viewing the platform as another user ("view as user")
+ * Returns a short-lived token flagged as an impersonation. It can't send messages,
+ * make payments or change account security, and every request made with it is audited.
+ * Body: reason
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const impersonateUser = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const { reason } = req.body;
+
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User ID is required', statusType.BAD_REQUEST);
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return sendResponse(res, 'error', null, 'A reason is required to impersonate a user', statusType.BAD_REQUEST);
+    }
+
+    if (req.user.impersonation) {
+      return sendResponse(res, 'error', null, 'You cannot start an impersonation while impersonating', statusType.FORBIDDEN);
+    }
+
+    if (userId === req.user.user_id) {
+      return sendResponse(res, 'error', null, 'You cannot impersonate yourself', statusType.BAD_REQUEST);
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { user_id: userId },
+      select: {
+        user_id: true,
+        user_full_name: true,
+        user_email: true,
+        role_id: true,
+        user_token_version: true,
+        status: true,
+        is_active: true,
+        is_blocked: true,
+        is_deleted: true,
+        is_suspended: true
+      }
+    });
+
+    if (!user) {
+      return sendResponse(res, 'error', null, 'User not found', statusType.NOT_FOUND);
+    }
+
+    if (!user.status || !user.is_active || user.is_blocked || user.is_deleted || user.is_suspended) {
+      return sendResponse(res, 'error', null, 'Only active accounts can be impersonated', statusType.BAD_REQUEST);
+    }
+
+    const targetPermissions = await getRolePermissions(user.role_id);
+
+    if (targetPermissions.includes(permissionType.ADMIN_ACCESS)) {
+      return sendResponse(res, 'error', null, 'Admin accounts cannot be impersonated', statusType.FORBIDDEN);
+    }
+
+    const impersonation = await startImpersonation(req.user.user_id, userId, String(reason).trim(), req);
+
+    await recordAudit(req, {
+      action: auditAction.ADMIN_IMPERSONATION_START,
+      entityType: 'user_impersonation',
+      entityId: impersonation.ui_id,
+      after: impersonation
+    });
+
+    return sendResponse(res, 'success', {
+      token: signImpersonationToken(user, impersonation),
+      impersonation_id: impersonation.ui_id,
+      expires_at: impersonation.ui_expires_at,
+      user: {
+        user_id: user.user_id,
+        user_full_name: user.user_full_name,
+        user_email: user.user_email,
+        role_id: user.role_id
+      }
+    }, 'Impersonation started successfully', statusType.CREATED);
+
+  } catch (error) {
+    console.error('Error starting impersonation:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to start impersonation', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * End an impersonation before it expires
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const stopImpersonation = async (req, res) => {
+  try {
+    const impersonationId = parseInt(req.params.impersonationId);
+
+    if (!impersonationId) {
+      return sendResponse(res, 'error', null, 'Impersonation ID is required', statusType.BAD_REQUEST);
+    }
+
+    const ended = await endImpersonation(impersonationId);
+
+    if (!ended) {
+      return sendResponse(res, 'error', null, 'Impersonation not found or already ended', statusType.NOT_FOUND);
+    }
+
+    disconnectImpersonationSockets(impersonationId);
+
+    await recordAudit(req, {
+      action: auditAction.ADMIN_IMPERSONATION_END,
+      entityType: 'user_impersonation',
+      entityId: impersonationId
+    });
+
+    return sendResponse(res, 'success', null, 'Impersonation ended successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error ending impersonation:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to end impersonation', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Get impersonations with pagination (newest first)
+ * Query: page, limit, admin_user_id, user_id
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getImpersonations = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, admin_user_id, user_id } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+    const offset = (pageNum - 1) * limitNum;
+
+    const whereClause = {};
+    if (admin_user_id) {
+      whereClause.ui_admin_user_id = parseInt(admin_user_id);
+    }
+    if (user_id) {
+      whereClause.user_id = parseInt(user_id);
+    }
+
+    const [totalCount, impersonations] = await Promise.all([
+      prisma.user_impersonation.count({ where: whereClause }),
+      prisma.user_impersonation.findMany({
+        where: whereClause,
+        include: {
+          admin_user: {
+            select: { user_id: true, user_full_name: true, user_email: true }
+          },
+          user: {
+            select: { user_id: true, user_full_name: true, user_email: true, role_id: true }
+          },
+          _count: {
+            select: { impersonation_audit_log: true }
+          }
+        },
+        orderBy: { created_at: 'desc' },
+        skip: offset,
+        take: limitNum
+      })
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    return sendResponse(res, 'success', {
+      impersonations: impersonations.map(({ _count, ...impersonation }) => ({
+        ...impersonation,
+        is_active: !impersonation.ui_ended_at && impersonation.ui_expires_at > new Date(),
+        request_count: _count.impersonation_audit_log
+      })),
+      pagination: {
+        current_page: pageNum,
+        total_pages: totalPages,
+        total_count: totalCount,
+        per_page: limitNum,
+        has_next_page: pageNum < totalPages,
+        has_prev_page: pageNum > 1
+      }
+    }, 'Impersonations retrieved successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error fetching impersonations:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to fetch impersonations', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Get an impersonation with its audit log (paginated, oldest first)
+ * Query: page, limit
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getImpersonationAuditLog = async (req, res) => {
+  try {
+    const impersonationId = parseInt(req.params.impersonationId);
+    const { page = 1, limit = 50 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const offset = (pageNum - 1) * limitNum;
+
+    if (!impersonationId) {
+      return sendResponse(res, 'error', null, 'Impersonation ID is required', statusType.BAD_REQUEST);
+    }
+
+    const impersonation = await prisma.user_impersonation.findUnique({
+      where: { ui_id: impersonationId },
+      include: {
+        admin_user: {
+          select: { user_id: true, user_full_name: true, user_email: true }
+        },
+        user: {
+          select: { user_id: true, user_full_name: true, user_email: true, role_id: true }
+        }
+      }
+    });
+
+    if (!impersonation) {
+      return sendResponse(res, 'error', null, 'Impersonation not found', statusType.NOT_FOUND);
+    }
+
+    const [totalCount, logs] = await Promise.all([
+      prisma.impersonation_audit_log.count({ where: { ui_id: impersonationId } }),
+      prisma.impersonation_audit_log.findMany({
+        where: { ui_id: impersonationId },
+        orderBy: { created_at: 'asc' },
+        skip: offset,
+        take: limitNum
+      })
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    return sendResponse(res, 'success', {
+      impersonation,
+      logs,
+      pagination: {
+        current_page: pageNum,
+        total_pages: totalPages,
+        total_count: totalCount,
+        per_page: limitNum,
+        has_next_page: pageNum < totalPages,
+        has_prev_page: pageNum > 1
+      }
+    }, 'Impersonation audit log retrieved successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error fetching impersonation audit log:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to fetch impersonation audit log', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+// Who did it, shown with audit log entries
+const auditUserSelect = {
+  select: { user_id: true, user_full_name: true, user_email: true }
+};
+
+/**
+ * Get audit log entries with pagination (newest first)
+ * Query: page, limit, actor_user_id, impersonator_user_id, action (exact, or a prefix ending in * e.g. admin.*),
+ * entity_type, entity_id, from, to (a date-only `to` includes that whole day)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getAuditLogs = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      actor_user_id,
+      impersonator_user_id,
+      action,
+      entity_type,
+      entity_id,
+      from,
+      to
+    } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+    const offset = (pageNum - 1) * limitNum;
+
+    // Repeated query parameters arrive as arrays
+    if ((action !== undefined && typeof action !== 'string') || (entity_type !== undefined && typeof entity_type !== 'string')) {
+      return sendResponse(res, 'error', null, 'action and entity_type must each be given once', statusType.BAD_REQUEST);
+    }
+
+    const actorUserId = actor_user_id ? parseInt(actor_user_id) : null;
+    const impersonatorUserId = impersonator_user_id ? parseInt(impersonator_user_id) : null;
+    if ((actor_user_id && isNaN(actorUserId)) || (impersonator_user_id && isNaN(impersonatorUserId))) {
+      return sendResponse(res, 'error', null, 'actor_user_id and impersonator_user_id must be user IDs', statusType.BAD_REQUEST);
+    }
+
+    const whereClause = {};
+    if (actorUserId) {
+      whereClause.al_actor_user_id = actorUserId;
+    }
+    if (impersonatorUserId) {
+      whereClause.al_impersonator_user_id = impersonatorUserId;
+    }
+    if (action) {
+      whereClause.al_action = action.endsWith('*')
+        ? { startsWith: action.slice(0, -1) }
+        : action;
+    }
+    if (entity_type) {
+      whereClause.al_entity_type = entity_type;
+    }
+    if (entity_id) {
+      whereClause.al_entity_id = String(entity_id);
+    }
+
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+      if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+        toDate.setUTCHours(23, 59, 59, 999);
+      }
+
+      if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        return sendResponse(res, 'error', null, 'Invalid date range, use YYYY-MM-DD or ISO dates for from and to', statusType.BAD_REQUEST);
+      }
+
+      whereClause.created_at = {
+        ...(fromDate && { gte: fromDate }),
+        ...(toDate && { lte: toDate })
+      };
+    }
+
+    const [totalCount, logs] = await Promise.all([
+      prisma.audit_log.count({ where: whereClause }),
+      prisma.audit_log.findMany({
+        where: whereClause,
+        include: { actor: auditUserSelect },
+        orderBy: { created_at: 'desc' },
+        skip: offset,
+        take: limitNum
+      })
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    return sendResponse(res, 'success', {
+      logs,
+      pagination: {
+        current_page: pageNum,
+        total_pages: totalPages,
+        total_count: totalCount,
+        per_page: limitNum,
+        has_next_page: pageNum < totalPages,
+        has_prev_page: pageNum > 1
+      }
+    }, 'Audit logs retrieved successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error fetching audit logs:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to fetch audit logs', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Get the history of one record from the audit log (oldest first)
+ * Query: page, limit
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getEntityAuditLog = async (req, res) => {
+  try {
+    const { entityType, entityId } = req.params;
+    const { page = 1, limit = 100 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 100, 1), 500);
+    const offset = (pageNum - 1) * limitNum;
+
+    const whereClause = {
+      al_entity_type: entityType,
+      al_entity_id: String(entityId)
+    };
+
+    const [totalCount, logs] = await Promise.all([
+      prisma.audit_log.count({ where: whereClause }),
+      prisma.audit_log.findMany({
+        where: whereClause,
+        include: { actor: auditUserSelect },
+        orderBy: { created_at: 'asc' },
+        skip: offset,
+        take: limitNum
+      })
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    return sendResponse(res, 'success', {
+      logs,
+      pagination: {
+        current_page: pageNum,
+        total_pages: totalPages,
+        total_count: totalCount,
+        per_page: limitNum,
+        has_next_page: pageNum < totalPages,
+        has_prev_page: pageNum > 1
+      }
+    }, 'Audit log retrieved successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error fetching entity audit log:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to fetch audit log', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Shape a service for admin responses
+ * @param {Object} service - r_service record including features (and optionally price history)
+ * @returns {Object} Service data
+ */
+const formatService = (service) => ({
+  rs_id: service.rs_id,
+  name: service.rs_name,
+  description: service.rs_description,
+  inr_price: parseFloat(service.rs_inr_price),
+  international_price: parseFloat(service.rs_international_price),
+  international_currency: service.rs_currency_international,
+  order: service.rs_order,
+  archived: !service.status,
+  features: (service.r_service_feature || []).map(feature => ({
+    rsf_id: feature.rsf_id,
+    name: feature.rsf_name,
+    order: feature.rsf_order
+  })),
+  ...(service.r_service_price_history && {
+    price_history: service.r_service_price_history.map(price => ({
+      rsph_id: price.rsph_id,
+      inr_price: parseFloat(price.rsph_inr_price),
+      international_price: parseFloat(price.rsph_international_price),
+      international_currency: price.rsph_currency_international,
+      effective_from: price.rsph_effective_from,
+      effective_to: price.rsph_effective_to,
+      changed_by: price.created_by
+    }))
+  }),
+  ...(service._count && { transaction_count: service._count.r_transaction }),
+  created_at: service.created_at,
+  updated_at: service.updated_at
+});
+
+const serviceInclude = {
+  r_service_feature: {
+    where: { status: true },
+    orderBy: [{ rsf_order: 'asc' }, { created_at: 'asc' }]
+  }
+};
+
+/**
+ * Validate service fields from a request body and map them to r_service columns
+ * @param {Object} body - Request body
+ * @param {Boolean} isCreate - Require the fields a new service needs
+ * @returns {Object} { data } or { error }
+ */
+const parseServiceInput = (body, isCreate) => {
+  const { name, description, international_currency } = body;
+  const data = {};
+
+  if (name !== undefined || isCreate) {
+    if (!name || !String(name).trim()) {
+      return { error: 'Service name is required' };
+    }
+    data.rs_name = String(name).trim();
+  }
+
+  if (description !== undefined) {
+    data.rs_description = description ? String(description) : null;
+  }
+
+  for (const [field, column] of [['inr_price', 'rs_inr_price'], ['international_price', 'rs_international_price']]) {
+    const value = body[field];
+    if (value === undefined && !isCreate) continue;
+
+    const price = Number(value);
+    if (value === undefined || value === null || value === '' || !Number.isFinite(price) || price <= 0 || price >= 100000000) {
+      return { error: `${field} must be a positive amount` };
+    }
+    data[column] = Math.round(price * 100) / 100;
+  }
+
+  if (international_currency !== undefined) {
+    const currency = String(international_currency).toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency) || currency === 'INR') {
+      return { error: 'international_currency must be a 3-letter currency code other than INR' };
+    }
+    data.rs_currency_international = currency;
+  }
+
+  return { data };
+};
+
+/**
+ * Get every service in the catalog, including archived ones
+ * Query: status_filter (all, active, archived)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getCatalogServices = async (req, res) => {
+  try {
+    const { status_filter = 'all' } = req.query;
+
+    const whereClause = {};
+    if (status_filter === 'active') {
+      whereClause.status = true;
+    } else if (status_filter === 'archived') {
+      whereClause.status = false;
+    }
+
+    const services = await prisma.r_service.findMany({
+      where: whereClause,
+      include: {
+        ...serviceInclude,
+        _count: {
+          select: { r_transaction: true }
+        }
+      },
+      orderBy: [{ rs_order: 'asc' }, { created_at: 'desc' }]
+    });
+
+    return sendResponse(res, 'success', services.map(formatService), 'Services retrieved successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error fetching catalog services:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to fetch services', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Get a service with its features and price history
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getCatalogService = async (req, res) => {
+  try {
+    const serviceId = parseInt(req.params.serviceId);
+
+    if (!serviceId) {
+      return sendResponse(res, 'error', null, 'Service ID is required', statusType.BAD_REQUEST);
+    }
+
+    const service = await prisma.r_service.findUnique({
+      where: { rs_id: serviceId },
+      include: {
+        ...serviceInclude,
+        r_service_price_history: {
+          where: { status: true },
+          orderBy: { rsph_effective_from: 'desc' }
+        },
+        _count: {
+          select: { r_transaction: true }
+        }
+      }
+    });
+
+    if (!service) {
+      return sendResponse(res, 'error', null, 'Service not found', statusType.NOT_FOUND);
+    }
+
+    return sendResponse(res, 'success', formatService(service), 'Service retrieved successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error fetching catalog service:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to fetch service', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Create a service with its prices and features
+ * Body: name, description, inr_price, international_price, international_currency, features (array of names)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createService = async (req, res) => {
+  try {
+    const { features = [] } = req.body;
+    const { data, error } = parseServiceInput(req.body, true);
+
+    if (error) {
+      return sendResponse(res, 'error', null, error, statusType.BAD_REQUEST);
+    }
+
+    if (!Array.isArray(features) || features.some(feature => !feature || !String(feature).trim())) {
+      return sendResponse(res, 'error', null, 'Features must be an array of feature names', statusType.BAD_REQUEST);
+    }
+
+    const createdBy = String(req.user.user_id);
+
+    const service = await prisma.$transaction(async (tx) => {
+      // New services go to the end of the catalog
+      const lastService = await tx.r_service.findFirst({
+        orderBy: { rs_order: 'desc' },
+        select: { rs_order: true }
+      });
+
+      const newService = await tx.r_service.create({
+        data: {
+          ...data,
+          rs_order: lastService ? lastService.rs_order + 1 : 0,
+          status: true,
+          created_by: createdBy,
+          r_service_feature: {
+            create: features.map((feature, index) => ({
+              rsf_name: String(feature).trim(),
+              rsf_order: index,
+              status: true,
+              created_by: createdBy
+            }))
+          }
+        }
+      });
+
+      await recordServicePrice(tx, newService, createdBy);
+
+      return tx.r_service.findUnique({
+        where: { rs_id: newService.rs_id },
+        include: serviceInclude
+      });
+    });
+
+    await recordAudit(req, {
+      action: auditAction.ADMIN_SERVICE_CREATE,
+      entityType: 'r_service',
+      entityId: service.rs_id,
+      after: formatService(service)
+    });
+
+    return sendResponse(res, 'success', formatService(service), 'Service created successfully', statusType.CREATED);
+
+  } catch (error) {
+    console.error('Error creating service:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to create service', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Edit a service's name, description and prices
+ * A price or currency change closes the current price record and starts a new one
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateService = async (req, res) => {
+  try {
+    const serviceId = parseInt(req.params.serviceId);
+
+    if (!serviceId) {
+      return sendResponse(res, 'error', null, 'Service ID is required', statusType.BAD_REQUEST);
+    }
+
+    const { data, error } = parseServiceInput(req.body, false);
+
+    if (error) {
+      return sendResponse(res, 'error', null, error, statusType.BAD_REQUEST);
+    }
+
+    if (Object.keys(data).length === 0) {
+      return sendResponse(res, 'error', null, 'No service fields to update', statusType.BAD_REQUEST);
+    }
+
+    const service = await prisma.r_service.findUnique({
+      where: { rs_id: serviceId }
+    });
+
+    if (!service) {
+      return sendResponse(res, 'error', null, 'Service not found', statusType.NOT_FOUND);
+    }
+
+    const updatedBy = String(req.user.user_id);
+
+    const priceChanged = hasPriceChange(service, data);
+
+    const updatedService = await prisma.$transaction(async (tx) => {
+      if (priceChanged) {
+        await recordInitialServicePrice(tx, service);
+      }
+
+      const result = await tx.r_service.update({
+        where: { rs_id: serviceId },
+        data: { ...data, updated_by: updatedBy }
+      });
+
+      if (priceChanged) {
+        await recordServicePrice(tx, result, updatedBy);
+      }
+
+      return tx.r_service.findUnique({
+        where: { rs_id: serviceId },
+        include: serviceInclude
+      });
+    });
+
+    await recordAudit(req, {
+      action: auditAction.ADMIN_SERVICE_UPDATE,
+      entityType: 'r_service',
+      entityId: serviceId,
+      before: service,
+      after: updatedService
+    });
+
+    return sendResponse(res, 'success', formatService(updatedService), 'Service updated successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error updating service:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to update service', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Archive or restore a service. Archived services can't be purchased but
+ * existing transactions and purchases keep pointing at them.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Boolean} archived - True to archive, false to restore
+ */
+const setServiceArchived = async (req, res, archived) => {
+  const serviceId = parseInt(req.params.serviceId);
+
+  if (!serviceId) {
+    return sendResponse(res, 'error', null, 'Service ID is required', statusType.BAD_REQUEST);
+  }
+
+  const service = await prisma.r_service.findUnique({
+    where: { rs_id: serviceId }
+  });
+
+  if (!service) {
+    return sendResponse(res, 'error', null, 'Service not found', statusType.NOT_FOUND);
+  }
+
+  if (service.status === !archived) {
+    return sendResponse(res, 'error', null, archived ? 'Service is already archived' : 'Service is not archived', statusType.BAD_REQUEST);
+  }
+
+  const updatedService = await prisma.r_service.update({
+    where: { rs_id: serviceId },
+    data: { status: !archived, updated_by: String(req.user.user_id) },
+    include: serviceInclude
+  });
+
+  await recordAudit(req, {
+    action: archived ? auditAction.ADMIN_SERVICE_ARCHIVE : auditAction.ADMIN_SERVICE_RESTORE,
+    entityType: 'r_service',
+    entityId: serviceId,
+    before: { status: service.status },
+    after: { status: updatedService.status }
+  });
+
+  return sendResponse(res, 'success', formatService(updatedService), archived ? 'Service archived successfully' : 'Service restored successfully', statusType.SUCCESS);
+};
+
+/**
+ * Archive a service
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const archiveService = async (req, res) => {
+  try {
+    return await setServiceArchived(req, res, true);
+  } catch (error) {
+    console.error('Error archiving service:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to archive service', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Restore an archived service
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const restoreService = async (req, res) => {
+  try {
+    return await setServiceArchived(req, res, false);
+  } catch (error) {
+    console.error('Error restoring service:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to restore service', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Set the catalog order of all services
+ * Body: service_ids - every service ID in the new order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const reorderServices = async (req, res) => {
+  try {
+    const { service_ids } = req.body;
+
+    const services = await prisma.r_service.findMany({
+      select: { rs_id: true },
+      orderBy: { rs_order: 'asc' }
+    });
+
+    if (!isCompleteOrdering(service_ids, services.map(service => service.rs_id))) {
+      return sendResponse(res, 'error', null, 'service_ids must list every service exactly once', statusType.BAD_REQUEST);
+    }
+
+    const updatedBy = String(req.user.user_id);
+
+    await prisma.$transaction(service_ids.map((serviceId, index) => prisma.r_service.update({
+      where: { rs_id: parseInt(serviceId) },
+      data: { rs_order: index, updated_by: updatedBy }
+    })));
+
+    await recordAudit(req, {
+      action: auditAction.ADMIN_SERVICE_REORDER,
+      entityType: 'r_service',
+      before: services.map(service => service.rs_id),
+      after: service_ids.map(id => parseInt(id))
+    });
+
+    return sendResponse(res, 'success', { service_ids: service_ids.map(id => parseInt(id)) }, 'Services reordered successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error reordering services:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to reorder services', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Add a feature to a service (appended to the end)
+ * Body: name
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const addServiceFeature = async (req, res) => {
+  try {
+    const serviceId = parseInt(req.params.serviceId);
+    const { name } = req.body;
+
+    if (!serviceId) {
+      return sendResponse(res, 'error', null, 'Service ID is required', statusType.BAD_REQUEST);
+    }
+
+    if (!name || !String(name).trim()) {
+      return sendResponse(res, 'error', null, 'Feature name is required', statusType.BAD_REQUEST);
+    }
+
+    const service = await prisma.r_service.findUnique({
+      where: { rs_id: serviceId }
+    });
+
+    if (!service) {
+      return sendResponse(res, 'error', null, 'Service not found', statusType.NOT_FOUND);
+    }
+
+    const lastFeature = await prisma.r_service_feature.findFirst({
+      where: { rs_id: serviceId, status: true },
+      orderBy: { rsf_order: 'desc' },
+      select: { rsf_order: true }
+    });
+
+    const feature = await prisma.r_service_feature.create({
+      data: {
+        rs_id: serviceId,
+        rsf_name: String(name).trim(),
+        rsf_order: lastFeature ? lastFeature.rsf_order + 1 : 0,
+        status: true,
+        created_by: String(req.user.user_id)
+      }
+    });
+
+    await recordAudit(req, {
+      action: auditAction.ADMIN_SERVICE_FEATURE_ADD,
+      entityType: 'r_service_feature',
+      entityId: feature.rsf_id,
+      after: feature
+    });
+
+    return sendResponse(res, 'success', {
+      rsf_id: feature.rsf_id,
+      name: feature.rsf_name,
+      order: feature.rsf_order
+    }, 'Service feature added successfully', statusType.CREATED);
+
+  } catch (error) {
+    console.error('Error adding service feature:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to add service feature', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Rename a service feature
+ * Body: name
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateServiceFeature = async (req, res) => {
+  try {
+    const serviceId = parseInt(req.params.serviceId);
+    const featureId = parseInt(req.params.featureId);
+    const { name } = req.body;
+
+    if (!serviceId || !featureId) {
+      return sendResponse(res, 'error', null, 'Service ID and feature ID are required', statusType.BAD_REQUEST);
+    }
+
+    if (!name || !String(name).trim()) {
+      return sendResponse(res, 'error', null, 'Feature name is required', statusType.BAD_REQUEST);
+    }
+
+    const feature = await prisma.r_service_feature.findFirst({
+      where: { rsf_id: featureId, rs_id: serviceId, status: true }
+    });
+
+    if (!feature) {
+      return sendResponse(res, 'error', null, 'Service feature not found', statusType.NOT_FOUND);
+    }
+
+    const updatedFeature = await prisma.r_service_feature.update({
+      where: { rsf_id: featureId },
+      data: {
+        rsf_name: String(name).trim(),
+        updated_by: String(req.user.user_id)
+      }
+    });
+
+    await recordAudit(req, {
+      action: auditAction.ADMIN_SERVICE_FEATURE_UPDATE,
+      entityType: 'r_service_feature',
+      entityId: featureId,
+      before: feature,
+      after: updatedFeature
+    });
+
+    return sendResponse(res, 'success', {
+      rsf_id: updatedFeature.rsf_id,
+      name: updatedFeature.rsf_name,
+      order: updatedFeature.rsf_order
+    }, 'Service feature updated successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error updating service feature:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to update service feature', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Remove a feature from a service (soft delete)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteServiceFeature = async (req, res) => {
+  try {
+    const serviceId = parseInt(req.params.serviceId);
+    const featureId = parseInt(req.params.featureId);
+
+    if (!serviceId || !featureId) {
+      return sendResponse(res, 'error', null, 'Service ID and feature ID are required', statusType.BAD_REQUEST);
+    }
+
+    const result = await prisma.r_service_feature.updateMany({
+      where: { rsf_id: featureId, rs_id: serviceId, status: true },
+      data: { status: false, updated_by: String(req.user.user_id) }
+    });
+
+    if (result.count === 0) {
+      return sendResponse(res, 'error', null, 'Service feature not found', statusType.NOT_FOUND);
+    }
+
+    await recordAudit(req, {
+      action: auditAction.ADMIN_SERVICE_FEATURE_DELETE,
+      entityType: 'r_service_feature',
+      entityId: featureId,
+      before: { status: true },
+      after: { status: false }
+    });
+
+    return sendResponse(res, 'success', null, 'Service feature removed successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error removing service feature:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to remove service feature', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Set the order of a service's features
+ * Body: feature_ids - every active feature ID of the service in the new order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const reorderServiceFeatures = async (req, res) => {
+  try {
+    const serviceId = parseInt(req.params.serviceId);
+    const { feature_ids } = req.body;
+
+    if (!serviceId) {
+      return sendResponse(res, 'error', null, 'Service ID is required', statusType.BAD_REQUEST);
+    }
+
+    const features = await prisma.r_service_feature.findMany({
+      where: { rs_id: serviceId, status: true },
+      select: { rsf_id: true },
+      orderBy: { rsf_order: 'asc' }
+    });
+
+    if (!isCompleteOrdering(feature_ids, features.map(feature => feature.rsf_id))) {
+      return sendResponse(res, 'error', null, 'feature_ids must list every feature of the service exactly once', statusType.BAD_REQUEST);
+    }
+
+    const updatedBy = String(req.user.user_id);
+
+    await prisma.$transaction(feature_ids.map((featureId, index) => prisma.r_service_feature.update({
+      where: { rsf_id: parseInt(featureId) },
+      data: { rsf_order: index, updated_by: updatedBy }
+    })));
+
+    await recordAudit(req, {
+      action: auditAction.ADMIN_SERVICE_FEATURE_REORDER,
+      entityType: 'r_service',
+      entityId: serviceId,
+      before: features.map(feature => feature.rsf_id),
+      after: feature_ids.map(id => parseInt(id))
+    });
+
+    return sendResponse(res, 'success', { feature_ids: feature_ids.map(id => parseInt(id)) }, 'Service features reordered successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error reordering service features:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to reorder service features', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Shape a canonical skill for admin responses
+ * @param {Object} skill - skill record including category, aliases and usage count
+ * @returns {Object} Skill data
+ */
+const formatSkill = (skill) => ({
+  sk_id: skill.sk_id,
+  name: skill.sk_name,
+  category: skill.skill_category ? { sc_id: skill.skill_category.sc_id, name: skill.skill_category.sc_name } : null,
+  aliases: (skill.skill_aliases || []).map(alias => alias.sa_alias),
+  active: skill.status,
+  ...(skill._count && { talent_count: skill._count.t_skills }),
+  created_at: skill.created_at,
+  updated_at: skill.updated_at
+});
+
+const skillInclude = {
+  skill_category: { select: { sc_id: true, sc_name: true } },
+  skill_aliases: { orderBy: { sa_alias: 'asc' } },
+  _count: { select: { t_skills: { where: { status: true } } } }
+};
+
+/**
+ * Validate skill fields from a request body
+ * @param {Object} body - Request body: name, category, aliases, active
+ * @param {Boolean} isCreate - Require the fields a new skill needs
+ * @returns {Object} { data, category, aliases } or { error }
+ */
+const parseSkillInput = (body, isCreate) => {
+  const { name, category, aliases, active } = body;
+  const data = {};
+
+  if (name !== undefined || isCreate) {
+    const cleanName = typeof name === 'string' ? name.replace(/\s+/g, ' ').trim() : '';
+    if (!skillKey(cleanName)) {
+      return { error: 'Skill name is required' };
+    }
+    if (cleanName.length > 100) {
+      return { error: 'Skill name must be at most 100 characters' };
+    }
+    data.sk_name = cleanName;
+    data.sk_key = skillKey(cleanName);
+  }
+
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') {
+      return { error: 'active must be true or false' };
+    }
+    data.status = active;
+  }
+
+  let categoryName;
+  if (category !== undefined) {
+    if (category !== null && (typeof category !== 'string' || category.trim().length > 100)) {
+      return { error: 'category must be a category name' };
+    }
+    categoryName = category ? category.trim() : null;
+  }
+
+  let aliasList;
+  if (aliases !== undefined) {
+    if (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string' || !skillKey(alias) || alias.trim().length > 100)) {
+      return { error: 'aliases must be an array of skill names' };
+    }
+    // One alias per key; an alias spelled like the name itself is redundant
+    const byKey = new Map();
+    for (const alias of aliases) {
+      const key = skillKey(alias);
+      if (key !== data.sk_key && !byKey.has(key)) {
+        byKey.set(key, alias.replace(/\s+/g, ' ').trim());
+      }
+    }
+    aliasList = [...byKey.entries()].map(([key, alias]) => ({ sa_alias: alias, sa_key: key }));
+  }
+
+  return { data, category: categoryName, aliases: aliasList };
+};
+
+/**
+ * Find skill names or aliases that already belong to another skill
+ * @param {Array<String>} keys - skillKey values of the name and aliases being saved
+ * @param {Number|null} skillId - The skill being edited (null when creating)
+ * @returns {Promise<Array<String>>} Names of the skills that own any of the keys
+ */
+const findSkillKeyConflicts = async (keys, skillId = null) => {
+  const conflicts = await prisma.skill.findMany({
+    where: {
+      ...(skillId && { sk_id: { not: skillId } }),
+      OR: [
+        { sk_key: { in: keys } },
+        { skill_aliases: { some: { sa_key: { in: keys } } } }
+      ]
+    },
+    select: { sk_name: true }
+  });
+  return conflicts.map(skill => skill.sk_name);
+};
+
+/**
+ * Find or create a skill category by name
+ * @param {String|null|undefined} categoryName - Category name (null clears it, undefined leaves it)
+ * @returns {Promise<Object>} { sc_id } data for the skill, or {} when unchanged
+ */
+const resolveSkillCategory = async (categoryName) => {
+  if (categoryName === undefined) {
+    return {};
+  }
+  if (categoryName === null || categoryName === '') {
+    return { sc_id: null };
+  }
+
+  const existing = await prisma.skill_category.findFirst({
+    where: { sc_name: { equals: categoryName, mode: 'insensitive' } }
+  });
+  if (existing) {
+    return { sc_id: existing.sc_id };
+  }
+
+  const lastCategory = await prisma.skill_category.findFirst({
+    orderBy: { sc_order: 'desc' },
+    select: { sc_order: true }
+  });
+  const created = await prisma.skill_category.create({
+    data: { sc_name: categoryName, sc_order: lastCategory ? lastCategory.sc_order + 1 : 0, status: true }
+  });
+  return { sc_id: created.sc_id };
+};
+
+/**
+ * Link talent skills typed before a skill or alias existed. Runs in the background.
+ */
+const linkUnmatchedSkillsInBackground = () => {
+  linkUnmatchedSkills().catch(error => {
+    console.error('Error linking talent skills to the skill taxonomy:', error);
+  });
+};
+
+/**
+ * Get the skill taxonomy
+ * Query: search (name or alias), category_id, status_filter (all, active, inactive)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getSkills = async (req, res) => {
+  try {
+    const { search, category_id, status_filter = 'all' } = req.query;
+
+    const whereClause = {};
+    if (status_filter === 'active') {
+      whereClause.status = true;
+    } else if (status_filter === 'inactive') {
+      whereClause.status = false;
+    }
+
+    if (category_id) {
+      whereClause.sc_id = parseInt(category_id);
+    }
+
+    if (search && skillKey(search)) {
+      whereClause.OR = [
+        { sk_name: { contains: search.trim(), mode: 'insensitive' } },
+        { skill_aliases: { some: { sa_key: { contains: skillKey(search) } } } }
+      ];
+    }
+
+    const [skills, categories] = await Promise.all([
+      prisma.skill.findMany({
+        where: whereClause,
+        include: skillInclude,
+        orderBy: { sk_name: 'asc' }
+      }),
+      prisma.skill_category.findMany({
+        where: { status: true },
+        orderBy: [{ sc_order: 'asc' }, { sc_name: 'asc' }],
+        select: { sc_id: true, sc_name: true }
+      })
+    ]);
+
+    return sendResponse(res, 'success', {
+      skills: skills.map(formatSkill),
+      categories: categories.map(category => ({ sc_id: category.sc_id, name: category.sc_name }))
+    }, 'Skills retrieved successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error fetching skills:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to fetch skills', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Get free-text talent skills that don't match any skill or alias, most used first,
+ * to decide what to add to the taxonomy
+ * Query: limit (default 50, max 200)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getUnmatchedSkills = async (req, res) => {
+  try {
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const unmatched = await prisma.t_skills.groupBy({
+      by: ['ts_skill'],
+      where: { sk_id: null, status: true, ts_skill: { not: null } },
+      _count: { ts_skill: true },
+      orderBy: { _count: { ts_skill: 'desc' } },
+      take: limitNum
+    });
+
+    return sendResponse(res, 'success', unmatched.map(row => ({
+      name: row.ts_skill,
+      talent_count: row._count.ts_skill
+    })), 'Unmatched skills retrieved successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error fetching unmatched skills:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to fetch unmatched skills', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Add a canonical skill. Talent skills already typed as its name or an alias are linked to it.
+ * Body: name, category (name, created if new), aliases (array)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createSkill = async (req, res) => {
+  try {
+    const { data, category, aliases = [], error } = parseSkillInput(req.body, true);
+
+    if (error) {
+      return sendResponse(res, 'error', null, error, statusType.BAD_REQUEST);
+    }
+
+    const conflicts = await findSkillKeyConflicts([data.sk_key, ...aliases.map(alias => alias.sa_key)]);
+    if (conflicts.length > 0) {
+      return sendResponse(res, 'error', { conflicts }, `The name or an alias is already used by: ${conflicts.join(', ')}`, statusType.CONFLICT);
+    }
+
+    const skill = await prisma.skill.create({
+      data: {
+        ...data,
+        ...await resolveSkillCategory(category),
+        status: data.status ?? true,
+        created_by: String(req.user.user_id),
+        skill_aliases: { create: aliases }
+      },
+      include: skillInclude
+    });
+
+    await recordAudit(req, {
+      action: auditAction.ADMIN_SKILL_CREATE,
+      entityType: 'skill',
+      entityId: skill.sk_id,
+      after: formatSkill(skill)
+    });
+
+    linkUnmatchedSkillsInBackground();
+
+    return sendResponse(res, 'success', formatSkill(skill), 'Skill created successfully', statusType.CREATED);
+
+  } catch (error) {
+    console.error('Error creating skill:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to create skill', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Edit a canonical skill. A new name is applied to every talent skill linked to it;
+ * aliases, when given, replace the current ones.
+ * Body: name, category, aliases, active
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateSkill = async (req, res) => {
+  try {
+    const skillId = parseInt(req.params.skillId);
+
+    if (!skillId) {
+      return sendResponse(res, 'error', null, 'Skill ID is required', statusType.BAD_REQUEST);
+    }
+
+    const { data, category, aliases, error } = parseSkillInput(req.body, false);
+
+    if (error) {
+      return sendResponse(res, 'error', null, error, statusType.BAD_REQUEST);
+    }
+
+    if (Object.keys(data).length === 0 && category === undefined && aliases === undefined) {
+      return sendResponse(res, 'error', null, 'No skill fields to update', statusType.BAD_REQUEST);
+    }
+
+    const skill = await prisma.skill.findUnique({
+      where: { sk_id: skillId },
+      include: skillInclude
+    });
+
+    if (!skill) {
+      return sendResponse(res, 'error', null, 'Skill not found', statusType.NOT_FOUND);
+    }
+
+    const keys = [data.sk_key, ...(aliases || []).map(alias => alias.sa_key)].filter(Boolean);
+    const conflicts = keys.length > 0 ? await findSkillKeyConflicts(keys, skillId) : [];
+    if (conflicts.length > 0) {
+      return sendResponse(res, 'error', { conflicts }, `The name or an alias is already used by: ${conflicts.join(', ')}`, statusType.CONFLICT);
+    }
+
+    const categoryData = await resolveSkillCategory(category);
+
+    const renamed = Boolean(data.sk_key) && data.sk_key !== skill.sk_key;
+    let nextAliases = null;
+
+    if (aliases || renamed) {
+      const newKey = data.sk_key || skill.sk_key;
+      nextAliases = (aliases || skill.skill_aliases.map(alias => ({ sa_alias: alias.sa_alias, sa_key: alias.sa_key })))
+        .filter(alias => alias.sa_key !== newKey);
+
+      // The old name stays findable after a rename
+      if (renamed && !nextAliases.some(alias => alias.sa_key === skill.sk_key)) {
+        nextAliases.push({ sa_alias: skill.sk_name, sa_key: skill.sk_key });
+      }
+    }
+
+    const updatedSkill = await prisma.$transaction(async (tx) => {
+      if (nextAliases) {
+        await tx.skill_alias.deleteMany({ where: { sk_id: skillId } });
+        await tx.skill_alias.createMany({
+          data: nextAliases.map(alias => ({ ...alias, sk_id: skillId }))
+        });
+      }
+
+      if (data.sk_name && data.sk_name !== skill.sk_name) {
+        await tx.t_skills.updateMany({
+          where: { sk_id: skillId },
+          data: { ts_skill: data.sk_name }
+        });
+      }
+
+      return tx.skill.update({
+        where: { sk_id: skillId },
+        data: { ...data, ...categoryData, updated_by: String(req.user.user_id) },
+        include: skillInclude
+      });
+    });
+
+    await recordAudit(req, {
+      action: auditAction.ADMIN_SKILL_UPDATE,
+      entityType: 'skill',
+      entityId: skillId,
+      before: formatSkill(skill),
+      after: formatSkill(updatedSkill)
+    });
+
+    linkUnmatchedSkillsInBackground();
+
+    return sendResponse(res, 'success', formatSkill(updatedSkill), 'Skill updated successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error updating skill:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Failed to update skill', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
 export default {
   getAllUsers,
   getAllTalents,
   getAllRecruiters,
+  getUserDetails,
   getAllJobs,
   getAllApplications,
   updateUserStatus,
   deleteUser,
+  restoreUser,
   getAnalytics,
   getDashboard,
   getSystemStats,
-  manageUserRoles,
   getReports,
   exportData,
   getNotifications,
-  markNotificationAsRead
+  markNotificationAsRead,
+  unlockUser,
+  getPermissions,
+  getRoles,
+  createRole,
+  updateRolePermissions,
+  updateUserRole,
+  impersonateUser,
+  stopImpersonation,
+  getImpersonations,
+  getImpersonationAuditLog,
+  getAuditLogs,
+  getEntityAuditLog,
+  getCatalogServices,
+  getCatalogService,
+  createService,
+  updateService,
+  archiveService,
+  restoreService,
+  reorderServices,
+  addServiceFeature,
+  updateServiceFeature,
+  deleteServiceFeature,
+  reorderServiceFeatures,
+  getSkills,
+  getUnmatchedSkills,
+  createSkill,
+  updateSkill
 };
@@ -1,16 +1,64 @@
 import express from 'express';
 const router = express.Router();
 import * as adminController from './adminController.js';
-import { authMiddleware } from '../../../middleware/authMiddleware.js';
-import { adminMiddleware } from '../../../middleware/adminMiddleware.js';
+import { requirePermission } from '../../../middleware/permissionMiddleware.js';
+import permissionType from '../../enums/permissionTypes.js';
 
-// Public routes
-// TODO: Add public routes here
-
-// Protected routes
-router.use(authMiddleware); // Apply authentication middleware to all routes below
-router.use(adminMiddleware); // Apply admin middleware to all routes below
+// Note: Authentication and the admin.access permission are checked in routes.js
 
 // TODO: Add admin routes here
 
+// User account management
+router.get('/users', requirePermission(permissionType.USER_MANAGE), adminController.getAllUsers);
+router.get('/talents', requirePermission(permissionType.USER_MANAGE), adminController.getAllTalents);
+router.get('/recruiters', requirePermission(permissionType.USER_MANAGE), adminController.getAllRecruiters);
+router.get('/users/:userId', requirePermission(permissionType.USER_MANAGE), adminController.getUserDetails);
+router.put('/users/:userId/status', requirePermission(permissionType.USER_MANAGE), adminController.updateUserStatus);
+router.delete('/users/:userId', requirePermission(permissionType.USER_MANAGE), adminController.deleteUser);
+router.patch('/users/:userId/restore', requirePermission(permissionType.USER_MANAGE), adminController.restoreUser);
+router.patch('/users/:userId/unlock', requirePermission(permissionType.USER_MANAGE), adminController.unlockUser);
+router.patch('/users/:userId/role', requirePermission(permissionType.ROLE_MANAGE), adminController.updateUserRole);
+
+// Impersonation ("view as user")
+router.post('/users/:userId/impersonate', requirePermission(permissionType.USER_IMPERSONATE), adminController.impersonateUser);
+router.get('/impersonations', requirePermission(permissionType.USER_IMPERSONATE), adminController.getImpersonations);
+router.get('/impersonations/:impersonationId', requirePermission(permissionType.USER_IMPERSONATE), adminController.getImpersonationAuditLog);
+router.post('/impersonations/:impersonationId/end', requirePermission(permissionType.USER_IMPERSONATE), adminController.stopImpersonation);
+
+// Audit log
+router.get('/audit-logs', requirePermission(permissionType.AUDIT_VIEW), adminController.getAuditLogs);
+router.get('/audit-logs/:entityType/:entityId', requirePermission(permissionType.AUDIT_VIEW), adminController.getEntityAuditLog);
+
+// Analytics and reports
+router.get('/analytics', requirePermission(permissionType.ANALYTICS_VIEW), adminController.getAnalytics);
+router.get('/system-stats', requirePermission(permissionType.ANALYTICS_VIEW), adminController.getSystemStats);
+router.get('/reports', requirePermission(permissionType.ANALYTICS_VIEW), adminController.getReports);
+router.get('/reports/:reportName', requirePermission(permissionType.ANALYTICS_VIEW), adminController.getReports);
+router.get('/reports/:reportName/export', requirePermission(permissionType.ANALYTICS_VIEW), adminController.exportData);
+
+// Service catalog
+router.get('/services', requirePermission(permissionType.SERVICE_MANAGE), adminController.getCatalogServices);
+router.post('/services', requirePermission(permissionType.SERVICE_MANAGE), adminController.createService);
+router.put('/services/order', requirePermission(permissionType.SERVICE_MANAGE), adminController.reorderServices);
+router.get('/services/:serviceId', requirePermission(permissionType.SERVICE_MANAGE), adminController.getCatalogService);
+router.put('/services/:serviceId', requirePermission(permissionType.SERVICE_MANAGE), adminController.updateService);
+router.patch('/services/:serviceId/archive', requirePermission(permissionType.SERVICE_MANAGE), adminController.archiveService);
+router.patch('/services/:serviceId/restore', requirePermission(permissionType.SERVICE_MANAGE), adminController.restoreService);
+router.post('/services/:serviceId/features', requirePermission(permissionType.SERVICE_MANAGE), adminController.addServiceFeature);
+router.put('/services/:serviceId/features/order', requirePermission(permissionType.SERVICE_MANAGE), adminController.reorderServiceFeatures);
+router.put('/services/:serviceId/features/:featureId', requirePermission(permissionType.SERVICE_MANAGE), adminController.updateServiceFeature);
+router.delete('/services/:serviceId/features/:featureId', requirePermission(permissionType.SERVICE_MANAGE), adminController.deleteServiceFeature);
+
+// Skill taxonomy
+router.get('/skills', requirePermission(permissionType.SKILL_MANAGE), adminController.getSkills);
+router.get('/skills/unmatched', requirePermission(permissionType.SKILL_MANAGE), adminController.getUnmatchedSkills);
+router.post('/skills', requirePermission(permissionType.SKILL_MANAGE), adminController.createSkill);
+router.put('/skills/:skillId', requirePermission(permissionType.SKILL_MANAGE), adminController.updateSkill);
+
+// Roles and permissions
+router.get('/permissions', requirePermission(permissionType.ROLE_MANAGE), adminController.getPermissions);
+router.get('/roles', requirePermission(permissionType.ROLE_MANAGE), adminController.getRoles);
+router.post('/roles', requirePermission(permissionType.ROLE_MANAGE), adminController.createRole);
+router.put('/roles/:roleId/permissions', requirePermission(permissionType.ROLE_MANAGE), adminController.updateRolePermissions);
+
 export default router;
@@ -1,5 +1,5 @@
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import { PrismaClient } from '@prisma/client';
 import { sendResponse } from '../../helpers/responseHelper.js';
 import { validateEmail, validatePassword, validatePhone, validateRequired, sanitizeInput, sanitizePhoneNumber } from '../../helpers/validationHelper.js';
@@ -10,10 +10,26 @@ import fs from 'fs';
 import { fileURLToPath } from 'url';
 import OpenAI from 'openai';
 import { OPENAI_API_KEY } from '../../../config/index.js';
-import { sendNotificationEmail } from '../../helpers/emailHelper.js';
+import { sendNotificationEmail, sendPasswordResetEmail, sendSetPasswordInviteEmail, sendEmailVerificationEmail } from '../../helpers/emailHelper.js';
+import { hashToken, createUserToken, findValidUserToken, getRecentUserTokens } from '../../helpers/tokenHelper.js';
+import { createSession, findSessionByRefreshToken, rotateSession, getActiveSessions, revokeSession, revokeAllSessions } from '../../helpers/sessionHelper.js';
+import { getSigninRetryAfter, recordFailedSignin, recordSuccessfulSignin, clearFailedSignins } from '../../helpers/loginAttemptHelper.js';
+import { getRolePermissions, hasPermission } from '../../helpers/permissionHelper.js';
+import permissionType from '../../enums/permissionTypes.js';
+import { generateTotpSecret, buildOtpAuthUri, verifyTotp, generateRecoveryCodes, normalizeRecoveryCode } from '../../helpers/totpHelper.js';
 import { PDFParse } from 'pdf-parse';
 import { readFile } from 'node:fs/promises';
 import { generateSkillTilesInternal } from '../talent/talentController.js';
+import { disconnectSessionSockets, disconnectImpersonationSockets, disconnectUserSockets } from '../../../socket/socketServer.js';
+import { endImpersonation } from '../../helpers/impersonationHelper.js';
+import { processDataExport, getDataExportFilePath, purgeExpiredDataExports } from '../../helpers/dataExportHelper.js';
+import { eraseUserAccount } from '../../helpers/accountErasureHelper.js';
+import { refreshExperienceMonths } from '../../helpers/experienceHelper.js';
+import { refreshTalentSearchVector } from '../../helpers/talentSearchHelper.js';
+import { queueTalentEmbedding } from '../../helpers/embeddingHelper.js';
+import { normalizeSkillList, normalizeSkillText } from '../../helpers/skillHelper.js';
+import { recordAudit } from '../../helpers/auditHelper.js';
+import auditAction from '../../enums/auditActions.js';
 
 
 const prisma = new PrismaClient();
@@ -26,9 +42,16 @@ const openai = new OpenAI({
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// JWT secret - in production, this should be in environment variables
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const PASSWORD_RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+const SET_PASSWORD_EXPIRES_MINUTES = parseInt(process.env.SET_PASSWORD_EXPIRES_MINUTES) || 72 * 60;
+const EMAIL_VERIFICATION_EXPIRES_MINUTES = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_MINUTES) || 24 * 60;
+const EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+const EMAIL_VERIFICATION_MAX_PER_HOUR = parseInt(process.env.EMAIL_VERIFICATION_MAX_PER_HOUR) || 5;
+const TWO_FACTOR_CHALLENGE_EXPIRES_MINUTES = parseInt(process.env.TWO_FACTOR_CHALLENGE_EXPIRES_MINUTES) || 5;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+const LOGIN_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 10;
+const LOGIN_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 30;
 
 // Configure multer for resume uploads during signup
 const storage = multer.diskStorage({
@@ -158,6 +181,129 @@ If a value is missing, return null for that field. Do not include any text excep
   }
 };
 
+/**
+ * Create a set-password token and email the invite link to the user
+ * @param {Object} user - User object with user_id, email and name
+ * @returns {Promise<Object>} Email send result
+ */
+const sendSetPasswordInvite = async (user) => {
+  const { token } = await createUserToken(user.user_id, 'Set_Password', SET_PASSWORD_EXPIRES_MINUTES);
+  const setPasswordUrl = `${process.env.FRONTEND_URL || 'http://localhost:4000'}/set-password?token=${token}`;
+  return await sendSetPasswordInviteEmail(user, setPasswordUrl, SET_PASSWORD_EXPIRES_MINUTES);
+};
+
+/**
+ * Create an email verification token and email the verification link to the user
+ * @param {Object} user - User object with user_id, email and name
+ * @returns {Promise<Object>} Email send result
+ */
+const sendEmailVerification = async (user) => {
+  const { token } = await createUserToken(user.user_id, 'Email_Verification', EMAIL_VERIFICATION_EXPIRES_MINUTES);
+  const verifyUrl = `${process.env.FRONTEND_URL || 'http://localhost:4000'}/verify-email?token=${token}`;
+  return await sendEmailVerificationEmail(user, verifyUrl, EMAIL_VERIFICATION_EXPIRES_MINUTES);
+};
+
+/**
+ * Check a TOTP code or a one-time recovery code for a user with 2FA set up.
+ * Accepted TOTP steps are recorded so a code can't be replayed, and
+ * recovery codes are consumed on use.
+ * @param {Object} user - User object with user_id, user_2fa_secret and user_2fa_last_step
+ * @param {String} code - 6-digit code from the authenticator app
+ * @param {String} recoveryCode - One-time recovery code
+ * @returns {Promise<Boolean>} True if the second factor is valid
+ */
+const verifySecondFactor = async (user, code, recoveryCode) => {
+  if (code) {
+    const step = verifyTotp(user.user_2fa_secret, code);
+
+    if (step === null || (user.user_2fa_last_step !== null && step <= user.user_2fa_last_step)) {
+      return false;
+    }
+
+    await prisma.user.update({
+      where: { user_id: user.user_id },
+      data: { user_2fa_last_step: step }
+    });
+    return true;
+  }
+
+  if (recoveryCode) {
+    const result = await prisma.user_recovery_code.updateMany({
+      where: {
+        user_id: user.user_id,
+        urc_code_hash: hashToken(normalizeRecoveryCode(recoveryCode)),
+        urc_used_at: null,
+        status: true
+      },
+      data: { urc_used_at: new Date() }
+    });
+    return result.count > 0;
+  }
+
+  return false;
+};
+
+/**
+ * Replace a user's recovery codes with a freshly generated set
+ * @param {Number} userId - The user ID
+ * @returns {Promise<Array<String>>} The new codes (shown to the user once)
+ */
+const replaceRecoveryCodes = async (userId) => {
+  const recoveryCodes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+
+  await prisma.$transaction([
+    prisma.user_recovery_code.updateMany({
+      where: { user_id: userId, status: true },
+      data: { status: false }
+    }),
+    prisma.user_recovery_code.createMany({
+      data: recoveryCodes.map(recoveryCode => ({
+        user_id: userId,
+        urc_code_hash: hashToken(normalizeRecoveryCode(recoveryCode)),
+        status: true
+      }))
+    })
+  ]);
+
+  return recoveryCodes;
+};
+
+/**
+ * Temporarily lock an account after too many failed signins and tell the owner.
+ * The lock uses is_suspended, with user_locked_until marking it as automatic.
+ * @param {Object} user - User object with user_id, email and name
+ * @returns {Promise<void>}
+ */
+const lockAccount = async (user) => {
+  const lockedUntil = new Date(Date.now() + LOGIN_LOCK_MINUTES * 60 * 1000);
+
+  await prisma.user.update({
+    where: { user_id: user.user_id },
+    data: {
+      is_suspended: true,
+      user_locked_until: lockedUntil
+    }
+  });
+
+  try {
+    await sendNotificationEmail(
+      user.user_email,
+      user.user_full_name,
+      'Your TalentFlip account has been temporarily locked',
+      '🔒 Account Locked',
+      `
+        <p>We locked your TalentFlip account after ${LOGIN_MAX_FAILED_ATTEMPTS} failed sign-in attempts.</p>
+        <p>You can sign in again after ${LOGIN_LOCK_MINUTES} minutes, or unlock it right away by resetting your password.</p>
+        <p style="color: #ef4444; font-weight: 600;">If these attempts weren't you, someone may be trying to access your account. Please reset your password.</p>
+      `,
+      'Reset Password',
+      `${process.env.FRONTEND_URL || 'http://localhost:4000'}/forgot-password`
+    );
+  } catch (emailError) {
+    console.error('Error sending account locked email:', emailError);
+  }
+};
+
 /**
  * New Talent Signup with Resume Upload
  * @param {Object} req - Express request object
@@ -183,7 +329,8 @@ export const signup = async (req, res) => {
       where: { role_id: parseInt(role_id) }
     });
 
-    if (!role) {
+    // Admin-level roles are only assigned by admins, never through signup
+    if (!role || (await getRolePermissions(role.role_id)).includes(permissionType.ADMIN_ACCESS)) {
       return sendResponse(res, 'error', null, 'Invalid role ID', statusType.BAD_REQUEST);
     }
 
@@ -247,13 +394,13 @@ export const signup = async (req, res) => {
       return sendResponse(res, 'error', null, 'User with this email or mobile number already exists', statusType.BAD_REQUEST);
     }
 
-    // Generate password from first name
-    const firstName = parsedInfo.fullName.split(' ')[0];
-    const generatedPassword = `${firstName}@123`;
+    // Store a random, never-disclosed password until the user sets their own
+    // via the invite link (signin is blocked while is_password_set is false)
+    const placeholderPassword = crypto.randomBytes(32).toString('hex');
 
     // Hash password
     const saltRounds = 12;
-    const hashedPassword = await bcrypt.hash(generatedPassword, saltRounds);
+    const hashedPassword = await bcrypt.hash(placeholderPassword, saltRounds);
 
     // Create user and profile in a transaction
     const result = await prisma.$transaction(async (tx) => {
@@ -270,7 +417,8 @@ export const signup = async (req, res) => {
           is_active: true,
           is_deleted: false,
           is_blocked: false,
-          is_suspended: false
+          is_suspended: false,
+          is_password_set: false
         },
         select: {
           user_id: true,
@@ -281,6 +429,7 @@ export const signup = async (req, res) => {
           status: true,
           is_verified: true,
           is_active: true,
+          is_password_set: true,
           created_at: true,
           user_role: {
             select: {
@@ -478,7 +627,7 @@ Analyze the resume content thoroughly and provide accurate, professional assessm
                 tpj_github_url: project.tpj_github_url || null,
                 tpj_duration: project.tpj_duration || null,
                 tpj_impact: project.tpj_impact || null,
-                tpj_technologies: project.tpj_technologies || null,
+                tpj_technologies: await normalizeSkillText(project.tpj_technologies) || null,
                 status: true
               }
             });
@@ -513,7 +662,7 @@ Analyze the resume content thoroughly and provide accurate, professional assessm
                 te_start_date: startDate,
                 te_end_date: endDate,
                 te_description: exp.te_description || null,
-                te_technologies: exp.te_technologies || null,
+                te_technologies: await normalizeSkillText(exp.te_technologies) || null,
                 status: true
               }
             });
@@ -522,23 +671,29 @@ Analyze the resume content thoroughly and provide accurate, professional assessm
         }
       }
 
+      await refreshExperienceMonths(talentProfile.tp_id);
+
       // Save skills data if available
       let createdSkills = [];
       if (parsedData.skills && Array.isArray(parsedData.skills) && parsedData.skills.length > 0) {
-        for (const skill of parsedData.skills) {
-          if (skill && skill.trim() !== '') {
-            const newSkill = await prisma.t_skills.create({
-              data: {
-                tp_id: talentProfile.tp_id,
-                ts_skill: skill.trim(),
-                status: true
-              }
-            });
-            createdSkills.push(newSkill);
-          }
+        const normalizedSkills = await normalizeSkillList(parsedData.skills.filter(skill => typeof skill === 'string'));
+        for (const skill of normalizedSkills) {
+          const newSkill = await prisma.t_skills.create({
+            data: {
+              tp_id: talentProfile.tp_id,
+              ts_skill: skill.name,
+              sk_id: skill.sk_id,
+              status: true
+            }
+          });
+          createdSkills.push(newSkill);
         }
       }
 
+      await refreshTalentSearchVector(talentProfile.tp_id);
+
+      queueTalentEmbedding(talentProfile.tp_id);
+
       // Generate skill tiles after experience and skills are created
       // This runs asynchronously and won't block the signup process
       if (createdExperience.length > 0 || createdSkills.length > 0) {
@@ -573,45 +728,19 @@ Analyze the resume content thoroughly and provide accurate, professional assessm
       };
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        user_id: newUser.user_id,
-        user_email: newUser.user_email,
-        role_id: newUser.role_id
-      },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
-
-    // Send email with credentials via Brevo
+    // Email a one-time link so the user can choose their own password.
+    // Following that link also verifies the email address, so no separate
+    // verification email is sent for resume signups.
     try {
-      await sendNotificationEmail(
-        newUser.user_email,
-        newUser.user_full_name,
-        'Welcome to TalentFlip - Your Account Credentials',
-        '🎉 Welcome to TalentFlip!',
-        `
-          <p>Your account has been created successfully!</p>
-          <p><strong>Your login credentials:</strong></p>
-          <div style="background-color: #f3f4f6; padding: 15px; border-radius: 6px; margin: 20px 0;">
-            <p style="margin: 5px 0;"><strong>Email:</strong> ${newUser.user_email}</p>
-            <p style="margin: 5px 0;"><strong>Password:</strong> ${generatedPassword}</p>
-          </div>
-          <p style="color: #ef4444; font-weight: 600;">⚠️ Important: Please change your password after your first login for security purposes.</p>
-          <p>We're excited to have you on board!</p>
-        `,
-        'Login to Your Account',
-        process.env.FRONTEND_URL || 'http://localhost:4000'
-      );
+      await sendSetPasswordInvite(newUser);
     } catch (emailError) {
-      // Don't fail the signup if email fails
+      // Don't fail the signup if email fails - the invite can be resent
+      console.error('Error sending set password invite:', emailError);
     }
 
     // Prepare response data
     const responseData = {
       user: newUser,
-      token,
       resume_parsing: parsedResumeData,
       warnings: profileEnrichmentError ? [profileEnrichmentError] : []
     };
@@ -622,7 +751,7 @@ Analyze the resume content thoroughly and provide accurate, professional assessm
         res, 
         'warning', 
         responseData, 
-        `User registered successfully, but profile has insufficient experience: ${profileEnrichmentError.experience_years} years (minimum 10 required). Credentials sent to email.`, 
+        `User registered successfully, but profile has insufficient experience: ${profileEnrichmentError.experience_years} years (minimum 10 required). Check your email to set your password.`, 
         statusType.CREATED
       );
     }
@@ -631,7 +760,7 @@ Analyze the resume content thoroughly and provide accurate, professional assessm
       res, 
       'success', 
       responseData, 
-      'User registered successfully. Profile enriched with resume data. Credentials sent to email.', 
+      'User registered successfully. Profile enriched with resume data. Check your email to set your password.', 
       statusType.CREATED
     );
 
@@ -689,7 +818,8 @@ export const signupOld = async (req, res) => {
       where: { role_id: parseInt(role_id) }
     });
 
-    if (!role) {
+    // Admin-level roles are only assigned by admins, never through signup
+    if (!role || (await getRolePermissions(role.role_id)).includes(permissionType.ADMIN_ACCESS)) {
       return sendResponse(res, 'error', null, 'Invalid role ID', statusType.BAD_REQUEST);
     }
 
@@ -737,6 +867,7 @@ export const signupOld = async (req, res) => {
           status: true,
           is_verified: true,
           is_active: true,
+          user_token_version: true,
           created_at: true,
           user_role: {
             select: {
@@ -761,21 +892,21 @@ export const signupOld = async (req, res) => {
 
     const newUser = result;
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        user_id: newUser.user_id,
-        user_email: newUser.user_email,
-        role_id: newUser.role_id
-      },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
+    try {
+      await sendEmailVerification(newUser);
+    } catch (emailError) {
+      // Don't fail the signup if email fails - verification can be resent
+      console.error('Error sending email verification:', emailError);
+    }
+
+    // Start a session for this device
+    const { token, refresh_token } = await createSession(newUser, req);
 
     return sendResponse(res, 'success', {
       user: newUser,
-      token
-    }, 'User registered successfully', statusType.CREATED);
+      token,
+      refresh_token
+    }, 'User registered successfully. Please check your email to verify your account.', statusType.CREATED);
 
   } catch (error) {
     return sendResponse(res, 'error', error.message, 'Internal server error during signup', statusType.INTERNAL_SERVER_ERROR);
@@ -810,9 +941,21 @@ export const signin = async (req, res) => {
       }, 'Validation errors', statusType.BAD_REQUEST);
     }
 
+    const email = user_email.toLowerCase();
+    const ipAddress = req.ip || null;
+
+    // Slow down repeated failures for this email or from this IP
+    const retryAfter = await getSigninRetryAfter(email, ipAddress);
+
+    if (retryAfter > 0) {
+      return sendResponse(res, 'error', {
+        retry_after_seconds: retryAfter
+      }, 'Too many failed sign-in attempts. Please try again later.', statusType.TOO_MANY_REQUESTS);
+    }
+
     // Find user by email
-    const user = await prisma.user.findUnique({
-      where: { user_email: user_email.toLowerCase() },
+    let user = await prisma.user.findUnique({
+      where: { user_email: email },
       include: {
         user_role: {
           select: {
@@ -823,6 +966,7 @@ export const signin = async (req, res) => {
     });
 
     if (!user) {
+      await recordFailedSignin(email, ipAddress);
       return sendResponse(res, 'error', null, 'Invalid email or password', statusType.UNAUTHORIZED);
     }
 
@@ -831,38 +975,1205 @@ export const signin = async (req, res) => {
       return sendResponse(res, 'error', null, 'Account is inactive, blocked, or deleted', statusType.UNAUTHORIZED);
     }
 
+    // Lift an automatic lockout once it has expired
+    if (user.is_suspended && user.user_locked_until && user.user_locked_until <= new Date()) {
+      user = await prisma.user.update({
+        where: { user_id: user.user_id },
+        data: {
+          is_suspended: false,
+          user_locked_until: null
+        },
+        include: {
+          user_role: {
+            select: {
+              role_name: true
+            }
+          }
+        }
+      });
+      await clearFailedSignins(email);
+    }
+
     // Check if user is suspended
     if (user.is_suspended) {
+      if (user.user_locked_until) {
+        return sendResponse(res, 'error', {
+          locked_until: user.user_locked_until
+        }, 'Account is temporarily locked due to too many failed sign-in attempts. Try again later or reset your password.', statusType.UNAUTHORIZED);
+      }
       return sendResponse(res, 'error', null, 'Account is suspended', statusType.UNAUTHORIZED);
     }
 
+    // Invited users must set a password from their email link first
+    if (!user.is_password_set) {
+      return sendResponse(res, 'error', null, 'Please set your password using the link sent to your email', statusType.FORBIDDEN);
+    }
+
     // Verify password
     const isPasswordValid = await bcrypt.compare(user_password, user.user_password);
     
     if (!isPasswordValid) {
+      const failedAttempts = await recordFailedSignin(email, ipAddress);
+
+      if (failedAttempts >= LOGIN_MAX_FAILED_ATTEMPTS) {
+        await lockAccount(user);
+      }
+
       return sendResponse(res, 'error', null, 'Invalid email or password', statusType.UNAUTHORIZED);
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        user_id: user.user_id,
-        user_email: user.user_email,
-        role_id: user.role_id
-      },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRES_IN }
-    );
+    // With 2FA enabled the session is only issued after the code is verified, and earlier
+    // failures keep counting until then
+    if (user.user_2fa_enabled) {
+      const { token: challengeToken, expiresAt } = await createUserToken(user.user_id, 'Two_Factor_Challenge', TWO_FACTOR_CHALLENGE_EXPIRES_MINUTES);
+
+      return sendResponse(res, 'success', {
+        two_factor_required: true,
+        challenge_token: challengeToken,
+        expires_at: expiresAt
+      }, 'Two-factor authentication code required', statusType.SUCCESS);
+    }
 
-    // Remove password from response
-    const { user_password: _, ...userWithoutPassword } = user;
+    await recordSuccessfulSignin(email, ipAddress);
+
+    // Start a session for this device
+    const { token, refresh_token } = await createSession(user, req);
+
+    // Remove password and 2FA secret from response
+    const { user_password: _, user_2fa_secret: __, ...userWithoutPassword } = user;
 
     return sendResponse(res, 'success', {
       user: userWithoutPassword,
-      token
+      token,
+      refresh_token,
+      // Admins can only enroll in 2FA until it is enabled
+      two_factor_setup_required: (await getRolePermissions(user.role_id)).includes(permissionType.ADMIN_ACCESS)
     }, 'Login successful', statusType.SUCCESS);
 
   } catch (error) {
     return sendResponse(res, 'error', error.message, 'Internal server error during signin', statusType.INTERNAL_SERVER_ERROR);
   }
 };
+
+/**
+ * Forgot Password Controller
+ * Emails a single-use password reset link. Always responds with the same
+ * message so the endpoint cannot be used to discover registered emails.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const forgotPassword = async (req, res) => {
+  try {
+    const { user_email } = req.body;
+
+    // Validate required fields
+    const missingFields = validateRequired(['user_email'], req.body);
+
+    if (missingFields.length > 0) {
+      return sendResponse(res, 'error', {
+        message: 'Missing required fields',
+        fields: missingFields
+      }, 'Validation errors', statusType.BAD_REQUEST);
+    }
+
+    // Validate email format
+    if (!validateEmail(user_email)) {
+      return sendResponse(res, 'error', {
+        message: 'Invalid email format',
+        field: 'user_email'
+      }, 'Validation errors', statusType.BAD_REQUEST);
+    }
+
+    const genericMessage = 'If an account exists for this email, a password reset link has been sent';
+
+    const user = await prisma.user.findUnique({
+      where: { user_email: user_email.toLowerCase() }
+    });
+
+    // Do not send reset links to accounts that cannot sign in anyway
+    if (!user || !user.is_active || user.is_blocked || user.is_deleted) {
+      return sendResponse(res, 'success', null, genericMessage, statusType.SUCCESS);
+    }
+
+    const { token } = await createUserToken(user.user_id, 'Password_Reset', PASSWORD_RESET_EXPIRES_MINUTES);
+    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:4000'}/reset-password?token=${token}`;
+
+    try {
+      await sendPasswordResetEmail(user, resetUrl, PASSWORD_RESET_EXPIRES_MINUTES);
+    } catch (emailError) {
+      console.error('Error sending password reset email:', emailError);
+    }
+
+    return sendResponse(res, 'success', null, genericMessage, statusType.SUCCESS);
+
+  } catch (error) {
+    return sendResponse(res, 'error', error.message, 'Internal server error during forgot password', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Reset Password Controller
+ * Sets a new password using a reset token and invalidates every JWT
+ * issued before the reset
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, new_password } = req.body;
+
+    // Validate required fields
+    const missingFields = validateRequired(['token', 'new_password'], req.body);
+
+    if (missingFields.length > 0) {
+      return sendResponse(res, 'error', {
+        message: 'Missing required fields',
+        fields: missingFields
+      }, 'Validation errors', statusType.BAD_REQUEST);
+    }
+
+    // Validate password strength
+    if (!validatePassword(new_password)) {
+      return sendResponse(res, 'error', {
+        message: 'Password must be at least 8 characters long with at least 1 uppercase letter, 1 lowercase letter, and 1 number',
+        field: 'new_password'
+      }, 'Validation errors', statusType.BAD_REQUEST);
+    }
+
+    const userToken = await findValidUserToken(token, 'Password_Reset');
+
+    if (!userToken) {
+      return sendResponse(res, 'error', null, 'Invalid or expired reset token', statusType.BAD_REQUEST);
+    }
+
+    const saltRounds = 12;
+    const hashedPassword = await bcrypt.hash(new_password, saltRounds);
+
+    const tokenUsed = await prisma.$transaction(async (tx) => {
+      // Mark the token used first, so two requests racing with the same token can't both use it
+      const claimed = await tx.user_token.updateMany({
+        where: { ut_id: userToken.ut_id, ut_used_at: null },
+        data: { ut_used_at: new Date() }
+      });
+
+      if (claimed.count === 0) {
+        return false;
+      }
+
+      await tx.user.update({
+        where: { user_id: userToken.user_id },
+        data: {
+          user_password: hashedPassword,
+          is_password_set: true,
+          // Bumping the version makes every previously issued JWT invalid
+          user_token_version: { increment: 1 },
+          // A reset also lifts an automatic signin lockout (but not an admin suspension)
+          ...(userToken.user.user_locked_until && {
+            is_suspended: false,
+            user_locked_until: null
+          })
+        }
+      });
+
+      await tx.user_token.updateMany({
+        where: {
+          user_id: userToken.user_id,
+          ut_type: 'Password_Reset',
+          ut_used_at: null,
+          status: true
+        },
+        data: { status: false }
+      });
+
+      // Sign out every device so refresh tokens can't mint new access tokens
+      await tx.user_session.updateMany({
+        where: {
+          user_id: userToken.user_id,
+          us_revoked_at: null
+        },
+        data: {
+          us_revoked_at: new Date(),
+          status: false
+        }
+      });
+
+      return true;
+    });
+
+    if (!tokenUsed) {
+      return sendResponse(res, 'error', null, 'Invalid or expired reset token', statusType.BAD_REQUEST);
+    }
+
+    if (userToken.user.user_locked_until) {
+      await clearFailedSignins(userToken.user.user_email);
+    }
+
+    try {
+      await sendNotificationEmail(
+        userToken.user.user_email,
+        userToken.user.user_full_name,
+        'Your TalentFlip password was changed',
+        '🔒 Password Changed',
+        `
+          <p>The password for your TalentFlip account was just changed and you have been signed out of all devices.</p>
+          <p style="color: #ef4444; font-weight: 600;">If you did not make this change, please reset your password immediately and contact support.</p>
+        `,
+        'Sign In',
+        process.env.FRONTEND_URL || 'http://localhost:4000'
+      );
+    } catch (emailError) {
+      console.error('Error sending password changed email:', emailError);
+    }
+
+    return sendResponse(res, 'success', null, 'Password reset successfully. Please sign in with your new password.', statusType.SUCCESS);
+
+  } catch (error) {
+    return sendResponse(res, 'error', error.message, 'Internal server error during password reset', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Set Password Controller
+ * Lets an invited user (resume signup) choose their first password
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const setPassword = async (req, res) => {
+  try {
+    const { token, new_password } = req.body;
+
+    // Validate required fields
+    const missingFields = validateRequired(['token', 'new_password'], req.body);
+
+    if (missingFields.length > 0) {
+      return sendResponse(res, 'error', {
+        message: 'Missing required fields',
+        fields: missingFields
+      }, 'Validation errors', statusType.BAD_REQUEST);
+    }
+
+    // Validate password strength
+    if (!validatePassword(new_password)) {
+      return sendResponse(res, 'error', {
+        message: 'Password must be at least 8 characters long with at least 1 uppercase letter, 1 lowercase letter, and 1 number',
+        field: 'new_password'
+      }, 'Validation errors', statusType.BAD_REQUEST);
+    }
+
+    const userToken = await findValidUserToken(token, 'Set_Password');
+
+    if (!userToken) {
+      return sendResponse(res, 'error', null, 'Invalid or expired invite link. Please request a new one.', statusType.BAD_REQUEST);
+    }
+
+    const saltRounds = 12;
+    const hashedPassword = await bcrypt.hash(new_password, saltRounds);
+
+    const tokenUsed = await prisma.$transaction(async (tx) => {
+      // Mark the token used first, so two requests racing with the same token can't both use it
+      const claimed = await tx.user_token.updateMany({
+        where: { ut_id: userToken.ut_id, ut_used_at: null },
+        data: { ut_used_at: new Date() }
+      });
+
+      if (claimed.count === 0) {
+        return false;
+      }
+
+      await tx.user.update({
+        where: { user_id: userToken.user_id },
+        data: {
+          user_password: hashedPassword,
+          is_password_set: true,
+          // The link was delivered to this address, so the email is confirmed
+          is_verified: true
+        }
+      });
+
+      return true;
+    });
+
+    if (!tokenUsed) {
+      return sendResponse(res, 'error', null, 'Invalid or expired invite link. Please request a new one.', statusType.BAD_REQUEST);
+    }
+
+    return sendResponse(res, 'success', null, 'Password set successfully. You can now sign in.', statusType.SUCCESS);
+
+  } catch (error) {
+    return sendResponse(res, 'error', error.message, 'Internal server error while setting password', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Resend Invite Controller
+ * Emails a fresh set-password link to a user who has not set a password yet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const resendInvite = async (req, res) => {
+  try {
+    const { user_email } = req.body;
+
+    // Validate required fields
+    const missingFields = validateRequired(['user_email'], req.body);
+
+    if (missingFields.length > 0) {
+      return sendResponse(res, 'error', {
+        message: 'Missing required fields',
+        fields: missingFields
+      }, 'Validation errors', statusType.BAD_REQUEST);
+    }
+
+    // Validate email format
+    if (!validateEmail(user_email)) {
+      return sendResponse(res, 'error', {
+        message: 'Invalid email format',
+        field: 'user_email'
+      }, 'Validation errors', statusType.BAD_REQUEST);
+    }
+
+    const genericMessage = 'If this account is awaiting activation, a new invite link has been sent';
+
+    const user = await prisma.user.findUnique({
+      where: { user_email: user_email.toLowerCase() }
+    });
+
+    if (!user || user.is_password_set || !user.is_active || user.is_blocked || user.is_deleted) {
+      return sendResponse(res, 'success', null, genericMessage, statusType.SUCCESS);
+    }
+
+    try {
+      await sendSetPasswordInvite(user);
+    } catch (emailError) {
+      console.error('Error resending set password invite:', emailError);
+    }
+
+    return sendResponse(res, 'success', null, genericMessage, statusType.SUCCESS);
+
+  } catch (error) {
+    return sendResponse(res, 'error', error.message, 'Internal server error while resending invite', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Verify Email Controller
+ * Marks the user's email as verified using the token from the verification link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    // Validate required fields
+    const missingFields = validateRequired(['token'], req.body);
+
+    if (missingFields.length > 0) {
+      return sendResponse(res, 'error', {
+        message: 'Missing required fields',
+        fields: missingFields
+      }, 'Validation errors', statusType.BAD_REQUEST);
+    }
+
+    const userToken = await findValidUserToken(token, 'Email_Verification');
+
+    if (!userToken) {
+      return sendResponse(res, 'error', null, 'Invalid or expired verification link. Please request a new one.', statusType.BAD_REQUEST);
+    }
+
+    const tokenUsed = await prisma.$transaction(async (tx) => {
+      // Mark the token used first, so two requests racing with the same token can't both use it
+      const claimed = await tx.user_token.updateMany({
+        where: { ut_id: userToken.ut_id, ut_used_at: null },
+        data: { ut_used_at: new Date() }
+      });
+
+      if (claimed.count === 0) {
+        return false;
+      }
+
+      await tx.user.update({
+        where: { user_id: userToken.user_id },
+        data: { is_verified: true }
+      });
+
+      return true;
+    });
+
+    if (!tokenUsed) {
+      return sendResponse(res, 'error', null, 'Invalid or expired verification link. Please request a new one.', statusType.BAD_REQUEST);
+    }
+
+    return sendResponse(res, 'success', null, 'Email verified successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    return sendResponse(res, 'error', error.message, 'Internal server error while verifying email', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Resend Verification Email Controller
+ * Sends a new verification link to the signed-in user, throttled per user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const resendVerificationEmail = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { user_id: userId },
+      select: {
+        user_id: true,
+        user_full_name: true,
+        user_email: true,
+        is_verified: true
+      }
+    });
+
+    if (!user) {
+      return sendResponse(res, 'error', null, 'User not found', statusType.NOT_FOUND);
+    }
+
+    if (user.is_verified) {
+      return sendResponse(res, 'success', null, 'Email is already verified', statusType.SUCCESS);
+    }
+
+    // Throttle: one email per cooldown window and a cap per hour
+    const recentTokens = await getRecentUserTokens(user.user_id, 'Email_Verification', 60);
+
+    if (recentTokens.length >= EMAIL_VERIFICATION_MAX_PER_HOUR) {
+      return sendResponse(res, 'error', null, 'Too many verification emails requested. Please try again later.', statusType.TOO_MANY_REQUESTS);
+    }
+
+    if (recentTokens.length > 0) {
+      const secondsSinceLast = Math.floor((Date.now() - recentTokens[0].created_at.getTime()) / 1000);
+
+      if (secondsSinceLast < EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) {
+        return sendResponse(res, 'error', {
+          retry_after_seconds: EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS - secondsSinceLast
+        }, 'Please wait before requesting another verification email', statusType.TOO_MANY_REQUESTS);
+      }
+    }
+
+    await sendEmailVerification(user);
+
+    return sendResponse(res, 'success', null, 'Verification email sent', statusType.SUCCESS);
+
+  } catch (error) {
+    return sendResponse(res, 'error', error.message, 'Internal server error while sending verification email', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Refresh Token Controller
+ * Exchanges a refresh token for a new access token and a rotated refresh token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const refreshToken = async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    // Validate required fields
+    const missingFields = validateRequired(['refresh_token'], req.body);
+
+    if (missingFields.length > 0) {
+      return sendResponse(res, 'error', {
+        message: 'Missing required fields',
+        fields: missingFields
+      }, 'Validation errors', statusType.BAD_REQUEST);
+    }
+
+    const session = await findSessionByRefreshToken(refresh_token);
+
+    if (!session) {
+      return sendResponse(res, 'error', null, 'Invalid or expired refresh token', statusType.UNAUTHORIZED);
+    }
+
+    const { user } = session;
+
+    // Check if user is active and not blocked
+    if (!user.status || !user.is_active || user.is_blocked || user.is_deleted || user.is_suspended) {
+      await revokeSession(session.us_id, user.user_id);
+      return sendResponse(res, 'error', null, 'Account is inactive, blocked, suspended, or deleted', statusType.UNAUTHORIZED);
+    }
+
+    const { token, refresh_token: newRefreshToken } = await rotateSession(session, req);
+
+    return sendResponse(res, 'success', {
+      token,
+      refresh_token: newRefreshToken
+    }, 'Token refreshed successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    return sendResponse(res, 'error', error.message, 'Internal server error while refreshing token', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Logout Controller
+ * Revokes the session the current access token belongs to
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const logout = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    // Logging out of an impersonation ends it; the admin's own session is untouched
+    if (req.user.impersonation) {
+      await endImpersonation(req.user.impersonation.impersonation_id);
+      disconnectImpersonationSockets(req.user.impersonation.impersonation_id);
+      return sendResponse(res, 'success', null, 'Impersonation ended successfully', statusType.SUCCESS);
+    }
+
+    await revokeSession(req.user.session_id, userId);
+    disconnectSessionSockets(req.user.session_id);
+
+    return sendResponse(res, 'success', null, 'Logged out successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    return sendResponse(res, 'error', error.message, 'Internal server error during logout', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Get Sessions Controller
+ * Lists the signed-in devices of the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getSessions = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const sessions = await getActiveSessions(userId);
+
+    const formattedSessions = sessions.map(session => ({
+      ...session,
+      is_current: session.us_id === req.user.session_id
+    }));
+
+    return sendResponse(res, 'success', formattedSessions, 'Sessions retrieved successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    return sendResponse(res, 'error', error.message, 'Internal server error while fetching sessions', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Revoke Session Controller
+ * Signs out one of the current user's devices
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const revokeUserSession = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const sessionId = parseInt(req.params.sessionId);
+
+    if (!sessionId) {
+      return sendResponse(res, 'error', null, 'Session ID is required', statusType.BAD_REQUEST);
+    }
+
+    const revoked = await revokeSession(sessionId, userId);
+
+    if (!revoked) {
+      return sendResponse(res, 'error', null, 'Session not found', statusType.NOT_FOUND);
+    }
+
+    disconnectSessionSockets(sessionId);
+
+    return sendResponse(res, 'success', null, 'Session revoked successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    return sendResponse(res, 'error', error.message, 'Internal server error while revoking session', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Two-Factor Sign-in Controller
+ * Second sign-in step: exchanges the challenge token and a TOTP or recovery code for a session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const verifyTwoFactorSignin = async (req, res) => {
+  try {
+    const { challenge_token, code, recovery_code } = req.body;
+
+    // Validate required fields
+    const missingFields = validateRequired(['challenge_token'], req.body);
+
+    if (missingFields.length > 0 || (!code && !recovery_code)) {
+      return sendResponse(res, 'error', {
+        message: 'Missing required fields',
+        fields: missingFields.length > 0 ? missingFields : ['code']
+      }, 'Validation errors', statusType.BAD_REQUEST);
+    }
+
+    const challenge = await findValidUserToken(challenge_token, 'Two_Factor_Challenge');
+
+    if (!challenge) {
+      return sendResponse(res, 'error', null, 'Sign-in attempt expired. Please sign in again.', statusType.UNAUTHORIZED);
+    }
+
+    const { user } = challenge;
+    const email = user.user_email.toLowerCase();
+    const ipAddress = req.ip || null;
+
+    // Check if user is active and not blocked
+    if (!user.is_active || user.is_blocked || user.is_deleted || user.is_suspended) {
+      return sendResponse(res, 'error', null, 'Account is inactive, blocked, suspended, or deleted', statusType.UNAUTHORIZED);
+    }
+
+    // Wrong codes are throttled like wrong passwords
+    const retryAfter = await getSigninRetryAfter(email, ipAddress);
+
+    if (retryAfter > 0) {
+      return sendResponse(res, 'error', {
+        retry_after_seconds: retryAfter
+      }, 'Too many failed sign-in attempts. Please try again later.', statusType.TOO_MANY_REQUESTS);
+    }
+
+    const isCodeValid = await verifySecondFactor(user, code, recovery_code);
+
+    if (!isCodeValid) {
+      const failedAttempts = await recordFailedSignin(email, ipAddress);
+
+      if (failedAttempts >= LOGIN_MAX_FAILED_ATTEMPTS) {
+        await lockAccount(user);
+      }
+
+      // Burn the challenge after too many wrong codes to stop guessing
+      const attempts = challenge.ut_attempts + 1;
+      await prisma.user_token.update({
+        where: { ut_id: challenge.ut_id },
+        data: {
+          ut_attempts: attempts,
+          ...(attempts >= TWO_FACTOR_MAX_ATTEMPTS && { status: false })
+        }
+      });
+
+      return sendResponse(res, 'error', null, 'Invalid authentication code', statusType.UNAUTHORIZED);
+    }
+
+    await prisma.user_token.update({
+      where: { ut_id: challenge.ut_id },
+      data: { ut_used_at: new Date() }
+    });
+
+    await recordSuccessfulSignin(email, ipAddress);
+
+    // Start a session for this device
+    const { token, refresh_token } = await createSession(user, req);
+
+    const userWithRole = await prisma.user.findUnique({
+      where: { user_id: user.user_id },
+      include: {
+        user_role: {
+          select: {
+            role_name: true
+          }
+        }
+      }
+    });
+
+    // Remove password and 2FA secret from response
+    const { user_password: _, user_2fa_secret: __, ...userWithoutPassword } = userWithRole;
+
+    return sendResponse(res, 'success', {
+      user: userWithoutPassword,
+      token,
+      refresh_token
+    }, 'Login successful', statusType.SUCCESS);
+
+  } catch (error) {
+    return sendResponse(res, 'error', error.message, 'Internal server error during two-factor sign-in', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Setup Two-Factor Controller
+ * Generates a pending TOTP secret and returns the otpauth URI for the authenticator app
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    if (!hasPermission(req.user, permissionType.TWO_FACTOR_ENROLL)) {
+      return sendResponse(res, 'error', null, 'Two-factor authentication is available for recruiter and admin accounts only', statusType.FORBIDDEN);
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { user_id: userId },
+      select: {
+        user_email: true,
+        user_2fa_enabled: true
+      }
+    });
+
+    if (user.user_2fa_enabled) {
+      return sendResponse(res, 'error', null, 'Two-factor authentication is already enabled', statusType.BAD_REQUEST);
+    }
+
+    // The secret stays pending until a code from it is confirmed
+    const secret = generateTotpSecret();
+
+    await prisma.user.update({
+      where: { user_id: userId },
+      data: {
+        user_2fa_secret: secret,
+        user_2fa_last_step: null
+      }
+    });
+
+    return sendResponse(res, 'success', {
+      secret,
+      otpauth_uri: buildOtpAuthUri(secret, user.user_email)
+    }, 'Scan the QR code with your authenticator app and confirm with a code', statusType.SUCCESS);
+
+  } catch (error) {
+    return sendResponse(res, 'error', error.message, 'Internal server error during two-factor setup', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Enable Two-Factor Controller
+ * Confirms the pending secret with a code, enables 2FA and returns the recovery codes
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const missingFields = validateRequired(['code'], req.body);
+
+    if (missingFields.length > 0) {
+      return sendResponse(res, 'error', {
+        message: 'Missing required fields',
+        fields: missingFields
+      }, 'Validation errors', statusType.BAD_REQUEST);
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { user_id: userId },
+      select: {
+        user_id: true,
+        user_2fa_enabled: true,
+        user_2fa_secret: true,
+        user_2fa_last_step: true
+      }
+    });
+
+    if (user.user_2fa_enabled) {
+      return sendResponse(res, 'error', null, 'Two-factor authentication is already enabled', statusType.BAD_REQUEST);
+    }
+
+    if (!user.user_2fa_secret) {
+      return sendResponse(res, 'error', null, 'Start two-factor setup first', statusType.BAD_REQUEST);
+    }
+
+    const isCodeValid = await verifySecondFactor(user, req.body.code, null);
+
+    if (!isCodeValid) {
+      return sendResponse(res, 'error', null, 'Invalid authentication code', statusType.BAD_REQUEST);
+    }
+
+    await prisma.user.update({
+      where: { user_id: userId },
+      data: { user_2fa_enabled: true }
+    });
+
+    const recoveryCodes = await replaceRecoveryCodes(userId);
+
+    // Other devices signed in with the password only
+    await revokeAllSessions(userId, req.user.session_id);
+
+    return sendResponse(res, 'success', {
+      recovery_codes: recoveryCodes
+    }, 'Two-factor authentication enabled. Store your recovery codes somewhere safe.', statusType.SUCCESS);
+
+  } catch (error) {
+    return sendResponse(res, 'error', error.message, 'Internal server error while enabling two-factor authentication', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Disable Two-Factor Controller
+ * Requires the password and a current code. Not allowed for roles where 2FA is mandatory.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    // Admin access requires 2FA, so it can't be turned off for those accounts
+    if (hasPermission(req.user, permissionType.ADMIN_ACCESS)) {
+      return sendResponse(res, 'error', null, 'Two-factor authentication is required for admin accounts', statusType.FORBIDDEN);
+    }
+
+    const { user_password, code, recovery_code } = req.body;
+
+    const missingFields = validateRequired(['user_password'], req.body);
+
+    if (missingFields.length > 0 || (!code && !recovery_code)) {
+      return sendResponse(res, 'error', {
+        message: 'Missing required fields',
+        fields: missingFields.length > 0 ? missingFields : ['code']
+      }, 'Validation errors', statusType.BAD_REQUEST);
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { user_id: userId }
+    });
+
+    if (!user.user_2fa_enabled) {
+      return sendResponse(res, 'error', null, 'Two-factor authentication is not enabled', statusType.BAD_REQUEST);
+    }
+
+    const isPasswordValid = await bcrypt.compare(user_password, user.user_password);
+
+    if (!isPasswordValid) {
+      return sendResponse(res, 'error', null, 'Invalid password', statusType.UNAUTHORIZED);
+    }
+
+    const isCodeValid = await verifySecondFactor(user, code, recovery_code);
+
+    if (!isCodeValid) {
+      return sendResponse(res, 'error', null, 'Invalid authentication code', statusType.UNAUTHORIZED);
+    }
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { user_id: userId },
+        data: {
+          user_2fa_enabled: false,
+          user_2fa_secret: null,
+          user_2fa_last_step: null
+        }
+      }),
+      prisma.user_recovery_code.updateMany({
+        where: { user_id: userId, status: true },
+        data: { status: false }
+      })
+    ]);
+
+    return sendResponse(res, 'success', null, 'Two-factor authentication disabled', statusType.SUCCESS);
+
+  } catch (error) {
+    return sendResponse(res, 'error', error.message, 'Internal server error while disabling two-factor authentication', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Regenerate Recovery Codes Controller
+ * Invalidates the old recovery codes and returns a new set
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const missingFields = validateRequired(['code'], req.body);
+
+    if (missingFields.length > 0) {
+      return sendResponse(res, 'error', {
+        message: 'Missing required fields',
+        fields: missingFields
+      }, 'Validation errors', statusType.BAD_REQUEST);
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { user_id: userId },
+      select: {
+        user_id: true,
+        user_2fa_enabled: true,
+        user_2fa_secret: true,
+        user_2fa_last_step: true
+      }
+    });
+
+    if (!user.user_2fa_enabled) {
+      return sendResponse(res, 'error', null, 'Two-factor authentication is not enabled', statusType.BAD_REQUEST);
+    }
+
+    const isCodeValid = await verifySecondFactor(user, req.body.code, null);
+
+    if (!isCodeValid) {
+      return sendResponse(res, 'error', null, 'Invalid authentication code', statusType.UNAUTHORIZED);
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(userId);
+
+    return sendResponse(res, 'success', {
+      recovery_codes: recoveryCodes
+    }, 'Recovery codes regenerated', statusType.SUCCESS);
+
+  } catch (error) {
+    return sendResponse(res, 'error', error.message, 'Internal server error while regenerating recovery codes', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+// Fields returned for data exports
+const dataExportSelect = {
+  de_id: true,
+  de_status: true,
+  de_file_size: true,
+  de_error: true,
+  de_completed_at: true,
+  de_expires_at: true,
+  de_downloaded_at: true,
+  created_at: true
+};
+
+/**
+ * Request Data Export Controller
+ * Starts building a zip of everything stored about the current user.
+ * The user is notified (in-app and by email) when it is ready to download.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const requestDataExport = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const runningExport = await prisma.data_export.findFirst({
+      where: {
+        user_id: userId,
+        de_status: { in: ['Pending', 'Processing'] }
+      },
+      select: dataExportSelect
+    });
+
+    if (runningExport) {
+      return sendResponse(res, 'error', runningExport, 'A data export is already being prepared', statusType.CONFLICT);
+    }
+
+    await purgeExpiredDataExports(userId);
+
+    const dataExport = await prisma.data_export.create({
+      data: {
+        user_id: userId,
+        de_status: 'Pending',
+        status: true
+      },
+      select: dataExportSelect
+    });
+
+    await recordAudit(req, {
+      action: auditAction.ACCOUNT_DATA_EXPORT_REQUEST,
+      entityType: 'data_export',
+      entityId: dataExport.de_id
+    });
+
+    // Build the zip in the background (async, non-blocking)
+    processDataExport(dataExport.de_id).catch(err => {
+      console.error('Error processing data export:', err);
+    });
+
+    return sendResponse(res, 'success', dataExport, 'Data export requested. You will be notified when it is ready', statusType.ACCEPTED);
+
+  } catch (error) {
+    return sendResponse(res, 'error', error.message, 'Internal server error while requesting data export', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Get Data Exports Controller
+ * Lists the current user's data exports (newest first)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getDataExports = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    await purgeExpiredDataExports(userId);
+
+    const exports = await prisma.data_export.findMany({
+      where: { user_id: userId },
+      select: dataExportSelect,
+      orderBy: { created_at: 'desc' },
+      take: 20
+    });
+
+    return sendResponse(res, 'success', exports, 'Data exports retrieved successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    return sendResponse(res, 'error', error.message, 'Internal server error while fetching data exports', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Download Data Export Controller
+ * Sends the zip of a completed, unexpired export of the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const downloadDataExport = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    const exportId = parseInt(req.params.exportId);
+
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    if (!exportId) {
+      return sendResponse(res, 'error', null, 'Export ID is required', statusType.BAD_REQUEST);
+    }
+
+    const dataExport = await prisma.data_export.findFirst({
+      where: { de_id: exportId, user_id: userId }
+    });
+
+    if (!dataExport) {
+      return sendResponse(res, 'error', null, 'Data export not found', statusType.NOT_FOUND);
+    }
+
+    if (dataExport.de_status !== 'Completed') {
+      return sendResponse(res, 'error', { de_status: dataExport.de_status }, 'Data export is not ready to download', statusType.BAD_REQUEST);
+    }
+
+    const filePath = dataExport.de_expires_at > new Date() ? getDataExportFilePath(dataExport) : null;
+
+    if (!filePath) {
+      await purgeExpiredDataExports(userId);
+      return sendResponse(res, 'error', null, 'Data export has expired, please request a new one', statusType.GONE);
+    }
+
+    await prisma.data_export.update({
+      where: { de_id: exportId },
+      data: { de_downloaded_at: new Date() }
+    });
+
+    await recordAudit(req, {
+      action: auditAction.ACCOUNT_DATA_EXPORT_DOWNLOAD,
+      entityType: 'data_export',
+      entityId: exportId
+    });
+
+    return res.download(filePath, `talentflip-data-export-${dataExport.created_at.toISOString().slice(0, 10)}.zip`);
+
+  } catch (error) {
+    return sendResponse(res, 'error', error.message, 'Internal server error while downloading data export', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+/**
+ * Erase Account Controller
+ * Permanently anonymises the current user's personal data and signs them out everywhere.
+ * Payment records are kept. Requires the password, confirm = "DELETE" and,
+ * when two-factor authentication is on, a code or recovery code.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const eraseAccount = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    // Admin accounts are removed by another admin so the platform always keeps one
+    if (hasPermission(req.user, permissionType.ADMIN_ACCESS)) {
+      return sendResponse(res, 'error', null, 'Admin accounts cannot be erased from self-service', statusType.FORBIDDEN);
+    }
+
+    const { user_password, confirm, code, recovery_code } = req.body;
+
+    const missingFields = validateRequired(['user_password', 'confirm'], req.body);
+
+    if (missingFields.length > 0) {
+      return sendResponse(res, 'error', {
+        message: 'Missing required fields',
+        fields: missingFields
+      }, 'Validation errors', statusType.BAD_REQUEST);
+    }
+
+    if (confirm !== 'DELETE') {
+      return sendResponse(res, 'error', null, 'Type DELETE to confirm erasing your account', statusType.BAD_REQUEST);
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { user_id: userId }
+    });
+
+    const isPasswordValid = await bcrypt.compare(user_password, user.user_password);
+
+    if (!isPasswordValid) {
+      return sendResponse(res, 'error', null, 'Invalid password', statusType.UNAUTHORIZED);
+    }
+
+    if (user.user_2fa_enabled) {
+      const isCodeValid = await verifySecondFactor(user, code, recovery_code);
+
+      if (!isCodeValid) {
+        return sendResponse(res, 'error', null, 'Invalid authentication code', statusType.UNAUTHORIZED);
+      }
+    }
+
+    const result = await eraseUserAccount(userId);
+
+    disconnectUserSockets(userId);
+
+    await recordAudit(req, {
+      action: auditAction.ACCOUNT_ERASE,
+      entityType: 'user',
+      entityId: userId
+    });
+
+    return sendResponse(res, 'success', result, 'Your account has been erased', statusType.SUCCESS);
+
+  } catch (error) {
+    return sendResponse(res, 'error', error.message, 'Internal server error while erasing account', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
@@ -1,5 +1,30 @@
 import express from 'express';
-import { signup, signupOld, signin, uploadResumeMiddleware } from './authController.js';
+import {
+  signup,
+  signupOld,
+  signin,
+  forgotPassword,
+  resetPassword,
+  setPassword,
+  resendInvite,
+  verifyEmail,
+  resendVerificationEmail,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeUserSession,
+  verifyTwoFactorSignin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  requestDataExport,
+  getDataExports,
+  downloadDataExport,
+  eraseAccount,
+  uploadResumeMiddleware
+} from './authController.js';
+import { authenticate, denyImpersonation } from '../../../middleware/permissionMiddleware.js';
 
 
 const router = express.Router();
@@ -11,5 +36,36 @@ router.post('/signup', uploadResumeMiddleware, signup);
 router.post('/signup-old', signupOld);
 
 router.post('/signin', signin);
+router.post('/signin/2fa', verifyTwoFactorSignin);
+
+// Sessions
+router.post('/refresh', refreshToken);
+router.post('/logout', authenticate, logout);
+router.get('/sessions', authenticate, getSessions);
+router.delete('/sessions/:sessionId', authenticate, denyImpersonation, revokeUserSession);
+
+// Two-factor authentication (recruiters and admins)
+router.post('/2fa/setup', authenticate, denyImpersonation, setupTwoFactor);
+router.post('/2fa/enable', authenticate, denyImpersonation, enableTwoFactor);
+router.post('/2fa/disable', authenticate, denyImpersonation, disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticate, denyImpersonation, regenerateRecoveryCodes);
+
+// Password recovery (all roles)
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+
+// Invite flow for accounts created from a resume
+router.post('/set-password', setPassword);
+router.post('/resend-invite', resendInvite);
+
+// Email verification
+router.post('/verify-email', verifyEmail);
+router.post('/resend-verification', authenticate, denyImpersonation, resendVerificationEmail);
+
+// Personal data export and account erasure
+router.post('/account/export', authenticate, denyImpersonation, requestDataExport);
+router.get('/account/exports', authenticate, getDataExports);
+router.get('/account/exports/:exportId/download', authenticate, denyImpersonation, downloadDataExport);
+router.post('/account/erase', authenticate, denyImpersonation, eraseAccount);
 
 export default router;
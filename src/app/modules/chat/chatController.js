@@ -1,9 +1,31 @@
 import { PrismaClient } from '@prisma/client';
 import { sendResponse } from '../../helpers/responseHelper.js';
+import { getRequestedOrganizationId, findActingMembership } from '../../helpers/organizationHelper.js';
 import statusType from '../../enums/statusTypes.js';
 
 const prisma = new PrismaClient();
 
+/**
+ * Conversations a user can read: their own and, for recruiters, every conversation about an
+ * intent of the organization they act for (X-Organization-Id header, as on the recruiter routes).
+ * Only the two participants send messages and have unread counts.
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} Prisma where clause for chat_conversation
+ */
+const getConversationAccess = async (req) => {
+  const userId = req.user.user_id;
+  const requestedOrgId = getRequestedOrganizationId(req);
+  const membership = Number.isNaN(requestedOrgId) ? null : await findActingMembership(userId, requestedOrgId);
+
+  return {
+    OR: [
+      { recruiter_user_id: userId },
+      { talent_user_id: userId },
+      ...(membership ? [{ r_intent_talent_mapper: { r_intent: { org_id: membership.org_id } } }] : [])
+    ]
+  };
+};
+
 /**
  * Get all conversations for logged-in user
  * @route GET /api/chat/conversations
@@ -14,10 +36,7 @@ export const getConversations = async (req, res) => {
 
     const conversations = await prisma.chat_conversation.findMany({
       where: {
-        OR: [
-          { recruiter_user_id: userId },
-          { talent_user_id: userId }
-        ],
+        ...(await getConversationAccess(req)),
         status: true
       },
       include: {
@@ -63,7 +82,8 @@ export const getConversations = async (req, res) => {
 
     // Format conversations
     const formattedConversations = conversations.map(conv => {
-      const isRecruiter = conv.recruiter_user_id === userId;
+      // Teammates of the recruiter see the conversation from the recruiter side
+      const isRecruiter = conv.talent_user_id !== userId;
       const otherUser = isRecruiter 
         ? conv.r_intent_talent_mapper.t_profile.user 
         : conv.r_intent_talent_mapper.r_intent.user;
@@ -92,6 +112,7 @@ export const getConversations = async (req, res) => {
           ? conv.cc_unread_count_recruiter 
           : conv.cc_unread_count_talent,
         isRecruiter,
+        isParticipant: conv.recruiter_user_id === userId || conv.talent_user_id === userId,
         createdAt: conv.created_at
       };
     });
@@ -138,10 +159,7 @@ export const getSingleConversation = async (req, res) => {
     const conversation = await prisma.chat_conversation.findFirst({
       where: {
         cc_id: parseInt(conversationId),
-        OR: [
-          { recruiter_user_id: userId },
-          { talent_user_id: userId }
-        ],
+        ...(await getConversationAccess(req)),
         status: true
       },
       include: {
@@ -194,7 +212,7 @@ export const getSingleConversation = async (req, res) => {
       );
     }
 
-    const isRecruiter = conversation.recruiter_user_id === userId;
+    const isRecruiter = conversation.talent_user_id !== userId;
     const otherUser = isRecruiter 
       ? conversation.r_intent_talent_mapper.t_profile.user 
       : conversation.r_intent_talent_mapper.r_intent.user;
@@ -208,7 +226,7 @@ export const getSingleConversation = async (req, res) => {
       intentType: conversation.r_intent_talent_mapper.r_intent.ri_intent_type,
       agreement: {
         required: conversation.r_intent_talent_mapper.r_intent.ri_intent_type === 'WithAgreement',
-        content: conversation.r_intent_talent_mapper.r_intent.ri_agreement_content,
+        content: conversation.r_intent_talent_mapper.ritm_agreement_snapshot ?? conversation.r_intent_talent_mapper.r_intent.ri_agreement_content,
         snapshot: conversation.r_intent_talent_mapper.ritm_agreement_snapshot,
         accepted_at: conversation.r_intent_talent_mapper.ritm_agreement_accepted_at,
         accepted_by: conversation.r_intent_talent_mapper.ritm_agreement_accepted_by
@@ -219,6 +237,7 @@ export const getSingleConversation = async (req, res) => {
         ? conversation.cc_unread_count_recruiter 
         : conversation.cc_unread_count_talent,
       isRecruiter,
+      isParticipant: conversation.recruiter_user_id === userId || conversation.talent_user_id === userId,
       createdAt: conversation.created_at
     };
 
@@ -266,10 +285,7 @@ export const getMessages = async (req, res) => {
     const conversation = await prisma.chat_conversation.findFirst({
       where: {
         cc_id: parseInt(conversationId),
-        OR: [
-          { recruiter_user_id: userId },
-          { talent_user_id: userId }
-        ],
+        ...(await getConversationAccess(req)),
         status: true
       }
     });
@@ -334,25 +350,7 @@ export const getUnreadCount = async (req, res) => {
   try {
     const userId = req.user.user_id;
 
-    // Get user's role to determine which field to sum
-    const user = await prisma.user.findUnique({
-      where: { user_id: userId },
-      select: { role_id: true }
-    });
-
-    if (!user) {
-      return sendResponse(
-        res,
-        'error',
-        null,
-        'User not found',
-        statusType.NOT_FOUND
-      );
-    }
-
-    // Role IDs: 2 = talent, 3 = recruiter (adjust based on your role setup)
-    const isRecruiter = user.role_id === 3;
-
+    // Participants only: conversations of teammates don't add to the user's unread count
     const conversations = await prisma.chat_conversation.findMany({
       where: {
         OR: [
@@ -405,10 +403,7 @@ export const getChatMeetings = async (req, res) => {
     const conversation = await prisma.chat_conversation.findFirst({
       where: {
         cc_id: parseInt(conversationId),
-        OR: [
-          { recruiter_user_id: userId },
-          { talent_user_id: userId }
-        ],
+        ...(await getConversationAccess(req)),
         status: true
       }
     });
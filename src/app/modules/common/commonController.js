@@ -8,6 +8,7 @@ import {
   markAllNotificationsAsRead,
   
 } from '../../helpers/notificationHelper.js';
+import { suggestSkills } from '../../helpers/skillHelper.js';
 
 const prisma = new PrismaClient();
 
@@ -320,7 +321,7 @@ export const getIntentTimeline = async (req, res) => {
         email: mapping.t_profile.user.user_email
       },
       agreement: {
-        content: mapping.r_intent.ri_agreement_content,
+        content: mapping.ritm_agreement_snapshot ?? mapping.r_intent.ri_agreement_content,
         snapshot: mapping.ritm_agreement_snapshot,
         accepted_at: mapping.ritm_agreement_accepted_at,
         accepted_by: mapping.ritm_agreement_accepted_by,
@@ -343,6 +344,37 @@ export const getIntentTimeline = async (req, res) => {
   }
 };
 
+/**
+ * Suggest canonical skills while the user types (talent skills, intent skills, search filters)
+ * Query: q (at least 1 character), limit (default 10, max 25)
+ * @route GET /api/common/skills/autocomplete
+ */
+export const autocompleteSkills = async (req, res) => {
+  try {
+    const { q = '', limit = 10 } = req.query;
+    const limitNum = Math.min(Math.max(parseInt(limit) || 10, 1), 25);
+
+    const suggestions = await suggestSkills(String(q), limitNum);
+
+    return sendResponse(
+      res,
+      'success',
+      suggestions,
+      'Skill suggestions fetched successfully',
+      statusType.SUCCESS
+    );
+  } catch (error) {
+    console.error('Error fetching skill suggestions:', error);
+    return sendResponse(
+      res,
+      'error',
+      null,
+      'Failed to fetch skill suggestions',
+      statusType.INTERNAL_SERVER_ERROR
+    );
+  }
+};
+
 export default {
   getAllNotifications,
   getSingleNotification,
@@ -350,4 +382,5 @@ export default {
   markAllAsRead,
   getUnreadCount,
   getIntentTimeline,
+  autocompleteSkills,
 };
\ No newline at end of file
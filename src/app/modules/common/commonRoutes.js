@@ -12,5 +12,8 @@ router.patch('/notifications/read-all', commonController.markAllAsRead);
 // Intent timeline route (accessible to both talent and recruiter)
 router.get('/intent/timeline/:ritmId', commonController.getIntentTimeline);
 
+// Skill taxonomy
+router.get('/skills/autocomplete', commonController.autocompleteSkills);
+
 export default router;
 
@@ -1,6 +1,8 @@
 import { PrismaClient } from '@prisma/client';
 import { sendResponse } from '../../helpers/responseHelper.js';
 import statusType from '../../enums/statusTypes.js';
+import permissionType from '../../enums/permissionTypes.js';
+import { hasPermission } from '../../helpers/permissionHelper.js';
 
 const prisma = new PrismaClient();
 
@@ -45,7 +47,7 @@ export const getUserProfile = async (req, res) => {
     };
 
     // Fetch role-specific profile data based on user role
-    if (user.role_id === 3) { // Talent role (role_id 3 is talent)
+    if (hasPermission(req.user, permissionType.TALENT_ACCESS)) {
       const talentProfile = await prisma.t_profile.findFirst({
         where: { 
           user_id: user_id,
@@ -121,7 +123,7 @@ export const getUserProfile = async (req, res) => {
       if (talentProfile) {
         profileData.talentProfile = talentProfile;
       }
-    } else if (user.role_id === 2) { // Recruiter role (role_id 2 is recruiter)
+    } else if (hasPermission(req.user, permissionType.RECRUITER_ACCESS)) {
       const recruiterProfile = await prisma.r_profile.findFirst({
         where: { 
           user_id: user_id,
@@ -252,7 +254,7 @@ export const getUserDashboard = async (req, res) => {
     };
 
     // Fetch role-specific dashboard statistics
-    if (role_id === 2) { // Talent role
+    if (hasPermission(req.user, permissionType.TALENT_ACCESS)) {
       const talentProfile = await prisma.t_profile.findFirst({
         where: { 
           user_id: user_id,
@@ -275,7 +277,7 @@ export const getUserDashboard = async (req, res) => {
           reviews: reviewsCount
         };
       }
-    } else if (role_id === 3) { // Recruiter role
+    } else if (hasPermission(req.user, permissionType.RECRUITER_ACCESS)) {
       const recruiterProfile = await prisma.r_profile.findFirst({
         where: { 
           user_id: user_id,
@@ -6,6 +6,8 @@ import { JITSI_CONFIG } from '../../../config/index.js';
 import { createNotification } from '../../helpers/notificationHelper.js';
 import { getIO } from '../../../socket/socketServer.js';
 import { sendNotificationEmail } from '../../helpers/emailHelper.js';
+import { recordAudit } from '../../helpers/auditHelper.js';
+import auditAction from '../../enums/auditActions.js';
 
 const prisma = new PrismaClient();
 
@@ -148,6 +150,13 @@ export const createMeeting = async (req, res) => {
       return newMeeting;
     });
 
+    await recordAudit(req, {
+      action: auditAction.MEETING_CREATE,
+      entityType: 'meeting',
+      entityId: meeting.meeting_id,
+      after: { ...meeting, participant_user_ids: finalParticipantUserIds }
+    });
+
     // Send notifications to all participants (including auto-added ones)
     if (finalParticipantUserIds.length > 0) {
       const io = getIO();
@@ -369,6 +378,14 @@ export const endMeeting = async (req, res) => {
       },
     });
 
+    await recordAudit(req, {
+      action: auditAction.MEETING_END,
+      entityType: 'meeting',
+      entityId: meeting.meeting_id,
+      before: meeting,
+      after: updatedMeeting
+    });
+
     // Notify all participants
     try {
       const io = getIO();
@@ -616,6 +633,15 @@ export const cancelMeeting = async (req, res) => {
       data: { meeting_status: 'Cancelled' },
     });
 
+    const { meeting_participants: meetingParticipants, ...meetingBefore } = meeting;
+    await recordAudit(req, {
+      action: auditAction.MEETING_CANCEL,
+      entityType: 'meeting',
+      entityId: meeting.meeting_id,
+      before: meetingBefore,
+      after: updatedMeeting
+    });
+
     // Notify all participants
     try {
       const io = getIO();
@@ -8,13 +8,14 @@ import {
   saveMeetingRecording,
   cancelMeeting,
 } from './meetingController.js';
+import { denyImpersonation } from '../../../middleware/permissionMiddleware.js';
 
 
 const router = express.Router();
 
 // Meeting CRUD operations
-router.post('/create', createMeeting);
-router.post('/:meetingId/join', joinMeeting);
+router.post('/create', denyImpersonation, createMeeting);
+router.post('/:meetingId/join', denyImpersonation, joinMeeting);
 router.put('/:meetingId/end', endMeeting);
 router.put('/:meetingId/cancel', cancelMeeting);
 router.get('/list', getUserMeetings);
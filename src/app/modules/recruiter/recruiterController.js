@@ -1,4 +1,5 @@
 import multer from 'multer';
+import crypto from 'crypto';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
@@ -9,6 +10,20 @@ import Stripe from 'stripe';
 import OpenAI from 'openai';
 import { STRIPE_SECRET_KEY, STRIPE_WEBHOOK_SECRET, FRONTEND_URL, OPENAI_API_KEY } from '../../../config/index.js';
 import { createNotification } from '../../helpers/notificationHelper.js';
+import { sendNotificationEmail } from '../../helpers/emailHelper.js';
+import { hashToken } from '../../helpers/tokenHelper.js';
+import { ORGANIZATION_MANAGE_ROLES, canManageRole } from '../../helpers/organizationHelper.js';
+import { getCurrentServicePrice } from '../../helpers/serviceHelper.js';
+import { recordAudit } from '../../helpers/auditHelper.js';
+import { formatExperience } from '../../helpers/experienceHelper.js';
+import { getSearchSnippets, buildTalentSearchFilter } from '../../helpers/talentSearchHelper.js';
+import { normalizeSkillList, resolveSkillFilter } from '../../helpers/skillHelper.js';
+import { INTENT_PLACEHOLDERS, findUnknownPlaceholders, buildPlaceholderValues, resolvePlaceholders } from '../../helpers/intentPlaceholderHelper.js';
+import { MATCH_WEIGHTS, scoreTalentForIntent } from '../../helpers/matchHelper.js';
+import { SAVED_SEARCH_FILTERS, pickSavedSearchFilters } from '../../helpers/savedSearchHelper.js';
+import { escapeHtml, isCompleteOrdering, validateEmail } from '../../helpers/validationHelper.js';
+import auditAction from '../../enums/auditActions.js';
+import organizationRole from '../../enums/organizationRoles.js';
 
 const prisma = new PrismaClient();
 const stripe = new Stripe(STRIPE_SECRET_KEY);
@@ -157,6 +172,20 @@ export const login = async (req, res) => {
   res.json({ message: 'Recruiter login endpoint' });
 };
 
+// The recruiter profile the acting organization's company profile belongs to. Until the
+// organization has one it is the recruiter's own, unless another team already uses that
+const findCompanyRecruiterProfile = async (req) => {
+  if (req.organization.rp_id) {
+    return prisma.r_profile.findUnique({
+      where: { rp_id: req.organization.rp_id }
+    });
+  }
+
+  return prisma.r_profile.findFirst({
+    where: { user_id: req.user.user_id, organization: { is: null } }
+  });
+};
+
 // Company Profile Management
 export const addOrUpdateCompanyProfile = async (req, res) => {
   try {
@@ -171,10 +200,8 @@ export const addOrUpdateCompanyProfile = async (req, res) => {
       return sendResponse(res, 'error', null, 'Company name is required', statusType.BAD_REQUEST);
     }
 
-    // Check if recruiter profile exists
-    let recruiterProfile = await prisma.r_profile.findFirst({
-      where: { user_id: userId }
-    });
+    // The company profile is shared by the organization
+    const recruiterProfile = await findCompanyRecruiterProfile(req);
 
     if (!recruiterProfile) {
       return sendResponse(res, 'error', null, 'Recruiter profile not found. Please upload a profile image first.', statusType.BAD_REQUEST);
@@ -217,6 +244,24 @@ export const addOrUpdateCompanyProfile = async (req, res) => {
       });
     }
 
+    if (!req.organization.rp_id) {
+      await prisma.organization.update({
+        where: { org_id: req.organization.org_id },
+        data: {
+          rp_id: recruiterProfile.rp_id,
+          updated_by: userId.toString()
+        }
+      });
+    }
+
+    await recordAudit(req, {
+      action: auditAction.RECRUITER_COMPANY_PROFILE_SAVE,
+      entityType: 'r_company_profile',
+      entityId: companyProfile.rc_id,
+      before: existingCompanyProfile,
+      after: companyProfile
+    });
+
     return sendResponse(res, 'success', companyProfile, 'Company profile saved successfully', statusType.SUCCESS);
   } catch (error) {
     console.error('Error saving company profile:', error);
@@ -284,6 +329,14 @@ export const addOrUpdateIndividualProfile = async (req, res) => {
       });
     }
 
+    await recordAudit(req, {
+      action: auditAction.RECRUITER_INDIVIDUAL_PROFILE_SAVE,
+      entityType: 'r_individual_profile',
+      entityId: individualProfile.ri_id,
+      before: existingIndividualProfile,
+      after: individualProfile
+    });
+
     return sendResponse(res, 'success', individualProfile, 'Individual profile saved successfully', statusType.SUCCESS);
   } catch (error) {
     console.error('Error saving individual profile:', error);
@@ -299,9 +352,7 @@ export const getCompanyProfile = async (req, res) => {
       return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
     }
 
-    const recruiterProfile = await prisma.r_profile.findFirst({
-      where: { user_id: userId }
-    });
+    const recruiterProfile = await findCompanyRecruiterProfile(req);
 
     if (!recruiterProfile) {
       return sendResponse(res, 'error', null, 'Recruiter profile not found', statusType.NOT_FOUND);
@@ -373,7 +424,19 @@ export const getProfile = async (req, res) => {
       return sendResponse(res, 'error', null, 'Recruiter profile not found', statusType.NOT_FOUND);
     }
 
-    return sendResponse(res, 'success', recruiterProfile, 'Recruiter profile retrieved successfully', statusType.SUCCESS);
+    // Team members see the company profile of their organization
+    const companyRecruiterProfile = await findCompanyRecruiterProfile(req);
+    const companyProfile = companyRecruiterProfile
+      ? await prisma.r_company_profile.findFirst({ where: { rp_id: companyRecruiterProfile.rp_id } })
+      : null;
+
+    const responseData = {
+      ...recruiterProfile,
+      r_company_profile: companyProfile,
+      organization: req.organization
+    };
+
+    return sendResponse(res, 'success', responseData, 'Recruiter profile retrieved successfully', statusType.SUCCESS);
   } catch (error) {
     console.error('Error getting recruiter profile:', error);
     return sendResponse(res, 'error', { error: error.message }, 'Error getting recruiter profile', statusType.INTERNAL_SERVER_ERROR);
@@ -438,142 +501,42 @@ export const searchTalents = async (req, res) => {
       min_rate,
       max_rate,
       sort_by = 'relevance',
-      search_query
+      search_query,
+      search_mode = 'keyword',
+      tags
     } = req.query;
 
+    if (!['keyword', 'semantic'].includes(search_mode)) {
+      return sendResponse(res, 'error', null, 'Search mode must be keyword or semantic', statusType.BAD_REQUEST);
+    }
+
     // Convert page and limit to numbers
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
     const offset = (pageNum - 1) * limitNum;
 
-    // Build where clause for filtering
-    const whereClause = {
-      status: true,
-      user: {
-        is_active: true,
-        is_deleted: false,
-        is_blocked: false,
-        is_suspended: false,
-        user_role: {
-          role_name: 'talent'
-        }
-      }
-    };
-
-    // Add skills filter
-    if (skills) {
-      const skillsArray = skills.split(',').map(skill => skill.trim());
-      whereClause.t_skills = {
-        some: {
-          ts_skill: {
-            in: skillsArray,
-            mode: 'insensitive'
-          },
-          status: true
-        }
-      };
-    }
-
-    // Add location filter
-    if (location && location !== 'All Locations') {
-      whereClause.tp_location = {
-        contains: location,
-        mode: 'insensitive'
-      };
-    }
-
-    // Add experience level filter
-    if (experience_level && experience_level !== 'All Levels') {
-      const experienceMap = {
-        'Junior': { min: 0, max: 3 },
-        'Mid': { min: 3, max: 7 },
-        'Senior': { min: 7, max: 12 },
-        'Lead': { min: 12, max: 999 }
-      };
-      
-      if (experienceMap[experience_level]) {
-        const { min, max } = experienceMap[experience_level];
-        whereClause.tp_total_experience = {
-          gte: min.toString(),
-          lte: max.toString()
-        };
-      }
-    }
-
-    // Add availability filter
-    if (availability && availability !== 'All Types') {
-      const availabilityMap = {
-        'Full-time': { ta_full_time: true },
-        'Part-time': { ta_part_time: true },
-        'Consulting': { ta_consulting: true }
-      };
-      
-      if (availabilityMap[availability]) {
-        whereClause.t_availability = {
-          some: {
-            ...availabilityMap[availability],
-            status: true
-          }
-        };
-      }
-    }
-
-    // Add rate range filter
-    if (min_rate || max_rate) {
-      const rateFilter = {
-        some: {
-          status: true
-        }
-      };
-
-      if (min_rate) {
-        rateFilter.some.OR = [
-          { ta_full_min_salary: { gte: parseInt(min_rate) } },
-          { ta_part_min_salary: { gte: parseInt(min_rate) } },
-          { ta_consulting_min_salary: { gte: parseInt(min_rate) } }
-        ];
-      }
-
-      if (max_rate) {
-        if (rateFilter.some.OR) {
-          rateFilter.some.AND = [
-            { OR: rateFilter.some.OR },
-            {
-              OR: [
-                { ta_full_max_salary: { lte: parseInt(max_rate) } },
-                { ta_part_max_salary: { lte: parseInt(max_rate) } },
-                { ta_consulting_max_salary: { lte: parseInt(max_rate) } }
-              ]
-            }
-          ];
-          delete rateFilter.some.OR;
-        } else {
-          rateFilter.some.OR = [
-            { ta_full_max_salary: { lte: parseInt(max_rate) } },
-            { ta_part_max_salary: { lte: parseInt(max_rate) } },
-            { ta_consulting_max_salary: { lte: parseInt(max_rate) } }
-          ];
-        }
-      }
-
-      whereClause.t_availability = rateFilter;
-    }
-
-    // Add search query filter
-    if (search_query) {
-      whereClause.OR = [
-        { tp_designation: { contains: search_query, mode: 'insensitive' } },
-        { tp_about: { contains: search_query, mode: 'insensitive' } },
-        { tp_professional_summary: { contains: search_query, mode: 'insensitive' } },
-        { user: { user_full_name: { contains: search_query, mode: 'insensitive' } } }
-      ];
-    }
+    // Build where clause for filtering (shared with saved search alerts)
+    const { where: whereClause, searchRanks } = await buildTalentSearchFilter({
+      skills,
+      location,
+      experience_level,
+      availability,
+      min_rate,
+      max_rate,
+      search_query,
+      search_mode,
+      tags
+    }, { orgId: req.organization.org_id });
+    const searchText = search_query?.trim();
 
     // Build order by clause
     let orderBy = {};
     switch (sort_by) {
       case 'experience':
-        orderBy = { tp_total_experience: 'desc' };
+        orderBy = [
+          { tp_experience_months: { sort: 'desc', nulls: 'last' } },
+          { updated_at: 'desc' }
+        ];
         break;
       case 'location':
         orderBy = { tp_location: 'asc' };
@@ -587,22 +550,12 @@ export const searchTalents = async (req, res) => {
         break;
     }
 
-    // Get total count for pagination
-    const totalCount = await prisma.t_profile.count({
-      where: whereClause
-    });
-
-    // Get talents with pagination
-    const talents = await prisma.t_profile.findMany({
-      where: whereClause,
-      orderBy,
-      skip: offset,
-      take: limitNum,
-      select: {
+    const talentSelect = {
         tp_id: true,
         tp_designation: true,
         tp_location: true,
         tp_total_experience: true,
+        tp_experience_months: true,
         tp_about: true,
         tp_professional_summary: true,
         tp_image: true,
@@ -653,8 +606,50 @@ export const searchTalents = async (req, res) => {
             tr_rating: true
           }
         }
-      }
-    });
+    };
+
+    let totalCount;
+    let talents;
+
+    if (searchRanks && !['experience', 'location', 'recent'].includes(sort_by)) {
+      // Rank is computed by Postgres, not a column Prisma can order by: rank every match, then load the page
+      const matches = await prisma.t_profile.findMany({
+        where: whereClause,
+        select: { tp_id: true, updated_at: true }
+      });
+
+      const pageIds = matches
+        .sort((a, b) => (searchRanks.get(b.tp_id) || 0) - (searchRanks.get(a.tp_id) || 0) || b.updated_at - a.updated_at)
+        .slice(offset, offset + limitNum)
+        .map(match => match.tp_id);
+
+      const pageTalents = await prisma.t_profile.findMany({
+        where: { tp_id: { in: pageIds } },
+        select: talentSelect
+      });
+
+      totalCount = matches.length;
+      talents = pageIds.map(tpId => pageTalents.find(talent => talent.tp_id === tpId)).filter(Boolean);
+    } else {
+      // Get total count for pagination
+      totalCount = await prisma.t_profile.count({
+        where: whereClause
+      });
+
+      // Get talents with pagination
+      talents = await prisma.t_profile.findMany({
+        where: whereClause,
+        orderBy,
+        skip: offset,
+        take: limitNum,
+        select: talentSelect
+      });
+    }
+
+    // Snippets highlight matched words, which semantic matches needn't share with the query
+    const searchSnippets = searchText && search_mode !== 'semantic'
+      ? await getSearchSnippets(talents.map(talent => talent.tp_id), searchText)
+      : new Map();
 
     // Get user's favourite talents
     const favouriteTalents = await prisma.r_favourite_talents.findMany({
@@ -715,7 +710,7 @@ export const searchTalents = async (req, res) => {
       }
 
       // Format experience summary
-      const experienceSummary = `${talent.tp_total_experience}+ years • ${talent.tp_location || 'Location not specified'}`;
+      const experienceSummary = `${formatExperience(talent.tp_experience_months, talent.tp_total_experience || 'Experience not specified')} • ${talent.tp_location || 'Location not specified'}`;
 
       // Get skills for display
       const displaySkills = talent.t_skills.slice(0, 4).map(skill => skill.ts_skill);
@@ -735,6 +730,7 @@ export const searchTalents = async (req, res) => {
         tp_id: talent.tp_id,
         user_name: talent.user.user_full_name,
         experience_summary: experienceSummary,
+        experience_months: talent.tp_experience_months,
         description: talent.tp_professional_summary || talent.tp_about || 'No description available',
         skills: displaySkills,
         remaining_skills_count: remainingSkills > 0 ? remainingSkills : 0,
@@ -748,7 +744,9 @@ export const searchTalents = async (req, res) => {
         average_rating: avgRating,
         total_reviews: talent.t_reviews.length,
         work_location: availability?.ta_work_location || 'Not specified',
-        is_favourite: favouriteTalentIds.has(talent.tp_id)
+        is_favourite: favouriteTalentIds.has(talent.tp_id),
+        search_rank: searchRanks ? (searchRanks.get(talent.tp_id) || 0) : null,
+        search_snippet: searchSnippets.get(talent.tp_id) || null
       };
     });
 
@@ -776,6 +774,8 @@ export const searchTalents = async (req, res) => {
         min_rate: min_rate || null,
         max_rate: max_rate || null,
         search_query: search_query || null,
+        search_mode: search_mode,
+        tags: tags || null,
         sort_by: sort_by
       }
     };
@@ -897,6 +897,11 @@ export const getTalentProfile = async (req, res) => {
       return sendResponse(res, 'error', null, 'Talent profile not found', statusType.NOT_FOUND);
     }
 
+    const [recruiterNotes, recruiterTags] = await Promise.all([
+      findTalentNotes(req, talent.tp_id),
+      findTalentTags(req.organization.org_id, talent.tp_id)
+    ]);
+
     // Calculate profile strength
     let profileStrength = 0;
     if (talent.tp_designation) profileStrength += 15;
@@ -987,6 +992,7 @@ export const getTalentProfile = async (req, res) => {
         job_title: talent.tp_designation,
         location: talent.tp_location,
         total_experience: talent.tp_total_experience,
+        experience_months: talent.tp_experience_months,
         about: talent.tp_about,
         professional_summary: talent.tp_professional_summary,
         profile_image: talent.tp_image,
@@ -1020,6 +1026,9 @@ export const getTalentProfile = async (req, res) => {
           1: talent.t_reviews.filter(r => r.tr_rating === 1).length
         }
       },
+      // The organization's own notes and tags, never shown to the talent
+      recruiter_notes: recruiterNotes,
+      recruiter_tags: recruiterTags,
       summary: {
         total_projects: talent.t_projects.length,
         total_skills: talent.t_skills.length,
@@ -1131,126 +1140,1866 @@ export const addFavouriteTalent = async (req, res) => {
   }
 };
 
-export const getNotifications = async (req, res) => {
-  // TODO: Implement get notifications
-  res.json({ message: 'Get notifications endpoint' });
-};
+const MAX_SAVED_SEARCHES = 20;
+const SAVED_SEARCH_FREQUENCIES = ['Hourly', 'Daily', 'Weekly', 'Off'];
+
+const formatSavedSearch = (savedSearch) => ({
+  rss_id: savedSearch.rss_id,
+  name: savedSearch.rss_name,
+  filters: savedSearch.rss_filters,
+  frequency: savedSearch.rss_frequency,
+  last_checked_at: savedSearch.rss_last_checked_at,
+  last_notified_at: savedSearch.rss_last_notified_at,
+  last_match_count: savedSearch.rss_last_match_count,
+  created_at: savedSearch.created_at,
+  updated_at: savedSearch.updated_at
+});
 
-export const markNotificationAsRead = async (req, res) => {
-  // TODO: Implement mark notification as read
-  res.json({ message: 'Mark notification as read endpoint' });
-};
+export const getSavedSearches = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
 
-export const getDashboard = async (req, res) => {
-  // TODO: Implement get dashboard
-  res.json({ message: 'Get dashboard endpoint' });
+    const savedSearches = await prisma.r_saved_search.findMany({
+      where: {
+        user_id: userId,
+        status: true
+      },
+      orderBy: { created_at: 'desc' }
+    });
+
+    return sendResponse(res, 'success', savedSearches.map(formatSavedSearch), 'Saved searches retrieved successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error getting saved searches:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error getting saved searches', statusType.INTERNAL_SERVER_ERROR);
+  }
 };
 
-// Service Management APIs
-export const getServices = async (req, res) => {
+// Create a saved search, or update one when rss_id is given
+export const saveSavedSearch = async (req, res) => {
   try {
-    const { page = 1, limit = 10, status_filter = 'active' } = req.query;
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    const offset = (pageNum - 1) * limitNum;
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
 
-    // Build where clause
-    const whereClause = {};
-    if (status_filter === 'active') {
-      whereClause.status = true;
-    } else if (status_filter === 'inactive') {
-      whereClause.status = false;
+    const { rss_id, rss_name, rss_filters, rss_frequency = 'Daily' } = req.body;
+
+    const name = typeof rss_name === 'string' ? rss_name.trim() : '';
+    if (!name || name.length > 100) {
+      return sendResponse(res, 'error', null, 'Name is required and must be at most 100 characters', statusType.BAD_REQUEST);
     }
 
-    // Get total count
-    const totalCount = await prisma.r_service.count({
-      where: whereClause
-    });
+    if (!SAVED_SEARCH_FREQUENCIES.includes(rss_frequency)) {
+      return sendResponse(res, 'error', null, `Frequency must be one of ${SAVED_SEARCH_FREQUENCIES.join(', ')}`, statusType.BAD_REQUEST);
+    }
 
-    // Get services
-    const services = await prisma.r_service.findMany({
-      where: whereClause,
-      orderBy: { created_at: 'desc' },
-      skip: offset,
-      take: limitNum,
-      include: {
-        r_service_feature: {
-          where: { status: true },
-          orderBy: { created_at: 'asc' }
+    const filters = pickSavedSearchFilters(rss_filters);
+    if (Object.keys(filters).length === 0) {
+      return sendResponse(res, 'error', null, `At least one filter is required: ${SAVED_SEARCH_FILTERS.join(', ')}`, statusType.BAD_REQUEST);
+    }
+
+    let savedSearch;
+    let message;
+
+    if (rss_id) {
+      const existingSearch = await prisma.r_saved_search.findFirst({
+        where: {
+          rss_id: parseInt(rss_id),
+          user_id: userId,
+          status: true
         }
+      });
+
+      if (!existingSearch) {
+        return sendResponse(res, 'error', null, 'Saved search not found', statusType.NOT_FOUND);
       }
-    });
 
-    // Transform data
-    const transformedServices = services.map(service => ({
-      rs_id: service.rs_id,
-      name: service.rs_name,
-      inr_price: parseFloat(service.rs_inr_price),
-      international_price: parseFloat(service.rs_international_price),
-      international_currency: service.rs_currency_international,
-      description: service.rs_description,
-      features: service.r_service_feature.map(f => ({
-        rsf_id: f.rsf_id,
-        name: f.rsf_name
-      })),
-      status: service.status,
-      created_at: service.created_at,
-      updated_at: service.updated_at
-    }));
+      // New filters, another organization, or alerts switched back on, start from now instead of alerting about everything since the last run
+      const restartAlerts = SAVED_SEARCH_FILTERS.some(key => filters[key] !== existingSearch.rss_filters?.[key])
+        || existingSearch.org_id !== req.organization.org_id
+        || (existingSearch.rss_frequency === 'Off' && rss_frequency !== 'Off');
 
-    // Calculate pagination info
-    const totalPages = Math.ceil(totalCount / limitNum);
-    const hasNextPage = pageNum < totalPages;
-    const hasPrevPage = pageNum > 1;
+      savedSearch = await prisma.r_saved_search.update({
+        where: { rss_id: existingSearch.rss_id },
+        data: {
+          rss_name: name,
+          rss_filters: filters,
+          rss_frequency,
+          org_id: req.organization.org_id,
+          ...(restartAlerts && { rss_last_checked_at: new Date(), rss_last_match_count: 0 }),
+          updated_by: userId.toString()
+        }
+      });
 
-    const responseData = {
-      services: transformedServices,
-      pagination: {
-        current_page: pageNum,
-        total_pages: totalPages,
-        total_count: totalCount,
-        per_page: limitNum,
-        has_next_page: hasNextPage,
-        has_prev_page: hasPrevPage
+      message = 'Saved search updated successfully';
+    } else {
+      const savedSearchCount = await prisma.r_saved_search.count({
+        where: {
+          user_id: userId,
+          status: true
+        }
+      });
+
+      if (savedSearchCount >= MAX_SAVED_SEARCHES) {
+        return sendResponse(res, 'error', null, `You can save up to ${MAX_SAVED_SEARCHES} searches`, statusType.BAD_REQUEST);
       }
-    };
 
-    return sendResponse(res, 'success', responseData, 'Services retrieved successfully', statusType.SUCCESS);
+      savedSearch = await prisma.r_saved_search.create({
+        data: {
+          user_id: userId,
+          org_id: req.organization.org_id,
+          rss_name: name,
+          rss_filters: filters,
+          rss_frequency,
+          created_by: userId.toString()
+        }
+      });
+
+      message = 'Search saved successfully';
+    }
+
+    return sendResponse(res, 'success', formatSavedSearch(savedSearch), message, statusType.SUCCESS);
 
   } catch (error) {
-    console.error('Error getting services:', error);
-    return sendResponse(res, 'error', { error: error.message }, 'Error getting services', statusType.INTERNAL_SERVER_ERROR);
+    console.error('Error saving search:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error saving search', statusType.INTERNAL_SERVER_ERROR);
   }
 };
 
-export const getServiceById = async (req, res) => {
+export const deleteSavedSearch = async (req, res) => {
   try {
-    const { serviceId } = req.params;
-
-    if (!serviceId) {
-      return sendResponse(res, 'error', null, 'Service ID is required', statusType.BAD_REQUEST);
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
     }
 
-    const service = await prisma.r_service.findFirst({
+    const { searchId } = req.params;
+
+    const result = await prisma.r_saved_search.updateMany({
       where: {
-        rs_id: parseInt(serviceId),
+        rss_id: parseInt(searchId),
+        user_id: userId,
         status: true
       },
-      include: {
-        r_service_feature: {
-          where: { status: true },
-          orderBy: { created_at: 'asc' }
-        }
+      data: {
+        status: false,
+        updated_by: userId.toString()
       }
     });
 
-    if (!service) {
-      return sendResponse(res, 'error', null, 'Service not found', statusType.NOT_FOUND);
+    if (result.count === 0) {
+      return sendResponse(res, 'error', null, 'Saved search not found', statusType.NOT_FOUND);
     }
 
-    const responseData = {
-      rs_id: service.rs_id,
-      name: service.rs_name,
+    return sendResponse(res, 'success', null, 'Saved search deleted successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error deleting saved search:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error deleting saved search', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+// Shortlist and talent tags
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+// Trimmed, de-duplicated (case-insensitively) tags, or null when the input isn't a list of strings
+const parseTags = (tags) => {
+  if (tags === undefined || tags === null) {
+    return [];
+  }
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    return null;
+  }
+
+  const seen = new Set();
+  return tags
+    .map(tag => tag.trim().slice(0, MAX_TAG_LENGTH))
+    .filter(tag => tag && !seen.has(tag.toLowerCase()) && seen.add(tag.toLowerCase()))
+    .slice(0, MAX_TAGS);
+};
+
+/**
+ * Find an active shortlist of the organization that the user owns or that is shared with them
+ * @param {Number} shortlistId - Shortlist ID
+ * @param {Number} userId - Recruiter user ID
+ * @param {Number} orgId - Acting organization ID
+ * @returns {Promise<Object|null>} { shortlist, access ('owner', 'editor' or 'viewer') }, or null when the user has no access
+ */
+const findAccessibleShortlist = async (shortlistId, userId, orgId) => {
+  const shortlist = await prisma.r_shortlist.findFirst({
+    where: {
+      rsl_id: shortlistId,
+      org_id: orgId,
+      status: true,
+      OR: [
+        { user_id: userId },
+        { r_shortlist_shares: { some: { user_id: userId, status: true } } }
+      ]
+    },
+    include: {
+      r_shortlist_shares: {
+        where: { user_id: userId, status: true },
+        select: { rsls_can_edit: true }
+      }
+    }
+  });
+
+  if (!shortlist) {
+    return null;
+  }
+
+  let access = 'viewer';
+  if (shortlist.user_id === userId) {
+    access = 'owner';
+  } else if (shortlist.r_shortlist_shares[0]?.rsls_can_edit) {
+    access = 'editor';
+  }
+
+  return { shortlist, access };
+};
+
+export const getShortlists = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const shortlists = await prisma.r_shortlist.findMany({
+      where: {
+        org_id: req.organization.org_id,
+        status: true,
+        OR: [
+          { user_id: userId },
+          { r_shortlist_shares: { some: { user_id: userId, status: true } } }
+        ]
+      },
+      include: {
+        user: { select: { user_id: true, user_full_name: true } },
+        r_shortlist_shares: {
+          where: { status: true },
+          select: {
+            user_id: true,
+            rsls_can_edit: true,
+            user: { select: { user_full_name: true, user_email: true } }
+          }
+        },
+        _count: { select: { r_shortlist_talents: { where: { status: true } } } }
+      },
+      orderBy: { updated_at: 'desc' }
+    });
+
+    const transformedShortlists = shortlists.map(shortlist => {
+      const isOwner = shortlist.user_id === userId;
+      const share = shortlist.r_shortlist_shares.find(item => item.user_id === userId);
+
+      return {
+        rsl_id: shortlist.rsl_id,
+        name: shortlist.rsl_name,
+        description: shortlist.rsl_description,
+        access: isOwner ? 'owner' : (share?.rsls_can_edit ? 'editor' : 'viewer'),
+        owner: { user_id: shortlist.user.user_id, user_full_name: shortlist.user.user_full_name },
+        talents_count: shortlist._count.r_shortlist_talents,
+        // Only the owner sees who else the list is shared with
+        shared_with: isOwner
+          ? shortlist.r_shortlist_shares.map(item => ({
+            user_id: item.user_id,
+            user_full_name: item.user.user_full_name,
+            user_email: item.user.user_email,
+            can_edit: item.rsls_can_edit
+          }))
+          : null,
+        created_at: shortlist.created_at,
+        updated_at: shortlist.updated_at
+      };
+    });
+
+    return sendResponse(res, 'success', transformedShortlists, 'Shortlists retrieved successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error getting shortlists:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error getting shortlists', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+// Create a shortlist, or rename one when rsl_id is given (owner only)
+export const saveShortlist = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const { rsl_id, rsl_name, rsl_description } = req.body;
+
+    const name = typeof rsl_name === 'string' ? rsl_name.trim() : '';
+    if (!name || name.length > 100) {
+      return sendResponse(res, 'error', null, 'Name is required and must be at most 100 characters', statusType.BAD_REQUEST);
+    }
+
+    const description = typeof rsl_description === 'string' && rsl_description.trim() ? rsl_description.trim() : null;
+
+    const shortlistId = rsl_id ? parseInt(rsl_id) : null;
+    if (rsl_id && isNaN(shortlistId)) {
+      return sendResponse(res, 'error', null, 'Invalid shortlist ID', statusType.BAD_REQUEST);
+    }
+
+    let shortlist;
+    let message;
+
+    if (shortlistId) {
+      const existingShortlist = await prisma.r_shortlist.findFirst({
+        where: {
+          rsl_id: shortlistId,
+          user_id: userId,
+          org_id: req.organization.org_id,
+          status: true
+        }
+      });
+
+      if (!existingShortlist) {
+        return sendResponse(res, 'error', null, 'Shortlist not found', statusType.NOT_FOUND);
+      }
+
+      shortlist = await prisma.r_shortlist.update({
+        where: { rsl_id: existingShortlist.rsl_id },
+        data: {
+          rsl_name: name,
+          rsl_description: description,
+          updated_by: userId.toString()
+        }
+      });
+
+      message = 'Shortlist updated successfully';
+    } else {
+      shortlist = await prisma.r_shortlist.create({
+        data: {
+          user_id: userId,
+          org_id: req.organization.org_id,
+          rsl_name: name,
+          rsl_description: description,
+          created_by: userId.toString()
+        }
+      });
+
+      message = 'Shortlist created successfully';
+    }
+
+    return sendResponse(res, 'success', shortlist, message, statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error saving shortlist:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error saving shortlist', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const deleteShortlist = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const shortlistId = parseInt(req.params.shortlistId);
+    if (isNaN(shortlistId)) {
+      return sendResponse(res, 'error', null, 'Invalid shortlist ID', statusType.BAD_REQUEST);
+    }
+
+    const result = await prisma.r_shortlist.updateMany({
+      where: {
+        rsl_id: shortlistId,
+        user_id: userId,
+        org_id: req.organization.org_id,
+        status: true
+      },
+      data: {
+        status: false,
+        updated_by: userId.toString()
+      }
+    });
+
+    if (result.count === 0) {
+      return sendResponse(res, 'error', null, 'Shortlist not found', statusType.NOT_FOUND);
+    }
+
+    return sendResponse(res, 'success', null, 'Shortlist deleted successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error deleting shortlist:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error deleting shortlist', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const getShortlistById = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const shortlistId = parseInt(req.params.shortlistId);
+    if (isNaN(shortlistId)) {
+      return sendResponse(res, 'error', null, 'Invalid shortlist ID', statusType.BAD_REQUEST);
+    }
+
+    const { tag } = req.query;
+
+    const found = await findAccessibleShortlist(shortlistId, userId, req.organization.org_id);
+    if (!found) {
+      return sendResponse(res, 'error', null, 'Shortlist not found', statusType.NOT_FOUND);
+    }
+
+    const items = await prisma.r_shortlist_talent.findMany({
+      where: {
+        rsl_id: found.shortlist.rsl_id,
+        status: true,
+        ...(tag && { rslt_tags: { has: tag } })
+      },
+      orderBy: [{ rslt_order: 'asc' }, { created_at: 'asc' }],
+      include: {
+        t_profile: {
+          select: {
+            tp_id: true,
+            tp_designation: true,
+            tp_location: true,
+            tp_total_experience: true,
+            tp_experience_months: true,
+            tp_image: true,
+            status: true,
+            user: { select: { user_full_name: true } },
+            t_skills: {
+              where: { status: true },
+              select: { ts_skill: true },
+              take: 5
+            }
+          }
+        }
+      }
+    });
+
+    const responseData = {
+      rsl_id: found.shortlist.rsl_id,
+      name: found.shortlist.rsl_name,
+      description: found.shortlist.rsl_description,
+      access: found.access,
+      tags: [...new Set(items.flatMap(item => item.rslt_tags))].sort((a, b) => a.localeCompare(b)),
+      talents: items.map(item => ({
+        tp_id: item.tp_id,
+        user_name: item.t_profile.user.user_full_name,
+        designation: item.t_profile.tp_designation,
+        experience_summary: `${formatExperience(item.t_profile.tp_experience_months, item.t_profile.tp_total_experience || 'Experience not specified')} • ${item.t_profile.tp_location || 'Location not specified'}`,
+        skills: item.t_profile.t_skills.map(skill => skill.ts_skill),
+        profile_image: item.t_profile.tp_image,
+        is_active: item.t_profile.status,
+        notes: item.rslt_notes,
+        tags: item.rslt_tags,
+        order: item.rslt_order,
+        added_at: item.created_at
+      }))
+    };
+
+    return sendResponse(res, 'success', responseData, 'Shortlist retrieved successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error getting shortlist:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error getting shortlist', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+// Add talents to the end of a shortlist; talents already on it keep their place, notes and tags
+export const addShortlistTalents = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const shortlistId = parseInt(req.params.shortlistId);
+    if (isNaN(shortlistId)) {
+      return sendResponse(res, 'error', null, 'Invalid shortlist ID', statusType.BAD_REQUEST);
+    }
+
+    const { talentIds, notes, tags } = req.body;
+
+    if (!Array.isArray(talentIds) || talentIds.length === 0) {
+      return sendResponse(res, 'error', null, 'Talent IDs array is required', statusType.BAD_REQUEST);
+    }
+
+    const parsedTags = parseTags(tags);
+    if (parsedTags === null) {
+      return sendResponse(res, 'error', null, 'Tags must be a list of strings', statusType.BAD_REQUEST);
+    }
+
+    const found = await findAccessibleShortlist(shortlistId, userId, req.organization.org_id);
+    if (!found) {
+      return sendResponse(res, 'error', null, 'Shortlist not found', statusType.NOT_FOUND);
+    }
+    if (found.access === 'viewer') {
+      return sendResponse(res, 'error', null, 'You can only view this shortlist', statusType.FORBIDDEN);
+    }
+
+    const requestedIds = [...new Set(talentIds.map(id => parseInt(id)))];
+    const talents = await prisma.t_profile.findMany({
+      where: {
+        tp_id: { in: requestedIds },
+        status: true,
+        user: {
+          is_active: true,
+          is_deleted: false
+        }
+      },
+      select: { tp_id: true }
+    });
+
+    if (talents.length !== requestedIds.length) {
+      return sendResponse(res, 'error', null, 'Some talent profiles not found or inactive', statusType.BAD_REQUEST);
+    }
+
+    const existingItems = await prisma.r_shortlist_talent.findMany({
+      where: { rsl_id: shortlistId },
+      select: { tp_id: true, status: true, rslt_order: true }
+    });
+
+    const activeIds = new Set(existingItems.filter(item => item.status).map(item => item.tp_id));
+    const newIds = requestedIds.filter(tpId => !activeIds.has(tpId));
+    let nextOrder = Math.max(-1, ...existingItems.filter(item => item.status).map(item => item.rslt_order)) + 1;
+
+    await prisma.$transaction(newIds.map(tpId => prisma.r_shortlist_talent.upsert({
+      where: { rsl_id_tp_id: { rsl_id: shortlistId, tp_id: tpId } },
+      create: {
+        rsl_id: shortlistId,
+        tp_id: tpId,
+        rslt_notes: typeof notes === 'string' && notes.trim() ? notes.trim() : null,
+        rslt_tags: parsedTags,
+        rslt_order: nextOrder++,
+        created_by: userId.toString()
+      },
+      // Re-adding a removed talent starts them fresh at the end of the list
+      update: {
+        status: true,
+        rslt_notes: typeof notes === 'string' && notes.trim() ? notes.trim() : null,
+        rslt_tags: parsedTags,
+        rslt_order: nextOrder++,
+        updated_by: userId.toString()
+      }
+    })));
+
+    await prisma.r_shortlist.update({
+      where: { rsl_id: shortlistId },
+      data: { updated_by: userId.toString() }
+    });
+
+    const responseData = {
+      rsl_id: shortlistId,
+      added_talent_ids: newIds,
+      already_listed_talent_ids: requestedIds.filter(tpId => activeIds.has(tpId))
+    };
+
+    return sendResponse(res, 'success', responseData, 'Talents added to shortlist successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error adding talents to shortlist:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error adding talents to shortlist', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+// Update a listed talent's notes and/or tags
+export const updateShortlistTalent = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const shortlistId = parseInt(req.params.shortlistId);
+    if (isNaN(shortlistId)) {
+      return sendResponse(res, 'error', null, 'Invalid shortlist ID', statusType.BAD_REQUEST);
+    }
+
+    const talentId = parseInt(req.params.talentId);
+    if (isNaN(talentId)) {
+      return sendResponse(res, 'error', null, 'Invalid talent ID', statusType.BAD_REQUEST);
+    }
+
+    const { notes, tags } = req.body;
+
+    const data = { updated_by: userId.toString() };
+    if (notes !== undefined) {
+      if (notes !== null && typeof notes !== 'string') {
+        return sendResponse(res, 'error', null, 'Notes must be text', statusType.BAD_REQUEST);
+      }
+      data.rslt_notes = notes && notes.trim() ? notes.trim() : null;
+    }
+    if (tags !== undefined) {
+      data.rslt_tags = parseTags(tags);
+      if (data.rslt_tags === null) {
+        return sendResponse(res, 'error', null, 'Tags must be a list of strings', statusType.BAD_REQUEST);
+      }
+    }
+
+    const found = await findAccessibleShortlist(shortlistId, userId, req.organization.org_id);
+    if (!found) {
+      return sendResponse(res, 'error', null, 'Shortlist not found', statusType.NOT_FOUND);
+    }
+    if (found.access === 'viewer') {
+      return sendResponse(res, 'error', null, 'You can only view this shortlist', statusType.FORBIDDEN);
+    }
+
+    const item = await prisma.r_shortlist_talent.findFirst({
+      where: {
+        rsl_id: found.shortlist.rsl_id,
+        tp_id: talentId,
+        status: true
+      }
+    });
+
+    if (!item) {
+      return sendResponse(res, 'error', null, 'Talent is not on this shortlist', statusType.NOT_FOUND);
+    }
+
+    const updatedItem = await prisma.r_shortlist_talent.update({
+      where: { rslt_id: item.rslt_id },
+      data
+    });
+
+    return sendResponse(res, 'success', {
+      tp_id: updatedItem.tp_id,
+      notes: updatedItem.rslt_notes,
+      tags: updatedItem.rslt_tags,
+      order: updatedItem.rslt_order
+    }, 'Shortlisted talent updated successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error updating shortlisted talent:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error updating shortlisted talent', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const removeShortlistTalent = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const shortlistId = parseInt(req.params.shortlistId);
+    if (isNaN(shortlistId)) {
+      return sendResponse(res, 'error', null, 'Invalid shortlist ID', statusType.BAD_REQUEST);
+    }
+
+    const talentId = parseInt(req.params.talentId);
+    if (isNaN(talentId)) {
+      return sendResponse(res, 'error', null, 'Invalid talent ID', statusType.BAD_REQUEST);
+    }
+
+    const found = await findAccessibleShortlist(shortlistId, userId, req.organization.org_id);
+    if (!found) {
+      return sendResponse(res, 'error', null, 'Shortlist not found', statusType.NOT_FOUND);
+    }
+    if (found.access === 'viewer') {
+      return sendResponse(res, 'error', null, 'You can only view this shortlist', statusType.FORBIDDEN);
+    }
+
+    const result = await prisma.r_shortlist_talent.updateMany({
+      where: {
+        rsl_id: found.shortlist.rsl_id,
+        tp_id: talentId,
+        status: true
+      },
+      data: {
+        status: false,
+        updated_by: userId.toString()
+      }
+    });
+
+    if (result.count === 0) {
+      return sendResponse(res, 'error', null, 'Talent is not on this shortlist', statusType.NOT_FOUND);
+    }
+
+    return sendResponse(res, 'success', null, 'Talent removed from shortlist successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error removing talent from shortlist:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error removing talent from shortlist', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+// Body: talentIds - every talent on the list, in the new order
+export const reorderShortlist = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const shortlistId = parseInt(req.params.shortlistId);
+    if (isNaN(shortlistId)) {
+      return sendResponse(res, 'error', null, 'Invalid shortlist ID', statusType.BAD_REQUEST);
+    }
+
+    const { talentIds } = req.body;
+
+    const found = await findAccessibleShortlist(shortlistId, userId, req.organization.org_id);
+    if (!found) {
+      return sendResponse(res, 'error', null, 'Shortlist not found', statusType.NOT_FOUND);
+    }
+    if (found.access === 'viewer') {
+      return sendResponse(res, 'error', null, 'You can only view this shortlist', statusType.FORBIDDEN);
+    }
+
+    const items = await prisma.r_shortlist_talent.findMany({
+      where: { rsl_id: found.shortlist.rsl_id, status: true },
+      select: { rslt_id: true, tp_id: true }
+    });
+
+    if (!isCompleteOrdering(talentIds, items.map(item => item.tp_id))) {
+      return sendResponse(res, 'error', null, 'talentIds must list every talent on the shortlist exactly once', statusType.BAD_REQUEST);
+    }
+
+    await prisma.$transaction(talentIds.map((talentId, index) => prisma.r_shortlist_talent.update({
+      where: { rslt_id: items.find(item => item.tp_id === parseInt(talentId)).rslt_id },
+      data: { rslt_order: index, updated_by: userId.toString() }
+    })));
+
+    return sendResponse(res, 'success', { talent_ids: talentIds.map(id => parseInt(id)) }, 'Shortlist reordered successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error reordering shortlist:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error reordering shortlist', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+// Share a shortlist with a member of the organization by email, or change what they can do with it (owner only)
+export const shareShortlist = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const shortlistId = parseInt(req.params.shortlistId);
+    if (isNaN(shortlistId)) {
+      return sendResponse(res, 'error', null, 'Invalid shortlist ID', statusType.BAD_REQUEST);
+    }
+
+    const { email, can_edit = false } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return sendResponse(res, 'error', null, 'Teammate email is required', statusType.BAD_REQUEST);
+    }
+
+    const shortlist = await prisma.r_shortlist.findFirst({
+      where: {
+        rsl_id: shortlistId,
+        user_id: userId,
+        org_id: req.organization.org_id,
+        status: true
+      }
+    });
+
+    if (!shortlist) {
+      return sendResponse(res, 'error', null, 'Shortlist not found', statusType.NOT_FOUND);
+    }
+
+    const teammate = await prisma.user.findFirst({
+      where: {
+        user_email: { equals: email.trim(), mode: 'insensitive' },
+        is_active: true,
+        is_deleted: false,
+        organization_members: { some: { org_id: req.organization.org_id, status: true } }
+      },
+      select: { user_id: true, user_full_name: true, user_email: true }
+    });
+
+    if (!teammate) {
+      return sendResponse(res, 'error', null, 'No member of your organization found with this email', statusType.NOT_FOUND);
+    }
+
+    if (teammate.user_id === userId) {
+      return sendResponse(res, 'error', null, 'You already own this shortlist', statusType.BAD_REQUEST);
+    }
+
+    const share = await prisma.r_shortlist_share.upsert({
+      where: { rsl_id_user_id: { rsl_id: shortlist.rsl_id, user_id: teammate.user_id } },
+      create: {
+        rsl_id: shortlist.rsl_id,
+        user_id: teammate.user_id,
+        rsls_can_edit: can_edit === true,
+        created_by: userId.toString()
+      },
+      update: {
+        rsls_can_edit: can_edit === true,
+        status: true,
+        updated_by: userId.toString()
+      }
+    });
+
+    await recordAudit(req, {
+      action: auditAction.RECRUITER_SHORTLIST_SHARE,
+      entityType: 'r_shortlist_share',
+      entityId: share.rsls_id,
+      after: share
+    });
+
+    try {
+      await createNotification(
+        teammate.user_id,
+        'shortlist_shared',
+        'Shortlist shared with you',
+        `${req.user.user_full_name} shared the shortlist "${shortlist.rsl_name}" with you`,
+        null
+      );
+    } catch (notificationError) {
+      console.error('Error creating notification:', notificationError);
+    }
+
+    return sendResponse(res, 'success', {
+      rsl_id: shortlist.rsl_id,
+      user_id: teammate.user_id,
+      user_full_name: teammate.user_full_name,
+      user_email: teammate.user_email,
+      can_edit: share.rsls_can_edit
+    }, 'Shortlist shared successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error sharing shortlist:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error sharing shortlist', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const unshareShortlist = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const shortlistId = parseInt(req.params.shortlistId);
+    if (isNaN(shortlistId)) {
+      return sendResponse(res, 'error', null, 'Invalid shortlist ID', statusType.BAD_REQUEST);
+    }
+
+    const sharedUserId = parseInt(req.params.userId);
+    if (isNaN(sharedUserId)) {
+      return sendResponse(res, 'error', null, 'Invalid user ID', statusType.BAD_REQUEST);
+    }
+
+    const shortlist = await prisma.r_shortlist.findFirst({
+      where: {
+        rsl_id: shortlistId,
+        user_id: userId,
+        org_id: req.organization.org_id,
+        status: true
+      }
+    });
+
+    if (!shortlist) {
+      return sendResponse(res, 'error', null, 'Shortlist not found', statusType.NOT_FOUND);
+    }
+
+    const share = await prisma.r_shortlist_share.findFirst({
+      where: {
+        rsl_id: shortlist.rsl_id,
+        user_id: sharedUserId,
+        status: true
+      }
+    });
+
+    if (!share) {
+      return sendResponse(res, 'error', null, 'Shortlist is not shared with this user', statusType.NOT_FOUND);
+    }
+
+    await prisma.r_shortlist_share.update({
+      where: { rsls_id: share.rsls_id },
+      data: { status: false, updated_by: userId.toString() }
+    });
+
+    await recordAudit(req, {
+      action: auditAction.RECRUITER_SHORTLIST_UNSHARE,
+      entityType: 'r_shortlist_share',
+      entityId: share.rsls_id,
+      before: share
+    });
+
+    return sendResponse(res, 'success', null, 'Shortlist unshared successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error unsharing shortlist:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error unsharing shortlist', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+// Talent notes and tags: the organization's impressions of a talent, never shown to the talent
+const MAX_TALENT_NOTE_LENGTH = 5000;
+
+// Notes the user can read: the organization's team notes and their own private ones
+const visibleTalentNotes = (req, tpId) => ({
+  org_id: req.organization.org_id,
+  tp_id: tpId,
+  status: true,
+  OR: [
+    { rtn_is_private: false },
+    { user_id: req.user.user_id }
+  ]
+});
+
+/**
+ * Notes about a talent the user can read, newest first
+ * @param {Object} req - Express request (req.user, req.organization)
+ * @param {Number} tpId - Talent profile ID
+ * @returns {Promise<Array>} Formatted notes
+ */
+const findTalentNotes = async (req, tpId) => {
+  const notes = await prisma.r_talent_note.findMany({
+    where: visibleTalentNotes(req, tpId),
+    include: {
+      user: { select: { user_id: true, user_full_name: true } }
+    },
+    orderBy: { created_at: 'desc' }
+  });
+
+  return notes.map(note => ({
+    rtn_id: note.rtn_id,
+    note: note.rtn_note,
+    is_private: note.rtn_is_private,
+    author: note.user,
+    is_author: note.user_id === req.user.user_id,
+    created_at: note.created_at,
+    updated_at: note.updated_at
+  }));
+};
+
+// The organization's tags on a talent, alphabetically
+const findTalentTags = async (orgId, tpId) => {
+  const tags = await prisma.r_talent_tag.findMany({
+    where: { org_id: orgId, tp_id: tpId },
+    select: { rtt_tag: true },
+    orderBy: { rtt_tag: 'asc' }
+  });
+
+  return tags.map(tag => tag.rtt_tag);
+};
+
+const findActiveTalent = (talentId) => prisma.t_profile.findFirst({
+  where: {
+    tp_id: parseInt(talentId),
+    status: true,
+    user: {
+      is_active: true,
+      is_deleted: false
+    }
+  },
+  select: { tp_id: true }
+});
+
+export const getTalentNotes = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const talent = await findActiveTalent(req.params.talentId);
+    if (!talent) {
+      return sendResponse(res, 'error', null, 'Talent profile not found', statusType.NOT_FOUND);
+    }
+
+    const [notes, tags] = await Promise.all([
+      findTalentNotes(req, talent.tp_id),
+      findTalentTags(req.organization.org_id, talent.tp_id)
+    ]);
+
+    return sendResponse(res, 'success', { tp_id: talent.tp_id, notes, tags }, 'Talent notes retrieved successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error getting talent notes:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error getting talent notes', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+// Add a note about a talent, or edit one of your own by rtn_id
+export const saveTalentNote = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const { rtn_id, note, is_private = false } = req.body;
+
+    const text = typeof note === 'string' ? note.trim() : '';
+    if (!text || text.length > MAX_TALENT_NOTE_LENGTH) {
+      return sendResponse(res, 'error', null, `Note is required and must be at most ${MAX_TALENT_NOTE_LENGTH} characters`, statusType.BAD_REQUEST);
+    }
+
+    if (typeof is_private !== 'boolean') {
+      return sendResponse(res, 'error', null, 'is_private must be a boolean value', statusType.BAD_REQUEST);
+    }
+
+    const noteId = rtn_id ? parseInt(rtn_id) : null;
+    if (rtn_id && isNaN(noteId)) {
+      return sendResponse(res, 'error', null, 'Invalid note ID', statusType.BAD_REQUEST);
+    }
+
+    const talent = await findActiveTalent(req.params.talentId);
+    if (!talent) {
+      return sendResponse(res, 'error', null, 'Talent profile not found', statusType.NOT_FOUND);
+    }
+
+    let talentNote;
+    let message;
+
+    if (noteId) {
+      const existingNote = await prisma.r_talent_note.findFirst({
+        where: {
+          rtn_id: noteId,
+          org_id: req.organization.org_id,
+          tp_id: talent.tp_id,
+          user_id: userId,
+          status: true
+        }
+      });
+
+      if (!existingNote) {
+        return sendResponse(res, 'error', null, 'Note not found', statusType.NOT_FOUND);
+      }
+
+      talentNote = await prisma.r_talent_note.update({
+        where: { rtn_id: existingNote.rtn_id },
+        data: {
+          rtn_note: text,
+          rtn_is_private: is_private,
+          updated_by: userId.toString()
+        }
+      });
+
+      message = 'Note updated successfully';
+    } else {
+      talentNote = await prisma.r_talent_note.create({
+        data: {
+          org_id: req.organization.org_id,
+          user_id: userId,
+          tp_id: talent.tp_id,
+          rtn_note: text,
+          rtn_is_private: is_private,
+          created_by: userId.toString()
+        }
+      });
+
+      message = 'Note added successfully';
+    }
+
+    return sendResponse(res, 'success', {
+      rtn_id: talentNote.rtn_id,
+      note: talentNote.rtn_note,
+      is_private: talentNote.rtn_is_private,
+      created_at: talentNote.created_at,
+      updated_at: talentNote.updated_at
+    }, message, statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error saving talent note:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error saving talent note', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+// Delete one of your own notes
+export const deleteTalentNote = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const result = await prisma.r_talent_note.updateMany({
+      where: {
+        rtn_id: parseInt(req.params.noteId),
+        org_id: req.organization.org_id,
+        tp_id: parseInt(req.params.talentId),
+        user_id: userId,
+        status: true
+      },
+      data: {
+        status: false,
+        updated_by: userId.toString()
+      }
+    });
+
+    if (result.count === 0) {
+      return sendResponse(res, 'error', null, 'Note not found', statusType.NOT_FOUND);
+    }
+
+    return sendResponse(res, 'success', null, 'Note deleted successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error deleting talent note:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error deleting talent note', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+// Replace the organization's tags on a talent
+export const setTalentTags = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const tags = req.body.tags === undefined ? null : parseTags(req.body.tags);
+    if (tags === null) {
+      return sendResponse(res, 'error', null, 'Tags must be a list of strings', statusType.BAD_REQUEST);
+    }
+
+    const talent = await findActiveTalent(req.params.talentId);
+    if (!talent) {
+      return sendResponse(res, 'error', null, 'Talent profile not found', statusType.NOT_FOUND);
+    }
+
+    await prisma.$transaction([
+      prisma.r_talent_tag.deleteMany({
+        where: { org_id: req.organization.org_id, tp_id: talent.tp_id }
+      }),
+      prisma.r_talent_tag.createMany({
+        data: tags.map(tag => ({
+          org_id: req.organization.org_id,
+          tp_id: talent.tp_id,
+          rtt_tag: tag,
+          created_by: userId.toString()
+        }))
+      })
+    ]);
+
+    return sendResponse(res, 'success', { tp_id: talent.tp_id, tags: [...tags].sort() }, 'Talent tags saved successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error saving talent tags:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error saving talent tags', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+// Every tag the organization uses, with how many talents have it (for the search tag filter)
+export const getTalentTags = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const tags = await prisma.r_talent_tag.groupBy({
+      by: ['rtt_tag'],
+      where: { org_id: req.organization.org_id },
+      _count: { tp_id: true },
+      orderBy: { rtt_tag: 'asc' }
+    });
+
+    return sendResponse(res, 'success', tags.map(tag => ({
+      tag: tag.rtt_tag,
+      talents_count: tag._count.tp_id
+    })), 'Talent tags retrieved successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error getting talent tags:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error getting talent tags', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+// Organizations: hiring teams sharing intents, shortlists, purchases and chats
+const ORGANIZATION_INVITATION_EXPIRY_DAYS = 7;
+
+// Roles a recruiter can be invited with; owners are made by changing a member's role
+const INVITABLE_ROLES = [organizationRole.ADMIN, organizationRole.RECRUITER, organizationRole.VIEWER];
+
+// An organization always keeps at least one owner
+const isLastOwner = async (member) => {
+  if (member.om_role !== organizationRole.OWNER) {
+    return false;
+  }
+
+  const owners = await prisma.organization_member.count({
+    where: { org_id: member.org_id, om_role: organizationRole.OWNER, status: true }
+  });
+
+  return owners <= 1;
+};
+
+// Organizations the recruiter belongs to, to switch between with the X-Organization-Id header
+export const getOrganizations = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const memberships = await prisma.organization_member.findMany({
+      where: {
+        user_id: userId,
+        status: true,
+        organization: { status: true }
+      },
+      include: {
+        organization: {
+          select: {
+            org_id: true,
+            org_name: true,
+            _count: { select: { organization_members: { where: { status: true } } } }
+          }
+        }
+      },
+      orderBy: { created_at: 'desc' }
+    });
+
+    const organizations = memberships.map(membership => ({
+      org_id: membership.organization.org_id,
+      name: membership.organization.org_name,
+      role: membership.om_role,
+      members_count: membership.organization._count.organization_members,
+      is_acting: membership.org_id === req.organization.org_id,
+      joined_at: membership.created_at
+    }));
+
+    return sendResponse(res, 'success', organizations, 'Organizations retrieved successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error getting organizations:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error getting organizations', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+// The acting organization with its members, and pending invitations for owners and admins
+export const getOrganization = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const canManage = ORGANIZATION_MANAGE_ROLES.includes(req.organization.role);
+
+    const [members, invitations, companyProfile] = await Promise.all([
+      prisma.organization_member.findMany({
+        where: { org_id: req.organization.org_id, status: true },
+        include: {
+          user: { select: { user_id: true, user_full_name: true, user_email: true } }
+        },
+        orderBy: { created_at: 'asc' }
+      }),
+      canManage
+        ? prisma.organization_invitation.findMany({
+          where: {
+            org_id: req.organization.org_id,
+            status: true,
+            oi_expires_at: { gt: new Date() }
+          },
+          include: {
+            inviter: { select: { user_id: true, user_full_name: true } }
+          },
+          orderBy: { created_at: 'desc' }
+        })
+        : [],
+      req.organization.rp_id
+        ? prisma.r_company_profile.findFirst({
+          where: { rp_id: req.organization.rp_id },
+          select: { rc_id: true, rc_name: true, rc_website: true, rc_industry: true, rc_size: true }
+        })
+        : null
+    ]);
+
+    const responseData = {
+      org_id: req.organization.org_id,
+      name: req.organization.org_name,
+      role: req.organization.role,
+      company_profile: companyProfile,
+      members: members.map(member => ({
+        user_id: member.user.user_id,
+        user_full_name: member.user.user_full_name,
+        user_email: member.user.user_email,
+        role: member.om_role,
+        joined_at: member.created_at
+      })),
+      // Only owners and admins see who has been invited
+      invitations: canManage
+        ? invitations.map(invitation => ({
+          oi_id: invitation.oi_id,
+          email: invitation.oi_email,
+          role: invitation.oi_role,
+          invited_by: invitation.inviter,
+          expires_at: invitation.oi_expires_at,
+          created_at: invitation.created_at
+        }))
+        : null
+    };
+
+    return sendResponse(res, 'success', responseData, 'Organization retrieved successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error getting organization:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error getting organization', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+// Rename the acting organization (owners and admins)
+export const updateOrganization = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const name = typeof req.body.org_name === 'string' ? req.body.org_name.trim() : '';
+    if (!name || name.length > 255) {
+      return sendResponse(res, 'error', null, 'Organization name is required and must be at most 255 characters', statusType.BAD_REQUEST);
+    }
+
+    const existingOrganization = await prisma.organization.findUnique({
+      where: { org_id: req.organization.org_id }
+    });
+
+    const organization = await prisma.organization.update({
+      where: { org_id: req.organization.org_id },
+      data: {
+        org_name: name,
+        updated_by: userId.toString()
+      }
+    });
+
+    await recordAudit(req, {
+      action: auditAction.RECRUITER_ORGANIZATION_UPDATE,
+      entityType: 'organization',
+      entityId: organization.org_id,
+      before: existingOrganization,
+      after: organization
+    });
+
+    return sendResponse(res, 'success', organization, 'Organization updated successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error updating organization:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error updating organization', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+// Invite a recruiter to the acting organization by email (owners and admins).
+// Inviting the same email again replaces the pending invitation
+export const inviteOrganizationMember = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const { email, role = organizationRole.RECRUITER } = req.body;
+
+    const inviteeEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    if (!inviteeEmail || !validateEmail(inviteeEmail)) {
+      return sendResponse(res, 'error', null, 'A valid email is required', statusType.BAD_REQUEST);
+    }
+
+    if (!INVITABLE_ROLES.includes(role)) {
+      return sendResponse(res, 'error', null, `Role must be one of: ${INVITABLE_ROLES.join(', ')}`, statusType.BAD_REQUEST);
+    }
+
+    if (!canManageRole(req.organization.role, role)) {
+      return sendResponse(res, 'error', null, 'Only owners can invite admins', statusType.FORBIDDEN);
+    }
+
+    const existingMember = await prisma.organization_member.findFirst({
+      where: {
+        org_id: req.organization.org_id,
+        status: true,
+        user: { user_email: { equals: inviteeEmail, mode: 'insensitive' } }
+      }
+    });
+
+    if (existingMember) {
+      return sendResponse(res, 'error', null, 'This recruiter is already a member of the organization', statusType.CONFLICT);
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + ORGANIZATION_INVITATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+    const [, invitation] = await prisma.$transaction([
+      prisma.organization_invitation.updateMany({
+        where: { org_id: req.organization.org_id, oi_email: inviteeEmail, status: true },
+        data: { status: false }
+      }),
+      prisma.organization_invitation.create({
+        data: {
+          org_id: req.organization.org_id,
+          oi_email: inviteeEmail,
+          oi_role: role,
+          oi_token_hash: hashToken(token),
+          oi_expires_at: expiresAt,
+          invited_by: userId
+        }
+      })
+    ]);
+
+    await recordAudit(req, {
+      action: auditAction.RECRUITER_ORGANIZATION_INVITE,
+      entityType: 'organization_invitation',
+      entityId: invitation.oi_id,
+      after: invitation
+    });
+
+    const invitee = await prisma.user.findFirst({
+      where: { user_email: { equals: inviteeEmail, mode: 'insensitive' }, is_deleted: false },
+      select: { user_id: true, user_full_name: true }
+    });
+
+    if (invitee) {
+      try {
+        await createNotification(
+          invitee.user_id,
+          'organization_invitation',
+          'Team invitation',
+          `${req.user.user_full_name} invited you to join ${req.organization.org_name} as ${role}`,
+          null
+        );
+      } catch (notificationError) {
+        console.error('Error creating notification:', notificationError);
+      }
+    }
+
+    let emailSent = true;
+    try {
+      await sendNotificationEmail(
+        inviteeEmail,
+        invitee?.user_full_name || inviteeEmail,
+        `Join ${req.organization.org_name} on TalentFlip`,
+        '🤝 Team Invitation',
+        `<p>${escapeHtml(req.user.user_full_name)} invited you to join <strong>${escapeHtml(req.organization.org_name)}</strong> as ${role}. You'll share their intents, shortlists, purchased services and talent conversations.</p><p>Sign in or sign up as a recruiter with this email address to accept. The invitation expires in ${ORGANIZATION_INVITATION_EXPIRY_DAYS} days.</p>`,
+        'Accept Invitation',
+        `${FRONTEND_URL}/recruiter/organization/join?token=${token}`
+      );
+    } catch (emailError) {
+      // Don't fail the invitation if email fails - it can be sent again
+      console.error('Error sending organization invitation email:', emailError);
+      emailSent = false;
+    }
+
+    return sendResponse(res, 'success', {
+      oi_id: invitation.oi_id,
+      email: invitation.oi_email,
+      role: invitation.oi_role,
+      expires_at: invitation.oi_expires_at,
+      email_sent: emailSent
+    }, 'Invitation sent successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error inviting organization member:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error inviting organization member', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const revokeOrganizationInvitation = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const invitation = await prisma.organization_invitation.findFirst({
+      where: {
+        oi_id: parseInt(req.params.invitationId),
+        org_id: req.organization.org_id,
+        status: true
+      }
+    });
+
+    if (!invitation) {
+      return sendResponse(res, 'error', null, 'Invitation not found', statusType.NOT_FOUND);
+    }
+
+    if (!canManageRole(req.organization.role, invitation.oi_role)) {
+      return sendResponse(res, 'error', null, 'Only owners can revoke admin invitations', statusType.FORBIDDEN);
+    }
+
+    await prisma.organization_invitation.update({
+      where: { oi_id: invitation.oi_id },
+      data: { status: false }
+    });
+
+    await recordAudit(req, {
+      action: auditAction.RECRUITER_ORGANIZATION_INVITE_REVOKE,
+      entityType: 'organization_invitation',
+      entityId: invitation.oi_id,
+      before: invitation
+    });
+
+    return sendResponse(res, 'success', null, 'Invitation revoked successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error revoking organization invitation:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error revoking organization invitation', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+// Join an organization with the token from an invitation email sent to the recruiter's address.
+// Requests without X-Organization-Id act for the joined organization from then on
+export const acceptOrganizationInvitation = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return sendResponse(res, 'error', null, 'Invitation token is required', statusType.BAD_REQUEST);
+    }
+
+    const invitation = await prisma.organization_invitation.findFirst({
+      where: {
+        oi_token_hash: hashToken(token),
+        status: true,
+        oi_expires_at: { gt: new Date() },
+        organization: { status: true }
+      },
+      include: {
+        organization: { select: { org_id: true, org_name: true } }
+      }
+    });
+
+    if (!invitation) {
+      return sendResponse(res, 'error', null, 'Invitation is invalid or has expired', statusType.BAD_REQUEST);
+    }
+
+    if (invitation.oi_email.toLowerCase() !== req.user.user_email.toLowerCase()) {
+      return sendResponse(res, 'error', null, 'This invitation was sent to another email address', statusType.FORBIDDEN);
+    }
+
+    const existingMember = await prisma.organization_member.findFirst({
+      where: { org_id: invitation.org_id, user_id: userId, status: true }
+    });
+
+    if (existingMember) {
+      return sendResponse(res, 'error', null, 'You are already a member of this organization', statusType.CONFLICT);
+    }
+
+    const now = new Date();
+    const [member] = await prisma.$transaction([
+      prisma.organization_member.upsert({
+        where: { org_id_user_id: { org_id: invitation.org_id, user_id: userId } },
+        create: {
+          org_id: invitation.org_id,
+          user_id: userId,
+          om_role: invitation.oi_role,
+          created_by: invitation.invited_by.toString()
+        },
+        // Rejoining counts as joining now, so the organization becomes the default again
+        update: {
+          om_role: invitation.oi_role,
+          status: true,
+          created_at: now,
+          updated_by: invitation.invited_by.toString()
+        }
+      }),
+      prisma.organization_invitation.update({
+        where: { oi_id: invitation.oi_id },
+        data: { oi_accepted_at: now, status: false }
+      })
+    ]);
+
+    await recordAudit(req, {
+      action: auditAction.RECRUITER_ORGANIZATION_JOIN,
+      entityType: 'organization_member',
+      entityId: member.om_id,
+      after: member
+    });
+
+    try {
+      await createNotification(
+        invitation.invited_by,
+        'organization_member_joined',
+        'Invitation accepted',
+        `${req.user.user_full_name} joined ${invitation.organization.org_name}`,
+        null
+      );
+    } catch (notificationError) {
+      console.error('Error creating notification:', notificationError);
+    }
+
+    return sendResponse(res, 'success', {
+      org_id: invitation.organization.org_id,
+      name: invitation.organization.org_name,
+      role: member.om_role
+    }, 'Invitation accepted successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error accepting organization invitation:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error accepting organization invitation', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+// Change a member's role (owners and admins, admins only between recruiter and viewer)
+export const updateOrganizationMember = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const { role } = req.body;
+
+    if (!Object.values(organizationRole).includes(role)) {
+      return sendResponse(res, 'error', null, `Role must be one of: ${Object.values(organizationRole).join(', ')}`, statusType.BAD_REQUEST);
+    }
+
+    const member = await prisma.organization_member.findFirst({
+      where: {
+        org_id: req.organization.org_id,
+        user_id: parseInt(req.params.userId),
+        status: true
+      }
+    });
+
+    if (!member) {
+      return sendResponse(res, 'error', null, 'Member not found', statusType.NOT_FOUND);
+    }
+
+    if (!canManageRole(req.organization.role, member.om_role) || !canManageRole(req.organization.role, role)) {
+      return sendResponse(res, 'error', null, 'Only owners can manage owners and admins', statusType.FORBIDDEN);
+    }
+
+    if (role !== organizationRole.OWNER && await isLastOwner(member)) {
+      return sendResponse(res, 'error', null, 'An organization must have at least one owner', statusType.BAD_REQUEST);
+    }
+
+    const updatedMember = await prisma.organization_member.update({
+      where: { om_id: member.om_id },
+      data: {
+        om_role: role,
+        updated_by: userId.toString()
+      }
+    });
+
+    await recordAudit(req, {
+      action: auditAction.RECRUITER_ORGANIZATION_MEMBER_ROLE_UPDATE,
+      entityType: 'organization_member',
+      entityId: member.om_id,
+      before: member,
+      after: updatedMember
+    });
+
+    return sendResponse(res, 'success', {
+      user_id: updatedMember.user_id,
+      role: updatedMember.om_role
+    }, 'Member role updated successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error updating organization member:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error updating organization member', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+// Remove a member (owners and admins), or leave the organization when it's yourself.
+// Shortlists shared with them in this organization are unshared
+export const removeOrganizationMember = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const memberUserId = parseInt(req.params.userId);
+    const isLeaving = memberUserId === userId;
+
+    const member = await prisma.organization_member.findFirst({
+      where: {
+        org_id: req.organization.org_id,
+        user_id: memberUserId,
+        status: true
+      }
+    });
+
+    if (!member) {
+      return sendResponse(res, 'error', null, 'Member not found', statusType.NOT_FOUND);
+    }
+
+    if (!isLeaving && !canManageRole(req.organization.role, member.om_role)) {
+      return sendResponse(res, 'error', null, 'You are not allowed to remove this member', statusType.FORBIDDEN);
+    }
+
+    if (await isLastOwner(member)) {
+      return sendResponse(res, 'error', null, 'An organization must have at least one owner', statusType.BAD_REQUEST);
+    }
+
+    await prisma.$transaction([
+      prisma.organization_member.update({
+        where: { om_id: member.om_id },
+        data: {
+          status: false,
+          updated_by: userId.toString()
+        }
+      }),
+      prisma.r_shortlist_share.updateMany({
+        where: {
+          user_id: memberUserId,
+          status: true,
+          r_shortlist: { org_id: req.organization.org_id }
+        },
+        data: {
+          status: false,
+          updated_by: userId.toString()
+        }
+      })
+    ]);
+
+    await recordAudit(req, {
+      action: auditAction.RECRUITER_ORGANIZATION_MEMBER_REMOVE,
+      entityType: 'organization_member',
+      entityId: member.om_id,
+      before: member
+    });
+
+    if (!isLeaving) {
+      try {
+        await createNotification(
+          memberUserId,
+          'organization_member_removed',
+          'Removed from team',
+          `You were removed from ${req.organization.org_name}`,
+          null
+        );
+      } catch (notificationError) {
+        console.error('Error creating notification:', notificationError);
+      }
+    }
+
+    return sendResponse(res, 'success', null, isLeaving ? 'You left the organization' : 'Member removed successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error removing organization member:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error removing organization member', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const getNotifications = async (req, res) => {
+  // TODO: Implement get notifications
+  res.json({ message: 'Get notifications endpoint' });
+};
+
+export const markNotificationAsRead = async (req, res) => {
+  // TODO: Implement mark notification as read
+  res.json({ message: 'Mark notification as read endpoint' });
+};
+
+export const getDashboard = async (req, res) => {
+  // TODO: Implement get dashboard
+  res.json({ message: 'Get dashboard endpoint' });
+};
+
+// Service Management APIs
+export const getServices = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status_filter = 'active' } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const offset = (pageNum - 1) * limitNum;
+
+    // Build where clause
+    const whereClause = {};
+    if (status_filter === 'active') {
+      whereClause.status = true;
+    } else if (status_filter === 'inactive') {
+      whereClause.status = false;
+    }
+
+    // Get total count
+    const totalCount = await prisma.r_service.count({
+      where: whereClause
+    });
+
+    // Get services
+    const services = await prisma.r_service.findMany({
+      where: whereClause,
+      orderBy: [{ rs_order: 'asc' }, { created_at: 'desc' }],
+      skip: offset,
+      take: limitNum,
+      include: {
+        r_service_feature: {
+          where: { status: true },
+          orderBy: [{ rsf_order: 'asc' }, { created_at: 'asc' }]
+        }
+      }
+    });
+
+    // Transform data
+    const transformedServices = services.map(service => ({
+      rs_id: service.rs_id,
+      name: service.rs_name,
+      inr_price: parseFloat(service.rs_inr_price),
+      international_price: parseFloat(service.rs_international_price),
+      international_currency: service.rs_currency_international,
+      description: service.rs_description,
+      features: service.r_service_feature.map(f => ({
+        rsf_id: f.rsf_id,
+        name: f.rsf_name
+      })),
+      status: service.status,
+      created_at: service.created_at,
+      updated_at: service.updated_at
+    }));
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(totalCount / limitNum);
+    const hasNextPage = pageNum < totalPages;
+    const hasPrevPage = pageNum > 1;
+
+    const responseData = {
+      services: transformedServices,
+      pagination: {
+        current_page: pageNum,
+        total_pages: totalPages,
+        total_count: totalCount,
+        per_page: limitNum,
+        has_next_page: hasNextPage,
+        has_prev_page: hasPrevPage
+      }
+    };
+
+    return sendResponse(res, 'success', responseData, 'Services retrieved successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error getting services:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error getting services', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const getServiceById = async (req, res) => {
+  try {
+    const { serviceId } = req.params;
+
+    if (!serviceId) {
+      return sendResponse(res, 'error', null, 'Service ID is required', statusType.BAD_REQUEST);
+    }
+
+    const service = await prisma.r_service.findFirst({
+      where: {
+        rs_id: parseInt(serviceId),
+        status: true
+      },
+      include: {
+        r_service_feature: {
+          where: { status: true },
+          orderBy: [{ rsf_order: 'asc' }, { created_at: 'asc' }]
+        }
+      }
+    });
+
+    if (!service) {
+      return sendResponse(res, 'error', null, 'Service not found', statusType.NOT_FOUND);
+    }
+
+    const responseData = {
+      rs_id: service.rs_id,
+      name: service.rs_name,
       inr_price: parseFloat(service.rs_inr_price),
       international_price: parseFloat(service.rs_international_price),
       international_currency: service.rs_currency_international,
@@ -1284,9 +3033,9 @@ export const getPurchaseHistory = async (req, res) => {
     const limitNum = parseInt(limit);
     const offset = (pageNum - 1) * limitNum;
 
-    // Build where clause
+    // Purchases are shared by the organization
     const whereClause = {
-      user_id: userId,
+      org_id: req.organization.org_id,
       status: true
     };
 
@@ -1306,6 +3055,12 @@ export const getPurchaseHistory = async (req, res) => {
       skip: offset,
       take: limitNum,
       include: {
+        user: {
+          select: {
+            user_id: true,
+            user_full_name: true
+          }
+        },
         r_service: {
           select: {
             rs_id: true,
@@ -1313,6 +3068,15 @@ export const getPurchaseHistory = async (req, res) => {
             rs_description: true
           }
         },
+        r_service_price_history: {
+          select: {
+            rsph_id: true,
+            rsph_inr_price: true,
+            rsph_international_price: true,
+            rsph_currency_international: true,
+            rsph_effective_from: true
+          }
+        },
         r_service_purchase_mapper: {
           where: { status: true },
           select: {
@@ -1333,11 +3097,19 @@ export const getPurchaseHistory = async (req, res) => {
       payment_status: transaction.rt_payment_status,
       payment_method: transaction.rt_payment_method,
       transaction_date: transaction.rt_transaction_date,
+      purchased_by: transaction.user,
       service: {
         rs_id: transaction.r_service.rs_id,
         name: transaction.r_service.rs_name,
         description: transaction.r_service.rs_description
       },
+      // Service price at the time of purchase (null for transactions made before price history was kept)
+      service_price: transaction.r_service_price_history ? {
+        inr_price: parseFloat(transaction.r_service_price_history.rsph_inr_price),
+        international_price: parseFloat(transaction.r_service_price_history.rsph_international_price),
+        international_currency: transaction.r_service_price_history.rsph_currency_international,
+        effective_from: transaction.r_service_price_history.rsph_effective_from
+      } : null,
       purchase_info: transaction.r_service_purchase_mapper.length > 0 ? {
         purchase_date: transaction.r_service_purchase_mapper[0].rspm_purchase_date,
         expiry_date: transaction.r_service_purchase_mapper[0].rspm_expiry_date,
@@ -1379,6 +3151,11 @@ export const createPaymentIntent = async (req, res) => {
       return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
     }
 
+    // Recruiters must verify their email before making payments
+    if (!req.user.is_verified) {
+      return sendResponse(res, 'error', null, 'Please verify your email address before making a payment', statusType.FORBIDDEN);
+    }
+
     const { serviceId, currency = 'INR' } = req.body;
 
     if (!serviceId) {
@@ -1398,21 +3175,24 @@ export const createPaymentIntent = async (req, res) => {
     }
 
     // Determine price based on currency
+    const servicePrice = await getCurrentServicePrice(service);
     let amount;
     let finalCurrency = currency.toUpperCase();
     
     if (finalCurrency === 'INR') {
-      amount = parseFloat(service.rs_inr_price);
+      amount = parseFloat(servicePrice.rsph_inr_price);
     } else {
-      amount = parseFloat(service.rs_international_price);
-      finalCurrency = service.rs_currency_international;
+      amount = parseFloat(servicePrice.rsph_international_price);
+      finalCurrency = servicePrice.rsph_currency_international;
     }
 
     // Create transaction record first
     const transaction = await prisma.r_transaction.create({
       data: {
         user_id: userId,
+        org_id: req.organization.org_id,
         rs_id: parseInt(serviceId),
+        rsph_id: servicePrice.rsph_id,
         rt_amount: amount,
         rt_currency: finalCurrency,
         rt_payment_status: 'Pending',
@@ -1448,7 +3228,7 @@ export const createPaymentIntent = async (req, res) => {
     });
 
     // Update transaction with session ID
-    await prisma.r_transaction.update({
+    const processingTransaction = await prisma.r_transaction.update({
       where: { rt_id: transaction.rt_id },
       data: {
         rt_stripe_session_id: session.id,
@@ -1456,6 +3236,13 @@ export const createPaymentIntent = async (req, res) => {
       }
     });
 
+    await recordAudit(req, {
+      action: auditAction.PAYMENT_CHECKOUT_CREATE,
+      entityType: 'r_transaction',
+      entityId: transaction.rt_id,
+      after: processingTransaction
+    });
+
     const responseData = {
       session_id: session.id,
       session_url: session.url,
@@ -1494,10 +3281,14 @@ export const handleStripeWebhook = async (req, res) => {
         const userId = parseInt(session.metadata.user_id);
         const serviceId = parseInt(session.metadata.service_id);
 
+        const pendingTransaction = await prisma.r_transaction.findUnique({
+          where: { rt_id: transactionId }
+        });
+
         // Update transaction and create purchase mapper in a transaction
-        await prisma.$transaction(async (tx) => {
+        const completedTransaction = await prisma.$transaction(async (tx) => {
           // Update transaction status
-          await tx.r_transaction.update({
+          const updatedTransaction = await tx.r_transaction.update({
             where: { rt_id: transactionId },
             data: {
               rt_payment_status: 'Completed',
@@ -1508,16 +3299,29 @@ export const handleStripeWebhook = async (req, res) => {
             }
           });
 
-          // Create purchase mapper record
+          // Create purchase mapper record, usable by the whole organization
           await tx.r_service_purchase_mapper.create({
             data: {
               rt_id: transactionId,
               user_id: userId,
+              org_id: updatedTransaction.org_id,
               rspm_purchase_date: new Date(),
               rspm_is_active: true,
               created_by: userId.toString()
             }
           });
+
+          return updatedTransaction;
+        });
+
+        // Stripe is the actor, not the recruiter whose purchase it is
+        await recordAudit(req, {
+          action: auditAction.PAYMENT_COMPLETE,
+          entityType: 'r_transaction',
+          entityId: transactionId,
+          actorUserId: null,
+          before: pendingTransaction,
+          after: completedTransaction
         });
 
         console.log(`Payment completed for transaction ${transactionId}`);
@@ -1528,13 +3332,21 @@ export const handleStripeWebhook = async (req, res) => {
         const expiredTransactionId = parseInt(expiredSession.metadata.transaction_id);
 
         // Update transaction status to cancelled
-        await prisma.r_transaction.update({
+        const cancelledTransaction = await prisma.r_transaction.update({
           where: { rt_id: expiredTransactionId },
           data: {
             rt_payment_status: 'Cancelled'
           }
         });
 
+        await recordAudit(req, {
+          action: auditAction.PAYMENT_EXPIRE,
+          entityType: 'r_transaction',
+          entityId: expiredTransactionId,
+          actorUserId: null,
+          after: cancelledTransaction
+        });
+
         console.log(`Payment session expired for transaction ${expiredTransactionId}`);
         break;
 
@@ -1547,12 +3359,21 @@ export const handleStripeWebhook = async (req, res) => {
         });
 
         if (failedTransaction) {
-          await prisma.r_transaction.update({
+          const updatedFailedTransaction = await prisma.r_transaction.update({
             where: { rt_id: failedTransaction.rt_id },
             data: {
               rt_payment_status: 'Failed'
             }
           });
+
+          await recordAudit(req, {
+            action: auditAction.PAYMENT_FAIL,
+            entityType: 'r_transaction',
+            entityId: failedTransaction.rt_id,
+            actorUserId: null,
+            before: failedTransaction,
+            after: updatedFailedTransaction
+          });
         }
 
         console.log(`Payment failed for payment intent ${failedIntent.id}`);
@@ -1569,149 +3390,425 @@ export const handleStripeWebhook = async (req, res) => {
     console.error('Error handling webhook:', error);
     return res.status(500).json({ error: error.message });
   }
-};
+};
+
+// Intent Management APIs
+// Intent fields a template can hold, stored as ri_<field> on intents and ritp_<field> on templates
+const INTENT_TEMPLATE_FIELDS = [
+  'job_title', 'employment_type', 'work_mode', 'location', 'timezone', 'experience_level',
+  'compensation_range', 'currency', 'skills_required', 'job_description', 'personalised_message',
+  'next_step', 'preferred_timeline', 'intent_type', 'agreement_content'
+];
+const MAX_INTENT_TEMPLATE_NAME_LENGTH = 100;
+
+/**
+ * Validate the ri_* fields of an intent as sent by the client
+ * @param {Object} input - Request body, or a template or intent merged with the body
+ * @param {Object} [options]
+ * @param {Boolean} [options.partial=false] - Let required fields be missing (templates)
+ * @returns {Promise<Object>} { error } with a message, or { data } with the fields to store
+ */
+const parseIntentInput = async (input, { partial = false } = {}) => {
+  const {
+    ri_job_title,
+    ri_employment_type,
+    ri_work_mode,
+    ri_location,
+    ri_timezone,
+    ri_experience_level,
+    ri_compensation_range,
+    ri_currency,
+    ri_skills_required,
+    ri_job_description,
+    ri_personalised_message,
+    ri_next_step,
+    ri_preferred_timeline,
+    ri_response_deadline,
+    ri_intent_type,
+    ri_agreement_content
+  } = input;
+
+  // Validate required fields
+  if (!partial && (!ri_job_title || !ri_employment_type || !ri_work_mode || !ri_experience_level ||
+      !ri_compensation_range || !ri_currency || !ri_skills_required || !ri_job_description ||
+      !ri_personalised_message || !ri_next_step)) {
+    return { error: 'All required fields must be provided' };
+  }
+
+  const allowedIntentTypes = ['Normal', 'WithAgreement'];
+  const intentType = ri_intent_type || 'Normal';
+
+  if (!allowedIntentTypes.includes(intentType)) {
+    return { error: 'Invalid intent type' };
+  }
+
+  const agreementContent = intentType === 'WithAgreement'
+    ? (typeof ri_agreement_content === 'string' && ri_agreement_content.trim().length > 0
+      ? ri_agreement_content
+      : null)
+    : null;
+
+  if (!partial && intentType === 'WithAgreement' && !agreementContent) {
+    return { error: 'Agreement content is required for intents with agreements' };
+  }
+
+  // Validate location is required for hybrid/onsite
+  if (!partial && (ri_work_mode === 'Hybrid' || ri_work_mode === 'Onsite') && !ri_location) {
+    return { error: 'Location is required for Hybrid and Onsite work modes' };
+  }
+
+  const allowedTimezones = ['UTC', 'GMT', 'EST', 'PST', 'CST', 'MST', 'IST'];
+  const timezone = ri_timezone || null;
+
+  if (timezone && !allowedTimezones.includes(timezone)) {
+    return { error: 'Invalid timezone' };
+  }
+
+  // Catch mistyped placeholders before the intent reaches talents with them unfilled
+  const unknownPlaceholders = [
+    ...findUnknownPlaceholders(ri_personalised_message),
+    ...findUnknownPlaceholders(agreementContent)
+  ];
+  if (unknownPlaceholders.length > 0) {
+    return { error: `Unknown placeholder {{${unknownPlaceholders[0]}}}. Available placeholders: ${INTENT_PLACEHOLDERS.map(name => `{{${name}}}`).join(', ')}` };
+  }
+
+  // Parse skills if it's a string
+  let skillsArray = ri_skills_required;
+  if (typeof ri_skills_required === 'string') {
+    try {
+      skillsArray = JSON.parse(ri_skills_required);
+    } catch (e) {
+      // If not JSON, treat as comma-separated string
+      skillsArray = ri_skills_required.split(',').map(skill => skill.trim());
+    }
+  }
+
+  if (partial && (skillsArray === undefined || skillsArray === null || skillsArray === '')) {
+    skillsArray = null;
+  } else if (!Array.isArray(skillsArray)) {
+    return { error: 'Skills required must be a list of skills' };
+  } else {
+    // Store canonical skill names so intents and talent skills match
+    skillsArray = (await normalizeSkillList(skillsArray.filter(skill => typeof skill === 'string'))).map(skill => skill.name);
+  }
+
+  return {
+    data: {
+      ri_job_title,
+      ri_employment_type,
+      ri_work_mode,
+      ri_location,
+      ri_timezone: timezone,
+      ri_experience_level,
+      ri_compensation_range,
+      ri_currency,
+      ri_skills_required: skillsArray ? JSON.stringify(skillsArray) : null,
+      ri_job_description,
+      ri_personalised_message,
+      ri_next_step,
+      ri_preferred_timeline,
+      ri_response_deadline: ri_response_deadline ? new Date(ri_response_deadline) : null,
+      ri_intent_type: intentType,
+      ri_agreement_content: agreementContent
+    }
+  };
+};
+
+// Create an intent for the organization from fields checked by parseIntentInput
+const createOrganizationIntent = (req, data) => prisma.r_intent.create({
+  data: {
+    ...data,
+    user_id: req.user.user_id,
+    org_id: req.organization.org_id,
+    created_by: req.user.user_id.toString()
+  }
+});
+
+export const saveIntent = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const { ri_id } = req.body;
+
+    const { error, data } = await parseIntentInput(req.body);
+    if (error) {
+      return sendResponse(res, 'error', null, error, statusType.BAD_REQUEST);
+    }
+
+    let intent;
+    let message;
+
+    if (ri_id) {
+      // Update existing intent
+      // Check if intent exists and belongs to the organization
+      const existingIntent = await prisma.r_intent.findFirst({
+        where: {
+          ri_id: parseInt(ri_id),
+          org_id: req.organization.org_id
+        }
+      });
+
+      if (!existingIntent) {
+        return sendResponse(res, 'error', null, 'Intent not found', statusType.NOT_FOUND);
+      }
+
+      // Update the intent
+      intent = await prisma.r_intent.update({
+        where: { ri_id: parseInt(ri_id) },
+        data: {
+          ...data,
+          updated_by: userId.toString(),
+          updated_at: new Date()
+        }
+      });
+
+      message = 'Intent updated successfully';
+    } else {
+      // Create new intent
+      intent = await createOrganizationIntent(req, data);
+
+      message = 'Intent created successfully';
+    }
+
+    return sendResponse(res, 'success', intent, message, statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error saving intent:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error saving intent', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+// Copy an intent, with any ri_* fields in the body changed; the response deadline isn't copied
+export const duplicateIntent = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const intent = await prisma.r_intent.findFirst({
+      where: {
+        ri_id: parseInt(req.params.intentId),
+        org_id: req.organization.org_id
+      }
+    });
+
+    if (!intent) {
+      return sendResponse(res, 'error', null, 'Intent not found', statusType.NOT_FOUND);
+    }
+
+    const copied = Object.fromEntries(INTENT_TEMPLATE_FIELDS.map(field => [`ri_${field}`, intent[`ri_${field}`]]));
+
+    const { error, data } = await parseIntentInput({ ...copied, ...req.body });
+    if (error) {
+      return sendResponse(res, 'error', null, error, statusType.BAD_REQUEST);
+    }
+
+    const duplicate = await createOrganizationIntent(req, data);
+
+    return sendResponse(res, 'success', duplicate, 'Intent duplicated successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error duplicating intent:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error duplicating intent', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+// Intent template APIs
+const formatIntentTemplate = (template) => ({
+  ritp_id: template.ritp_id,
+  name: template.ritp_name,
+  job_title: template.ritp_job_title,
+  employment_type: template.ritp_employment_type,
+  work_mode: template.ritp_work_mode,
+  location: template.ritp_location,
+  timezone: template.ritp_timezone,
+  experience_level: template.ritp_experience_level,
+  compensation_range: template.ritp_compensation_range,
+  currency: template.ritp_currency,
+  skills_required: template.ritp_skills_required ? JSON.parse(template.ritp_skills_required) : [],
+  job_description: template.ritp_job_description,
+  personalised_message: template.ritp_personalised_message,
+  next_step: template.ritp_next_step,
+  preferred_timeline: template.ritp_preferred_timeline,
+  intent_type: template.ritp_intent_type,
+  agreement_content: template.ritp_agreement_content,
+  created_by_user: template.user,
+  created_at: template.created_at,
+  updated_at: template.updated_at
+});
+
+const findIntentTemplate = (templateId, orgId) => prisma.r_intent_template.findFirst({
+  where: {
+    ritp_id: parseInt(templateId),
+    org_id: orgId,
+    status: true
+  },
+  include: {
+    user: { select: { user_id: true, user_full_name: true } }
+  }
+});
 
-// Intent Management APIs
-export const saveIntent = async (req, res) => {
+export const getIntentTemplates = async (req, res) => {
   try {
     const userId = req.user?.user_id;
     if (!userId) {
       return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
     }
 
-    const {
-      ri_id,
-      ri_job_title,
-      ri_employment_type,
-      ri_work_mode,
-      ri_location,
-      ri_experience_level,
-      ri_compensation_range,
-      ri_currency,
-      ri_skills_required,
-      ri_job_description,
-      ri_personalised_message,
-      ri_next_step,
-      ri_preferred_timeline,
-      ri_response_deadline,
-      ri_intent_type,
-      ri_agreement_content
-    } = req.body;
+    const templates = await prisma.r_intent_template.findMany({
+      where: { org_id: req.organization.org_id, status: true },
+      include: {
+        user: { select: { user_id: true, user_full_name: true } }
+      },
+      orderBy: { ritp_name: 'asc' }
+    });
 
-    // Validate required fields
-    if (!ri_job_title || !ri_employment_type || !ri_work_mode || !ri_experience_level || 
-        !ri_compensation_range || !ri_currency || !ri_skills_required || !ri_job_description ||
-        !ri_personalised_message || !ri_next_step) {
-      return sendResponse(res, 'error', null, 'All required fields must be provided', statusType.BAD_REQUEST);
-    }
+    return sendResponse(res, 'success', {
+      templates: templates.map(formatIntentTemplate),
+      placeholders: INTENT_PLACEHOLDERS
+    }, 'Intent templates retrieved successfully', statusType.SUCCESS);
 
-    const allowedIntentTypes = ['Normal', 'WithAgreement'];
-    const intentType = ri_intent_type || 'Normal';
+  } catch (error) {
+    console.error('Error getting intent templates:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error getting intent templates', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
 
-    if (!allowedIntentTypes.includes(intentType)) {
-      return sendResponse(res, 'error', null, 'Invalid intent type', statusType.BAD_REQUEST);
+// Create a template, or replace one by ritp_id. Takes ritp_name and the same ri_* fields as saveIntent, all optional
+export const saveIntentTemplate = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
     }
 
-    const agreementContent = intentType === 'WithAgreement'
-      ? (typeof ri_agreement_content === 'string' && ri_agreement_content.trim().length > 0
-        ? ri_agreement_content
-        : null)
-      : null;
+    const { ritp_id, ritp_name } = req.body;
 
-    if (intentType === 'WithAgreement' && !agreementContent) {
-      return sendResponse(res, 'error', null, 'Agreement content is required for intents with agreements', statusType.BAD_REQUEST);
+    const name = typeof ritp_name === 'string' ? ritp_name.trim() : '';
+    if (!name || name.length > MAX_INTENT_TEMPLATE_NAME_LENGTH) {
+      return sendResponse(res, 'error', null, `Template name is required and must be at most ${MAX_INTENT_TEMPLATE_NAME_LENGTH} characters`, statusType.BAD_REQUEST);
     }
 
-    // Validate location is required for hybrid/onsite
-    if ((ri_work_mode === 'Hybrid' || ri_work_mode === 'Onsite') && !ri_location) {
-      return sendResponse(res, 'error', null, 'Location is required for Hybrid and Onsite work modes', statusType.BAD_REQUEST);
+    const { error, data } = await parseIntentInput(req.body, { partial: true });
+    if (error) {
+      return sendResponse(res, 'error', null, error, statusType.BAD_REQUEST);
     }
 
-    // Parse skills if it's a string
-    let skillsArray = ri_skills_required;
-    if (typeof ri_skills_required === 'string') {
-      try {
-        skillsArray = JSON.parse(ri_skills_required);
-      } catch (e) {
-        // If not JSON, treat as comma-separated string
-        skillsArray = ri_skills_required.split(',').map(skill => skill.trim());
-      }
-    }
+    const templateData = {
+      ritp_name: name,
+      ...Object.fromEntries(INTENT_TEMPLATE_FIELDS.map(field => [`ritp_${field}`, data[`ri_${field}`] || null]))
+    };
 
-    let intent;
+    let template;
     let message;
 
-    if (ri_id) {
-      // Update existing intent
-      // Check if intent exists and belongs to user
-      const existingIntent = await prisma.r_intent.findFirst({
-        where: {
-          ri_id: parseInt(ri_id),
-          user_id: userId
-        }
-      });
+    if (ritp_id) {
+      const existingTemplate = await findIntentTemplate(ritp_id, req.organization.org_id);
 
-      if (!existingIntent) {
-        return sendResponse(res, 'error', null, 'Intent not found', statusType.NOT_FOUND);
+      if (!existingTemplate) {
+        return sendResponse(res, 'error', null, 'Intent template not found', statusType.NOT_FOUND);
       }
 
-      // Update the intent
-      intent = await prisma.r_intent.update({
-        where: { ri_id: parseInt(ri_id) },
+      template = await prisma.r_intent_template.update({
+        where: { ritp_id: existingTemplate.ritp_id },
         data: {
-          ri_job_title,
-          ri_employment_type,
-          ri_work_mode,
-          ri_location,
-          ri_experience_level,
-          ri_compensation_range,
-          ri_currency,
-          ri_skills_required: JSON.stringify(skillsArray),
-          ri_job_description,
-          ri_personalised_message,
-          ri_next_step,
-          ri_preferred_timeline,
-          ri_response_deadline: ri_response_deadline ? new Date(ri_response_deadline) : null,
-          ri_intent_type: intentType,
-          ri_agreement_content: agreementContent,
-          updated_by: userId.toString(),
-          updated_at: new Date()
+          ...templateData,
+          updated_by: userId.toString()
+        },
+        include: {
+          user: { select: { user_id: true, user_full_name: true } }
         }
       });
 
-      message = 'Intent updated successfully';
+      message = 'Intent template updated successfully';
     } else {
-      // Create new intent
-      intent = await prisma.r_intent.create({
+      template = await prisma.r_intent_template.create({
         data: {
+          ...templateData,
+          org_id: req.organization.org_id,
           user_id: userId,
-          ri_job_title,
-          ri_employment_type,
-          ri_work_mode,
-          ri_location,
-          ri_experience_level,
-          ri_compensation_range,
-          ri_currency,
-          ri_skills_required: JSON.stringify(skillsArray),
-          ri_job_description,
-          ri_personalised_message,
-          ri_next_step,
-          ri_preferred_timeline,
-          ri_response_deadline: ri_response_deadline ? new Date(ri_response_deadline) : null,
-          ri_intent_type: intentType,
-          ri_agreement_content: agreementContent,
           created_by: userId.toString()
+        },
+        include: {
+          user: { select: { user_id: true, user_full_name: true } }
         }
       });
 
-      message = 'Intent created successfully';
+      message = 'Intent template created successfully';
     }
 
-    return sendResponse(res, 'success', intent, message, statusType.SUCCESS);
+    return sendResponse(res, 'success', formatIntentTemplate(template), message, statusType.SUCCESS);
 
   } catch (error) {
-    console.error('Error saving intent:', error);
-    return sendResponse(res, 'error', { error: error.message }, 'Error saving intent', statusType.INTERNAL_SERVER_ERROR);
+    console.error('Error saving intent template:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error saving intent template', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+export const deleteIntentTemplate = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const result = await prisma.r_intent_template.updateMany({
+      where: {
+        ritp_id: parseInt(req.params.templateId),
+        org_id: req.organization.org_id,
+        status: true
+      },
+      data: {
+        status: false,
+        updated_by: userId.toString()
+      }
+    });
+
+    if (result.count === 0) {
+      return sendResponse(res, 'error', null, 'Intent template not found', statusType.NOT_FOUND);
+    }
+
+    return sendResponse(res, 'success', null, 'Intent template deleted successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error deleting intent template:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error deleting intent template', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
+// Create an intent from a template; ri_* fields in the body fill in or change what the template holds
+export const createIntentFromTemplate = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const template = await findIntentTemplate(req.params.templateId, req.organization.org_id);
+
+    if (!template) {
+      return sendResponse(res, 'error', null, 'Intent template not found', statusType.NOT_FOUND);
+    }
+
+    const fromTemplate = Object.fromEntries(INTENT_TEMPLATE_FIELDS.map(field => [`ri_${field}`, template[`ritp_${field}`]]));
+
+    const { error, data } = await parseIntentInput({ ...fromTemplate, ...req.body });
+    if (error) {
+      return sendResponse(res, 'error', null, error, statusType.BAD_REQUEST);
+    }
+
+    const intent = await createOrganizationIntent(req, data);
+
+    return sendResponse(res, 'success', intent, 'Intent created from template successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error creating intent from template:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error creating intent from template', statusType.INTERNAL_SERVER_ERROR);
   }
 };
 
@@ -1818,7 +3915,7 @@ export const getIntents = async (req, res) => {
 
     // Build where clause
     const whereClause = {
-      user_id: userId
+      org_id: req.organization.org_id
     };
 
     if (status === 'active') {
@@ -1839,6 +3936,12 @@ export const getIntents = async (req, res) => {
       skip: offset,
       take: limitNum,
       include: {
+        user: {
+          select: {
+            user_id: true,
+            user_full_name: true
+          }
+        },
         r_intent_talent_mapper: {
           where: { status: true },
           select: {
@@ -1871,6 +3974,7 @@ export const getIntents = async (req, res) => {
         employment_type: intent.ri_employment_type,
         work_mode: intent.ri_work_mode,
         location: intent.ri_location,
+        timezone: intent.ri_timezone,
         experience_level: intent.ri_experience_level,
         compensation_range: intent.ri_compensation_range,
         currency: intent.ri_currency,
@@ -1883,6 +3987,7 @@ export const getIntents = async (req, res) => {
         intent_type: intent.ri_intent_type,
         agreement_content: intent.ri_agreement_content,
         status: intent.status,
+        created_by_user: intent.user,
         created_at: intent.created_at,
         updated_at: intent.updated_at,
         talents_count: intent.r_intent_talent_mapper.length,
@@ -1937,7 +4042,7 @@ export const getIntentById = async (req, res) => {
     const intent = await prisma.r_intent.findFirst({
       where: {
         ri_id: parseInt(intentId),
-        user_id: userId
+        org_id: req.organization.org_id
       },
       include: {
         r_intent_talent_mapper: {
@@ -1982,6 +4087,7 @@ export const getIntentById = async (req, res) => {
       employment_type: intent.ri_employment_type,
       work_mode: intent.ri_work_mode,
       location: intent.ri_location,
+      timezone: intent.ri_timezone,
       experience_level: intent.ri_experience_level,
       compensation_range: intent.ri_compensation_range,
       currency: intent.ri_currency,
@@ -2008,6 +4114,7 @@ export const getIntentById = async (req, res) => {
         talent_image: mapper.t_profile.tp_image,
         talent_skills: mapper.t_profile.t_skills.map(skill => skill.ts_skill),
         sent_at: mapper.created_at,
+        personalised_message: mapper.ritm_personalised_message,
         agreement_snapshot: mapper.ritm_agreement_snapshot,
         agreement_accepted_at: mapper.ritm_agreement_accepted_at,
         agreement_accepted_by: mapper.ritm_agreement_accepted_by
@@ -2022,6 +4129,239 @@ export const getIntentById = async (req, res) => {
   }
 };
 
+// Talents read at a time while scoring suggestion candidates
+const SUGGESTION_BATCH_SIZE = 500;
+
+// Best match first; equal scores go to the more recently updated profile
+const compareMatches = (a, b) => b.match.score - a.match.score
+  || b.talent.updated_at - a.talent.updated_at
+  || a.talent.tp_id - b.talent.tp_id;
+
+// Talents ranked by how well they fit an intent (see matchHelper.js for the scoring)
+export const getSuggestedTalents = async (req, res) => {
+  try {
+    const userId = req.user?.user_id;
+    if (!userId) {
+      return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
+    }
+
+    const { intentId } = req.params;
+    const { page = 1, limit = 10, min_score = 0, include_sent = 'false' } = req.query;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+    const minScore = parseInt(min_score) || 0;
+    const offset = (pageNum - 1) * limitNum;
+
+    const intent = await prisma.r_intent.findFirst({
+      where: {
+        ri_id: parseInt(intentId),
+        org_id: req.organization.org_id,
+        status: true
+      }
+    });
+
+    if (!intent) {
+      return sendResponse(res, 'error', null, 'Intent not found', statusType.NOT_FOUND);
+    }
+
+    let intentSkills = [];
+    try {
+      intentSkills = JSON.parse(intent.ri_skills_required);
+    } catch (e) {
+      intentSkills = intent.ri_skills_required.split(',');
+    }
+    const requiredSkills = await normalizeSkillList(Array.isArray(intentSkills) ? intentSkills.filter(skill => typeof skill === 'string') : []);
+
+    // Candidates are active talents available for some kind of work who have at least one of
+    // the intent's skills (under any spelling, listed or used in experience, projects or skill tiles),
+    // except those who already received this intent
+    const whereClause = {
+      status: true,
+      user: {
+        is_active: true,
+        is_deleted: false,
+        is_blocked: false,
+        is_suspended: false,
+        user_role: {
+          role_name: 'talent'
+        }
+      },
+      t_availability: {
+        some: {
+          status: true,
+          OR: [{ ta_full_time: true }, { ta_part_time: true }, { ta_consulting: true }]
+        }
+      }
+    };
+
+    if (requiredSkills.length > 0) {
+      const { skillIds, terms } = await resolveSkillFilter(requiredSkills.map(skill => skill.name));
+      const usedIn = (field) => ({
+        some: {
+          status: true,
+          OR: terms.map(term => ({ [field]: { contains: term, mode: 'insensitive' } }))
+        }
+      });
+
+      whereClause.OR = [
+        {
+          t_skills: {
+            some: {
+              status: true,
+              OR: [
+                { sk_id: { in: skillIds } },
+                { ts_skill: { in: terms, mode: 'insensitive' } }
+              ]
+            }
+          }
+        },
+        { t_skill_tiles: { some: { status: true, tst_skill_name: { in: terms, mode: 'insensitive' } } } },
+        { t_experience: usedIn('te_technologies') },
+        { t_projects: usedIn('tpj_technologies') }
+      ];
+    }
+
+    if (include_sent !== 'true') {
+      whereClause.r_intent_talent_mapper = {
+        none: { ri_id: intent.ri_id, status: true }
+      };
+    }
+
+    // Every candidate is scored, a batch at a time, keeping only the best matches up to the requested page
+    const keptCount = offset + limitNum;
+    let topMatches = [];
+    let totalCount = 0;
+    let lastTpId = 0;
+
+    for (;;) {
+      const talents = await prisma.t_profile.findMany({
+        where: { ...whereClause, tp_id: { gt: lastTpId } },
+        select: {
+          tp_id: true,
+          tp_designation: true,
+          tp_location: true,
+          tp_total_experience: true,
+          tp_experience_months: true,
+          tp_professional_summary: true,
+          tp_image: true,
+          updated_at: true,
+          user: {
+            select: {
+              user_full_name: true
+            }
+          },
+          t_skills: {
+            where: { status: true },
+            select: { sk_id: true, ts_skill: true }
+          },
+          t_skill_tiles: {
+            where: { status: true },
+            select: { tst_skill_name: true }
+          },
+          t_experience: {
+            where: { status: true },
+            select: { te_technologies: true }
+          },
+          t_projects: {
+            where: { status: true },
+            select: { tpj_technologies: true }
+          },
+          t_availability: {
+            where: { status: true },
+            select: {
+              ta_full_time: true,
+              ta_full_min_salary: true,
+              ta_full_max_salary: true,
+              ta_part_time: true,
+              ta_part_min_salary: true,
+              ta_part_max_salary: true,
+              ta_consulting: true,
+              ta_consulting_min_salary: true,
+              ta_consulting_max_salary: true,
+              ta_work_location: true,
+              ta_timezone: true
+            }
+          },
+          r_intent_talent_mapper: {
+            where: { ri_id: intent.ri_id, status: true },
+            select: { ritm_id: true }
+          }
+        },
+        orderBy: { tp_id: 'asc' },
+        take: SUGGESTION_BATCH_SIZE
+      });
+
+      if (talents.length === 0) {
+        break;
+      }
+
+      for (const talent of talents) {
+        const match = scoreTalentForIntent(intent, requiredSkills, talent);
+        if (match.score >= minScore) {
+          topMatches.push({ talent, match });
+          totalCount++;
+        }
+      }
+
+      topMatches = topMatches.sort(compareMatches).slice(0, keptCount);
+      lastTpId = talents[talents.length - 1].tp_id;
+    }
+
+    const favouriteTalents = await prisma.r_favourite_talents.findMany({
+      where: {
+        user_id: userId,
+        status: true
+      },
+      select: {
+        tp_id: true
+      }
+    });
+    const favouriteTalentIds = new Set(favouriteTalents.map(fav => fav.tp_id));
+
+    const suggestedTalents = topMatches.slice(offset).map(({ talent, match }) => ({
+      tp_id: talent.tp_id,
+      user_name: talent.user.user_full_name,
+      designation: talent.tp_designation,
+      experience_summary: `${formatExperience(talent.tp_experience_months, talent.tp_total_experience || 'Experience not specified')} • ${talent.tp_location || 'Location not specified'}`,
+      description: talent.tp_professional_summary || 'No description available',
+      skills: talent.t_skills.slice(0, 5).map(skill => skill.ts_skill),
+      profile_image: talent.tp_image,
+      work_location: talent.t_availability[0]?.ta_work_location || 'Not specified',
+      is_favourite: favouriteTalentIds.has(talent.tp_id),
+      already_sent: talent.r_intent_talent_mapper.length > 0,
+      match_score: match.score,
+      match_breakdown: match.breakdown
+    }));
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    const responseData = {
+      intent: {
+        ri_id: intent.ri_id,
+        job_title: intent.ri_job_title,
+        skills_required: requiredSkills.map(skill => skill.name)
+      },
+      weights: MATCH_WEIGHTS,
+      talents: suggestedTalents,
+      pagination: {
+        current_page: pageNum,
+        total_pages: totalPages,
+        total_count: totalCount,
+        per_page: limitNum,
+        has_next_page: pageNum < totalPages,
+        has_prev_page: pageNum > 1
+      }
+    };
+
+    return sendResponse(res, 'success', responseData, 'Suggested talents retrieved successfully', statusType.SUCCESS);
+
+  } catch (error) {
+    console.error('Error getting suggested talents:', error);
+    return sendResponse(res, 'error', { error: error.message }, 'Error getting suggested talents', statusType.INTERNAL_SERVER_ERROR);
+  }
+};
+
 
 export const sendIntentToTalents = async (req, res) => {
   try {
@@ -2030,30 +4370,34 @@ export const sendIntentToTalents = async (req, res) => {
       return sendResponse(res, 'error', null, 'User not authenticated', statusType.UNAUTHORIZED);
     }
 
+    // Recruiters must verify their email before contacting talents
+    if (!req.user.is_verified) {
+      return sendResponse(res, 'error', null, 'Please verify your email address before sending intents', statusType.FORBIDDEN);
+    }
+
     const { intentId } = req.params;
-    const { talentIds } = req.body;
+    const { shortlistId } = req.body;
+    let { talentIds } = req.body;
 
     if (!intentId) {
       return sendResponse(res, 'error', null, 'Intent ID is required', statusType.BAD_REQUEST);
     }
 
-    if (!talentIds || !Array.isArray(talentIds) || talentIds.length === 0) {
-      return sendResponse(res, 'error', null, 'Talent IDs array is required', statusType.BAD_REQUEST);
+    if (!shortlistId && (!talentIds || !Array.isArray(talentIds) || talentIds.length === 0)) {
+      return sendResponse(res, 'error', null, 'Talent IDs array or shortlist ID is required', statusType.BAD_REQUEST);
+    }
+
+    const shortlistIdInt = shortlistId ? parseInt(shortlistId) : null;
+    if (shortlistId && isNaN(shortlistIdInt)) {
+      return sendResponse(res, 'error', null, 'Invalid shortlist ID', statusType.BAD_REQUEST);
     }
 
-    // Check if intent exists and belongs to user
+    // Check if intent exists and belongs to the organization
     const intent = await prisma.r_intent.findFirst({
       where: {
         ri_id: parseInt(intentId),
-        user_id: userId,
+        org_id: req.organization.org_id,
         status: true
-      },
-      include: {
-        user: {
-          select: {
-            user_full_name: true
-          }
-        }
       }
     });
 
@@ -2066,7 +4410,34 @@ export const sendIntentToTalents = async (req, res) => {
     }
 
     const isAgreementIntent = intent.ri_intent_type === 'WithAgreement';
-    const agreementSnapshot = isAgreementIntent ? intent.ri_agreement_content : null;
+
+    // Sending to a shortlist: everyone on it who hasn't received this intent yet
+    let skippedTalentIds = [];
+    if (shortlistId) {
+      const found = await findAccessibleShortlist(shortlistIdInt, userId, req.organization.org_id);
+      if (!found) {
+        return sendResponse(res, 'error', null, 'Shortlist not found', statusType.NOT_FOUND);
+      }
+
+      const items = await prisma.r_shortlist_talent.findMany({
+        where: { rsl_id: found.shortlist.rsl_id, status: true },
+        orderBy: { rslt_order: 'asc' },
+        select: { tp_id: true }
+      });
+
+      const alreadySent = await prisma.r_intent_talent_mapper.findMany({
+        where: {
+          ri_id: intent.ri_id,
+          tp_id: { in: items.map(item => item.tp_id) },
+          status: true
+        },
+        select: { tp_id: true }
+      });
+      const sentIds = new Set(alreadySent.map(mapper => mapper.tp_id));
+
+      talentIds = items.map(item => item.tp_id).filter(tpId => !sentIds.has(tpId));
+      skippedTalentIds = items.map(item => item.tp_id).filter(tpId => sentIds.has(tpId));
+    }
 
     // Check if talents exist and are active
     const talents = await prisma.t_profile.findMany({
@@ -2091,7 +4462,16 @@ export const sendIntentToTalents = async (req, res) => {
       }
     });
 
-    if (talents.length !== talentIds.length) {
+    if (shortlistId) {
+      // Talents who left the platform after being shortlisted are skipped too
+      const activeIds = new Set(talents.map(talent => talent.tp_id));
+      skippedTalentIds.push(...talentIds.filter(tpId => !activeIds.has(tpId)));
+      talentIds = talentIds.filter(tpId => activeIds.has(tpId));
+
+      if (talentIds.length === 0) {
+        return sendResponse(res, 'error', null, 'Every talent on this shortlist has already received this intent or is no longer active', statusType.BAD_REQUEST);
+      }
+    } else if (talents.length !== talentIds.length) {
       return sendResponse(res, 'error', null, 'Some talent profiles not found or inactive', statusType.BAD_REQUEST);
     }
 
@@ -2103,13 +4483,24 @@ export const sendIntentToTalents = async (req, res) => {
       // Create each mapping individually to get the ritm_id for timeline and chat creation
       for (const talentId of talentIds) {
         const talent = talents.find(t => t.tp_id === parseInt(talentId));
+
+        // Each talent gets the message and agreement with their own details filled in
+        const placeholderValues = buildPlaceholderValues({
+          intent,
+          talentName: talent.user.user_full_name,
+          companyName: req.organization.org_name,
+          recruiterName: req.user.user_full_name
+        });
         
         const mapper = await tx.r_intent_talent_mapper.create({
           data: {
             ri_id: parseInt(intentId),
             tp_id: parseInt(talentId),
             ritm_intent_status: 'Intent_Submitted',
-            ritm_agreement_snapshot: agreementSnapshot,
+            ritm_personalised_message: resolvePlaceholders(intent.ri_personalised_message, placeholderValues),
+            ritm_agreement_snapshot: isAgreementIntent
+              ? resolvePlaceholders(intent.ri_agreement_content, placeholderValues, { html: true })
+              : null,
             created_by: userId.toString()
           }
         });
@@ -2144,6 +4535,15 @@ export const sendIntentToTalents = async (req, res) => {
       return { createdMappers, createdConversations };
     });
 
+    for (const mapper of result.createdMappers) {
+      await recordAudit(req, {
+        action: auditAction.INTENT_SEND,
+        entityType: 'r_intent_talent_mapper',
+        entityId: mapper.ritm_id,
+        after: mapper
+      });
+    }
+
     // Create notifications for talents
     try {
       for (const talentId of talentIds) {
@@ -2153,7 +4553,7 @@ export const sendIntentToTalents = async (req, res) => {
             talent.user_id,
             'intent_received',
             'New Job Opportunity!',
-            `${intent.user.user_full_name} sent you an intent for ${intent.ri_job_title}`,
+            `${req.user.user_full_name} sent you an intent for ${intent.ri_job_title}`,
             null
           );
         }
@@ -2186,7 +4586,7 @@ export const sendIntentToTalents = async (req, res) => {
           conversationId: conversation.cc_id,
           withUser: {
             user_id: userId,
-            user_full_name: intent.user.user_full_name
+            user_full_name: req.user.user_full_name
           },
           jobTitle: intent.ri_job_title
         });
@@ -2201,7 +4601,8 @@ export const sendIntentToTalents = async (req, res) => {
       total_requested: talentIds.length,
       created_mappings: result.createdMappers.length,
       created_conversations: result.createdConversations.length,
-      talent_ids_sent: talentIds
+      talent_ids_sent: talentIds,
+      ...(shortlistId && { shortlist_id: shortlistIdInt, skipped_talent_ids: skippedTalentIds })
     };
 
     return sendResponse(res, 'success', responseData, 'Intent sent to talents successfully', statusType.SUCCESS);
@@ -2221,13 +4622,13 @@ export const getIntentStats = async (req, res) => {
 
     // Get total intents
     const totalIntents = await prisma.r_intent.count({
-      where: { user_id: userId, status: true }
+      where: { org_id: req.organization.org_id, status: true }
     });
 
     // Get total talents reached
     const totalTalentsReached = await prisma.r_intent_talent_mapper.count({
       where: {
-        r_intent: { user_id: userId },
+        r_intent: { org_id: req.organization.org_id },
         status: true
       }
     });
@@ -2235,14 +4636,14 @@ export const getIntentStats = async (req, res) => {
     // Get intents by employment type
     const intentsByEmploymentType = await prisma.r_intent.groupBy({
       by: ['ri_employment_type'],
-      where: { user_id: userId, status: true },
+      where: { org_id: req.organization.org_id, status: true },
       _count: { ri_id: true }
     });
 
     // Get intents by experience level
     const intentsByExperienceLevel = await prisma.r_intent.groupBy({
       by: ['ri_experience_level'],
-      where: { user_id: userId, status: true },
+      where: { org_id: req.organization.org_id, status: true },
       _count: { ri_id: true }
     });
 
@@ -2252,7 +4653,7 @@ export const getIntentStats = async (req, res) => {
 
     const recentIntents = await prisma.r_intent.count({
       where: {
-        user_id: userId,
+        org_id: req.organization.org_id,
         status: true,
         created_at: { gte: thirtyDaysAgo }
       }
@@ -2294,13 +4695,13 @@ export const markProjectStart = async (req, res) => {
       return sendResponse(res, 'error', null, 'Intent mapping ID is required', statusType.BAD_REQUEST);
     }
 
-    // Check if intent mapping exists and belongs to recruiter
+    // Check if intent mapping exists and belongs to the organization
     const mapping = await prisma.r_intent_talent_mapper.findFirst({
       where: {
         ritm_id: parseInt(ritmId),
         status: true,
         r_intent: {
-          user_id: userId
+          org_id: req.organization.org_id
         }
       }
     });
@@ -2343,6 +4744,14 @@ export const markProjectStart = async (req, res) => {
       return { updatedMapping, timelineRecord };
     });
 
+    await recordAudit(req, {
+      action: auditAction.INTENT_PROJECT_START,
+      entityType: 'r_intent_talent_mapper',
+      entityId: mapping.ritm_id,
+      before: { ritm_intent_status: mapping.ritm_intent_status },
+      after: { ritm_intent_status: result.updatedMapping.ritm_intent_status }
+    });
+
     return sendResponse(res, 'success', result, 'Project marked as started successfully', statusType.SUCCESS);
 
   } catch (error) {
@@ -2364,13 +4773,13 @@ export const getIntentTimeline = async (req, res) => {
       return sendResponse(res, 'error', null, 'Intent mapping ID is required', statusType.BAD_REQUEST);
     }
 
-    // Check if intent mapping exists and belongs to recruiter
+    // Check if intent mapping exists and belongs to the organization
     const mapping = await prisma.r_intent_talent_mapper.findFirst({
       where: {
         ritm_id: parseInt(ritmId),
         status: true,
         r_intent: {
-          user_id: userId
+          org_id: req.organization.org_id
         }
       },
       include: {
@@ -2403,6 +4812,8 @@ export const getIntentTimeline = async (req, res) => {
       return sendResponse(res, 'error', null, 'Intent mapping not found', statusType.NOT_FOUND);
     }
 
+    const recruiterNotes = await findTalentNotes(req, mapping.tp_id);
+
     const responseData = {
       ritm_id: mapping.ritm_id,
       current_status: mapping.ritm_intent_status,
@@ -2421,7 +4832,9 @@ export const getIntentTimeline = async (req, res) => {
         notes: t.rit_notes,
         created_at: t.created_at,
         created_by: t.created_by
-      }))
+      })),
+      // Notes about the talent from the whole hiring process, not only this intent
+      recruiter_notes: recruiterNotes
     };
 
     return sendResponse(res, 'success', responseData, 'Timeline retrieved successfully', statusType.SUCCESS);
@@ -2432,16 +4845,6 @@ export const getIntentTimeline = async (req, res) => {
   }
 };
 
-export const forgotPassword = async (req, res) => {
-  // TODO: Implement forgot password
-  res.json({ message: 'Forgot password endpoint' });
-};
-
-export const resetPassword = async (req, res) => {
-  // TODO: Implement reset password
-  res.json({ message: 'Reset password endpoint' });
-};
-
 export default {
   // File upload
   uploadSingle,
@@ -2459,8 +4862,6 @@ export default {
   login,
   updateProfile,
   deleteProfile,
-  forgotPassword,
-  resetPassword,
   
   // Job management
   getJobs,
@@ -2474,12 +4875,46 @@ export default {
   searchTalents,
   getTalentProfile,
   addFavouriteTalent,
+  getSavedSearches,
+  saveSavedSearch,
+  deleteSavedSearch,
+  getShortlists,
+  saveShortlist,
+  deleteShortlist,
+  getShortlistById,
+  addShortlistTalents,
+  updateShortlistTalent,
+  removeShortlistTalent,
+  reorderShortlist,
+  shareShortlist,
+  unshareShortlist,
+  getTalentNotes,
+  saveTalentNote,
+  deleteTalentNote,
+  setTalentTags,
+  getTalentTags,
+
+  // Organization management
+  getOrganizations,
+  getOrganization,
+  updateOrganization,
+  inviteOrganizationMember,
+  revokeOrganizationInvitation,
+  acceptOrganizationInvitation,
+  updateOrganizationMember,
+  removeOrganizationMember,
   
   // Intent management
   saveIntent,
+  duplicateIntent,
+  getIntentTemplates,
+  saveIntentTemplate,
+  deleteIntentTemplate,
+  createIntentFromTemplate,
   generateIntentAgreementDraft,
   getIntents,
   getIntentById,
+  getSuggestedTalents,
   sendIntentToTalents,
   getIntentStats,
   markProjectStart,
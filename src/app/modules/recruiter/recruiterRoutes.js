@@ -1,19 +1,27 @@
 import express from 'express';
 const router = express.Router();
 import * as recruiterController from './recruiterController.js';
+import { denyImpersonation } from '../../../middleware/permissionMiddleware.js';
+import { requireOrganizationRole } from '../../../middleware/recruiterMiddleware.js';
+import { ORGANIZATION_WRITE_ROLES, ORGANIZATION_MANAGE_ROLES } from '../../helpers/organizationHelper.js';
+
+// Viewers only read the organization's data; owners and admins also run the organization
+const canWrite = requireOrganizationRole(...ORGANIZATION_WRITE_ROLES);
+const canManage = requireOrganizationRole(...ORGANIZATION_MANAGE_ROLES);
 
 // Public routes
 // TODO: Add public routes here
 
 // Protected routes
-// Note: Authentication is already handled by recruiterMiddleware in routes.js
+// Note: Authentication (requirePermission) and the acting organization (recruiterMiddleware,
+// req.organization) are already handled in routes.js
 
 // File upload routes
 router.post('/upload/profile-image', recruiterController.uploadSingle, recruiterController.uploadProfileImage);
 
 // Profile management routes
 router.get('/profile', recruiterController.getProfile);
-router.post('/company-profile', recruiterController.addOrUpdateCompanyProfile);
+router.post('/company-profile', canManage, recruiterController.addOrUpdateCompanyProfile);
 router.post('/individual-profile', recruiterController.addOrUpdateIndividualProfile);
 router.get('/company-profile', recruiterController.getCompanyProfile);
 router.get('/individual-profile', recruiterController.getIndividualProfile);
@@ -23,24 +31,70 @@ router.get('/talents/search', recruiterController.searchTalents);
 router.get('/talents/:talentId', recruiterController.getTalentProfile);
 router.post('/talents/favourite', recruiterController.addFavouriteTalent);
 
+// Talent note and tag routes
+router.get('/talent-tags', recruiterController.getTalentTags);
+router.get('/talents/:talentId/notes', recruiterController.getTalentNotes);
+router.post('/talents/:talentId/notes', canWrite, recruiterController.saveTalentNote);
+router.delete('/talents/:talentId/notes/:noteId', canWrite, recruiterController.deleteTalentNote);
+router.put('/talents/:talentId/tags', canWrite, recruiterController.setTalentTags);
+
+// Saved search routes
+router.get('/saved-searches', recruiterController.getSavedSearches);
+router.post('/saved-searches', recruiterController.saveSavedSearch);
+router.delete('/saved-searches/:searchId', recruiterController.deleteSavedSearch);
+
+// Shortlist routes
+router.get('/shortlists', recruiterController.getShortlists);
+router.post('/shortlists', canWrite, recruiterController.saveShortlist);
+router.get('/shortlists/:shortlistId', recruiterController.getShortlistById);
+router.delete('/shortlists/:shortlistId', canWrite, recruiterController.deleteShortlist);
+router.post('/shortlists/:shortlistId/talents', canWrite, recruiterController.addShortlistTalents);
+router.put('/shortlists/:shortlistId/talents/:talentId', canWrite, recruiterController.updateShortlistTalent);
+router.delete('/shortlists/:shortlistId/talents/:talentId', canWrite, recruiterController.removeShortlistTalent);
+router.put('/shortlists/:shortlistId/order', canWrite, recruiterController.reorderShortlist);
+router.post('/shortlists/:shortlistId/shares', canWrite, recruiterController.shareShortlist);
+router.delete('/shortlists/:shortlistId/shares/:userId', canWrite, recruiterController.unshareShortlist);
+
+// Organization routes
+router.get('/organizations', recruiterController.getOrganizations);
+router.get('/organization', recruiterController.getOrganization);
+router.put('/organization', canManage, recruiterController.updateOrganization);
+router.post('/organization/invitations', canManage, recruiterController.inviteOrganizationMember);
+router.delete('/organization/invitations/:invitationId', canManage, recruiterController.revokeOrganizationInvitation);
+router.put('/organization/members/:userId', canManage, recruiterController.updateOrganizationMember);
+router.delete('/organization/members/:userId', recruiterController.removeOrganizationMember);
+
 // Intent management routes
-router.post('/intents/agreement/draft', recruiterController.generateIntentAgreementDraft);
-router.post('/intents', recruiterController.saveIntent);
+router.post('/intents/agreement/draft', canWrite, recruiterController.generateIntentAgreementDraft);
+router.post('/intents', canWrite, recruiterController.saveIntent);
+router.post('/intents/:intentId/duplicate', canWrite, recruiterController.duplicateIntent);
 router.get('/intents', recruiterController.getIntents);
 router.get('/intents/:intentId', recruiterController.getIntentById);
-router.post('/intents/:intentId/send', recruiterController.sendIntentToTalents);
+router.get('/intents/:intentId/suggested-talents', recruiterController.getSuggestedTalents);
+router.post('/intents/:intentId/send', denyImpersonation, canWrite, recruiterController.sendIntentToTalents);
 router.get('/intents/stats', recruiterController.getIntentStats);
-router.post('/intents/timeline/:ritmId/start-project', recruiterController.markProjectStart);
+router.post('/intents/timeline/:ritmId/start-project', canWrite, recruiterController.markProjectStart);
 router.get('/intents/timeline/:ritmId', recruiterController.getIntentTimeline);
 
+// Intent template routes
+router.get('/intent-templates', recruiterController.getIntentTemplates);
+router.post('/intent-templates', canWrite, recruiterController.saveIntentTemplate);
+router.delete('/intent-templates/:templateId', canWrite, recruiterController.deleteIntentTemplate);
+router.post('/intent-templates/:templateId/intents', canWrite, recruiterController.createIntentFromTemplate);
+
 // Service management routes
 router.get('/services', recruiterController.getServices);
 router.get('/services/:serviceId', recruiterController.getServiceById);
 router.get('/purchases', recruiterController.getPurchaseHistory);
 
 // Payment routes
-router.post('/payment/create-checkout-session', recruiterController.createPaymentIntent);
+router.post('/payment/create-checkout-session', denyImpersonation, canManage, recruiterController.createPaymentIntent);
 
 // TODO: Add other protected routes here
 
+// Routes mounted in routes.js before the acting organization is resolved, so a recruiter in no
+// organization yet isn't given one of their own first
+export const invitationRouter = express.Router();
+invitationRouter.post('/organization/invitations/accept', recruiterController.acceptOrganizationInvitation);
+
 export default router;
@@ -8,6 +8,12 @@ import { PrismaClient } from '@prisma/client';
 import OpenAI from 'openai';
 import { generateRecommendations } from './talentHelpers.js';
 import { createNotification } from '../../helpers/notificationHelper.js';
+import { recordAudit } from '../../helpers/auditHelper.js';
+import { refreshExperienceMonths } from '../../helpers/experienceHelper.js';
+import { refreshTalentSearchVector } from '../../helpers/talentSearchHelper.js';
+import { queueTalentEmbedding } from '../../helpers/embeddingHelper.js';
+import { normalizeSkillList, normalizeSkillName, normalizeSkillText } from '../../helpers/skillHelper.js';
+import auditAction from '../../enums/auditActions.js';
 import { OPENAI_API_KEY } from '../../../config/index.js';
 
 const prisma = new PrismaClient();
@@ -396,6 +402,7 @@ Analyze the resume content thoroughly and provide accurate, professional assessm
         tp_designation: true,
         tp_location: true,
         tp_total_experience: true,
+        tp_experience_months: true,
         tp_about: true,
         tp_professional_summary: true,
         tp_image: true,
@@ -438,7 +445,7 @@ Analyze the resume content thoroughly and provide accurate, professional assessm
                 tpj_github_url: project.tpj_github_url || null,
                 tpj_duration: project.tpj_duration || null,
                 tpj_impact: project.tpj_impact || null,
-                tpj_technologies: project.tpj_technologies || null,
+                tpj_technologies: await normalizeSkillText(project.tpj_technologies) || null,
                 status: true
               }
             });
@@ -485,7 +492,7 @@ Analyze the resume content thoroughly and provide accurate, professional assessm
                 te_start_date: startDate,
                 te_end_date: endDate,
                 te_description: exp.te_description || null,
-                te_technologies: exp.te_technologies || null,
+                te_technologies: await normalizeSkillText(exp.te_technologies) || null,
                 status: true
               }
             });
@@ -509,17 +516,17 @@ Analyze the resume content thoroughly and provide accurate, professional assessm
         });
 
         // Create new skills
-        for (const skill of parsedData.skills) {
-          if (skill && skill.trim() !== '') {
-            const newSkill = await prisma.t_skills.create({
-              data: {
-                tp_id: talentProfile.tp_id,
-                ts_skill: skill.trim(),
-                status: true
-              }
-            });
-            createdSkills.push(newSkill);
-          }
+        const normalizedSkills = await normalizeSkillList(parsedData.skills.filter(skill => typeof skill === 'string'));
+        for (const skill of normalizedSkills) {
+          const newSkill = await prisma.t_skills.create({
+            data: {
+              tp_id: talentProfile.tp_id,
+              ts_skill: skill.name,
+              sk_id: skill.sk_id,
+              status: true
+            }
+          });
+          createdSkills.push(newSkill);
         }
       } catch (skillsError) {
         console.error('Error saving skills:', skillsError);
@@ -527,6 +534,10 @@ Analyze the resume content thoroughly and provide accurate, professional assessm
       }
     }
 
+    talentProfile.tp_experience_months = await refreshExperienceMonths(talentProfile.tp_id);
+    await refreshTalentSearchVector(talentProfile.tp_id);
+    queueTalentEmbedding(talentProfile.tp_id);
+
     // Return both the parsed data and updated profile with created records
     const responseData = {
       parsed_data: parsedData,
@@ -581,6 +592,7 @@ export const getAllTalentProfile = async (req, res) => {
         tp_designation: true,
         tp_location: true,
         tp_total_experience: true,
+        tp_experience_months: true,
         tp_about: true,
         tp_professional_summary: true,
         tp_image: true,
@@ -803,6 +815,10 @@ export const saveTalentProfile = async (req, res) => {
 
     if (tp_id) {
       // Update the existing record if tp_id is provided
+      const previousProfile = await prisma.t_profile.findUnique({
+        where: { tp_id: parseInt(tp_id) }
+      });
+
       const updatedProfile = await prisma.t_profile.update({
         where: { tp_id: parseInt(tp_id) },
         data: {
@@ -817,6 +833,17 @@ export const saveTalentProfile = async (req, res) => {
           status: true
         }
       });
+      updatedProfile.tp_experience_months = await refreshExperienceMonths(updatedProfile.tp_id);
+      await refreshTalentSearchVector(updatedProfile.tp_id);
+      queueTalentEmbedding(updatedProfile.tp_id);
+
+      await recordAudit(req, {
+        action: auditAction.TALENT_PROFILE_SAVE,
+        entityType: 't_profile',
+        entityId: updatedProfile.tp_id,
+        before: previousProfile,
+        after: updatedProfile
+      });
 
       return sendResponse(res, 'success', updatedProfile, 'Talent profile updated successfully', statusType.SUCCESS);
     } else {
@@ -834,6 +861,16 @@ export const saveTalentProfile = async (req, res) => {
           status: true
         }
       });
+      newProfile.tp_experience_months = await refreshExperienceMonths(newProfile.tp_id);
+      await refreshTalentSearchVector(newProfile.tp_id);
+      queueTalentEmbedding(newProfile.tp_id);
+
+      await recordAudit(req, {
+        action: auditAction.TALENT_PROFILE_SAVE,
+        entityType: 't_profile',
+        entityId: newProfile.tp_id,
+        after: newProfile
+      });
 
       return sendResponse(res, 'success', newProfile, 'Talent profile created successfully', statusType.SUCCESS);
     }
@@ -884,6 +921,10 @@ export const saveTalentProjects = async (req, res) => {
 
     // If tpj_id is provided, update existing record
     if (tpj_id) {
+      const previousProject = await prisma.t_projects.findUnique({
+        where: { tpj_id: parseInt(tpj_id) }
+      });
+
       // First, set status to false for existing record
       await prisma.t_projects.update({
         where: { tpj_id: parseInt(tpj_id) },
@@ -900,12 +941,24 @@ export const saveTalentProjects = async (req, res) => {
           tpj_github_url,
           tpj_duration,
           tpj_impact,
-          tpj_technologies,
+          tpj_technologies: await normalizeSkillText(tpj_technologies),
           tpj_images,
           status: newStatus
         }
       });
 
+      await refreshTalentSearchVector(profile.tp_id);
+
+      queueTalentEmbedding(profile.tp_id);
+
+      await recordAudit(req, {
+        action: auditAction.TALENT_PROJECT_SAVE,
+        entityType: 't_projects',
+        entityId: newProject.tpj_id,
+        before: previousProject,
+        after: newProject
+      });
+
       return sendResponse(res, 'success', newProject, 'Talent project updated successfully', statusType.SUCCESS);
     } else {
       // Create new record
@@ -918,12 +971,23 @@ export const saveTalentProjects = async (req, res) => {
           tpj_github_url,
           tpj_duration,
           tpj_impact,
-          tpj_technologies,
+          tpj_technologies: await normalizeSkillText(tpj_technologies),
           tpj_images,
           status: newStatus
         }
       });
 
+      await refreshTalentSearchVector(profile.tp_id);
+
+      queueTalentEmbedding(profile.tp_id);
+
+      await recordAudit(req, {
+        action: auditAction.TALENT_PROJECT_SAVE,
+        entityType: 't_projects',
+        entityId: newProject.tpj_id,
+        after: newProject
+      });
+
       return sendResponse(res, 'success', newProject, 'Talent project created successfully', statusType.SUCCESS);
     }
   } catch (error) {
@@ -972,6 +1036,10 @@ export const saveTalentExperience = async (req, res) => {
 
     // If te_id is provided, update existing record
     if (te_id) {
+      const previousExperience = await prisma.t_experience.findUnique({
+        where: { te_id: parseInt(te_id) }
+      });
+
       // First, set status to false for existing record
       await prisma.t_experience.update({
         where: { te_id: parseInt(te_id) },
@@ -988,16 +1056,28 @@ export const saveTalentExperience = async (req, res) => {
           te_start_date: te_start_date ? new Date(te_start_date) : null,
           te_end_date: te_end_date ? new Date(te_end_date) : null,
           te_description,
-          te_technologies,
+          te_technologies: await normalizeSkillText(te_technologies),
           status: newStatus
         }
       });
 
+      await refreshExperienceMonths(profile.tp_id);
+      await refreshTalentSearchVector(profile.tp_id);
+      queueTalentEmbedding(profile.tp_id);
+
       // Auto-regenerate skill tiles when experience is updated (async, non-blocking)
       generateSkillTilesInternal(profile.tp_id).catch(err => {
         console.error('Error auto-regenerating skill tiles after experience update:', err);
       });
 
+      await recordAudit(req, {
+        action: auditAction.TALENT_EXPERIENCE_SAVE,
+        entityType: 't_experience',
+        entityId: newExperience.te_id,
+        before: previousExperience,
+        after: newExperience
+      });
+
       return sendResponse(res, 'success', newExperience, 'Talent experience updated successfully', statusType.SUCCESS);
     } else {
       // Create new record
@@ -1010,16 +1090,27 @@ export const saveTalentExperience = async (req, res) => {
           te_start_date: te_start_date ? new Date(te_start_date) : null,
           te_end_date: te_end_date ? new Date(te_end_date) : null,
           te_description,
-          te_technologies,
+          te_technologies: await normalizeSkillText(te_technologies),
           status: newStatus
         }
       });
 
+      await refreshExperienceMonths(profile.tp_id);
+      await refreshTalentSearchVector(profile.tp_id);
+      queueTalentEmbedding(profile.tp_id);
+
       // Auto-regenerate skill tiles when experience is created (async, non-blocking)
       generateSkillTilesInternal(profile.tp_id).catch(err => {
         console.error('Error auto-regenerating skill tiles after experience creation:', err);
       });
 
+      await recordAudit(req, {
+        action: auditAction.TALENT_EXPERIENCE_SAVE,
+        entityType: 't_experience',
+        entityId: newExperience.te_id,
+        after: newExperience
+      });
+
       return sendResponse(res, 'success', newExperience, 'Talent experience created successfully', statusType.SUCCESS);
     }
   } catch (error) {
@@ -1063,6 +1154,10 @@ export const saveTalentAvailability = async (req, res) => {
 
     // If ta_id is provided, update existing record
     if (ta_id) {
+      const previousAvailability = await prisma.t_availability.findUnique({
+        where: { ta_id: parseInt(ta_id) }
+      });
+
       // First, set status to false for existing record
       await prisma.t_availability.update({
         where: { ta_id: parseInt(ta_id) },
@@ -1088,6 +1183,14 @@ export const saveTalentAvailability = async (req, res) => {
         }
       });
 
+      await recordAudit(req, {
+        action: auditAction.TALENT_AVAILABILITY_SAVE,
+        entityType: 't_availability',
+        entityId: newAvailability.ta_id,
+        before: previousAvailability,
+        after: newAvailability
+      });
+
       return sendResponse(res, 'success', newAvailability, 'Talent availability updated successfully', statusType.SUCCESS);
     } else {
       // Create new record
@@ -1109,6 +1212,13 @@ export const saveTalentAvailability = async (req, res) => {
         }
       });
 
+      await recordAudit(req, {
+        action: auditAction.TALENT_AVAILABILITY_SAVE,
+        entityType: 't_availability',
+        entityId: newAvailability.ta_id,
+        after: newAvailability
+      });
+
       return sendResponse(res, 'success', newAvailability, 'Talent availability created successfully', statusType.SUCCESS);
     }
   } catch (error) {
@@ -1748,30 +1858,26 @@ export const saveTalentSkills = async (req, res) => {
     }
 
     // Process skills based on format
-    const skillsToCreate = [];
+    const skillNames = [];
     
     for (const skill of skills) {
       if (typeof skill === 'string') {
         // First time adding skills - array of strings
-        if (skill.trim() !== '') {
-          skillsToCreate.push({
-            tp_id: profile.tp_id,
-            ts_skill: skill.trim(),
-            status: true
-          });
-        }
-      } else if (typeof skill === 'object' && skill !== null) {
+        skillNames.push(skill);
+      } else if (typeof skill === 'object' && skill !== null && typeof skill.ts_skill === 'string') {
         // Updating skills - array of objects
-        if (skill.ts_skill && skill.ts_skill.trim() !== '') {
-          skillsToCreate.push({
-            tp_id: profile.tp_id,
-            ts_skill: skill.ts_skill.trim(),
-            status: true
-          });
-        }
+        skillNames.push(skill.ts_skill);
       }
     }
 
+    // Store the canonical name of known skills and drop duplicate spellings
+    const skillsToCreate = (await normalizeSkillList(skillNames)).map(skill => ({
+      tp_id: profile.tp_id,
+      ts_skill: skill.name,
+      sk_id: skill.sk_id,
+      status: true
+    }));
+
     // Create new skills
     const createdSkills = [];
     for (const skillData of skillsToCreate) {
@@ -1781,6 +1887,18 @@ export const saveTalentSkills = async (req, res) => {
       createdSkills.push(newSkill);
     }
 
+    await refreshTalentSearchVector(profile.tp_id);
+
+    queueTalentEmbedding(profile.tp_id);
+
+    await recordAudit(req, {
+      action: auditAction.TALENT_SKILLS_SAVE,
+      entityType: 't_skills',
+      entityId: profile.tp_id,
+      before: existingSkills.map(skill => skill.ts_skill),
+      after: createdSkills.map(skill => skill.ts_skill)
+    });
+
     const responseData = {
       created_skills: createdSkills,
       total_created: createdSkills.length,
@@ -1881,12 +1999,13 @@ export const getReceivedIntents = async (req, res) => {
           currency: intent.ri_currency,
           skills_required: skillsArray,
           job_description: intent.ri_job_description,
-          personalised_message: intent.ri_personalised_message,
+          // Filled in for this talent when sent; intents sent before placeholders existed have no copy
+          personalised_message: mapping.ritm_personalised_message ?? intent.ri_personalised_message,
           next_step: intent.ri_next_step,
           preferred_timeline: intent.ri_preferred_timeline,
           response_deadline: intent.ri_response_deadline,
           intent_type: intent.ri_intent_type,
-          agreement_content: intent.ri_agreement_content
+          agreement_content: mapping.ritm_agreement_snapshot ?? intent.ri_agreement_content
         },
         recruiter: {
           name: intent.user.user_full_name,
@@ -2074,6 +2193,17 @@ export const acceptIntent = async (req, res) => {
       // Don't fail the request if notification fails
     }
 
+    await recordAudit(req, {
+      action: auditAction.INTENT_ACCEPT,
+      entityType: 'r_intent_talent_mapper',
+      entityId: mapping.ritm_id,
+      before: { ritm_intent_status: mapping.ritm_intent_status },
+      after: {
+        ritm_intent_status: result.updatedMapping.ritm_intent_status,
+        ritm_agreement_accepted_at: result.updatedMapping.ritm_agreement_accepted_at
+      }
+    });
+
     // Note: Chat conversation is already created when intent was submitted by recruiter
     // No need to create it again here
 
@@ -2176,6 +2306,14 @@ export const rejectIntent = async (req, res) => {
       return { updatedMapping, timelineRecord };
     });
 
+    await recordAudit(req, {
+      action: auditAction.INTENT_REJECT,
+      entityType: 'r_intent_talent_mapper',
+      entityId: mapping.ritm_id,
+      before: { ritm_intent_status: mapping.ritm_intent_status },
+      after: { ritm_intent_status: result.updatedMapping.ritm_intent_status }
+    });
+
     // Create notification for recruiter
     try {
       await createNotification(
@@ -2392,7 +2530,7 @@ Generate at least 6 skill tiles. Focus on the most relevant and impressive skill
         const newTile = await prisma.t_skill_tiles.create({
           data: {
             tp_id: profile.tp_id,
-            tst_skill_name: tile.skill_name,
+            tst_skill_name: await normalizeSkillName(tile.skill_name),
             tst_experience: tile.experience,
             tst_description: tile.description,
             tst_order: i,
@@ -2403,6 +2541,10 @@ Generate at least 6 skill tiles. Focus on the most relevant and impressive skill
       }
     }
 
+    await refreshTalentSearchVector(profile.tp_id);
+
+    queueTalentEmbedding(profile.tp_id);
+
     return sendResponse(res, 'success', {
       skill_tiles: createdTiles.map(tile => ({
         tst_id: tile.tst_id,
@@ -2585,7 +2727,7 @@ Generate at least 6 skill tiles. Focus on the most relevant and impressive skill
         await prisma.t_skill_tiles.create({
           data: {
             tp_id: profile.tp_id,
-            tst_skill_name: tile.skill_name,
+            tst_skill_name: await normalizeSkillName(tile.skill_name),
             tst_experience: tile.experience,
             tst_description: tile.description,
             tst_order: i,
@@ -2595,6 +2737,10 @@ Generate at least 6 skill tiles. Focus on the most relevant and impressive skill
       }
     }
 
+    await refreshTalentSearchVector(profile.tp_id);
+
+    queueTalentEmbedding(profile.tp_id);
+
     console.log(`Skill tiles generated successfully for profile ${tpId}`);
   } catch (error) {
     console.error('Error generating skill tiles internally:', error);
@@ -1,6 +1,7 @@
 import express from 'express';
 const router = express.Router();
 import * as talentController from './talentController.js';
+import { denyImpersonation } from '../../../middleware/permissionMiddleware.js';
 
 // File upload routes
 router.post('/upload/resume', talentController.uploadSingle, talentController.uploadResume);
@@ -34,7 +35,7 @@ router.post('/skills', talentController.saveTalentSkills);
 
 // Intent management routes
 router.get('/intents', talentController.getReceivedIntents);
-router.post('/intents/:ritmId/accept', talentController.acceptIntent);
-router.post('/intents/:ritmId/reject', talentController.rejectIntent);
+router.post('/intents/:ritmId/accept', denyImpersonation, talentController.acceptIntent);
+router.post('/intents/:ritmId/reject', denyImpersonation, talentController.rejectIntent);
 
 export default router;
@@ -1,9 +1,16 @@
 // Export all middleware functions for easy importing
-// All middleware includes JWT token verification and Bearer token checking
-// Re-export default exports under named aliases
-export { default as authMiddleware } from './authMiddleware.js';
-export { default as adminMiddleware } from './adminMiddleware.js';
-export { default as superAdminMiddleware } from './superAdminMiddleware.js';
-export { default as recruiterMiddleware } from './recruiterMiddleware.js';
-export { default as talentMiddleware } from './talentMiddleware.js';
-export { default as roleMiddleware } from './roleMiddleware.js';
+// All access checks go through the permission middleware (JWT + session + role permissions)
+export {
+  authenticate,
+  requirePermission,
+  hasPermission,
+  authenticateToken,
+  requireSocketPermission,
+  denyImpersonation
+} from './permissionMiddleware.js';
+
+// Acting organization of recruiter requests (req.organization) and organization role checks
+export {
+  resolveOrganization,
+  requireOrganizationRole
+} from './recruiterMiddleware.js';
@@ -0,0 +1,273 @@
+import { PrismaClient } from '@prisma/client';
+import { sendResponse } from '../app/helpers/responseHelper.js';
+import { verifyAccessToken, isSessionActive } from '../app/helpers/sessionHelper.js';
+import { rolePermissionsSelect, mapRolePermissions, hasPermission } from '../app/helpers/permissionHelper.js';
+import { getActiveImpersonation, logImpersonatedRequest } from '../app/helpers/impersonationHelper.js';
+import statusType from '../app/enums/statusTypes.js';
+import permissionType from '../app/enums/permissionTypes.js';
+
+const prisma = new PrismaClient();
+
+// Permissions that can only be used once the account has 2FA enabled
+const TWO_FACTOR_REQUIRED_PERMISSIONS = [permissionType.ADMIN_ACCESS];
+
+/**
+ * Verify an access token and load the user it belongs to.
+ * Shared by the HTTP middleware and the Socket.io handshake.
+ * @param {String} token - Raw JWT
+ * @returns {Promise<Object>} { user } on success, or { error, statusCode } when access is denied
+ */
+export const authenticateToken = async (token) => {
+  if (!token) {
+    return { error: 'Access denied. No token provided.', statusCode: statusType.UNAUTHORIZED };
+  }
+
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return { error: 'Access denied. Token expired.', statusCode: statusType.UNAUTHORIZED };
+    }
+    if (error.name === 'JsonWebTokenError') {
+      return { error: 'Access denied. Invalid token.', statusCode: statusType.UNAUTHORIZED };
+    }
+    throw error;
+  }
+
+  // Check if user still exists and is active
+  const user = await prisma.user.findUnique({
+    where: { user_id: decoded.user_id },
+    select: {
+      user_id: true,
+      user_full_name: true,
+      user_email: true,
+      role_id: true,
+      is_verified: true,
+      is_active: true,
+      is_blocked: true,
+      is_deleted: true,
+      is_suspended: true,
+      status: true,
+      user_token_version: true,
+      user_2fa_enabled: true,
+      user_role: {
+        select: {
+          role_name: true,
+          status: true,
+          ...rolePermissionsSelect
+        }
+      }
+    }
+  });
+
+  if (!user) {
+    return { error: 'Access denied. User not found.', statusCode: statusType.UNAUTHORIZED };
+  }
+
+  // Check if user is active and not blocked
+  if (!user.is_active || user.is_blocked || user.is_deleted) {
+    return { error: 'Access denied. Account is inactive, blocked, or deleted.', statusCode: statusType.UNAUTHORIZED };
+  }
+
+  // Check if user is suspended
+  if (user.is_suspended) {
+    return { error: 'Access denied. Account is suspended.', statusCode: statusType.UNAUTHORIZED };
+  }
+
+  // Check if user status is active
+  if (!user.status) {
+    return { error: 'Access denied. Account is inactive.', statusCode: statusType.UNAUTHORIZED };
+  }
+
+  // Check if token was issued before the last password reset
+  if ((decoded.token_version ?? 0) !== user.user_token_version) {
+    return { error: 'Access denied. Token has been revoked.', statusCode: statusType.UNAUTHORIZED };
+  }
+
+  // Impersonation tokens have no session; they live as long as the impersonation
+  let impersonation = null;
+  if (decoded.impersonation_id) {
+    impersonation = await getActiveImpersonation(decoded.impersonation_id, user.user_id);
+    if (!impersonation) {
+      return { error: 'Access denied. Impersonation has ended.', statusCode: statusType.UNAUTHORIZED };
+    }
+  } else if (!(await isSessionActive(decoded.session_id, user.user_id))) {
+    // The session this token belongs to has been logged out or revoked
+    return { error: 'Access denied. Session has been revoked.', statusCode: statusType.UNAUTHORIZED };
+  }
+
+  return {
+    user: {
+      user_id: user.user_id,
+      user_full_name: user.user_full_name,
+      user_email: user.user_email,
+      role_id: user.role_id,
+      role_name: user.user_role.role_name,
+      is_verified: user.is_verified,
+      user_2fa_enabled: user.user_2fa_enabled,
+      session_id: decoded.session_id ?? null,
+      permissions: mapRolePermissions(user.user_role),
+      // Set when an admin is viewing the platform as this user
+      impersonation: impersonation ? {
+        impersonation_id: impersonation.ui_id,
+        impersonator_user_id: impersonation.admin_user.user_id,
+        impersonator_name: impersonation.admin_user.user_full_name,
+        impersonator_email: impersonation.admin_user.user_email,
+        expires_at: impersonation.ui_expires_at
+      } : null
+    }
+  };
+};
+
+export { hasPermission };
+
+const IMPERSONATION_DENIED_MESSAGE = 'Access denied. This action is not available while impersonating a user.';
+
+/**
+ * Check a user against a list of required permissions
+ * @param {Object} user - req.user / socket.user
+ * @param {Array<String>} permissions - Permissions that are all required
+ * @returns {Object|null} { error, statusCode } when access is denied, otherwise null
+ */
+const checkPermissions = (user, permissions) => {
+  const missingPermission = permissions.find(permission => !hasPermission(user, permission));
+
+  if (missingPermission) {
+    return { error: 'Access denied. Insufficient permissions.', statusCode: statusType.FORBIDDEN };
+  }
+
+  // Impersonation never reaches the admin panel, whatever the impersonated role allows
+  if (user.impersonation && permissions.includes(permissionType.ADMIN_ACCESS)) {
+    return { error: IMPERSONATION_DENIED_MESSAGE, statusCode: statusType.FORBIDDEN };
+  }
+
+  if (!user.user_2fa_enabled && permissions.some(permission => TWO_FACTOR_REQUIRED_PERMISSIONS.includes(permission))) {
+    return { error: 'Access denied. Two-factor authentication must be enabled for admin accounts.', statusCode: statusType.FORBIDDEN };
+  }
+
+  return null;
+};
+
+/**
+ * Permission Middleware Factory
+ * Authenticates the Bearer token (once per request) and checks that the user's
+ * role grants every listed permission. With no permissions it only authenticates.
+ * @param {...String} permissions - Required permissions (permissionTypes)
+ * @returns {Function} Express middleware
+ */
+export const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        // Get token from Authorization header
+        const authHeader = req.headers.authorization;
+
+        if (!authHeader) {
+          return sendResponse(res, 'error', null, 'Access denied. No token provided.', statusType.UNAUTHORIZED);
+        }
+
+        // Check if token starts with 'Bearer '
+        if (!authHeader.startsWith('Bearer ')) {
+          return sendResponse(res, 'error', null, 'Access denied. Invalid token format.', statusType.UNAUTHORIZED);
+        }
+
+        const { user, error, statusCode } = await authenticateToken(authHeader.substring(7));
+
+        if (error) {
+          return sendResponse(res, 'error', null, error, statusCode);
+        }
+
+        // Attach user information to request object
+        req.user = user;
+
+        // Every request made while impersonating ends up in the audit log
+        if (user.impersonation) {
+          res.on('finish', () => {
+            logImpersonatedRequest(user.impersonation.impersonation_id, {
+              method: req.method,
+              path: req.originalUrl,
+              statusCode: res.statusCode,
+              blocked: !!req.impersonationBlocked,
+              ipAddress: req.ip,
+              userAgent: req.headers['user-agent']
+            });
+          });
+        }
+      }
+
+      const denied = checkPermissions(req.user, permissions);
+
+      if (denied) {
+        return sendResponse(res, 'error', null, denied.error, denied.statusCode);
+      }
+
+      next();
+
+    } catch (error) {
+      console.error('Permission middleware error:', error);
+      return sendResponse(res, 'error', null, 'Access denied. Token verification failed.', statusType.UNAUTHORIZED);
+    }
+  };
+};
+
+/**
+ * Authentication Middleware
+ * Any signed-in user, no specific permission required
+ */
+export const authenticate = requirePermission();
+
+/**
+ * Refuse a route to admins impersonating a user (messaging, payments, account security).
+ * Use after authentication.
+ */
+export const denyImpersonation = (req, res, next) => {
+  if (req.user?.impersonation) {
+    req.impersonationBlocked = true;
+    return sendResponse(res, 'error', null, IMPERSONATION_DENIED_MESSAGE, statusType.FORBIDDEN);
+  }
+  next();
+};
+
+/**
+ * Socket.io per-event permission guard (register with socket.use)
+ * Denied events are answered with the usual 'error' event and never reach their handler.
+ * Events not listed in the map are allowed for any authenticated socket.
+ * Impersonated sockets have every event audited and can't use the events in deniedWhileImpersonating.
+ * @param {Object} socket - Authenticated socket (socket.user set by verifySocketToken)
+ * @param {Object} eventPermissions - Map of event name to required permission
+ * @param {Array<String>} deniedWhileImpersonating - Events refused to impersonated sockets
+ * @returns {Function} Socket.io packet middleware
+ */
+export const requireSocketPermission = (socket, eventPermissions, deniedWhileImpersonating = []) => {
+  return ([event], next) => {
+    const permission = eventPermissions[event];
+    let denied = permission ? checkPermissions(socket.user, [permission]) : null;
+    let blocked = false;
+
+    if (!denied && socket.user.impersonation && deniedWhileImpersonating.includes(event)) {
+      denied = { error: IMPERSONATION_DENIED_MESSAGE, statusCode: statusType.FORBIDDEN };
+      blocked = true;
+    }
+
+    if (socket.user.impersonation) {
+      logImpersonatedRequest(socket.user.impersonation.impersonation_id, {
+        method: 'SOCKET',
+        path: event,
+        statusCode: denied ? denied.statusCode : null,
+        blocked,
+        ipAddress: socket.handshake.address,
+        userAgent: socket.handshake.headers['user-agent']
+      });
+    }
+
+    if (denied) {
+      socket.emit('error', { message: denied.error, event });
+      return;
+    }
+
+    next();
+  };
+};
+
+export default requirePermission;
@@ -1,106 +1,59 @@
-import jwt from 'jsonwebtoken';
-import { PrismaClient } from '@prisma/client';
 import { sendResponse } from '../app/helpers/responseHelper.js';
+import { getRequestedOrganizationId, findActingMembership, createPersonalOrganization } from '../app/helpers/organizationHelper.js';
 import statusType from '../app/enums/statusTypes.js';
 
-const prisma = new PrismaClient();
-
-// JWT secret - should match the one in authController
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-
 /**
- * Recruiter Middleware
- * Verifies JWT token and checks if user has recruiter privileges
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
+ * Resolve the organization a recruiter is acting for and attach it to the request as
+ * req.organization ({ org_id, org_name, rp_id, role }).
+ * The X-Organization-Id header picks one of the recruiter's organizations; without it the one
+ * they joined most recently is used. A recruiter in no organization gets their own.
+ * Use after requirePermission(permissionType.RECRUITER_ACCESS).
  */
-export const recruiterMiddleware = async (req, res, next) => {
+export const resolveOrganization = async (req, res, next) => {
   try {
-    // Get token from Authorization header
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader) {
-      return sendResponse(res, 'error', null, 'Access denied. No token provided.', statusType.UNAUTHORIZED);
-    }
-
-    // Check if token starts with 'Bearer '
-    if (!authHeader.startsWith('Bearer ')) {
-      return sendResponse(res, 'error', null, 'Access denied. Invalid token format.', statusType.UNAUTHORIZED);
-    }
-
-    // Extract token
-    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
-
-    if (!token) {
-      return sendResponse(res, 'error', null, 'Access denied. No token provided.', statusType.UNAUTHORIZED);
-    }
-
-    // Verify token
-    const decoded = jwt.verify(token, JWT_SECRET);
-
-    // Check if user still exists and is active
-    const user = await prisma.user.findUnique({
-      where: { user_id: decoded.user_id },
-      select: {
-        user_id: true,
-        user_email: true,
-        role_id: true,
-        is_active: true,
-        is_blocked: true,
-        is_deleted: true,
-        is_suspended: true,
-        status: true
-      }
-    });
-
-    if (!user) {
-      return sendResponse(res, 'error', null, 'Access denied. User not found.', statusType.UNAUTHORIZED);
-    }
+    const requestedOrgId = getRequestedOrganizationId(req);
 
-    // Check if user is active and not blocked
-    if (!user.is_active || user.is_blocked || user.is_deleted) {
-      return sendResponse(res, 'error', null, 'Access denied. Account is inactive, blocked, or deleted.', statusType.UNAUTHORIZED);
+    if (Number.isNaN(requestedOrgId)) {
+      return sendResponse(res, 'error', null, 'Invalid organization ID', statusType.BAD_REQUEST);
     }
 
-    // Check if user is suspended
-    if (user.is_suspended) {
-      return sendResponse(res, 'error', null, 'Access denied. Account is suspended.', statusType.UNAUTHORIZED);
-    }
+    let membership = await findActingMembership(req.user.user_id, requestedOrgId);
 
-    // Check if user status is active
-    if (!user.status) {
-      return sendResponse(res, 'error', null, 'Access denied. Account is inactive.', statusType.UNAUTHORIZED);
+    if (!membership && requestedOrgId) {
+      return sendResponse(res, 'error', null, 'Access denied. You are not a member of this organization.', statusType.FORBIDDEN);
     }
 
-    // Check if user is recruiter (assuming role_id 2 is recruiter)
-    if (user.role_id !== 2) {
-      return sendResponse(res, 'error', null, 'Access denied. Recruiter access required.', statusType.FORBIDDEN);
+    if (!membership) {
+      membership = await createPersonalOrganization(req.user);
     }
 
-    // Attach user information to request object
-    req.user = {
-      user_id: user.user_id,
-      user_email: user.user_email,
-      role_id: user.role_id
+    req.organization = {
+      org_id: membership.organization.org_id,
+      org_name: membership.organization.org_name,
+      rp_id: membership.organization.rp_id,
+      role: membership.om_role
     };
 
-    // User is authenticated and has recruiter privileges
     next();
-
   } catch (error) {
-    console.error('Recruiter middleware error:', error);
-    
-    if (error.name === 'JsonWebTokenError') {
-      return sendResponse(res, 'error', null, 'Access denied. Invalid token.', statusType.UNAUTHORIZED);
-    }
-    
-    if (error.name === 'TokenExpiredError') {
-      return sendResponse(res, 'error', null, 'Access denied. Token expired.', statusType.UNAUTHORIZED);
-    }
-    
-    return sendResponse(res, 'error', null, 'Access denied. Recruiter verification failed.', statusType.FORBIDDEN);
+    console.error('Organization middleware error:', error);
+    return sendResponse(res, 'error', null, 'Error resolving organization', statusType.INTERNAL_SERVER_ERROR);
   }
 };
 
-export default recruiterMiddleware;
\ No newline at end of file
+/**
+ * Organization Role Middleware Factory
+ * Only lets members with one of the roles through. Use after resolveOrganization.
+ * @param {...String} roles - Allowed roles (organizationRoles)
+ * @returns {Function} Express middleware
+ */
+export const requireOrganizationRole = (...roles) => {
+  return (req, res, next) => {
+    if (!roles.includes(req.organization?.role)) {
+      return sendResponse(res, 'error', null, 'Access denied. Your organization role does not allow this action.', statusType.FORBIDDEN);
+    }
+    next();
+  };
+};
+
+export default resolveOrganization;
@@ -5,17 +5,14 @@ const router = express.Router();
 import authRoutes from './app/modules/auth/authRoutes.js';
 import homeRoutes from './app/modules/home/homeRoutes.js';
 import talentRoutes from './app/modules/talent/talentRoutes.js';
-import recruiterRoutes from './app/modules/recruiter/recruiterRoutes.js';
+import recruiterRoutes, { invitationRouter as recruiterInvitationRoutes } from './app/modules/recruiter/recruiterRoutes.js';
 import adminRoutes from './app/modules/admin/adminRoutes.js';
 import commonRoutes from './app/modules/common/commonRoutes.js';
 import chatRoutes from './app/modules/chat/chatRoutes.js';
 import meetingRoutes from './app/modules/meeting/meetingRoutes.js';
-import datamanipRoutes from './app/modules/datamanip/datamanip.js';
-import talentMiddleware from './middleware/talentMiddleware.js';
-import recruiterMiddleware from './middleware/recruiterMiddleware.js';
-import adminMiddleware from './middleware/adminMiddleware.js';
-import commonMiddleware from './middleware/commonMiddleware.js';
-import { authMiddleware } from './middleware/authMiddleware.js';
+import { authenticate, requirePermission } from './middleware/permissionMiddleware.js';
+import { resolveOrganization } from './middleware/recruiterMiddleware.js';
+import permissionType from './app/enums/permissionTypes.js';
 
 // Health check route
 router.get('/health', (req, res) => {
@@ -28,14 +25,13 @@ router.get('/health', (req, res) => {
 
 // Module routes
 router.use('/auth', authRoutes);
-router.use('/home', authMiddleware, homeRoutes);
-router.use('/talent', talentMiddleware, talentRoutes);
-router.use('/recruiter', recruiterMiddleware, recruiterRoutes);
-router.use('/admin', adminMiddleware, adminRoutes);
-router.use('/common', commonMiddleware, commonRoutes);
-router.use('/chat', commonMiddleware, chatRoutes);
-router.use('/meeting', commonMiddleware, meetingRoutes);
-router.use('/danger',datamanipRoutes);
+router.use('/home', authenticate, homeRoutes);
+router.use('/talent', requirePermission(permissionType.TALENT_ACCESS), talentRoutes);
+router.use('/recruiter', requirePermission(permissionType.RECRUITER_ACCESS), recruiterInvitationRoutes, resolveOrganization, recruiterRoutes);
+router.use('/admin', requirePermission(permissionType.ADMIN_ACCESS), adminRoutes);
+router.use('/common', requirePermission(permissionType.COMMON_ACCESS), commonRoutes);
+router.use('/chat', requirePermission(permissionType.CHAT_ACCESS), chatRoutes);
+router.use('/meeting', requirePermission(permissionType.MEETING_ACCESS), meetingRoutes);
 
 // TODO: Add more routes as needed
 
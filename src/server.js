@@ -2,6 +2,9 @@ import { createServer } from 'http';
 import app from './app.js';
 import { port, environment } from './config/index.js';
 import { initializeSocket } from './socket/socketServer.js';
+import { purgeExpiredDataExports } from './app/helpers/dataExportHelper.js';
+import { processSavedSearchAlerts } from './app/helpers/savedSearchHelper.js';
+import { refreshOpenEndedExperience } from './app/helpers/experienceHelper.js';
 
 // Create HTTP server
 const httpServer = createServer(app);
@@ -17,6 +20,17 @@ httpServer.listen(port, () => {
   console.log(`💬 Socket.io chat enabled`);
 });
 
+// Remove expired personal data exports every hour
+setInterval(() => purgeExpiredDataExports(), 60 * 60 * 1000).unref();
+
+// Alert recruiters about new matches for their saved searches (each search runs at its own frequency)
+setInterval(() => processSavedSearchAlerts(), 15 * 60 * 1000).unref();
+
+// Keep the experience of talents in a current job up to date for the experience level filters
+// (daily, and at startup so restarts don't postpone it)
+refreshOpenEndedExperience();
+setInterval(() => refreshOpenEndedExperience(), 24 * 60 * 60 * 1000).unref();
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
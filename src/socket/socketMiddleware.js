@@ -1,33 +1,14 @@
-import jwt from 'jsonwebtoken';
-import { PrismaClient } from '@prisma/client';
-
-const prisma = new PrismaClient();
+import { authenticateToken } from '../middleware/permissionMiddleware.js';
 
 export const verifySocketToken = async (socket, next) => {
   try {
     const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.split(' ')[1];
-    
-    if (!token) {
-      return next(new Error('Authentication error: No token provided'));
-    }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Fetch user from database
-    const user = await prisma.user.findUnique({
-      where: { user_id: decoded.user_id },
-      select: {
-        user_id: true,
-        user_full_name: true,
-        user_email: true,
-        role_id: true,
-        status: true,
-        is_active: true,
-      }
-    });
+    // Same checks as the HTTP permission middleware (user state, token version, session)
+    const { user, error } = await authenticateToken(token);
 
-    if (!user || !user.is_active) {
-      return next(new Error('Authentication error: Invalid user'));
+    if (error) {
+      return next(new Error(`Authentication error: ${error}`));
     }
 
     socket.user = user;
@@ -37,4 +18,3 @@ export const verifySocketToken = async (socket, next) => {
     next(new Error('Authentication error'));
   }
 };
-
@@ -1,10 +1,43 @@
 import { Server } from 'socket.io';
 import { verifySocketToken } from './socketMiddleware.js';
+import { requireSocketPermission } from '../middleware/permissionMiddleware.js';
+import permissionType from '../app/enums/permissionTypes.js';
 import { handleChatEvents } from '../app/modules/chat/chatSocketHandler.js';
 import { handleMeetingEvents } from '../app/modules/meeting/meetingSocketHandler.js';
 
 let io;
 
+// Permission required for each client event, checked before the handler runs
+const SOCKET_EVENT_PERMISSIONS = {
+  join_conversation: permissionType.CHAT_ACCESS,
+  send_message: permissionType.CHAT_ACCESS,
+  mark_as_delivered: permissionType.CHAT_ACCESS,
+  mark_as_read: permissionType.CHAT_ACCESS,
+  typing: permissionType.CHAT_ACCESS,
+  stop_typing: permissionType.CHAT_ACCESS,
+  leave_conversation: permissionType.CHAT_ACCESS,
+  join_meeting_room: permissionType.MEETING_ACCESS,
+  leave_meeting_room: permissionType.MEETING_ACCESS,
+  meeting_audio_status: permissionType.MEETING_ACCESS,
+  meeting_video_status: permissionType.MEETING_ACCESS,
+  meeting_recording_started: permissionType.MEETING_ACCESS,
+  meeting_recording_stopped: permissionType.MEETING_ACCESS,
+  meeting_screen_share_started: permissionType.MEETING_ACCESS,
+  meeting_screen_share_stopped: permissionType.MEETING_ACCESS,
+  meeting_hand_raised: permissionType.MEETING_ACCESS,
+  meeting_hand_lowered: permissionType.MEETING_ACCESS,
+};
+
+// Events that would act on the user's behalf, refused while an admin impersonates them
+const IMPERSONATION_DENIED_EVENTS = [
+  'send_message',
+  'mark_as_delivered',
+  'mark_as_read',
+  'typing',
+  'stop_typing',
+  'join_meeting_room',
+];
+
 export const initializeSocket = (httpServer) => {
   io = new Server(httpServer, {
     cors: {
@@ -24,14 +57,26 @@ export const initializeSocket = (httpServer) => {
     
     // Join user to their personal room
     socket.join(`user:${socket.user.user_id}`);
+
+    // Join the session (or impersonation) room so the connection can be dropped when it's revoked
+    if (socket.user.impersonation) {
+      socket.join(`impersonation:${socket.user.impersonation.impersonation_id}`);
+    } else {
+      socket.join(`session:${socket.user.session_id}`);
+    }
     
-    // Emit user_online event to notify others
-    socket.broadcast.emit('user_online', {
-      userId: socket.user.user_id,
-      userName: socket.user.user_full_name,
-      timestamp: new Date().toISOString()
-    });
+    // Emit user_online event to notify others (an admin viewing as the user doesn't count)
+    if (!socket.user.impersonation) {
+      socket.broadcast.emit('user_online', {
+        userId: socket.user.user_id,
+        userName: socket.user.user_full_name,
+        timestamp: new Date().toISOString()
+      });
+    }
     
+    // Check event permissions before any handler runs
+    socket.use(requireSocketPermission(socket, SOCKET_EVENT_PERMISSIONS, IMPERSONATION_DENIED_EVENTS));
+
     // Handle chat events
     handleChatEvents(socket, io);
     
@@ -43,11 +88,13 @@ export const initializeSocket = (httpServer) => {
       console.log(`❌ User disconnected: ${socket.user.user_id} - ${socket.user.user_full_name}`);
       
       // Emit user_offline event to notify others
-      socket.broadcast.emit('user_offline', {
-        userId: socket.user.user_id,
-        userName: socket.user.user_full_name,
-        timestamp: new Date().toISOString()
-      });
+      if (!socket.user.impersonation) {
+        socket.broadcast.emit('user_offline', {
+          userId: socket.user.user_id,
+          userName: socket.user.user_full_name,
+          timestamp: new Date().toISOString()
+        });
+      }
     });
     
     // Manual set_online event (optional - for explicit online status)
@@ -118,3 +165,35 @@ export const getIO = () => {
   return io;
 };
 
+/**
+ * Disconnect every socket opened with a given session
+ * @param {Number} sessionId - The revoked session ID
+ */
+export const disconnectSessionSockets = (sessionId) => {
+  if (!io) {
+    return;
+  }
+  io.in(`session:${sessionId}`).disconnectSockets(true);
+};
+
+/**
+ * Disconnect every socket of a user (e.g. when the account is blocked)
+ * @param {Number} userId - The user ID
+ */
+export const disconnectUserSockets = (userId) => {
+  if (!io) {
+    return;
+  }
+  io.in(`user:${userId}`).disconnectSockets(true);
+};
+
+/**
+ * Disconnect every socket opened with an impersonation token
+ * @param {Number} impersonationId - The ended impersonation ID
+ */
+export const disconnectImpersonationSockets = (impersonationId) => {
+  if (!io) {
+    return;
+  }
+  io.in(`impersonation:${impersonationId}`).disconnectSockets(true);
+};